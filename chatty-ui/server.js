@@ -3,12 +3,34 @@ import cors from 'cors'
 import Database from 'better-sqlite3'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
+import { createHash, randomBytes, scryptSync, timingSafeEqual } from 'crypto'
+import { Buffer } from 'buffer'
+import { createWahaClient } from '../waha-client/index.js'
+import { verifyWebhook } from '../waha-client/webhookSignature.js'
+import { wahaProxyRole } from './wahaProxy.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
 const app = express()
 const PORT = process.env.PORT || 3002
+const WAHA_URL = process.env.WAHA_URL || 'http://localhost:3001'
+const WAHA_API_KEY = process.env.WAHA_API_KEY || ''
+// WAHA session (WhatsApp number) used when a request doesn't name one
+const DEFAULT_SESSION = process.env.WAHA_SESSION || 'default'
+const waha = createWahaClient({ baseUrl: WAHA_URL, apiKey: WAHA_API_KEY, session: DEFAULT_SESSION })
+// gemini-bot API (human handoff); it accepts the same API key as WAHA
+const GEMINI_BOT_URL = (process.env.GEMINI_BOT_URL || 'http://gemini-bot:3003').replace(/\/+$/, '')
+// Shared secret webhooks are signed with (WAHA's WHATSAPP_HOOK_HMAC_KEY; gemini-bot's relay uses the same)
+const WEBHOOK_HMAC_KEY = process.env.WEBHOOK_HMAC_KEY || ''
+const WEBHOOK_MAX_AGE_MS = parseInt(process.env.WEBHOOK_MAX_AGE_MS || '300000')
+
+// Queue worker settings
+const QUEUE_POLL_INTERVAL_MS = 2000
+
+// Scheduler settings
+const SCHEDULER_INTERVAL_MS = 30000
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'UTC'
 
 // Initialize SQLite database
 // In production (Docker), use /app/data volume for persistence
@@ -38,6 +60,8 @@ db.exec(`
   CREATE TABLE IF NOT EXISTS message_history (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     phone TEXT NOT NULL,
+    chat_id TEXT,
+    session TEXT NOT NULL DEFAULT 'default',
     message TEXT NOT NULL,
     status TEXT DEFAULT 'sent',
     sent_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -48,15 +72,41 @@ db.exec(`
     phone TEXT NOT NULL,
     message TEXT NOT NULL,
     delay_seconds INTEGER DEFAULT 0,
+    session TEXT NOT NULL DEFAULT 'default',
     status TEXT DEFAULT 'pending',
+    error TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     processed_at DATETIME
   );
 
+  CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recipients TEXT NOT NULL,
+    message TEXT NOT NULL,
+    cron TEXT,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    session TEXT NOT NULL DEFAULT 'default',
+    next_run_at INTEGER,
+    last_run_at INTEGER,
+    run_count INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'active',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS scheduled_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER NOT NULL,
+    run_at INTEGER NOT NULL,
+    sent_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    error TEXT
+  );
+
   CREATE TABLE IF NOT EXISTS incoming_messages (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     message_id TEXT UNIQUE,
     chat_id TEXT NOT NULL,
+    session TEXT NOT NULL DEFAULT 'default',
     phone TEXT NOT NULL,
     sender_name TEXT,
     message TEXT,
@@ -64,6 +114,51 @@ db.exec(`
     is_from_me INTEGER DEFAULT 0,
     received_at DATETIME DEFAULT CURRENT_TIMESTAMP
   );
+
+  -- Chats gemini-bot handed to a human, mirrored from its bot.handoff events
+  CREATE TABLE IF NOT EXISTS bot_handoffs (
+    session TEXT NOT NULL,
+    chat_id TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    status TEXT NOT NULL,
+    source TEXT,
+    reason TEXT,
+    operator TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (session, chat_id)
+  );
+`)
+
+// Add columns introduced after the first release (CREATE TABLE IF NOT EXISTS skips existing tables)
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all()
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+  }
+}
+
+ensureColumn('queue_jobs', 'error', 'TEXT')
+ensureColumn('message_history', 'chat_id', 'TEXT')
+for (const table of ['message_history', 'queue_jobs', 'scheduled_messages', 'incoming_messages']) {
+  ensureColumn(table, 'session', "TEXT NOT NULL DEFAULT 'default'")
+}
+
+// Link sent messages logged before chat_id existed to their chat
+db.prepare("UPDATE message_history SET chat_id = phone || '@c.us' WHERE chat_id IS NULL").run()
+
+// Both directions of every chat in one timeline. Outbound comes from message_history;
+// fromMe webhook rows are left out since they echo messages we already logged.
+db.exec(`
+  DROP VIEW IF EXISTS conversation_messages;
+  CREATE VIEW conversation_messages AS
+    SELECT 'in-' || id AS id, 'in' AS direction, session, chat_id, phone, sender_name, message,
+           timestamp, 'received' AS status
+    FROM incoming_messages
+    WHERE is_from_me = 0 AND chat_id NOT LIKE '%@broadcast%' AND chat_id NOT LIKE '%status@%'
+    UNION ALL
+    SELECT 'out-' || id, 'out', session, chat_id, phone, NULL, message,
+           CAST(strftime('%s', sent_at) AS INTEGER), status
+    FROM message_history;
 `)
 
 // Insert default templates if empty
@@ -76,8 +171,461 @@ if (templateCount.count === 0) {
   insertTemplate.run('Celebration', '🎉', '#A66CFF', 'Congratulations! 🎉🎊 You did it! So proud of you! Keep shining! ⭐')
 }
 
-app.use(cors())
-app.use(express.json())
+// Browsers may only call from the dashboard's origin (nginx serves it same-origin) and CORS_ORIGINS
+// (by default the dashboard's and Message Bar's dev servers)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:5174').split(',').map(o => o.trim()).filter(Boolean)
+app.use(cors({ origin: CORS_ORIGINS }))
+// Keep the raw body: webhook signatures are computed over it
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer
+  }
+}))
+
+// ============ AUTH ============
+// Dashboard users sign in and get a bearer token (only its hash is stored). Roles:
+//   viewer   - read everything
+//   operator - also send messages, run the queue and schedules, take chats over from the bot
+//   admin    - also manage users and WAHA sessions, clear the inbox
+// Services (gemini-bot) authenticate with X-Api-Key: the WAHA key they already hold, as operators.
+
+const ROLES = ['viewer', 'operator', 'admin']
+const AUTH_TOKEN_TTL_MS = parseInt(process.env.AUTH_TOKEN_TTL_HOURS || '168') * 60 * 60 * 1000
+const MIN_PASSWORD_LENGTH = 8
+const USERNAME_PATTERN = /^[\w.@-]{2,64}$/
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_login_at DATETIME
+  );
+
+  CREATE TABLE IF NOT EXISTS auth_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at INTEGER NOT NULL
+  );
+`)
+
+// "scrypt:<salt>:<hash>", hex
+function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex')
+  return `scrypt:${salt}:${scryptSync(password, salt, 64).toString('hex')}`
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':')
+  if (scheme !== 'scrypt' || !salt || !hash) return false
+  const expected = Buffer.from(hash, 'hex')
+  const actual = scryptSync(password, salt, expected.length)
+  return timingSafeEqual(actual, expected)
+}
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex')
+
+// Users without their password hash
+const publicUser = ({ id, username, role, created_at, last_login_at }) => ({ id, username, role, created_at, last_login_at })
+
+function issueToken(userId) {
+  const token = randomBytes(32).toString('base64url')
+  const expiresAt = Date.now() + AUTH_TOKEN_TTL_MS
+  db.prepare('INSERT INTO auth_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)').run(hashToken(token), userId, expiresAt)
+  return { token, expiresAt: new Date(expiresAt).toISOString() }
+}
+
+// Sign a user out everywhere (password or role changed, user deleted), optionally keeping one token
+function revokeTokens(userId, exceptToken = null) {
+  db.prepare('DELETE FROM auth_tokens WHERE user_id = ? AND token_hash != ?').run(userId, exceptToken ? hashToken(exceptToken) : '')
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+  }
+  return null
+}
+
+// The first admin comes from the environment, on a fresh database only
+function seedAdmin() {
+  if (db.prepare('SELECT COUNT(*) AS count FROM users').get().count > 0) return
+  const username = process.env.CHATTY_ADMIN_USERNAME || 'admin'
+  const password = process.env.CHATTY_ADMIN_PASSWORD
+  if (!password || validatePassword(password)) {
+    console.warn(`⚠️  No users yet - set CHATTY_ADMIN_PASSWORD (at least ${MIN_PASSWORD_LENGTH} characters) and restart to create the first admin`)
+    return
+  }
+  db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)').run(username, hashPassword(password), 'admin')
+  console.log(`👤 Created admin user "${username}"`)
+}
+seedAdmin()
+
+// Reachable without signing in: login, WAHA's webhook (HMAC-checked) and the health check
+const PUBLIC_PATHS = ['/api/auth/login', '/api/webhook', '/api/health']
+
+function bearerToken(req) {
+  const header = req.headers.authorization || ''
+  if (header.startsWith('Bearer ')) return header.slice(7).trim()
+  // EventSource can't send headers, so the live event stream takes the token in the query
+  if (req.method === 'GET' && req.path === '/api/events' && typeof req.query.access_token === 'string') {
+    return req.query.access_token
+  }
+  return null
+}
+
+// Puts the signed-in user on req.user; 401 without valid credentials
+function authenticate(req, res, next) {
+  if (!req.path.startsWith('/api/') || PUBLIC_PATHS.includes(req.path)) return next()
+
+  const apiKey = req.headers['x-api-key']
+  if (apiKey && WAHA_API_KEY && Buffer.byteLength(apiKey) === Buffer.byteLength(WAHA_API_KEY) &&
+      timingSafeEqual(Buffer.from(apiKey), Buffer.from(WAHA_API_KEY))) {
+    req.user = { id: null, username: 'service', role: 'operator' }
+    return next()
+  }
+
+  const token = bearerToken(req)
+  if (token) {
+    const row = db.prepare(`
+      SELECT u.* FROM auth_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND t.expires_at > ?
+    `).get(hashToken(token), Date.now())
+    if (row) {
+      req.user = publicUser(row)
+      req.token = token
+      return next()
+    }
+  }
+  res.status(401).json({ error: 'Sign in required' })
+}
+
+const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role)
+
+// Route guard: the signed-in user needs at least this role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` })
+    }
+    next()
+  }
+}
+
+app.use(authenticate)
+
+// Sign in: { username, password } -> { token, expiresAt, user }
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {}
+    const user = typeof username === 'string' && db.prepare('SELECT * FROM users WHERE username = ?').get(username.trim())
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.password_hash)) {
+      console.warn(`🔒 Failed sign-in for "${username}" from ${req.ip}`)
+      return res.status(401).json({ error: 'Invalid username or password' })
+    }
+
+    db.prepare('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?').run(user.id)
+    db.prepare('DELETE FROM auth_tokens WHERE expires_at <= ?').run(Date.now())
+    res.json({ ...issueToken(user.id), user: publicUser(user) })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+app.post('/api/auth/logout', (req, res) => {
+  if (req.token) {
+    db.prepare('DELETE FROM auth_tokens WHERE token_hash = ?').run(hashToken(req.token))
+  }
+  res.json({ success: true })
+})
+
+app.get('/api/auth/me', (req, res) => {
+  res.json(req.user)
+})
+
+// Change your own password; other devices are signed out
+app.put('/api/auth/password', (req, res) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'Service keys have no password' })
+    }
+    const { currentPassword, newPassword } = req.body || {}
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.user.id)
+    if (typeof currentPassword !== 'string' || !verifyPassword(currentPassword, user.password_hash)) {
+      return res.status(400).json({ error: 'Current password is wrong' })
+    }
+    const invalid = validatePassword(newPassword)
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+    db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(newPassword), user.id)
+    revokeTokens(user.id, req.token)
+    audit(req, user.username)
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// ============ AUDIT LOG ============
+// Append-only record of changes made through the API: who (the signed-in user), what (method and
+// route), which target, the value before and after (JSON), and when. Triggers refuse updates and deletes.
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    target TEXT,
+    before_value TEXT,
+    after_value TEXT,
+    ip TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+`)
+
+const toJson = (value) => value === undefined || value === null ? null : JSON.stringify(value)
+
+// Record a change made by req.user; the action is the method and route, e.g. "DELETE /api/queue"
+function audit(req, target = null, before = null, after = null) {
+  try {
+    db.prepare(`
+      INSERT INTO audit_log (actor, action, target, before_value, after_value, ip) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      req.user?.username || 'anonymous',
+      `${req.method} ${req.route?.path || req.path}`,
+      target === null ? null : String(target),
+      toJson(before),
+      toJson(after),
+      req.ip
+    )
+  } catch (err) {
+    console.error('Failed to record audit entry:', err.message)
+  }
+}
+
+// Newest first; filter by actor, action (substring), target, from and to (SQLite datetimes, UTC)
+app.get('/api/audit', requireRole('admin'), (req, res) => {
+  try {
+    const { actor, action, target, from, to } = req.query
+    const conditions = []
+    const params = []
+    if (actor) { conditions.push('actor = ?'); params.push(actor) }
+    if (action) { conditions.push('action LIKE ?'); params.push(`%${action}%`) }
+    if (target) { conditions.push('target = ?'); params.push(target) }
+    if (from) { conditions.push('created_at >= ?'); params.push(from) }
+    if (to) { conditions.push('created_at <= ?'); params.push(to) }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500)
+    const offset = parseInt(req.query.offset) || 0
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${where}`).get(...params).count
+    const entries = db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(({ before_value, after_value, ...entry }) => ({
+        ...entry,
+        before: before_value === null ? null : JSON.parse(before_value),
+        after: after_value === null ? null : JSON.parse(after_value)
+      }))
+    res.json({ entries, total })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// gemini-bot's audit log (same filters), so the dashboard shows both
+app.get('/api/audit/bot', requireRole('admin'), async (req, res) => {
+  try {
+    const query = new URLSearchParams(Object.entries(req.query).filter(([, value]) => typeof value === 'string'))
+    res.json(await geminiBotRequest('GET', `/api/audit?${query}`))
+  } catch (err) {
+    res.status(err.status === 400 ? 400 : 502).json({ error: err.message })
+  }
+})
+
+// ============ USERS (admin) ============
+
+const adminCount = () => db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'").get().count
+
+app.get('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    res.json(db.prepare('SELECT * FROM users ORDER BY username').all().map(publicUser))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {}
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+      return res.status(400).json({ error: 'Username must be 2-64 letters, digits, or . _ @ -' })
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` })
+    }
+    const invalid = validatePassword(password)
+    if (invalid) {
+      return res.status(400).json({ error: invalid })
+    }
+    const result = db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)')
+      .run(username.trim(), hashPassword(password), role)
+    const created = publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid))
+    audit(req, created.username, null, { role })
+    res.json(created)
+  } catch (err) {
+    if (err.message.includes('UNIQUE')) {
+      res.status(409).json({ error: 'Username already exists' })
+    } else {
+      res.status(500).json({ error: err.message })
+    }
+  }
+})
+
+// Change a user's role and/or password; they are signed out everywhere
+app.patch('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id)
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    const { role, password } = req.body || {}
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` })
+    }
+    if (role && role !== 'admin' && user.role === 'admin' && adminCount() === 1) {
+      return res.status(400).json({ error: 'Keep at least one admin' })
+    }
+    if (password !== undefined) {
+      const invalid = validatePassword(password)
+      if (invalid) {
+        return res.status(400).json({ error: invalid })
+      }
+      db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(hashPassword(password), user.id)
+    }
+    if (role) {
+      db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, user.id)
+    }
+    revokeTokens(user.id, user.id === req.user.id ? req.token : null)
+    audit(req, user.username, { role: user.role }, { role: role || user.role, passwordChanged: password !== undefined })
+    res.json(publicUser(db.prepare('SELECT * FROM users WHERE id = ?').get(user.id)))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+app.delete('/api/users/:id', requireRole('admin'), (req, res) => {
+  try {
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(req.params.id)
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: "You can't delete yourself" })
+    }
+    if (user.role === 'admin' && adminCount() === 1) {
+      return res.status(400).json({ error: 'Keep at least one admin' })
+    }
+    revokeTokens(user.id)
+    db.prepare('DELETE FROM users WHERE id = ?').run(user.id)
+    audit(req, user.username, publicUser(user), null)
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// ============ WAHA PROXY ============
+// The dashboard reaches WAHA only through /api/waha/<WAHA path>, so the WAHA key stays on the server.
+// Only the routes in wahaProxy.js get through, each for its role.
+
+app.all('/api/waha/*path', async (req, res) => {
+  try {
+    const path = `/${req.params.path.join('/')}`
+    if (!path.startsWith('/api/')) {
+      return res.status(404).json({ error: 'Not a WAHA API path' })
+    }
+    const role = wahaProxyRole(req.method, path)
+    if (!role) {
+      return res.status(403).json({ error: 'This WAHA route is not available through the proxy' })
+    }
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` })
+    }
+
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : ''
+    const hasBody = !['GET', 'HEAD'].includes(req.method)
+    const response = await fetch(`${WAHA_URL}${path}${query}`, {
+      method: req.method,
+      headers: {
+        'X-Api-Key': WAHA_API_KEY,
+        Accept: req.headers.accept || '*/*',
+        ...(hasBody ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: hasBody ? JSON.stringify(req.body ?? {}) : undefined,
+      signal: AbortSignal.timeout(30000)
+    })
+
+    if (hasBody) {
+      audit(req, path, null, { status: response.status, body: req.body ?? null })
+    }
+    res.status(response.status)
+    const contentType = response.headers.get('content-type')
+    if (contentType) res.set('Content-Type', contentType)
+    res.send(Buffer.from(await response.arrayBuffer()))
+  } catch (err) {
+    res.status(502).json({ error: `WAHA unreachable: ${err.message}` })
+  }
+})
+
+// ============ REAL-TIME EVENTS (SSE) ============
+// The dashboard subscribes here instead of polling. Event types:
+//   incoming - a new incoming_messages row
+//   session  - WAHA session status change
+//   queue    - queue job progress ({ job?, counts })
+//   handoff  - a chat handed to a human or back to the bot (bot_handoffs row)
+
+const SSE_HEARTBEAT_MS = 25000
+const sseClients = new Set()
+
+// Push an event to every connected client
+function broadcast(event, data) {
+  const frame = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+  for (const client of sseClients) {
+    client.write(frame)
+  }
+}
+
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  })
+  res.flushHeaders()
+  res.write('retry: 3000\n\n')
+
+  sseClients.add(res)
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    sseClients.delete(res)
+  })
+})
 
 // ============ FAVORITES ============
 
@@ -92,7 +640,7 @@ app.get('/api/favorites', (req, res) => {
 })
 
 // Add favorite
-app.post('/api/favorites', (req, res) => {
+app.post('/api/favorites', requireRole('operator'), (req, res) => {
   try {
     const { phone, name } = req.body
     if (!phone) {
@@ -101,6 +649,7 @@ app.post('/api/favorites', (req, res) => {
     const cleanPhone = phone.replace(/\D/g, '')
     const stmt = db.prepare('INSERT INTO favorites (phone, name) VALUES (?, ?)')
     const result = stmt.run(cleanPhone, name || cleanPhone)
+    audit(req, cleanPhone, null, { name: name || cleanPhone })
     res.json({ id: result.lastInsertRowid, phone: cleanPhone, name: name || cleanPhone })
   } catch (err) {
     if (err.message.includes('UNIQUE')) {
@@ -112,11 +661,13 @@ app.post('/api/favorites', (req, res) => {
 })
 
 // Delete favorite
-app.delete('/api/favorites/:phone', (req, res) => {
+app.delete('/api/favorites/:phone', requireRole('operator'), (req, res) => {
   try {
     const { phone } = req.params
+    const before = db.prepare('SELECT * FROM favorites WHERE phone = ?').get(phone)
     const stmt = db.prepare('DELETE FROM favorites WHERE phone = ?')
     stmt.run(phone)
+    if (before) audit(req, phone, before, null)
     res.json({ success: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -136,7 +687,7 @@ app.get('/api/templates', (req, res) => {
 })
 
 // Add template
-app.post('/api/templates', (req, res) => {
+app.post('/api/templates', requireRole('operator'), (req, res) => {
   try {
     const { name, emoji, color, text } = req.body
     if (!name || !text) {
@@ -144,6 +695,7 @@ app.post('/api/templates', (req, res) => {
     }
     const stmt = db.prepare('INSERT INTO templates (name, emoji, color, text) VALUES (?, ?, ?, ?)')
     const result = stmt.run(name, emoji || '📝', color || '#00D4AA', text)
+    audit(req, result.lastInsertRowid, null, { name, text })
     res.json({ id: result.lastInsertRowid, name, emoji, color, text })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -151,11 +703,13 @@ app.post('/api/templates', (req, res) => {
 })
 
 // Delete template
-app.delete('/api/templates/:id', (req, res) => {
+app.delete('/api/templates/:id', requireRole('operator'), (req, res) => {
   try {
     const { id } = req.params
+    const before = db.prepare('SELECT * FROM templates WHERE id = ?').get(id)
     const stmt = db.prepare('DELETE FROM templates WHERE id = ?')
     stmt.run(id)
+    if (before) audit(req, id, before, null)
     res.json({ success: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -164,11 +718,24 @@ app.delete('/api/templates/:id', (req, res) => {
 
 // ============ MESSAGE HISTORY ============
 
+// Session named in a request, or the default one
+function resolveSession(session) {
+  return (typeof session === 'string' && session.trim()) || DEFAULT_SESSION
+}
+
+// Record an outbound message against its chat and sending session
+function logSentMessage({ phone, message, status = 'sent', chatId = `${phone}@c.us`, session = DEFAULT_SESSION }) {
+  return db.prepare('INSERT INTO message_history (phone, chat_id, session, message, status) VALUES (?, ?, ?, ?, ?)')
+    .run(phone, chatId, session, message, status)
+}
+
 // Get message history
 app.get('/api/history', (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100
-    const history = db.prepare('SELECT * FROM message_history ORDER BY sent_at DESC LIMIT ?').all(limit)
+    const history = req.query.session
+      ? db.prepare('SELECT * FROM message_history WHERE session = ? ORDER BY sent_at DESC LIMIT ?').all(req.query.session, limit)
+      : db.prepare('SELECT * FROM message_history ORDER BY sent_at DESC LIMIT ?').all(limit)
     res.json(history)
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -176,11 +743,10 @@ app.get('/api/history', (req, res) => {
 })
 
 // Log message
-app.post('/api/history', (req, res) => {
+app.post('/api/history', requireRole('operator'), (req, res) => {
   try {
-    const { phone, message, status } = req.body
-    const stmt = db.prepare('INSERT INTO message_history (phone, message, status) VALUES (?, ?, ?)')
-    const result = stmt.run(phone, message, status || 'sent')
+    const { phone, message, status, session } = req.body
+    const result = logSentMessage({ phone, message, status: status || 'sent', session: resolveSession(session) })
     res.json({ id: result.lastInsertRowid })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -200,37 +766,94 @@ app.get('/api/queue', (req, res) => {
 })
 
 // Add to queue (batch)
-app.post('/api/queue', (req, res) => {
+app.post('/api/queue', requireRole('operator'), (req, res) => {
   try {
-    const { jobs } = req.body // Array of { phone, message, delay_seconds }
+    const { jobs, session } = req.body // Array of { phone, message, delay_seconds, session? }; session applies to all jobs
     if (!jobs || !Array.isArray(jobs)) {
       return res.status(400).json({ error: 'Jobs array is required' })
     }
 
-    const stmt = db.prepare('INSERT INTO queue_jobs (phone, message, delay_seconds) VALUES (?, ?, ?)')
+    const stmt = db.prepare('INSERT INTO queue_jobs (phone, message, delay_seconds, session) VALUES (?, ?, ?, ?)')
     const insertMany = db.transaction((jobs) => {
       const results = []
       for (const job of jobs) {
-        const result = stmt.run(job.phone.replace(/\D/g, ''), job.message, job.delay_seconds || 0)
-        results.push({ id: result.lastInsertRowid, ...job })
+        const jobSession = resolveSession(job.session || session)
+        const result = stmt.run(job.phone.replace(/\D/g, ''), job.message, job.delay_seconds || 0, jobSession)
+        results.push({ id: result.lastInsertRowid, ...job, session: jobSession })
       }
       return results
     })
 
     const results = insertMany(jobs)
+    audit(req, null, null, { jobs: results.length })
+    broadcastQueue()
+    runQueueWorker()
     res.json(results)
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
+// Job counts by status
+function getQueueCounts() {
+  const rows = db.prepare('SELECT status, COUNT(*) as count FROM queue_jobs GROUP BY status').all()
+  const counts = { pending: 0, sending: 0, sent: 0, failed: 0, paused: 0 }
+  for (const row of rows) {
+    counts[row.status] = row.count
+  }
+  return counts
+}
+
+// Notify subscribers of queue progress; pass the job when a single row changed
+function broadcastQueue(jobId = null) {
+  const job = jobId ? db.prepare('SELECT * FROM queue_jobs WHERE id = ?').get(jobId) : null
+  broadcast('queue', { job, counts: getQueueCounts() })
+}
+
+// Queue progress summary
+app.get('/api/queue/status', (req, res) => {
+  try {
+    res.json({ ...getQueueCounts(), running: queueWorkerBusy })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Pause all pending jobs (the job currently being sent still completes)
+app.post('/api/queue/pause', requireRole('operator'), (req, res) => {
+  try {
+    const result = db.prepare("UPDATE queue_jobs SET status = 'paused' WHERE status = 'pending'").run()
+    audit(req, null, null, { paused: result.changes })
+    broadcastQueue()
+    res.json({ success: true, paused: result.changes })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Resume paused jobs
+app.post('/api/queue/resume', requireRole('operator'), (req, res) => {
+  try {
+    const result = db.prepare("UPDATE queue_jobs SET status = 'pending' WHERE status = 'paused'").run()
+    audit(req, null, null, { resumed: result.changes })
+    broadcastQueue()
+    runQueueWorker()
+    res.json({ success: true, resumed: result.changes })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // Update queue job status
-app.patch('/api/queue/:id', (req, res) => {
+app.patch('/api/queue/:id', requireRole('operator'), (req, res) => {
   try {
     const { id } = req.params
     const { status } = req.body
+    const before = db.prepare('SELECT status FROM queue_jobs WHERE id = ?').get(id)
     const stmt = db.prepare('UPDATE queue_jobs SET status = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?')
     stmt.run(status, id)
+    audit(req, id, before || null, { status })
+    broadcastQueue(id)
     res.json({ success: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -238,19 +861,596 @@ app.patch('/api/queue/:id', (req, res) => {
 })
 
 // Clear queue
-app.delete('/api/queue', (req, res) => {
+app.delete('/api/queue', requireRole('operator'), (req, res) => {
   try {
+    const before = getQueueCounts()
     db.prepare('DELETE FROM queue_jobs').run()
+    audit(req, null, before, null)
+    broadcastQueue()
     res.json({ success: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
+// ============ QUEUE WORKER ============
+// Sends pending queue_jobs through WAHA in id order. State lives in the
+// database only, so a restart simply picks up where the last run stopped.
+
+let queueWorkerBusy = false
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Send a text message through a WAHA session; `to` is a phone number or a full chat ID
+function sendWahaText(to, text, session = DEFAULT_SESSION) {
+  return waha.sendText(to, text, { session })
+}
+
+const markJobSent = db.transaction((job) => {
+  db.prepare("UPDATE queue_jobs SET status = 'sent', error = NULL, processed_at = CURRENT_TIMESTAMP WHERE id = ?").run(job.id)
+  logSentMessage({ phone: job.phone, message: job.message, session: job.session })
+})
+
+// Process the next pending job. Returns false when there is nothing left to do.
+async function processNextQueueJob() {
+  const job = db.prepare("SELECT * FROM queue_jobs WHERE status = 'pending' ORDER BY id LIMIT 1").get()
+  if (!job) return false
+
+  if (job.delay_seconds > 0) {
+    await sleep(job.delay_seconds * 1000)
+  }
+
+  // Claim the job - it may have been paused or deleted while we waited
+  const claimed = db.prepare("UPDATE queue_jobs SET status = 'sending' WHERE id = ? AND status = 'pending'").run(job.id)
+  if (claimed.changes === 0) return true
+  broadcastQueue(job.id)
+
+  try {
+    await sendWahaText(job.phone, job.message, job.session)
+    markJobSent(job)
+    console.log(`📤 Queue job #${job.id} sent to ${job.phone} via ${job.session}`)
+  } catch (err) {
+    db.prepare("UPDATE queue_jobs SET status = 'failed', error = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?").run(err.message, job.id)
+    console.error(`❌ Queue job #${job.id} failed:`, err.message)
+  }
+  broadcastQueue(job.id)
+  return true
+}
+
+// Drain the queue; concurrent calls are no-ops while a run is in progress
+async function runQueueWorker() {
+  if (queueWorkerBusy) return
+  queueWorkerBusy = true
+  try {
+    while (await processNextQueueJob()) {
+      // keep going until no pending jobs remain
+    }
+  } catch (err) {
+    console.error('Queue worker error:', err)
+  } finally {
+    queueWorkerBusy = false
+  }
+}
+
+function startQueueWorker() {
+  // Jobs caught mid-send by a restart go back to pending
+  const recovered = db.prepare("UPDATE queue_jobs SET status = 'pending' WHERE status = 'sending'").run()
+  if (recovered.changes > 0) {
+    console.log(`♻️ Re-queued ${recovered.changes} interrupted job(s)`)
+  }
+  setInterval(runQueueWorker, QUEUE_POLL_INTERVAL_MS)
+  runQueueWorker()
+}
+
+// ============ SCHEDULED MESSAGES ============
+
+// Serialize a scheduled_messages row for the API
+function formatSchedule(row) {
+  return { ...row, recipients: JSON.parse(row.recipients) }
+}
+
+// List schedules (upcoming first)
+app.get('/api/schedules', (req, res) => {
+  try {
+    const rows = db.prepare(`
+      SELECT * FROM scheduled_messages
+      ORDER BY status = 'active' DESC, next_run_at IS NULL, next_run_at, id DESC
+    `).all()
+    res.json(rows.map(formatSchedule))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Past runs (newest first)
+app.get('/api/schedules/runs', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50
+    const runs = db.prepare(`
+      SELECT r.*, s.message, s.cron FROM scheduled_runs r
+      LEFT JOIN scheduled_messages s ON s.id = r.schedule_id
+      ORDER BY r.run_at DESC LIMIT ?
+    `).all(limit)
+    res.json(runs)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Create a schedule: either a one-off `sendAt` (local "YYYY-MM-DDTHH:mm" in `timezone`) or a `cron` expression
+app.post('/api/schedules', requireRole('operator'), (req, res) => {
+  try {
+    const { phones, message, sendAt, cron, timezone = DEFAULT_TIMEZONE, session } = req.body
+    if (!Array.isArray(phones) || phones.length === 0 || !message) {
+      return res.status(400).json({ error: 'Phones array and message are required' })
+    }
+    if (!sendAt && !cron) {
+      return res.status(400).json({ error: 'Either sendAt or cron is required' })
+    }
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone: ${timezone}` })
+    }
+
+    let nextRunAt
+    if (cron) {
+      try {
+        nextRunAt = nextCronRun(cron, timezone, Date.now())
+      } catch (err) {
+        return res.status(400).json({ error: err.message })
+      }
+    } else {
+      nextRunAt = zonedTimeToUtc(sendAt, timezone)
+      if (Number.isNaN(nextRunAt)) {
+        return res.status(400).json({ error: 'sendAt must look like YYYY-MM-DDTHH:mm' })
+      }
+      if (nextRunAt <= Date.now()) {
+        return res.status(400).json({ error: 'sendAt is in the past' })
+      }
+    }
+
+    const recipients = phones.map(p => String(p).replace(/\D/g, '')).filter(Boolean)
+    const result = db.prepare(`
+      INSERT INTO scheduled_messages (recipients, message, cron, timezone, session, next_run_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(JSON.stringify(recipients), message, cron || null, timezone, resolveSession(session), nextRunAt)
+
+    const schedule = formatSchedule(db.prepare('SELECT * FROM scheduled_messages WHERE id = ?').get(result.lastInsertRowid))
+    audit(req, schedule.id, null, schedule)
+    res.json(schedule)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Pause or resume a schedule
+app.patch('/api/schedules/:id', requireRole('operator'), (req, res) => {
+  try {
+    const { id } = req.params
+    const { status } = req.body
+    if (status !== 'active' && status !== 'paused') {
+      return res.status(400).json({ error: 'Status must be active or paused' })
+    }
+
+    const row = db.prepare('SELECT * FROM scheduled_messages WHERE id = ?').get(id)
+    if (!row) {
+      return res.status(404).json({ error: 'Schedule not found' })
+    }
+
+    // Recurring schedules skip the runs missed while paused
+    const nextRunAt = status === 'active' && row.cron
+      ? nextCronRun(row.cron, row.timezone, Date.now())
+      : row.next_run_at
+    db.prepare('UPDATE scheduled_messages SET status = ?, next_run_at = ? WHERE id = ?').run(status, nextRunAt, id)
+    audit(req, id, { status: row.status }, { status })
+    res.json(formatSchedule(db.prepare('SELECT * FROM scheduled_messages WHERE id = ?').get(id)))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Delete a schedule and its run history
+app.delete('/api/schedules/:id', requireRole('operator'), (req, res) => {
+  try {
+    const { id } = req.params
+    const before = db.prepare('SELECT * FROM scheduled_messages WHERE id = ?').get(id)
+    db.prepare('DELETE FROM scheduled_runs WHERE schedule_id = ?').run(id)
+    db.prepare('DELETE FROM scheduled_messages WHERE id = ?').run(id)
+    if (before) audit(req, id, formatSchedule(before), null)
+    res.json({ success: true })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// ============ SCHEDULER ============
+// Cron expressions use the standard 5 fields: minute hour day-of-month month day-of-week.
+// Each field accepts *, numbers, lists (1,15), ranges (1-5) and steps (*/15, 9-17/2).
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+]
+
+// Parse one cron field into a Set of allowed values
+function parseCronField(expr, { name, min, max }) {
+  const values = new Set()
+  for (const part of expr.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/)
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`)
+    }
+    const [, range, startStr, endStr, stepStr] = match
+    const start = range === '*' ? min : parseInt(startStr)
+    const end = range === '*' ? max : endStr !== undefined ? parseInt(endStr) : stepStr ? max : start
+    const step = stepStr ? parseInt(stepStr) : 1
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Cron ${name} out of range: "${part}"`)
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(v)
+    }
+  }
+  return values
+}
+
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/)
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week')
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]))
+  // 7 is an alias for Sunday
+  if (weekdays.has(7)) weekdays.add(0)
+  return {
+    minutes, hours, days, months, weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  }
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Wall-clock fields of an instant in the given timezone
+function zonedParts(timestamp, timezone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', weekday: 'short'
+  })
+  const parts = {}
+  for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+    parts[type] = value
+  }
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  }
+}
+
+// Convert a local "YYYY-MM-DDTHH:mm" in the given timezone to a UTC timestamp
+function zonedTimeToUtc(localDateTime, timezone) {
+  const match = String(localDateTime).match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/)
+  if (!match) return NaN
+  const [, year, month, day, hour, minute] = match.map(Number)
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute)
+  // Offset of the timezone at (roughly) that instant, then correct once for DST edges
+  const offsetAt = (ts) => {
+    const p = zonedParts(ts, timezone)
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - ts
+  }
+  const guess = asUtc - offsetAt(asUtc)
+  return asUtc - offsetAt(guess)
+}
+
+// Next timestamp strictly after `after` matching the cron expression in `timezone`
+function nextCronRun(expression, timezone, after) {
+  const cron = parseCron(expression)
+  let ts = Math.floor(after / 60000) * 60000 + 60000
+  const limit = after + 366 * 24 * 60 * 60000
+
+  while (ts <= limit) {
+    const p = zonedParts(ts, timezone)
+    const dayMatch = cron.anyDay || cron.anyWeekday
+      ? cron.days.has(p.day) && cron.weekdays.has(p.weekday)
+      : cron.days.has(p.day) || cron.weekdays.has(p.weekday)
+
+    if (!cron.months.has(p.month) || !dayMatch) {
+      // Skip to the next local midnight
+      ts += ((23 - p.hour) * 60 + (60 - p.minute)) * 60000
+    } else if (!cron.hours.has(p.hour)) {
+      ts += (60 - p.minute) * 60000
+    } else if (!cron.minutes.has(p.minute)) {
+      ts += 60000
+    } else {
+      return ts
+    }
+  }
+  throw new Error(`Cron expression "${expression}" never fires within a year`)
+}
+
+let schedulerBusy = false
+
+// Send one schedule to all its recipients and record the run
+async function fireSchedule(schedule) {
+  const recipients = JSON.parse(schedule.recipients)
+  let sentCount = 0
+  let lastError = null
+
+  for (const phone of recipients) {
+    try {
+      await sendWahaText(phone, schedule.message, schedule.session)
+      logSentMessage({ phone, message: schedule.message, session: schedule.session })
+      sentCount++
+    } catch (err) {
+      lastError = err.message
+      console.error(`❌ Schedule #${schedule.id} failed for ${phone}:`, err.message)
+    }
+  }
+
+  db.prepare(`
+    INSERT INTO scheduled_runs (schedule_id, run_at, sent_count, failed_count, error)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(schedule.id, Date.now(), sentCount, recipients.length - sentCount, lastError)
+  console.log(`⏰ Schedule #${schedule.id} fired: ${sentCount}/${recipients.length} sent`)
+}
+
+// Fire every due schedule. Runs missed while the server was down fire once on the next tick.
+async function runScheduler() {
+  if (schedulerBusy) return
+  schedulerBusy = true
+  try {
+    const now = Date.now()
+    const due = db.prepare(`
+      SELECT * FROM scheduled_messages
+      WHERE status = 'active' AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at
+    `).all(now)
+
+    for (const schedule of due) {
+      // Advance before sending so a crash mid-send can't fire the same run twice
+      const nextRunAt = schedule.cron ? nextCronRun(schedule.cron, schedule.timezone, now) : null
+      db.prepare(`
+        UPDATE scheduled_messages
+        SET next_run_at = ?, last_run_at = ?, run_count = run_count + 1, status = ?
+        WHERE id = ?
+      `).run(nextRunAt, now, schedule.cron ? 'active' : 'done', schedule.id)
+
+      await fireSchedule(schedule)
+    }
+  } catch (err) {
+    console.error('Scheduler error:', err)
+  } finally {
+    schedulerBusy = false
+  }
+}
+
+function startScheduler() {
+  setInterval(runScheduler, SCHEDULER_INTERVAL_MS)
+  runScheduler()
+}
+
+// ============ CONVERSATIONS ============
+
+// Chats ordered by latest activity (either direction), paginated with limit/offset.
+// A contact talking to two of our numbers has one conversation per session; filter with ?session=
+app.get('/api/conversations', (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20
+    const offset = parseInt(req.query.offset) || 0
+    const { session } = req.query
+
+    const rows = db.prepare(`
+      SELECT c.session, c.chat_id, MAX(c.phone) AS phone,
+             MAX(c.timestamp) AS last_timestamp,
+             COUNT(*) AS message_count,
+             SUM(c.direction = 'in') AS inbound_count,
+             SUM(c.direction = 'out') AS outbound_count
+      FROM conversation_messages c
+      ${session ? 'WHERE c.session = ?' : ''}
+      GROUP BY c.session, c.chat_id
+      ORDER BY last_timestamp DESC
+      LIMIT ? OFFSET ?
+    `).all(...(session ? [session] : []), limit + 1, offset)
+
+    const lastMessage = db.prepare(`
+      SELECT direction, message, timestamp FROM conversation_messages
+      WHERE chat_id = ? AND session = ? ORDER BY timestamp DESC, id DESC LIMIT 1
+    `)
+    const senderName = db.prepare(`
+      SELECT sender_name FROM incoming_messages
+      WHERE chat_id = ? AND sender_name IS NOT NULL ORDER BY id DESC LIMIT 1
+    `)
+    const favorite = db.prepare('SELECT name FROM favorites WHERE phone = ?')
+    const handoff = db.prepare(`
+      SELECT status, source, reason, operator FROM bot_handoffs
+      WHERE chat_id = ? AND session = ? AND status != 'closed'
+    `)
+
+    const conversations = rows.slice(0, limit).map(row => ({
+      ...row,
+      name: favorite.get(row.phone)?.name || senderName.get(row.chat_id)?.sender_name || row.phone,
+      last_message: lastMessage.get(row.chat_id, row.session),
+      handoff: handoff.get(row.chat_id, row.session) || null
+    }))
+
+    res.json({ conversations, hasMore: rows.length > limit })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Messages of one chat on one session, newest first, paginated with limit/offset
+app.get('/api/conversations/:chatId/messages', (req, res) => {
+  try {
+    const { chatId } = req.params
+    const limit = parseInt(req.query.limit) || 50
+    const offset = parseInt(req.query.offset) || 0
+
+    const rows = db.prepare(`
+      SELECT * FROM conversation_messages
+      WHERE chat_id = ? AND session = ?
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(chatId, resolveSession(req.query.session), limit + 1, offset)
+
+    res.json({ messages: rows.slice(0, limit), hasMore: rows.length > limit })
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Reply in a chat from the dashboard, through the session the conversation belongs to
+app.post('/api/conversations/:chatId/messages', requireRole('operator'), async (req, res) => {
+  try {
+    const { chatId } = req.params
+    const { text } = req.body
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: 'Text is required' })
+    }
+
+    const phone = chatId.split('@')[0]
+    const session = resolveSession(req.body.session)
+    try {
+      await sendWahaText(chatId, text, session)
+    } catch (err) {
+      logSentMessage({ phone, message: text, status: 'failed', chatId, session })
+      return res.status(502).json({ error: err.message })
+    }
+
+    const result = logSentMessage({ phone, message: text, chatId, session })
+    audit(req, chatId, null, { text, session })
+    const message = db.prepare('SELECT * FROM conversation_messages WHERE id = ?').get(`out-${result.lastInsertRowid}`)
+    res.json(message)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// ============ HUMAN HANDOFF ============
+
+// Call gemini-bot's API; errors carry its message. actor is the user its audit log records
+async function geminiBotRequest(method, path, body, actor = 'chatty') {
+  const response = await fetch(`${GEMINI_BOT_URL}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Api-Key': WAHA_API_KEY,
+      'X-Actor': actor
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(10000)
+  })
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const err = new Error(data.error || `gemini-bot returned HTTP ${response.status}`)
+    err.status = response.status
+    throw err
+  }
+  return data
+}
+
+// Mirror a gemini-bot handoff (its API shape) and push it to the dashboard
+function saveHandoff(handoff) {
+  db.prepare(`
+    INSERT INTO bot_handoffs (session, chat_id, phone, status, source, reason, operator, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(session, chat_id) DO UPDATE SET
+      phone = excluded.phone, status = excluded.status, source = excluded.source,
+      reason = excluded.reason, operator = excluded.operator, updated_at = CURRENT_TIMESTAMP
+  `).run(
+    resolveSession(handoff.wahaSession),
+    handoff.chatId,
+    handoff.phone,
+    handoff.status,
+    handoff.source || null,
+    handoff.reason || null,
+    handoff.operator || null
+  )
+  const row = db.prepare('SELECT * FROM bot_handoffs WHERE session = ? AND chat_id = ?')
+    .get(resolveSession(handoff.wahaSession), handoff.chatId)
+  broadcast('handoff', row)
+  return row
+}
+
+// Chats currently with a human (waiting for one or taken)
+app.get('/api/handoffs', (req, res) => {
+  try {
+    const rows = db.prepare(`
+      SELECT * FROM bot_handoffs WHERE status != 'closed' ORDER BY updated_at DESC
+    `).all()
+    res.json(rows)
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
+// Take a chat over from the bot ({ action: 'take' }) or give it back ({ action: 'return' })
+app.post('/api/conversations/:chatId/handoff', requireRole('operator'), async (req, res) => {
+  try {
+    const { chatId } = req.params
+    const { action, operator = req.user.username } = req.body
+    if (action !== 'take' && action !== 'return') {
+      return res.status(400).json({ error: "action must be 'take' or 'return'" })
+    }
+    if (!chatId.endsWith('@c.us')) {
+      return res.status(400).json({ error: 'Only direct chats can be handed off' })
+    }
+
+    const phone = chatId.split('@')[0]
+    const session = resolveSession(req.body.session)
+    let handoff
+    try {
+      handoff = action === 'take'
+        ? await geminiBotRequest('POST', `/api/handoffs/${phone}`, { operator, chatId, session }, req.user.username)
+        : await geminiBotRequest('DELETE', `/api/handoffs/${phone}`, { operator, session }, req.user.username)
+    } catch (err) {
+      return res.status(err.status === 404 ? 404 : 502).json({ error: err.message })
+    }
+
+    // The bot.handoff event arrives through the relay too; saving now keeps the UI in step
+    audit(req, chatId, null, { action, operator })
+    res.json(saveHandoff(handoff))
+  } catch (err) {
+    res.status(500).json({ error: err.message })
+  }
+})
+
 // ============ INCOMING MESSAGES (Webhook) ============
 
+const webhookSignature = { enabled: !!WEBHOOK_HMAC_KEY, rejected: 0 }
+
+// With WEBHOOK_HMAC_KEY set, unsigned, forged and stale deliveries get 401
+function verifyWebhookSignature(req, res, next) {
+  if (!WEBHOOK_HMAC_KEY) return next()
+
+  const result = verifyWebhook({ rawBody: req.rawBody, headers: req.headers, body: req.body }, WEBHOOK_HMAC_KEY,
+    { maxAgeMs: WEBHOOK_MAX_AGE_MS })
+  if (!result.valid) {
+    webhookSignature.rejected++
+    console.warn(`🚫 Webhook rejected from ${req.ip}: ${result.reason}`)
+    return res.status(401).json({ error: 'Invalid webhook signature' })
+  }
+  next()
+}
+
 // Webhook endpoint for WAHA to send messages
-app.post('/api/webhook', (req, res) => {
+app.post('/api/webhook', verifyWebhookSignature, (req, res) => {
   try {
     const payload = req.body
     console.log('📨 Webhook received:', payload.event)
@@ -271,13 +1471,14 @@ app.post('/api/webhook', (req, res) => {
 
       const stmt = db.prepare(`
         INSERT OR IGNORE INTO incoming_messages
-        (message_id, chat_id, phone, sender_name, message, timestamp, is_from_me)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
+        (message_id, chat_id, session, phone, sender_name, message, timestamp, is_from_me)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `)
 
-      stmt.run(
+      const result = stmt.run(
         msg.id,
         msg.chatId || msg.from,
+        resolveSession(payload.session),
         phone,
         msg.senderName || msg._data?.notifyName || phone,
         msg.body || msg.text || '[media]',
@@ -285,9 +1486,24 @@ app.post('/api/webhook', (req, res) => {
         msg.fromMe ? 1 : 0
       )
 
+      // Duplicates (same message_id) are ignored and not pushed again
+      if (result.changes > 0) {
+        broadcast('incoming', db.prepare('SELECT * FROM incoming_messages WHERE id = ?').get(result.lastInsertRowid))
+      }
+
       console.log(`💬 Message from ${phone}: ${(msg.body || '').substring(0, 50)}...`)
     }
 
+    // Session status changes (STARTING, SCAN_QR_CODE, WORKING, FAILED, STOPPED)
+    if (payload.event === 'session.status') {
+      broadcast('session', { session: payload.session, status: payload.payload?.status })
+    }
+
+    // gemini-bot handed a chat to a human, or an operator took it or gave it back
+    if (payload.event === 'bot.handoff' && payload.payload?.chatId) {
+      saveHandoff(payload.payload)
+    }
+
     res.json({ success: true })
   } catch (err) {
     console.error('Webhook error:', err)
@@ -309,6 +1525,11 @@ app.get('/api/incoming', (req, res) => {
       params.push(since)
     }
 
+    if (req.query.session) {
+      query += ' AND session = ?'
+      params.push(req.query.session)
+    }
+
     query += ' ORDER BY timestamp DESC LIMIT ?'
     params.push(limit)
 
@@ -331,32 +1552,54 @@ app.get('/api/incoming/count', (req, res) => {
 })
 
 // Clear all incoming messages
-app.delete('/api/incoming', (req, res) => {
+app.delete('/api/incoming', requireRole('admin'), (req, res) => {
   try {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM incoming_messages').get()
     db.prepare('DELETE FROM incoming_messages').run()
+    audit(req, null, { messages: count }, null)
     res.json({ success: true })
   } catch (err) {
     res.status(500).json({ error: err.message })
   }
 })
 
+// ============ HEALTH ============
+
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', webhookSignature })
+})
+
 // ============ STATS ============
 
+// Message counts cover every session unless ?session= is given; bySession breaks them down
 app.get('/api/stats', (req, res) => {
   try {
+    const { session } = req.query
+    const where = session ? 'WHERE session = ?' : ''
+    const params = session ? [session] : []
+
     const favoriteCount = db.prepare('SELECT COUNT(*) as count FROM favorites').get()
     const templateCount = db.prepare('SELECT COUNT(*) as count FROM templates').get()
-    const messageCount = db.prepare('SELECT COUNT(*) as count FROM message_history').get()
+    const messageCount = db.prepare(`SELECT COUNT(*) as count FROM message_history ${where}`).get(...params)
     const todayCount = db.prepare(`
       SELECT COUNT(*) as count FROM message_history
-      WHERE DATE(sent_at) = DATE('now')
-    `).get()
+      ${where ? `${where} AND` : 'WHERE'} DATE(sent_at) = DATE('now')
+    `).get(...params)
+    const bySession = db.prepare(`
+      SELECT session,
+             COUNT(*) AS totalMessages,
+             SUM(DATE(sent_at) = DATE('now')) AS todayMessages
+      FROM message_history
+      GROUP BY session
+      ORDER BY session
+    `).all()
 
     res.json({
       favorites: favoriteCount.count,
       templates: templateCount.count,
       totalMessages: messageCount.count,
-      todayMessages: todayCount.count
+      todayMessages: todayCount.count,
+      bySession
     })
   } catch (err) {
     res.status(500).json({ error: err.message })
@@ -366,4 +1609,7 @@ app.get('/api/stats', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Chatty API running on http://localhost:${PORT}`)
   console.log(`📦 SQLite database: chatty.db`)
+  console.log(`🔏 Webhook signatures: ${WEBHOOK_HMAC_KEY ? 'verified' : 'not checked (set WEBHOOK_HMAC_KEY)'}`)
+  startQueueWorker()
+  startScheduler()
 })
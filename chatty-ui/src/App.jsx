@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import {
   Send, MessageCircle, Users, Clock, Sparkles,
@@ -7,37 +7,114 @@ import {
   Volume2, Trash2, Copy, Plus, Settings,
   StarOff, Play, Pause, Timer, List,
   MessagesSquare, Search, ChevronRight, User, Pencil,
-  Moon, Sun
+  Moon, Sun, CalendarClock, Headset, Bot, LogOut, Lock, ScrollText
 } from 'lucide-react'
 import './App.css'
-import { config, setApiKey, getStoredApiKey, getTheme, setTheme } from './config'
+import { config, getAuthToken, setAuthToken, getTheme, setTheme, getStoredSession, setStoredSession } from './config'
+import { createWahaClient } from '../../waha-client/index.js'
 
 const WAHA_URL = config.WAHA_URL
 const API_URL = config.API_URL
 
-// Get API key dynamically (from localStorage)
-const getApiKey = () => config.API_KEY
+// Roles, lowest first (must match chatty-backend)
+const ROLES = ['viewer', 'operator', 'admin']
+const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role)
 
-// WAHA API Helper (WhatsApp)
-async function wahaApi(endpoint, method = 'GET', body = null) {
-  const headers = { 'Content-Type': 'application/json', 'X-Api-Key': getApiKey() }
-  const options = { method, headers, mode: 'cors' }
-  if (body) options.body = JSON.stringify(body)
-  const res = await fetch(`${WAHA_URL}${endpoint}`, options)
-  if (!res.ok) throw new Error(`HTTP ${res.status}`)
-  return res.json()
+// Bearer token of the signed-in user (WAHA calls go through the backend proxy with it)
+function authHeaders() {
+  const token = getAuthToken()
+  return token ? { Authorization: `Bearer ${token}` } : {}
 }
 
+// An expired or revoked token signs the user out
+function checkAuth(res) {
+  if (res.status === 401 && getAuthToken()) {
+    setAuthToken(null)
+    window.dispatchEvent(new Event('chatty:signed-out'))
+  }
+}
+
+// WAHA API client (WhatsApp), through the backend proxy
+const waha = createWahaClient({
+  baseUrl: WAHA_URL,
+  session: getStoredSession,
+  headers: authHeaders,
+  onResponse: checkAuth
+})
+
 // Backend API Helper (SQLite)
 async function api(endpoint, method = 'GET', body = null) {
-  const headers = { 'Content-Type': 'application/json' }
+  const headers = { 'Content-Type': 'application/json', ...authHeaders() }
   const options = { method, headers, mode: 'cors' }
   if (body) options.body = JSON.stringify(body)
   const res = await fetch(`${API_URL}${endpoint}`, options)
+  checkAuth(res)
   if (!res.ok) throw new Error(`HTTP ${res.status}`)
   return res.json()
 }
 
+// Conversation paging
+const CONVERSATIONS_PAGE_SIZE = 20
+const THREAD_PAGE_SIZE = 50
+
+// WAHA session names become part of URLs
+const SESSION_NAME_PATTERN = /^[\w-]+$/
+
+// Map a /api/conversations row to the chat list shape
+function toChat(conversation) {
+  return {
+    id: conversation.chat_id,
+    phone: conversation.phone,
+    name: conversation.name,
+    inboundCount: conversation.inbound_count,
+    outboundCount: conversation.outbound_count,
+    lastMessage: conversation.last_message && {
+      body: conversation.last_message.message,
+      timestamp: conversation.last_message.timestamp,
+      fromMe: conversation.last_message.direction === 'out'
+    },
+    // Open gemini-bot handoff ({ status: waiting|active, operator, reason }) or null
+    handoff: conversation.handoff
+  }
+}
+
+// Subscribe to backend push events (SSE). EventSource retries dropped connections
+// on its own; if the browser gives up (CLOSED) we reopen with backoff.
+// handlers: { open, incoming, session, queue, handoff } - open runs on every (re)connect
+function subscribeToEvents(handlers) {
+  let source = null
+  let retryTimer = null
+  let retryDelay = 1000
+  let closed = false
+
+  const connect = () => {
+    // EventSource can't send headers, so the token goes in the query string
+    source = new EventSource(`${API_URL}/api/events?access_token=${encodeURIComponent(getAuthToken() || '')}`)
+    source.onopen = () => {
+      retryDelay = 1000
+      handlers.open?.()
+    }
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED && !closed) {
+        retryTimer = setTimeout(connect, retryDelay)
+        retryDelay = Math.min(retryDelay * 2, 30000)
+      }
+    }
+    for (const event of ['incoming', 'session', 'queue', 'handoff']) {
+      if (handlers[event]) {
+        source.addEventListener(event, (e) => handlers[event](JSON.parse(e.data)))
+      }
+    }
+  }
+
+  connect()
+  return () => {
+    closed = true
+    clearTimeout(retryTimer)
+    source?.close()
+  }
+}
+
 // Mascot Component
 function Mascot({ status, size = 80 }) {
   const isConnected = status === 'WORKING'
@@ -221,7 +298,8 @@ function QueueItem({ item, index }) {
     pending: '#FFD93D',
     sending: '#6C9FFF',
     sent: '#00D4AA',
-    failed: '#FF6B6B'
+    failed: '#FF6B6B',
+    paused: '#B2BEC3'
   }
 
   return (
@@ -240,12 +318,67 @@ function QueueItem({ item, index }) {
           {item.status === 'sending' && <RefreshCw size={12} className="spinning" />}
           {item.status === 'sent' && <CheckCircle size={12} />}
           {item.status === 'failed' && <XCircle size={12} />}
+          {item.status === 'paused' && <Pause size={12} />}
           {item.status}
         </span>
       </div>
-      {item.delay && item.status === 'pending' && (
-        <span className="queue-delay">~{item.delay}s</span>
+      {item.delay_seconds > 0 && (item.status === 'pending' || item.status === 'paused') && (
+        <span className="queue-delay">~{item.delay_seconds}s</span>
+      )}
+    </motion.div>
+  )
+}
+
+// Cron presets for the Schedule tab
+const CRON_PRESETS = [
+  { label: 'Every day 09:00', cron: '0 9 * * *' },
+  { label: 'Every Sunday 09:00', cron: '0 9 * * 0' },
+  { label: 'Weekdays 08:30', cron: '30 8 * * 1-5' },
+  { label: '1st of month 10:00', cron: '0 10 1 * *' },
+]
+
+// Scheduled Message Item
+function ScheduleItem({ schedule, onToggle, onDelete }) {
+  const statusColors = {
+    active: '#00D4AA',
+    paused: '#B2BEC3',
+    done: '#6C9FFF'
+  }
+
+  return (
+    <motion.div
+      className="queue-item"
+      initial={{ opacity: 0, x: -20 }}
+      animate={{ opacity: 1, x: 0 }}
+      style={{ '--status-color': statusColors[schedule.status] }}
+    >
+      <div className="queue-info">
+        <span className="queue-phone">
+          {schedule.message.substring(0, 40)}{schedule.message.length > 40 && '...'}
+        </span>
+        <span className={`queue-status ${schedule.status}`}>
+          {schedule.cron ? <RefreshCw size={12} /> : <Clock size={12} />}
+          {schedule.next_run_at
+            ? new Date(schedule.next_run_at).toLocaleString([], { timeZone: schedule.timezone, dateStyle: 'medium', timeStyle: 'short' })
+            : schedule.status}
+          {' · '}{schedule.recipients.length} recipient{schedule.recipients.length !== 1 && 's'}
+          {schedule.cron && <> · <code>{schedule.cron}</code></>}
+          {' · '}{schedule.timezone}
+          {' · '}{schedule.session}
+        </span>
+      </div>
+      {schedule.status !== 'done' && (
+        <button
+          className="icon-btn edit"
+          onClick={() => onToggle(schedule)}
+          title={schedule.status === 'active' ? 'Pause' : 'Resume'}
+        >
+          {schedule.status === 'active' ? <Pause size={16} /> : <Play size={16} />}
+        </button>
       )}
+      <button className="icon-btn remove" onClick={() => onDelete(schedule.id)} title="Delete">
+        <Trash2 size={16} />
+      </button>
     </motion.div>
   )
 }
@@ -269,9 +402,218 @@ function TemplateCard({ template, onUse }) {
   )
 }
 
-// Main App
-function App() {
+// Sign-in form
+function LoginScreen({ onSignIn }) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [signingIn, setSigningIn] = useState(false)
+
+  const signIn = async (e) => {
+    e.preventDefault()
+    setSigningIn(true)
+    setError(null)
+    try {
+      const res = await fetch(`${API_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setAuthToken(data.token)
+      onSignIn(data.user)
+    } catch (err) {
+      setError(err.message)
+      setSigningIn(false)
+    }
+  }
+
+  return (
+    <div className="login-screen">
+      <motion.form
+        className="qr-modal settings-modal"
+        onSubmit={signIn}
+        initial={{ scale: 0.8, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+      >
+        <Mascot status="WORKING" size={80} />
+        <h3>Chatty</h3>
+        <p>Sign in to continue</p>
+
+        <div className="settings-form">
+          <label>
+            <span>Username</span>
+            <input value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" autoFocus />
+          </label>
+          <label>
+            <span>Password</span>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" />
+          </label>
+          {error && <div className="login-error">{error}</div>}
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={signingIn || !username || !password}>
+          <Lock size={16} />
+          {signingIn ? 'Signing in...' : 'Sign in'}
+        </button>
+      </motion.form>
+    </div>
+  )
+}
+
+// Admin: dashboard users and their roles
+function UsersPanel({ currentUser, showToast }) {
+  const [users, setUsers] = useState([])
+  const [newUsername, setNewUsername] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [newRole, setNewRole] = useState('operator')
+
+  const loadUsers = () => api('/api/users')
+    .then(setUsers)
+    .catch(e => console.error('Failed to load users:', e))
+
+  useEffect(() => {
+    loadUsers()
+  }, [])
+
+  const addUser = async () => {
+    try {
+      await api('/api/users', 'POST', { username: newUsername.trim(), password: newPassword, role: newRole })
+      setNewUsername('')
+      setNewPassword('')
+      showToast('User added! 👤')
+      loadUsers()
+    } catch (e) {
+      showToast(e.message.includes('409') ? 'That username is taken' : 'Failed to add user (passwords need 8+ characters)', 'error')
+    }
+  }
+
+  const changeRole = async (user, role) => {
+    try {
+      await api(`/api/users/${user.id}`, 'PATCH', { role })
+      showToast(`${user.username} is now ${role}`)
+      loadUsers()
+    } catch {
+      showToast('Failed to change role (keep at least one admin)', 'error')
+    }
+  }
+
+  const deleteUser = async (user) => {
+    if (!window.confirm(`Delete ${user.username}?`)) return
+    try {
+      await api(`/api/users/${user.id}`, 'DELETE')
+      showToast('User deleted')
+      loadUsers()
+    } catch {
+      showToast('Failed to delete user', 'error')
+    }
+  }
+
+  return (
+    <div className="users-panel">
+      <h4><Users size={16} /> Users</h4>
+      {users.map(user => (
+        <div key={user.id} className="user-row">
+          <span className="user-row-name">{user.username}</span>
+          <select value={user.role} onChange={(e) => changeRole(user, e.target.value)}>
+            {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+          </select>
+          <button
+            className="btn btn-icon"
+            onClick={() => deleteUser(user)}
+            disabled={user.id === currentUser.id}
+            title="Delete user"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+      ))}
+      <div className="user-row">
+        <input value={newUsername} onChange={(e) => setNewUsername(e.target.value)} placeholder="Username" />
+        <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} placeholder="Password" autoComplete="new-password" />
+        <select value={newRole} onChange={(e) => setNewRole(e.target.value)}>
+          {ROLES.map(role => <option key={role} value={role}>{role}</option>)}
+        </select>
+        <button className="btn btn-icon" onClick={addUser} disabled={!newUsername.trim() || !newPassword} title="Add user">
+          <Plus size={16} />
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Admin: who changed what, in this dashboard's backend or in gemini-bot
+function AuditPanel() {
+  const [source, setSource] = useState('dashboard')
+  const [actor, setActor] = useState('')
+  const [target, setTarget] = useState('')
+  const [entries, setEntries] = useState([])
+  const [total, setTotal] = useState(0)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const query = new URLSearchParams({ limit: '100' })
+    if (actor.trim()) query.set('actor', actor.trim())
+    if (target.trim()) query.set('target', target.trim())
+    api(`/api/audit${source === 'bot' ? '/bot' : ''}?${query}`)
+      .then(data => {
+        setEntries(data.entries)
+        setTotal(data.total)
+        setError(null)
+      })
+      .catch(e => setError(source === 'bot' ? `gemini-bot unreachable (${e.message})` : e.message))
+  }, [source, actor, target])
+
+  const showValue = (value) => typeof value === 'string' ? value : JSON.stringify(value)
+
+  return (
+    <FeatureCard icon={ScrollText} title="Audit Log" color="var(--blue)">
+      <div className="sub-tabs">
+        <button className={`sub-tab ${source === 'dashboard' ? 'active' : ''}`} onClick={() => setSource('dashboard')}>
+          <Users size={16} />
+          Dashboard
+        </button>
+        <button className={`sub-tab ${source === 'bot' ? 'active' : ''}`} onClick={() => setSource('bot')}>
+          <Bot size={16} />
+          Bot
+        </button>
+      </div>
+
+      <div className="audit-filters">
+        <input value={actor} onChange={(e) => setActor(e.target.value)} placeholder="Actor" />
+        <input value={target} onChange={(e) => setTarget(e.target.value)} placeholder="Target" />
+        <span>{entries.length} of {total}</span>
+      </div>
+
+      {error && <div className="login-error">{error}</div>}
+      <div className="audit-list">
+        {entries.map(entry => (
+          <div key={entry.id} className="audit-entry">
+            <div className="audit-entry-header">
+              <strong>{entry.actor}</strong>
+              <code>{entry.action}</code>
+              {entry.target && <span className="audit-target">→ {entry.target}</span>}
+              <span className="audit-time">{new Date(entry.createdAt || `${entry.created_at.replace(' ', 'T')}Z`).toLocaleString()}</span>
+            </div>
+            {entry.before !== null && <div className="audit-value audit-before">− {showValue(entry.before)}</div>}
+            {entry.after !== null && <div className="audit-value audit-after">+ {showValue(entry.after)}</div>}
+          </div>
+        ))}
+        {entries.length === 0 && !error && <div className="empty-state"><p>Nothing recorded yet</p></div>}
+      </div>
+    </FeatureCard>
+  )
+}
+
+// Dashboard for a signed-in user; what they can do depends on their role
+function Dashboard({ user, onSignOut }) {
+  const isAdmin = hasRole(user, 'admin')
+  const canOperate = hasRole(user, 'operator')
   const [session, setSession] = useState(null)
+  const [sessions, setSessions] = useState([])
+  const [activeSession, setActiveSession] = useState(getStoredSession)
+  const activeSessionRef = useRef(activeSession)
   const [toasts, setToasts] = useState([])
   const [activeTab, setActiveTab] = useState('send')
   const [subTab, setSubTab] = useState({ send: 'quick', contacts: 'favorites' })
@@ -297,8 +639,17 @@ function App() {
   const [minDelay, setMinDelay] = useState(3)
   const [maxDelay, setMaxDelay] = useState(10)
   const [queue, setQueue] = useState([])
-  const [queueRunning, setQueueRunning] = useState(false)
-  const queueRef = useRef(null)
+  const queueWasRunningRef = useRef(false)
+
+  // Schedule
+  const [schedules, setSchedules] = useState([])
+  const [scheduleRuns, setScheduleRuns] = useState([])
+  const [schedulePhones, setSchedulePhones] = useState('')
+  const [scheduleMessage, setScheduleMessage] = useState('')
+  const [scheduleMode, setScheduleMode] = useState('once')
+  const [scheduleAt, setScheduleAt] = useState('')
+  const [scheduleCron, setScheduleCron] = useState(CRON_PRESETS[0].cron)
+  const [scheduleTimezone, setScheduleTimezone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone)
 
   // Check Number
   const [checkPhone, setCheckPhone] = useState('')
@@ -314,7 +665,6 @@ function App() {
 
   // Settings
   const [showSettings, setShowSettings] = useState(false)
-  const [apiKeyInput, setApiKeyInput] = useState(getStoredApiKey() || '')
   const [theme, setThemeState] = useState(getTheme())
 
   // Toggle theme
@@ -328,8 +678,16 @@ function App() {
   const [chats, setChats] = useState([])
   const [chatsLoading, setChatsLoading] = useState(false)
   const [selectedChat, setSelectedChat] = useState(null)
+  const selectedChatIdRef = useRef(null)
+  const chatsLoadedRef = useRef(false)
+  const [chatsHasMore, setChatsHasMore] = useState(false)
   const [chatMessages, setChatMessages] = useState([])
   const [messagesLoading, setMessagesLoading] = useState(false)
+  const [messagesHasMore, setMessagesHasMore] = useState(false)
+  const [replyText, setReplyText] = useState('')
+  const [replySending, setReplySending] = useState(false)
+  const [handoffUpdating, setHandoffUpdating] = useState(false)
+  const threadRef = useRef(null)
 
   // Templates
   const [templates] = useState([
@@ -348,14 +706,6 @@ function App() {
     setToasts(prev => prev.filter(t => t.id !== id))
   }
 
-  // Check if API key is set, show settings if not
-  useEffect(() => {
-    const apiKey = getStoredApiKey()
-    if (!apiKey) {
-      setShowSettings(true)
-    }
-  }, [])
-
   // Load favorites from SQLite
   useEffect(() => {
     const loadFavorites = async () => {
@@ -369,19 +719,86 @@ function App() {
     loadFavorites()
   }, [])
 
-  // Fetch session status from WAHA
+  // Live updates pushed by the backend (replaces polling)
   useEffect(() => {
     const fetchSession = async () => {
       try {
-        const sessions = await wahaApi('/api/sessions?all=true')
-        if (sessions.length > 0) setSession(sessions[0])
+        const list = await waha.listSessions()
+        setSessions(list)
+        setSession(list.find(s => s.name === activeSessionRef.current) || null)
       } catch (e) {
         console.error('Failed to fetch session:', e)
       }
     }
+
+    const fetchQueue = async () => {
+      try {
+        setQueue(await api('/api/queue'))
+      } catch (e) {
+        console.error('Failed to load queue:', e)
+      }
+    }
+
+    // Add a pushed message to its conversation (newest first)
+    const addIncomingMessage = (msg) => {
+      if (msg.is_from_me || msg.session !== activeSessionRef.current) return
+      const message = {
+        id: `in-${msg.id}`,
+        direction: 'in',
+        session: msg.session,
+        chat_id: msg.chat_id,
+        phone: msg.phone,
+        sender_name: msg.sender_name,
+        message: msg.message,
+        timestamp: msg.timestamp,
+        status: 'received'
+      }
+      setChats(prev => {
+        const existing = prev.find(c => c.id === msg.chat_id)
+        const chat = {
+          id: msg.chat_id,
+          phone: msg.phone,
+          name: existing?.name || msg.sender_name || msg.phone,
+          inboundCount: (existing?.inboundCount || 0) + 1,
+          outboundCount: existing?.outboundCount || 0,
+          lastMessage: { body: msg.message, timestamp: msg.timestamp, fromMe: false },
+          handoff: existing?.handoff || null
+        }
+        return [chat, ...prev.filter(c => c.id !== msg.chat_id)]
+      })
+      if (selectedChatIdRef.current === msg.chat_id) {
+        setChatMessages(prev => [message, ...prev])
+        setSelectedChat(prev => prev && { ...prev, inboundCount: prev.inboundCount + 1 })
+      }
+    }
+
+    // A chat handed to a human or back to the bot (bot_handoffs row)
+    const applyHandoff = (row) => {
+      if (row.session !== activeSessionRef.current) return
+      const handoff = row.status === 'closed' ? null : { status: row.status, source: row.source, reason: row.reason, operator: row.operator }
+      setChats(prev => prev.map(c => c.id === row.chat_id ? { ...c, handoff } : c))
+      setSelectedChat(prev => prev && prev.id === row.chat_id ? { ...prev, handoff } : prev)
+    }
+
     fetchSession()
-    const interval = setInterval(fetchSession, 5000)
-    return () => clearInterval(interval)
+    fetchQueue()
+    return subscribeToEvents({
+      // Resync after (re)connecting - events sent while offline are not replayed
+      open: () => {
+        fetchSession()
+        fetchQueue()
+      },
+      incoming: addIncomingMessage,
+      handoff: applyHandoff,
+      session: fetchSession,
+      queue: ({ job }) => {
+        if (job) {
+          setQueue(prev => prev.map(q => q.id === job.id ? job : q))
+        } else {
+          fetchQueue()
+        }
+      }
+    })
   }, [])
 
   // Favorites Management
@@ -481,13 +898,9 @@ function App() {
     }
     setSending(true)
     try {
-      await wahaApi('/api/sendText', 'POST', {
-        session: 'default',
-        chatId: `${phone.replace(/\D/g, '')}@c.us`,
-        text: message
-      })
+      await waha.sendText(phone, message, { session: activeSession })
       // Log to history
-      await api('/api/history', 'POST', { phone: phone.replace(/\D/g, ''), message, status: 'sent' })
+      await api('/api/history', 'POST', { phone: phone.replace(/\D/g, ''), message, status: 'sent', session: activeSession })
       showToast('Message sent! 🚀')
       setMessage('')
     } catch (e) {
@@ -496,54 +909,18 @@ function App() {
     setSending(false)
   }
 
-  // Queue Processing
-  const processQueue = useCallback(async () => {
-    setQueueRunning(true)
-
-    for (let i = 0; i < queue.length; i++) {
-      // Check if stopped
-      if (!queueRef.current) break
-
-      const item = queue[i]
-      if (item.status !== 'pending') continue
-
-      // Update status to sending
-      setQueue(prev => prev.map((q, idx) =>
-        idx === i ? { ...q, status: 'sending' } : q
-      ))
-
-      try {
-        await wahaApi('/api/sendText', 'POST', {
-          session: 'default',
-          chatId: `${item.phone.replace(/\D/g, '')}@c.us`,
-          text: bulkMessage
-        })
-        // Log to history
-        await api('/api/history', 'POST', { phone: item.phone, message: bulkMessage, status: 'sent' })
-
-        setQueue(prev => prev.map((q, idx) =>
-          idx === i ? { ...q, status: 'sent' } : q
-        ))
-      } catch (e) {
-        setQueue(prev => prev.map((q, idx) =>
-          idx === i ? { ...q, status: 'failed' } : q
-        ))
-      }
-
-      // Wait for random delay before next message (if not last)
-      if (i < queue.length - 1 && queueRef.current) {
-        const delay = item.delay * 1000
-        await new Promise(resolve => setTimeout(resolve, delay))
-      }
+  // Queue - jobs are sent by the backend worker, the UI only enqueues and observes
+  const loadQueue = async () => {
+    try {
+      const data = await api('/api/queue')
+      setQueue(data)
+    } catch (e) {
+      console.error('Failed to load queue:', e)
     }
-
-    setQueueRunning(false)
-    queueRef.current = false
-    showToast('Queue completed! 🎉')
-  }, [queue, bulkMessage])
+  }
 
   // Start Bulk Send with Queue
-  const startBulkSend = () => {
+  const startBulkSend = async () => {
     const phones = bulkPhones.split('\n').filter(p => p.trim())
     if (phones.length === 0 || !bulkMessage) {
       showToast('Please enter phones and message', 'error')
@@ -552,15 +929,20 @@ function App() {
 
     if (useQueue) {
       // Create queue with random delays
-      const queueItems = phones.map((phone, idx) => ({
+      const jobs = phones.map((phone, idx) => ({
         phone: phone.trim().replace(/\D/g, ''),
-        status: 'pending',
-        delay: idx === 0 ? 0 : Math.floor(Math.random() * (maxDelay - minDelay + 1)) + minDelay
+        message: bulkMessage,
+        delay_seconds: idx === 0 ? 0 : Math.floor(Math.random() * (maxDelay - minDelay + 1)) + minDelay
       }))
 
-      setQueue(queueItems)
-      queueRef.current = true
-      showToast(`Queue created with ${phones.length} messages! 🚀`)
+      try {
+        await api('/api/queue', 'POST', { jobs, session: activeSession })
+        await loadQueue()
+        showToast(`Queue created with ${phones.length} messages! 🚀`)
+      } catch (e) {
+        console.error('Failed to create queue:', e)
+        showToast('Failed to create queue', 'error')
+      }
     } else {
       // Send immediately (old behavior)
       sendBulkImmediate(phones)
@@ -572,12 +954,8 @@ function App() {
     let success = 0
     for (const p of phones) {
       try {
-        await wahaApi('/api/sendText', 'POST', {
-          session: 'default',
-          chatId: `${p.replace(/\D/g, '')}@c.us`,
-          text: bulkMessage
-        })
-        await api('/api/history', 'POST', { phone: p.replace(/\D/g, ''), message: bulkMessage, status: 'sent' })
+        await waha.sendText(p, bulkMessage, { session: activeSession })
+        await api('/api/history', 'POST', { phone: p.replace(/\D/g, ''), message: bulkMessage, status: 'sent', session: activeSession })
         success++
       } catch (e) { /* continue */ }
     }
@@ -585,24 +963,111 @@ function App() {
     setSending(false)
   }
 
-  const startQueue = () => {
-    queueRef.current = true
-    processQueue()
+  const resumeQueue = async () => {
+    try {
+      await api('/api/queue/resume', 'POST')
+      await loadQueue()
+      showToast('Queue resumed ▶️')
+    } catch (e) {
+      console.error('Failed to resume queue:', e)
+      showToast('Failed to resume queue', 'error')
+    }
   }
 
-  const pauseQueue = () => {
-    queueRef.current = false
-    setQueueRunning(false)
-    showToast('Queue paused ⏸️')
+  const pauseQueue = async () => {
+    try {
+      await api('/api/queue/pause', 'POST')
+      await loadQueue()
+      showToast('Queue paused ⏸️')
+    } catch (e) {
+      console.error('Failed to pause queue:', e)
+      showToast('Failed to pause queue', 'error')
+    }
   }
 
-  const clearQueue = () => {
-    queueRef.current = false
-    setQueueRunning(false)
-    setQueue([])
-    showToast('Queue cleared')
+  const clearQueue = async () => {
+    try {
+      await api('/api/queue', 'DELETE')
+      setQueue([])
+      showToast('Queue cleared')
+    } catch (e) {
+      console.error('Failed to clear queue:', e)
+      showToast('Failed to clear queue', 'error')
+    }
   }
 
+  // Scheduled messages - fired by the backend scheduler
+  const loadSchedules = async () => {
+    try {
+      const [scheduleData, runData] = await Promise.all([
+        api('/api/schedules'),
+        api('/api/schedules/runs?limit=20')
+      ])
+      setSchedules(scheduleData)
+      setScheduleRuns(runData)
+    } catch (e) {
+      console.error('Failed to load schedules:', e)
+    }
+  }
+
+  const createSchedule = async () => {
+    const phones = schedulePhones.split('\n').filter(p => p.trim())
+    if (phones.length === 0 || !scheduleMessage) {
+      showToast('Please enter phones and message', 'error')
+      return
+    }
+    if (scheduleMode === 'once' && !scheduleAt) {
+      showToast('Please pick a date and time', 'error')
+      return
+    }
+    try {
+      await api('/api/schedules', 'POST', {
+        phones,
+        message: scheduleMessage,
+        timezone: scheduleTimezone,
+        session: activeSession,
+        ...(scheduleMode === 'once' ? { sendAt: scheduleAt } : { cron: scheduleCron })
+      })
+      setScheduleMessage('')
+      setScheduleAt('')
+      await loadSchedules()
+      showToast('Message scheduled! ⏰')
+    } catch (e) {
+      console.error('Failed to schedule message:', e)
+      showToast('Failed to schedule message (check time, cron and timezone)', 'error')
+    }
+  }
+
+  const toggleSchedule = async (schedule) => {
+    try {
+      await api(`/api/schedules/${schedule.id}`, 'PATCH', {
+        status: schedule.status === 'active' ? 'paused' : 'active'
+      })
+      await loadSchedules()
+    } catch (e) {
+      console.error('Failed to update schedule:', e)
+      showToast('Failed to update schedule', 'error')
+    }
+  }
+
+  const deleteSchedule = async (id) => {
+    try {
+      await api(`/api/schedules/${id}`, 'DELETE')
+      setSchedules(prev => prev.filter(s => s.id !== id))
+      showToast('Schedule deleted')
+    } catch (e) {
+      console.error('Failed to delete schedule:', e)
+      showToast('Failed to delete schedule', 'error')
+    }
+  }
+
+  useEffect(() => {
+    if (activeTab !== 'send' || subTab.send !== 'schedule') return
+    loadSchedules()
+    const interval = setInterval(loadSchedules, 30000)
+    return () => clearInterval(interval)
+  }, [activeTab, subTab.send])
+
   // Load favorites to bulk
   const loadFavoritesToBulk = () => {
     if (favorites.length === 0) {
@@ -616,18 +1081,13 @@ function App() {
   // Fetch QR Code
   const fetchQrCode = async () => {
     try {
-      const response = await fetch(`${WAHA_URL}/api/default/auth/qr`, {
-        headers: { 'X-Api-Key': getApiKey() }
-      })
-      if (response.ok) {
-        const blob = await response.blob()
-        const url = URL.createObjectURL(blob)
-        setQrCode(url)
-        setQrLoading(false)
-        // Clear timeout since we got QR
-        if (qrTimeoutRef.current) {
-          clearTimeout(qrTimeoutRef.current)
-        }
+      const blob = await waha.getQr({ session: activeSessionRef.current, retries: 0 })
+      const url = URL.createObjectURL(blob)
+      setQrCode(url)
+      setQrLoading(false)
+      // Clear timeout since we got QR
+      if (qrTimeoutRef.current) {
+        clearTimeout(qrTimeoutRef.current)
       }
     } catch (e) {
       console.error('Failed to fetch QR:', e)
@@ -674,14 +1134,15 @@ function App() {
     return () => clearInterval(interval)
   }, [session?.status, showQr])
 
-  // Reconnect Session
+  // Reconnect (or create) the active session
   const reconnectSession = async () => {
+    const name = activeSessionRef.current
     setReconnecting(true)
 
     try {
       // First check if session exists (include stopped sessions)
-      const sessions = await wahaApi('/api/sessions?all=true')
-      const existingSession = sessions.find(s => s.name === 'default')
+      const list = await waha.listSessions()
+      const existingSession = list.find(s => s.name === name)
 
       if (existingSession) {
         switch (existingSession.status) {
@@ -699,28 +1160,24 @@ function App() {
             break
           case 'STOPPED':
             // Start the stopped session
-            await wahaApi('/api/sessions/default/start', 'POST')
+            await waha.startSession({ session: name })
             showToast('Reconnecting...', 'success')
             break
           case 'FAILED':
             // Stop and restart failed session
-            await wahaApi('/api/sessions/default/stop', 'POST')
-            await wahaApi('/api/sessions/default/start', 'POST')
+            await waha.stopSession({ session: name })
+            await waha.startSession({ session: name })
             showToast('Restarting session...', 'success')
             break
           default:
             // Unknown state, try to restart with PUT
-            await wahaApi('/api/sessions', 'PUT', {
-              name: 'default',
-              start: true
-            })
+            await waha.upsertSession({ session: name })
             showToast('Reconnecting...', 'success')
         }
       } else {
         // Create new session with POST, then start it
-        await wahaApi('/api/sessions', 'POST', {
-          name: 'default',
-          start: true,
+        await waha.createSession({
+          session: name,
           config: {
             noweb: { store: { enabled: false } }
           }
@@ -734,16 +1191,43 @@ function App() {
     setReconnecting(false)
   }
 
-  // Watch for session status change to SCAN_QR_CODE and open modal
+  // Switch the session used for sending, QR and chats
+  const switchSession = (name) => {
+    activeSessionRef.current = name
+    setActiveSession(name)
+    setStoredSession(name)
+    setSession(sessions.find(s => s.name === name) || null)
+    autoConnectAttemptedRef.current = false
+    setSelectedChat(null)
+    selectedChatIdRef.current = null
+    setChatMessages([])
+    setChats([])
+    chatsLoadedRef.current = false
+    if (activeTab === 'chats') loadChats()
+  }
+
+  // Add another WhatsApp number: create its session and show the QR
+  const addSession = () => {
+    const name = window.prompt('Name for the new WhatsApp session (letters, numbers, - and _):')?.trim()
+    if (!name) return
+    if (!SESSION_NAME_PATTERN.test(name)) {
+      showToast('Session names may only contain letters, numbers, - and _', 'error')
+      return
+    }
+    switchSession(name)
+    reconnectSession()
+  }
+
+  // Watch for session status change to SCAN_QR_CODE and open modal (only admins can link numbers)
   useEffect(() => {
-    if (session?.status === 'SCAN_QR_CODE' && !showQr) {
+    if (isAdmin && session?.status === 'SCAN_QR_CODE' && !showQr) {
       openQrModal()
     }
   }, [session?.status])
 
   // Auto-connect at startup if not connected
   useEffect(() => {
-    if (session && !autoConnectAttemptedRef.current) {
+    if (isAdmin && session && !autoConnectAttemptedRef.current) {
       autoConnectAttemptedRef.current = true
       if (session.status !== 'WORKING' && session.status !== 'STARTING') {
         console.log('Auto-connecting on startup...')
@@ -752,26 +1236,16 @@ function App() {
     }
   }, [session])
 
-  // Load Chats from our backend (incoming messages via webhook)
-  const loadChats = async () => {
+  // Load conversations (received + sent) from our backend; append loads the next page
+  const loadChats = async (append = false) => {
     setChatsLoading(true)
     try {
-      // Get incoming messages from our backend
-      const data = await api('/api/incoming?limit=50')
-      // Group by phone to show as conversations
-      const grouped = {}
-      for (const msg of data) {
-        if (!grouped[msg.phone]) {
-          grouped[msg.phone] = {
-            id: msg.chat_id,
-            name: msg.sender_name || msg.phone,
-            lastMessage: { body: msg.message, timestamp: msg.timestamp },
-            messages: []
-          }
-        }
-        grouped[msg.phone].messages.push(msg)
-      }
-      setChats(Object.values(grouped))
+      const offset = append ? chats.length : 0
+      const data = await api(`/api/conversations?session=${activeSessionRef.current}&limit=${CONVERSATIONS_PAGE_SIZE}&offset=${offset}`)
+      const page = data.conversations.map(toChat)
+      setChats(prev => append ? [...prev, ...page.filter(c => !prev.some(p => p.id === c.id))] : page)
+      setChatsHasMore(data.hasMore)
+      chatsLoadedRef.current = true
     } catch (e) {
       console.error('Failed to load chats:', e)
       // Silently fail - webhook will populate messages as they come
@@ -783,23 +1257,108 @@ function App() {
   const clearChats = async () => {
     try {
       await api('/api/incoming', 'DELETE')
-      setChats([])
       setSelectedChat(null)
+      selectedChatIdRef.current = null
       setChatMessages([])
       showToast('All chats cleared!')
+      // Sent history is kept, so those conversations stay listed
+      loadChats()
     } catch (e) {
       console.error('Failed to clear chats:', e)
       showToast('Failed to clear chats', 'error')
     }
   }
 
-  // Select a chat (messages are already loaded in the chat object)
-  const selectChat = (chat) => {
+  // Fetch a page of a chat's thread (newest first)
+  const fetchThread = (chatId, offset) =>
+    api(`/api/conversations/${encodeURIComponent(chatId)}/messages?session=${activeSessionRef.current}&limit=${THREAD_PAGE_SIZE}&offset=${offset}`)
+
+  // Select a chat and load its latest messages
+  const selectChat = async (chat) => {
     setSelectedChat(chat)
-    // Messages are already in chat.messages from loadChats
-    setChatMessages(chat.messages || [])
+    selectedChatIdRef.current = chat.id
+    setChatMessages([])
+    setMessagesHasMore(false)
+    setMessagesLoading(true)
+    try {
+      const data = await fetchThread(chat.id, 0)
+      if (selectedChatIdRef.current !== chat.id) return
+      setChatMessages(data.messages)
+      setMessagesHasMore(data.hasMore)
+    } catch (e) {
+      console.error('Failed to load messages:', e)
+      showToast('Failed to load messages', 'error')
+    }
+    setMessagesLoading(false)
+  }
+
+  // Load the next page of older messages in the open chat
+  const loadOlderMessages = async () => {
+    const chatId = selectedChatIdRef.current
+    try {
+      const data = await fetchThread(chatId, chatMessages.length)
+      if (selectedChatIdRef.current !== chatId) return
+      setChatMessages(prev => [...prev, ...data.messages.filter(m => !prev.some(p => p.id === m.id))])
+      setMessagesHasMore(data.hasMore)
+    } catch (e) {
+      console.error('Failed to load older messages:', e)
+      showToast('Failed to load older messages', 'error')
+    }
   }
 
+  // Reply in the open chat
+  const sendReply = async (e) => {
+    e.preventDefault()
+    const text = replyText.trim()
+    if (!text || !selectedChat) return
+    setReplySending(true)
+    try {
+      const message = await api(`/api/conversations/${encodeURIComponent(selectedChat.id)}/messages`, 'POST', { text, session: activeSessionRef.current })
+      setReplyText('')
+      if (selectedChatIdRef.current === message.chat_id) {
+        setChatMessages(prev => [message, ...prev])
+      }
+      const update = chat => ({
+        ...chat,
+        outboundCount: chat.outboundCount + 1,
+        lastMessage: { body: message.message, timestamp: message.timestamp, fromMe: true }
+      })
+      setSelectedChat(prev => prev && prev.id === message.chat_id ? update(prev) : prev)
+      setChats(prev => {
+        const chat = prev.find(c => c.id === message.chat_id)
+        return chat ? [update(chat), ...prev.filter(c => c.id !== message.chat_id)] : prev
+      })
+    } catch (err) {
+      console.error('Failed to send reply:', err)
+      showToast('Failed to send reply', 'error')
+    }
+    setReplySending(false)
+  }
+
+  // Take the open chat over from gemini-bot, or hand it back
+  const toggleHandoff = async () => {
+    if (!selectedChat) return
+    const action = selectedChat.handoff ? 'return' : 'take'
+    setHandoffUpdating(true)
+    try {
+      const row = await api(`/api/conversations/${encodeURIComponent(selectedChat.id)}/handoff`, 'POST', { action, session: activeSessionRef.current })
+      const handoff = row.status === 'closed' ? null : { status: row.status, source: row.source, reason: row.reason, operator: row.operator }
+      setSelectedChat(prev => prev && prev.id === row.chat_id ? { ...prev, handoff } : prev)
+      setChats(prev => prev.map(c => c.id === row.chat_id ? { ...c, handoff } : c))
+      showToast(action === 'take' ? 'You have the chat - the bot is paused 🎧' : 'Chat handed back to the bot 🤖')
+    } catch (err) {
+      console.error('Failed to update handoff:', err)
+      showToast(action === 'take' ? 'Failed to take over the chat' : 'Failed to hand the chat back', 'error')
+    }
+    setHandoffUpdating(false)
+  }
+
+  // Keep the thread scrolled to the newest message
+  const newestMessageId = chatMessages[0]?.id
+  useEffect(() => {
+    if (threadRef.current) threadRef.current.scrollTop = threadRef.current.scrollHeight
+  }, [newestMessageId])
+
   // Get chat summary stats
   const getChatSummary = (messages) => {
     if (!messages || messages.length === 0) return null
@@ -839,7 +1398,7 @@ function App() {
       return
     }
     try {
-      const result = await wahaApi(`/api/contacts/check-exists?phone=${checkPhone}&session=default`)
+      const result = await waha.checkNumber(checkPhone, { session: activeSession })
       setCheckResult(result)
       showToast(result.numberExists ? 'Number exists! ✅' : 'Number not found ❌', result.numberExists ? 'success' : 'error')
     } catch (e) {
@@ -858,8 +1417,18 @@ function App() {
     total: queue.length,
     pending: queue.filter(q => q.status === 'pending').length,
     sent: queue.filter(q => q.status === 'sent').length,
-    failed: queue.filter(q => q.status === 'failed').length
+    failed: queue.filter(q => q.status === 'failed').length,
+    paused: queue.filter(q => q.status === 'paused').length
   }
+  const queueRunning = queue.some(q => q.status === 'pending' || q.status === 'sending')
+
+  // Announce when the backend finishes the queue
+  useEffect(() => {
+    if (queueWasRunningRef.current && !queueRunning && queueStats.paused === 0 && queue.length > 0) {
+      showToast('Queue completed! 🎉')
+    }
+    queueWasRunningRef.current = queueRunning
+  }, [queueRunning, queueStats.paused, queue.length])
 
   return (
     <div className="app">
@@ -938,19 +1507,9 @@ function App() {
               onClick={(e) => e.stopPropagation()}
             >
               <h3>⚙️ Settings</h3>
-              <p>Configure your WAHA API connection</p>
+              <p>Signed in as <strong>{user.username}</strong> ({user.role})</p>
 
               <div className="settings-form">
-                <label>
-                  <span>API Key</span>
-                  <input
-                    type="password"
-                    value={apiKeyInput}
-                    onChange={(e) => setApiKeyInput(e.target.value)}
-                    placeholder="Enter your WAHA API key"
-                  />
-                </label>
-
                 <div className="theme-toggle">
                   <span>Theme</span>
                   <motion.button
@@ -971,21 +1530,15 @@ function App() {
                 </div>
               </div>
 
+              {isAdmin && <UsersPanel currentUser={user} showToast={showToast} />}
+
               <div className="settings-actions">
-                <button
-                  className="btn btn-primary"
-                  onClick={() => {
-                    setApiKey(apiKeyInput)
-                    setShowSettings(false)
-                    toast('API key saved! Refreshing...', 'success')
-                    // Force page reload to apply new API key
-                    setTimeout(() => window.location.reload(), 500)
-                  }}
-                >
-                  Save & Connect
+                <button className="btn btn-primary" onClick={onSignOut}>
+                  <LogOut size={16} />
+                  Sign out
                 </button>
                 <button className="btn btn-secondary" onClick={() => setShowSettings(false)}>
-                  Cancel
+                  Close
                 </button>
               </div>
             </motion.div>
@@ -1062,6 +1615,22 @@ function App() {
           </div>
         </div>
         <div className="header-right">
+          <select
+            className="session-select"
+            value={activeSession}
+            onChange={(e) => e.target.value === '__add__' ? addSession() : switchSession(e.target.value)}
+            title="WhatsApp number used for sending"
+          >
+            {!sessions.some(s => s.name === activeSession) && (
+              <option value={activeSession}>{activeSession}</option>
+            )}
+            {sessions.map(s => (
+              <option key={s.name} value={s.name}>
+                {s.name}{s.me ? ` (${s.me.pushName || s.me.id.split('@')[0]})` : ''}
+              </option>
+            ))}
+            {isAdmin && <option value="__add__">➕ Add number…</option>}
+          </select>
           <motion.div
             className={`status-badge ${session?.status === 'WORKING' ? 'connected' : 'disconnected'}`}
             animate={session?.status === 'WORKING' ? { scale: [1, 1.05, 1] } : {}}
@@ -1070,7 +1639,7 @@ function App() {
             <span className="status-dot" />
             <span>{session?.status === 'WORKING' ? 'Connected' : session?.status || 'Offline'}</span>
           </motion.div>
-          {session?.status !== 'WORKING' && (
+          {isAdmin && session?.status !== 'WORKING' && (
             <motion.button
               className={`btn btn-reconnect ${reconnecting ? 'reconnecting' : ''}`}
               onClick={reconnectSession}
@@ -1135,13 +1704,14 @@ function App() {
           { id: 'contacts', icon: User, label: 'Contacts' },
           { id: 'chats', icon: MessagesSquare, label: 'Chats' },
           { id: 'templates', icon: Sparkles, label: 'Templates' },
+          ...(isAdmin ? [{ id: 'audit', icon: ScrollText, label: 'Audit' }] : []),
         ].map((tab) => (
           <motion.button
             key={tab.id}
             className={`tab ${activeTab === tab.id ? 'active' : ''}`}
             onClick={() => {
               setActiveTab(tab.id)
-              if (tab.id === 'chats' && chats.length === 0) loadChats()
+              if (tab.id === 'chats' && !chatsLoadedRef.current) loadChats()
             }}
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
@@ -1186,6 +1756,13 @@ function App() {
                   <Users size={16} />
                   Bulk
                 </button>
+                <button
+                  className={`sub-tab ${subTab.send === 'schedule' ? 'active' : ''}`}
+                  onClick={() => setSubTab(prev => ({ ...prev, send: 'schedule' }))}
+                >
+                  <CalendarClock size={16} />
+                  Schedule
+                </button>
                 {queue.length > 0 && (
                   <button
                     className={`sub-tab ${subTab.send === 'queue' ? 'active' : ''}`}
@@ -1382,12 +1959,13 @@ function App() {
                       {!queueRunning ? (
                         <motion.button
                           className="btn btn-primary"
-                          onClick={startQueue}
+                          onClick={resumeQueue}
+                          disabled={queueStats.paused === 0}
                           whileHover={{ scale: 1.02 }}
                           whileTap={{ scale: 0.98 }}
                         >
                           <Play size={20} />
-                          Start Queue
+                          Resume Queue
                         </motion.button>
                       ) : (
                         <motion.button
@@ -1424,6 +2002,9 @@ function App() {
                         <div className="queue-stats">
                           <span className="stat-sent">{queueStats.sent} sent</span>
                           <span className="stat-pending">{queueStats.pending} pending</span>
+                          {queueStats.paused > 0 && (
+                            <span className="stat-pending">{queueStats.paused} paused</span>
+                          )}
                           {queueStats.failed > 0 && (
                             <span className="stat-failed">{queueStats.failed} failed</span>
                           )}
@@ -1438,7 +2019,7 @@ function App() {
                       </div>
                       <div className="queue-list">
                         {queue.map((item, i) => (
-                          <QueueItem key={i} item={item} index={i} />
+                          <QueueItem key={item.id} item={item} index={i} />
                         ))}
                       </div>
                     </motion.div>
@@ -1446,6 +2027,160 @@ function App() {
                 </FeatureCard>
               )}
 
+              {/* Schedule */}
+              {subTab.send === 'schedule' && (
+                <FeatureCard icon={CalendarClock} title="Schedule" color="var(--blue)" delay={0}>
+                  <div className="form-group">
+                    <div className="label-with-action">
+                      <label>📱 Phone Numbers (one per line)</label>
+                      <button
+                        className="link-btn"
+                        onClick={() => setSchedulePhones(favorites.map(f => f.phone).join('\n'))}
+                      >
+                        Load Favorites
+                      </button>
+                    </div>
+                    <textarea
+                      className="input textarea"
+                      placeholder="972501234567&#10;972509876543"
+                      value={schedulePhones}
+                      onChange={(e) => setSchedulePhones(e.target.value)}
+                      rows={3}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>💬 Message</label>
+                    <textarea
+                      className="input textarea"
+                      placeholder="Your scheduled message..."
+                      value={scheduleMessage}
+                      onChange={(e) => setScheduleMessage(e.target.value)}
+                    />
+                  </div>
+
+                  <div className="sub-tabs">
+                    <button
+                      className={`sub-tab ${scheduleMode === 'once' ? 'active' : ''}`}
+                      onClick={() => setScheduleMode('once')}
+                    >
+                      <Clock size={16} />
+                      Once
+                    </button>
+                    <button
+                      className={`sub-tab ${scheduleMode === 'recurring' ? 'active' : ''}`}
+                      onClick={() => setScheduleMode('recurring')}
+                    >
+                      <RefreshCw size={16} />
+                      Recurring
+                    </button>
+                  </div>
+
+                  {scheduleMode === 'once' ? (
+                    <div className="form-group">
+                      <label>📅 Send At</label>
+                      <input
+                        type="datetime-local"
+                        className="input"
+                        value={scheduleAt}
+                        onChange={(e) => setScheduleAt(e.target.value)}
+                      />
+                    </div>
+                  ) : (
+                    <div className="form-group">
+                      <div className="label-with-action">
+                        <label>🔁 Cron (minute hour day month weekday)</label>
+                        {CRON_PRESETS.map(preset => (
+                          <button key={preset.cron} className="link-btn" onClick={() => setScheduleCron(preset.cron)}>
+                            {preset.label}
+                          </button>
+                        ))}
+                      </div>
+                      <input
+                        type="text"
+                        className="input"
+                        placeholder="0 9 * * 0"
+                        value={scheduleCron}
+                        onChange={(e) => setScheduleCron(e.target.value)}
+                      />
+                    </div>
+                  )}
+                  <div className="form-group">
+                    <label>🌍 Timezone</label>
+                    <input
+                      type="text"
+                      className="input"
+                      placeholder="Asia/Jerusalem"
+                      value={scheduleTimezone}
+                      onChange={(e) => setScheduleTimezone(e.target.value)}
+                    />
+                  </div>
+
+                  <motion.button
+                    className="btn btn-blue btn-large"
+                    onClick={createSchedule}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                  >
+                    <CalendarClock size={20} />
+                    Schedule Message
+                  </motion.button>
+
+                  <div className="queue-section">
+                    <div className="queue-header">
+                      <h4><CalendarClock size={18} /> Upcoming</h4>
+                    </div>
+                    <div className="queue-list">
+                      {schedules.filter(s => s.status !== 'done').length === 0 ? (
+                        <div className="empty-state">
+                          <p>Nothing scheduled</p>
+                        </div>
+                      ) : (
+                        schedules.filter(s => s.status !== 'done').map(schedule => (
+                          <ScheduleItem
+                            key={schedule.id}
+                            schedule={schedule}
+                            onToggle={toggleSchedule}
+                            onDelete={deleteSchedule}
+                          />
+                        ))
+                      )}
+                    </div>
+                  </div>
+
+                  {scheduleRuns.length > 0 && (
+                    <div className="queue-section">
+                      <div className="queue-header">
+                        <h4><List size={18} /> Past Runs</h4>
+                      </div>
+                      <div className="queue-list">
+                        {scheduleRuns.map(run => (
+                          <div
+                            key={run.id}
+                            className="queue-item"
+                            style={{ '--status-color': run.failed_count > 0 ? '#FF6B6B' : '#00D4AA' }}
+                          >
+                            <div className="queue-info">
+                              <span className="queue-phone">
+                                {(run.message || `Schedule #${run.schedule_id}`).substring(0, 40)}
+                              </span>
+                              <span className="queue-status">
+                                {new Date(run.run_at).toLocaleString()}
+                              </span>
+                            </div>
+                            <div className="queue-stats">
+                              <span className="stat-sent">{run.sent_count} sent</span>
+                              {run.failed_count > 0 && (
+                                <span className="stat-failed" title={run.error || ''}>{run.failed_count} failed</span>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </FeatureCard>
+              )}
+
               {/* Queue Manager */}
               {subTab.send === 'queue' && queue.length > 0 && (
                 <FeatureCard icon={List} title="Queue Manager" color="var(--purple)" delay={0}>
@@ -1481,12 +2216,13 @@ function App() {
                       {!queueRunning ? (
                         <motion.button
                           className="btn btn-primary btn-large"
-                          onClick={startQueue}
+                          onClick={resumeQueue}
+                          disabled={queueStats.paused === 0}
                           whileHover={{ scale: 1.02 }}
                           whileTap={{ scale: 0.98 }}
                         >
                           <Play size={20} />
-                          Start Queue
+                          Resume Queue
                         </motion.button>
                       ) : (
                         <motion.button
@@ -1512,7 +2248,7 @@ function App() {
 
                     <div className="queue-list-full">
                       {queue.map((item, i) => (
-                        <QueueItem key={i} item={item} index={i} />
+                        <QueueItem key={item.id} item={item} index={i} />
                       ))}
                     </div>
                   </div>
@@ -1685,7 +2421,7 @@ function App() {
                       </motion.button>
                       <motion.button
                         className="icon-btn refresh"
-                        onClick={loadChats}
+                        onClick={() => loadChats()}
                         disabled={chatsLoading}
                         whileHover={{ scale: 1.1 }}
                         whileTap={{ scale: 0.9 }}
@@ -1731,7 +2467,14 @@ function App() {
                             )}
                           </div>
                           <div className="chat-info">
-                            <div className="chat-name">{chat.name || chat.id.split('@')[0]}</div>
+                            <div className="chat-name">
+                              {chat.name || chat.id.split('@')[0]}
+                              {chat.handoff && (
+                                <span className={`handoff-badge ${chat.handoff.status}`}>
+                                  {chat.handoff.status === 'waiting' ? 'Needs a human' : 'With a human'}
+                                </span>
+                              )}
+                            </div>
                             {chat.lastMessage && (
                               <div className="chat-preview">
                                 {chat.lastMessage.fromMe && <span className="you">You: </span>}
@@ -1751,10 +2494,19 @@ function App() {
                         </motion.div>
                       ))
                     )}
+                    {chatsHasMore && (
+                      <button
+                        className="load-more-btn"
+                        onClick={() => loadChats(true)}
+                        disabled={chatsLoading}
+                      >
+                        {chatsLoading ? 'Loading...' : 'Load more conversations'}
+                      </button>
+                    )}
                   </div>
                 </div>
 
-                {/* Chat Detail / Summary */}
+                {/* Chat Detail / Thread */}
                 <div className="chat-detail-container">
                   {selectedChat ? (
                     <>
@@ -1769,7 +2521,22 @@ function App() {
                         <div className="chat-detail-info">
                           <h3>{selectedChat.name || selectedChat.id.split('@')[0]}</h3>
                           <span className="chat-id">{selectedChat.id}</span>
+                          {selectedChat.handoff?.reason && (
+                            <span className="handoff-reason">🙋 {selectedChat.handoff.reason}</span>
+                          )}
                         </div>
+                        {canOperate && selectedChat.id.endsWith('@c.us') && (
+                          <motion.button
+                            className={`btn btn-small ${selectedChat.handoff ? 'btn-secondary' : 'btn-handoff'}`}
+                            onClick={toggleHandoff}
+                            disabled={handoffUpdating}
+                            whileHover={{ scale: 1.05 }}
+                            whileTap={{ scale: 0.95 }}
+                          >
+                            {selectedChat.handoff ? <Bot size={16} /> : <Headset size={16} />}
+                            {selectedChat.handoff ? 'Return to bot' : 'Take over'}
+                          </motion.button>
+                        )}
                         <motion.button
                           className="btn btn-primary btn-small"
                           onClick={() => {
@@ -1798,46 +2565,47 @@ function App() {
                       ) : (
                         <>
                           {/* Summary Stats */}
-                          {chatMessages.length > 0 && (
-                            <div className="chat-summary">
-                              <h4>📊 Conversation Summary</h4>
-                              <div className="summary-stats">
-                                <div className="summary-stat">
-                                  <span className="stat-value">{chatMessages.length}</span>
-                                  <span className="stat-label">Messages</span>
-                                </div>
-                                <div className="summary-stat you">
-                                  <span className="stat-value">{chatMessages.filter(m => m.fromMe).length}</span>
-                                  <span className="stat-label">From You</span>
-                                </div>
-                                <div className="summary-stat them">
-                                  <span className="stat-value">{chatMessages.filter(m => !m.fromMe).length}</span>
-                                  <span className="stat-label">From Them</span>
-                                </div>
+                          <div className="chat-summary">
+                            <h4>📊 Conversation Summary</h4>
+                            <div className="summary-stats">
+                              <div className="summary-stat">
+                                <span className="stat-value">{selectedChat.inboundCount + selectedChat.outboundCount}</span>
+                                <span className="stat-label">Messages</span>
+                              </div>
+                              <div className="summary-stat you">
+                                <span className="stat-value">{selectedChat.outboundCount}</span>
+                                <span className="stat-label">From You</span>
+                              </div>
+                              <div className="summary-stat them">
+                                <span className="stat-value">{selectedChat.inboundCount}</span>
+                                <span className="stat-label">From Them</span>
                               </div>
                             </div>
-                          )}
+                          </div>
 
-                          {/* Recent Messages */}
-                          <div className="messages-preview">
-                            <h4>💬 Recent Messages</h4>
+                          {/* Thread - oldest at the top */}
+                          <div className="messages-preview" ref={threadRef}>
+                            {messagesHasMore && (
+                              <button className="load-more-btn" onClick={loadOlderMessages}>
+                                Load older messages
+                              </button>
+                            )}
                             <div className="messages-list">
-                              {chatMessages.slice(0, 10).map((msg, i) => (
+                              {[...chatMessages].reverse().map(msg => (
                                 <motion.div
-                                  key={msg.id || i}
-                                  className={`message-bubble ${msg.is_from_me ? 'from-me' : 'from-them'}`}
+                                  key={msg.id}
+                                  className={`message-bubble ${msg.direction === 'out' ? 'from-me' : 'from-them'}`}
                                   initial={{ opacity: 0, y: 10 }}
                                   animate={{ opacity: 1, y: 0 }}
-                                  transition={{ delay: i * 0.05 }}
                                 >
                                   <div className="message-content">
                                     {msg.message || '[media]'}
                                   </div>
                                   <div className="message-time">
-                                    {new Date(msg.timestamp * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
-                                    {msg.fromMe && msg.ackName && (
-                                      <span className={`ack ${msg.ackName.toLowerCase()}`}>
-                                        {msg.ackName === 'READ' ? '✓✓' : msg.ackName === 'DEVICE' ? '✓✓' : '✓'}
+                                    {new Date(msg.timestamp * 1000).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                                    {msg.direction === 'out' && (
+                                      <span className={`ack ${msg.status}`}>
+                                        {msg.status === 'failed' ? '✗ failed' : '✓'}
                                       </span>
                                     )}
                                   </div>
@@ -1845,6 +2613,29 @@ function App() {
                               ))}
                             </div>
                           </div>
+
+                          {/* Reply */}
+                          {canOperate && (
+                            <form className="reply-box" onSubmit={sendReply}>
+                              <input
+                                type="text"
+                                value={replyText}
+                                onChange={(e) => setReplyText(e.target.value)}
+                                placeholder="Type a reply..."
+                                disabled={replySending}
+                              />
+                              <motion.button
+                                type="submit"
+                                className="btn btn-primary btn-small"
+                                disabled={replySending || !replyText.trim()}
+                                whileHover={{ scale: 1.05 }}
+                                whileTap={{ scale: 0.95 }}
+                              >
+                                <Send size={16} />
+                                {replySending ? 'Sending...' : 'Send'}
+                              </motion.button>
+                            </form>
+                          )}
                         </>
                       )}
                     </>
@@ -1852,7 +2643,7 @@ function App() {
                     <div className="empty-state">
                       <MessagesSquare size={64} />
                       <h3>Select a conversation</h3>
-                      <p>Click on a chat to see the summary and recent messages</p>
+                      <p>Click on a chat to see the full conversation and reply</p>
                     </div>
                   )}
                 </div>
@@ -1885,6 +2676,19 @@ function App() {
               </FeatureCard>
             </motion.div>
           )}
+
+          {/* Audit Log (admins) */}
+          {activeTab === 'audit' && isAdmin && (
+            <motion.div
+              key="audit"
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: -20 }}
+              className="content-panel"
+            >
+              <AuditPanel />
+            </motion.div>
+          )}
         </AnimatePresence>
       </main>
 
@@ -1905,4 +2709,36 @@ function App() {
   )
 }
 
+// Shows the sign-in form until there is a valid token
+function App() {
+  const [user, setUser] = useState(null)
+  const [checking, setChecking] = useState(!!getAuthToken())
+
+  useEffect(() => {
+    if (getAuthToken()) {
+      api('/api/auth/me')
+        .then(setUser)
+        .catch(() => setAuthToken(null))
+        .finally(() => setChecking(false))
+    }
+    const onSignedOut = () => setUser(null)
+    window.addEventListener('chatty:signed-out', onSignedOut)
+    return () => window.removeEventListener('chatty:signed-out', onSignedOut)
+  }, [])
+
+  const signOut = async () => {
+    try {
+      await api('/api/auth/logout', 'POST')
+    } catch (e) {
+      console.error('Failed to sign out:', e)
+    }
+    setAuthToken(null)
+    setUser(null)
+  }
+
+  if (checking) return null
+  if (!user) return <LoginScreen onSignIn={setUser} />
+  return <Dashboard user={user} onSignOut={signOut} />
+}
+
 export default App
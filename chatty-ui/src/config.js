@@ -4,24 +4,37 @@
 
 const isDev = import.meta.env.DEV
 
-// Get API key from localStorage or environment
-const getApiKey = () => {
+// Sign-in token from chatty-backend (the WAHA key never reaches the browser)
+export const getAuthToken = () => {
   if (typeof window !== 'undefined') {
-    const stored = localStorage.getItem('waha_api_key')
-    if (stored) return stored
+    return localStorage.getItem('chatty_token') || ''
   }
-  return import.meta.env.VITE_WAHA_API_KEY || ''
+  return ''
 }
 
-// Save API key to localStorage
-export const setApiKey = (key) => {
+export const setAuthToken = (token) => {
   if (typeof window !== 'undefined') {
-    localStorage.setItem('waha_api_key', key)
+    if (token) {
+      localStorage.setItem('chatty_token', token)
+    } else {
+      localStorage.removeItem('chatty_token')
+    }
   }
 }
 
-// Get current API key (reactive getter)
-export const getStoredApiKey = getApiKey
+// Active WAHA session (WhatsApp number) - picked in the header, used for sending
+export const getStoredSession = () => {
+  if (typeof window !== 'undefined') {
+    return localStorage.getItem('waha_session') || 'default'
+  }
+  return 'default'
+}
+
+export const setStoredSession = (name) => {
+  if (typeof window !== 'undefined') {
+    localStorage.setItem('waha_session', name)
+  }
+}
 
 // Theme management
 export const getTheme = () => {
@@ -44,17 +57,14 @@ if (typeof window !== 'undefined') {
   document.documentElement.setAttribute('data-theme', savedTheme)
 }
 
-export const config = {
-  // WAHA API URL - proxied through nginx in production
-  WAHA_URL: isDev ? 'http://localhost:3001' : '/waha',
+// Backend API URL - proxied through nginx in production
+const API_URL = isDev ? 'http://localhost:3002' : ''
 
-  // Backend API URL - proxied through nginx in production
-  API_URL: isDev ? 'http://localhost:3002' : '',
+export const config = {
+  API_URL,
 
-  // API Key - loaded from localStorage or environment
-  get API_KEY() {
-    return getApiKey()
-  }
+  // WAHA API, reached through the backend's proxy (it adds the WAHA key)
+  WAHA_URL: `${API_URL}/api/waha`
 }
 
 export default config
@@ -0,0 +1,54 @@
+/**
+ * WAHA Proxy Tests
+ * Which WAHA routes each dashboard role may reach through /api/waha
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { wahaProxyRole } from '../wahaProxy.js'
+
+const ROLES = ['viewer', 'operator', 'admin']
+const allowed = (role, method, path) => {
+  const needed = wahaProxyRole(method, path)
+  return needed !== null && ROLES.indexOf(role) >= ROLES.indexOf(needed)
+}
+
+describe('WAHA Proxy', () => {
+  it('should give the dashboard routes their roles', () => {
+    assert.strictEqual(wahaProxyRole('GET', '/api/sessions'), 'viewer')
+    assert.strictEqual(wahaProxyRole('GET', '/api/contacts/check-exists'), 'viewer')
+    assert.strictEqual(wahaProxyRole('POST', '/api/sendText'), 'operator')
+    assert.strictEqual(wahaProxyRole('POST', '/api/sessions'), 'admin')
+    assert.strictEqual(wahaProxyRole('PUT', '/api/sessions'), 'admin')
+    assert.strictEqual(wahaProxyRole('POST', '/api/sessions/sales/start'), 'admin')
+    assert.strictEqual(wahaProxyRole('POST', '/api/sessions/sales/stop'), 'admin')
+    assert.strictEqual(wahaProxyRole('GET', '/api/sales/auth/qr'), 'admin')
+  })
+
+  it('should refuse WAHA server control to operators', () => {
+    assert.strictEqual(allowed('operator', 'POST', '/api/server/stop'), false)
+    assert.strictEqual(allowed('operator', 'GET', '/api/server/environment'), false)
+    assert.strictEqual(allowed('admin', 'POST', '/api/server/stop'), false)
+  })
+
+  it('should refuse WAHA server data to viewers', () => {
+    assert.strictEqual(allowed('viewer', 'GET', '/api/server/environment'), false)
+    assert.strictEqual(allowed('viewer', 'GET', '/api/server/status'), false)
+    assert.strictEqual(allowed('viewer', 'GET', '/api/server/version'), false)
+  })
+
+  it('should refuse routes the dashboard does not use', () => {
+    assert.strictEqual(wahaProxyRole('DELETE', '/api/sessions/sales'), null)
+    assert.strictEqual(wahaProxyRole('POST', '/api/sessions/sales/logout'), null)
+    assert.strictEqual(wahaProxyRole('POST', '/api/sendImage'), null)
+    assert.strictEqual(wahaProxyRole('GET', '/api/sessions/sales/screenshot'), null)
+    assert.strictEqual(wahaProxyRole('GET', '/api/sendText'), null)
+  })
+
+  it('should keep viewers to reads', () => {
+    assert.strictEqual(allowed('viewer', 'GET', '/api/sessions'), true)
+    assert.strictEqual(allowed('viewer', 'POST', '/api/sendText'), false)
+    assert.strictEqual(allowed('operator', 'POST', '/api/sendText'), true)
+    assert.strictEqual(allowed('operator', 'GET', '/api/sales/auth/qr'), false)
+  })
+})
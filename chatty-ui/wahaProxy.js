@@ -0,0 +1,20 @@
+// WAHA routes the dashboard may reach through /api/waha/<WAHA path>, and the role each needs.
+// Everything else - e.g. WAHA's /api/server/* (stop, environment, status) - is refused.
+//   admin    - adding, starting and stopping sessions, and QR codes / pairing (they link the phone)
+//   operator - sending messages
+//   viewer   - session status and number checks
+export const WAHA_PROXY_ROUTES = [
+  { method: 'GET', path: /^\/api\/sessions$/, role: 'viewer' },
+  { method: 'POST', path: /^\/api\/sessions$/, role: 'admin' },
+  { method: 'PUT', path: /^\/api\/sessions$/, role: 'admin' }, // older WAHA: upsert
+  { method: 'POST', path: /^\/api\/sessions\/[^/]+\/(start|stop)$/, role: 'admin' },
+  { method: 'GET', path: /^\/api\/[^/]+\/auth\/qr$/, role: 'admin' },
+  { method: 'POST', path: /^\/api\/sendText$/, role: 'operator' },
+  { method: 'GET', path: /^\/api\/contacts\/check-exists$/, role: 'viewer' },
+]
+
+// Role needed to call a WAHA path through the proxy, or null when the proxy doesn't offer it
+export function wahaProxyRole(method, path) {
+  const route = WAHA_PROXY_ROUTES.find(r => r.method === method && r.path.test(path))
+  return route ? route.role : null
+}
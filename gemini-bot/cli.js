@@ -4,17 +4,70 @@
  *
  * Usage:
  *   node cli.js get-prompt              # Get current system prompt
- *   node cli.js set-prompt "prompt..."  # Set new system prompt
+ *   node cli.js set-prompt "prompt..." [--note=...] [--rollout=10]   # Set new system prompt version
  *   node cli.js reset-prompt            # Reset to default prompt
+ *   node cli.js prompt-versions         # List system prompt versions
+ *   node cli.js prompt-diff [from] [to] # Diff two versions (0 = default prompt)
+ *   node cli.js rollback-prompt <version> [--note=...]
+ *   node cli.js set-rollout <percent>   # Share of new sessions for the version being rolled out
  *   node cli.js config                  # Get all configuration
+ *   node cli.js list-profiles           # List bot profiles and assignments
+ *   node cli.js get-profile <name>      # Show one profile
+ *   node cli.js create-profile <name> ['{"systemPrompt": "..."}']
+ *   node cli.js update-profile <name> '{"maxMessagesPerSession": 40}'
+ *   node cli.js delete-profile <name>
+ *   node cli.js assign-profile <name> session|contact <target>
+ *   node cli.js unassign-profile session|contact <target>
+ *   node cli.js resolve-profile <phone> [session]
+ *   node cli.js limits                  # Show session limits and contact overrides
+ *   node cli.js set-limits '{"sessionTimeoutMs": 900000}'
+ *   node cli.js reset-limits
+ *   node cli.js set-contact-limits <phone> '{"sessionTimeoutMs": 3600000, "note": "VIP"}'
+ *   node cli.js remove-contact-limits <phone>
+ *   node cli.js access                  # Access mode, tiers, allowlist and blocklist
+ *   node cli.js set-access-mode open|allowlist
+ *   node cli.js set-tier <name> '{"maxMessagesPerSession": 50, "rateLimitMs": 0}'
+ *   node cli.js delete-tier <name>
+ *   node cli.js set-contact-tier <phone> <tier> [--note=...]
+ *   node cli.js allow <phone> [--note=...] | unallow <phone>
+ *   node cli.js block <phone> [--note=...] | unblock <phone>
+ *   node cli.js check-access <phone>
+ *   node cli.js transcripts [--phone=...] [--from=2026-01-01] [--to=...] [--reason=timeout]
+ *   node cli.js transcripts <session-id> [--format=text|csv|json]
+ *   node cli.js tools [--session=<id>] [--tool=<name>]   # Tools and recent tool calls
+ *   node cli.js set-business-hours '{"hours": {"fri": null}}'
+ *   node cli.js groups                  # Group chat settings and allowlist
+ *   node cli.js set-groups '{"enabled": true, "sessionScope": "participant"}'
+ *   node cli.js allow-group <id@g.us> [--name=...] [--scope=participant|group]
+ *   node cli.js remove-group <id@g.us>
+ *   node cli.js knowledge               # List knowledge base documents
+ *   node cli.js add-knowledge <file> [--title=...] [--format=markdown|text|pdf]
+ *   node cli.js remove-knowledge <id>
+ *   node cli.js search-knowledge "<question>"
+ *   node cli.js handoffs [--status=open|waiting|active|closed|all]
+ *   node cli.js take-over <phone> [--operator=...] [--session=...]
+ *   node cli.js return-to-bot <phone> [--operator=...] [--session=...]
+ *   node cli.js events [--status=failed] [--limit=50]   # Incoming messages and their status
+ *   node cli.js retry-event <id>
+ *   node cli.js outbox [--status=pending|sending|sent] [--chat=...] [--limit=50]   # Outgoing messages
+ *   node cli.js dead-letters [--chat=...] [--limit=50]   # Messages that could not be sent
+ *   node cli.js redrive <id|all> [--chat=...]            # Send dead letters again
+ *   node cli.js discard-dead-letter <id>
+ *   node cli.js audit [--actor=...] [--target=...] [--action=...] [--limit=50]   # Who changed what
  *
  * Environment variables:
  *   GEMINI_BOT_URL  - Bot API URL (default: http://localhost:3003)
  *   WAHA_API_KEY    - API key for authentication (required)
+ *   AUDIT_ACTOR     - Name recorded in the audit log for changes (default: cli:<OS user>)
  */
 
+import { readFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { userInfo } from 'node:os';
+
 const API_URL = process.env.GEMINI_BOT_URL || 'http://localhost:3003';
 const API_KEY = process.env.WAHA_API_KEY;
+const AUDIT_ACTOR = process.env.AUDIT_ACTOR || `cli:${userInfo().username}`;
 
 // Colors for terminal output
 const colors = {
@@ -45,7 +98,8 @@ async function apiRequest(method, path, body = null) {
     method,
     headers: {
       'Content-Type': 'application/json',
-      'X-Api-Key': API_KEY
+      'X-Api-Key': API_KEY,
+      'X-Actor': AUDIT_ACTOR
     }
   };
 
@@ -55,10 +109,11 @@ async function apiRequest(method, path, body = null) {
 
   try {
     const response = await fetch(`${API_URL}${path}`, options);
-    const data = await response.json();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    const data = isJson ? await response.json() : await response.text();
 
     if (!response.ok) {
-      error(data.error || `HTTP ${response.status}`);
+      error((isJson && data.error) || `HTTP ${response.status}`);
     }
 
     return data;
@@ -72,7 +127,10 @@ async function getPrompt() {
 
   const data = await apiRequest('GET', '/api/config/system-prompt');
 
-  log(`Source: ${data.source}`, 'cyan');
+  log(`Source: ${data.source}${data.version ? ` (v${data.version})` : ''}`, 'cyan');
+  if (data.rollout.candidateVersion) {
+    log(`Rolling out v${data.rollout.candidateVersion} to ${data.rollout.rolloutPercent}% of new sessions`, 'yellow');
+  }
   log('─'.repeat(50));
   console.log(data.systemPrompt);
   log('─'.repeat(50));
@@ -82,7 +140,9 @@ async function getPrompt() {
   }
 }
 
-async function setPrompt(prompt) {
+async function setPrompt(list) {
+  const { flags, rest } = parseFlags(list);
+  const prompt = rest.join(' ');
   if (!prompt) {
     error('Please provide a system prompt');
   }
@@ -90,10 +150,15 @@ async function setPrompt(prompt) {
   log('\n⚙️  Updating System Prompt...\n', 'bright');
 
   const data = await apiRequest('PUT', '/api/config/system-prompt', {
-    systemPrompt: prompt
+    systemPrompt: prompt,
+    note: flags.note,
+    rolloutPercent: flags.rollout ? Number(flags.rollout) : undefined
   });
 
-  log('✅ System prompt updated successfully!', 'green');
+  log(`✅ System prompt saved as v${data.version}!`, 'green');
+  if (data.rollout.candidateVersion) {
+    log(`Rolling out to ${data.rollout.rolloutPercent}% of new sessions (set-rollout 100 to finish)`, 'yellow');
+  }
   log(`\nUpdated at: ${data.updatedAt}`, 'cyan');
   log('─'.repeat(50));
   console.log(data.systemPrompt);
@@ -111,6 +176,67 @@ async function resetPrompt() {
   log('─'.repeat(50));
 }
 
+async function listPromptVersions() {
+  const { versions, rollout } = await apiRequest('GET', '/api/config/system-prompt/versions');
+
+  log(`\n📚 System Prompt Versions (${versions.length})\n`, 'bright');
+  if (versions.length === 0) {
+    log('No versions yet - the default prompt is in use');
+    return;
+  }
+  for (const version of versions) {
+    const status = version.version === rollout.activeVersion ? ' [active]'
+      : version.version === rollout.candidateVersion ? ` [rolling out ${rollout.rolloutPercent}%]` : '';
+    log(`v${version.version}${status}  ${version.createdAt}  by ${version.author}  (${version.sessions} sessions)`, status ? 'green' : 'cyan');
+    if (version.note) {
+      console.log(`  ${version.note}`);
+    }
+  }
+  if (!rollout.activeVersion) {
+    log('\nActive: default prompt', 'yellow');
+  }
+  console.log();
+}
+
+async function diffPrompts(from, to) {
+  const query = new URLSearchParams();
+  if (from !== undefined) query.set('from', from);
+  if (to !== undefined) query.set('to', to);
+  const data = await apiRequest('GET', `/api/config/system-prompt/diff?${query}`);
+
+  const name = version => version === 0 ? 'default' : `v${version}`;
+  log(`\n--- ${name(data.from)}\n+++ ${name(data.to)}\n`, 'bright');
+  for (const { op, line } of data.diff) {
+    const color = op === '+' ? 'green' : op === '-' ? 'red' : 'reset';
+    log(`${op} ${line}`, color);
+  }
+  console.log();
+}
+
+async function rollbackPrompt(list) {
+  const { flags, rest } = parseFlags(list);
+  const version = parseInt(rest[0]);
+  if (!Number.isInteger(version)) {
+    error('Usage: rollback-prompt <version> [--note=...]');
+  }
+
+  const data = await apiRequest('POST', '/api/config/system-prompt/rollback', { version, note: flags.note });
+  log(`✅ Rolled back to v${version} (saved as v${data.version})`, 'green');
+}
+
+async function setRollout(percent) {
+  if (percent === undefined) {
+    error('Usage: set-rollout <percent>');
+  }
+
+  const { rollout } = await apiRequest('PUT', '/api/config/system-prompt/rollout', { percent: Number(percent) });
+  if (rollout.candidateVersion) {
+    log(`✅ v${rollout.candidateVersion} now goes to ${rollout.rolloutPercent}% of new sessions`, 'green');
+  } else {
+    log(`✅ Rollout finished - v${rollout.activeVersion ?? 'default'} answers all new sessions`, 'green');
+  }
+}
+
 async function getConfig() {
   log('\n⚙️  Bot Configuration\n', 'bright');
 
@@ -120,7 +246,7 @@ async function getConfig() {
   log('─'.repeat(50));
   for (const [key, value] of Object.entries(data.effective)) {
     log(`${key}:`, 'yellow');
-    console.log(`  ${value}\n`);
+    console.log(`  ${typeof value === 'object' ? JSON.stringify(value) : value}\n`);
   }
 
   if (Object.keys(data.config).length > 0) {
@@ -133,42 +259,870 @@ async function getConfig() {
   }
 }
 
+// Parse a JSON object argument (profile fields)
+function parseJsonArg(text) {
+  if (!text) return {};
+  try {
+    const value = JSON.parse(text);
+    if (typeof value !== 'object' || Array.isArray(value) || value === null) {
+      error('Fields must be a JSON object');
+    }
+    return value;
+  } catch {
+    error(`Invalid JSON: ${text}`);
+  }
+}
+
+function printProfile(profile) {
+  log(`${profile.name}${profile.isDefault ? ' (default)' : ''}`, 'yellow');
+  for (const [key, value] of Object.entries(profile)) {
+    if (['id', 'name', 'isDefault', 'assignments', 'createdAt', 'updatedAt'].includes(key) || value === null) continue;
+    console.log(`  ${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  }
+  for (const assignment of profile.assignments || []) {
+    console.log(`  → ${assignment.type}: ${assignment.target}`);
+  }
+  console.log();
+}
+
+async function listProfiles() {
+  log('\n🎭 Bot Profiles\n', 'bright');
+
+  const data = await apiRequest('GET', '/api/profiles');
+
+  if (data.profiles.length === 0) {
+    log('No profiles yet - every chat uses the built-in persona.\n', 'cyan');
+    return;
+  }
+  log('─'.repeat(50));
+  for (const profile of data.profiles) {
+    printProfile(profile);
+  }
+}
+
+async function getProfile(name) {
+  if (!name) {
+    error('Please provide a profile name');
+  }
+
+  const data = await apiRequest('GET', `/api/profiles/${encodeURIComponent(name)}`);
+
+  log('\n🎭 Profile\n', 'bright');
+  printProfile(data.profile);
+  log('Effective settings (with built-in defaults):', 'cyan');
+  console.log(JSON.stringify(data.effective, null, 2));
+}
+
+async function createProfile(name, fieldsJson) {
+  if (!name) {
+    error('Please provide a profile name');
+  }
+
+  const data = await apiRequest('POST', '/api/profiles', { ...parseJsonArg(fieldsJson), name });
+
+  log(`✅ Profile "${data.profile.name}" created!`, 'green');
+  printProfile(data.profile);
+}
+
+async function updateProfile(name, fieldsJson) {
+  if (!name || !fieldsJson) {
+    error('Usage: update-profile <name> \'{"field": value}\'');
+  }
+
+  const data = await apiRequest('PATCH', `/api/profiles/${encodeURIComponent(name)}`, parseJsonArg(fieldsJson));
+
+  log(`✅ Profile "${data.profile.name}" updated!`, 'green');
+  printProfile(data.profile);
+}
+
+async function deleteProfile(name) {
+  if (!name) {
+    error('Please provide a profile name');
+  }
+
+  await apiRequest('DELETE', `/api/profiles/${encodeURIComponent(name)}`);
+  log(`✅ Profile "${name}" deleted`, 'green');
+}
+
+async function assignProfile(name, type, target) {
+  if (!name || !type || !target) {
+    error('Usage: assign-profile <name> session|contact <target>');
+  }
+
+  const data = await apiRequest('POST', `/api/profiles/${encodeURIComponent(name)}/assignments`, { type, target });
+  log(`✅ ${type} ${data.assignment.target} now uses profile "${data.assignment.profile}"`, 'green');
+}
+
+async function unassignProfile(type, target) {
+  if (!type || !target) {
+    error('Usage: unassign-profile session|contact <target>');
+  }
+
+  await apiRequest('DELETE', `/api/profiles/assignments/${encodeURIComponent(type)}/${encodeURIComponent(target)}`);
+  log(`✅ ${type} ${target} unassigned`, 'green');
+}
+
+async function resolveProfile(phone, session) {
+  if (!phone) {
+    error('Please provide a phone number');
+  }
+
+  const query = new URLSearchParams({ phone, ...(session ? { session } : {}) });
+  const data = await apiRequest('GET', `/api/profiles/resolve?${query}`);
+
+  log(`\n🎭 ${phone} is handled by: ${data.source}\n`, 'bright');
+  console.log(JSON.stringify(data.profile, null, 2));
+}
+
+// Limits are stored in ms; show them the way people think about them
+function formatLimits(limits) {
+  const parts = [];
+  if (limits.sessionTimeoutMs != null) parts.push(`timeout ${limits.sessionTimeoutMs / 60000} min`);
+  if (limits.maxMessagesPerSession != null) parts.push(`${limits.maxMessagesPerSession} messages`);
+  if (limits.rateLimitMs != null) parts.push(limits.rateLimitMs === 0 ? 'no wait between sessions' : `1 session per ${limits.rateLimitMs / 60000} min`);
+  return parts.join(', ');
+}
+
+async function showLimits() {
+  log('\n⏱️  Session Limits\n', 'bright');
+
+  const data = await apiRequest('GET', '/api/config/limits');
+
+  log('Global:', 'cyan');
+  console.log(`  ${formatLimits(data.limits)}`);
+  console.log(`  (defaults: ${formatLimits(data.defaults)})\n`);
+
+  log('Contact overrides:', 'cyan');
+  if (data.contacts.length === 0) {
+    console.log('  none\n');
+    return;
+  }
+  for (const contact of data.contacts) {
+    log(`  ${contact.phone}${contact.note ? ` (${contact.note})` : ''}`, 'yellow');
+    console.log(`    ${formatLimits(contact)}`);
+  }
+  console.log();
+}
+
+async function setLimits(fieldsJson) {
+  if (!fieldsJson) {
+    error('Usage: set-limits \'{"sessionTimeoutMs": 900000, "maxMessagesPerSession": 30}\'');
+  }
+
+  const data = await apiRequest('PUT', '/api/config/limits', parseJsonArg(fieldsJson));
+  log('✅ Session limits updated (applies immediately)', 'green');
+  console.log(`  ${formatLimits(data.limits)}\n`);
+}
+
+async function resetLimits() {
+  const data = await apiRequest('DELETE', '/api/config/limits');
+  log('✅ Session limits reset to default', 'green');
+  console.log(`  ${formatLimits(data.limits)}\n`);
+}
+
+async function setContactLimits(phone, fieldsJson) {
+  if (!phone || !fieldsJson) {
+    error('Usage: set-contact-limits <phone> \'{"sessionTimeoutMs": 3600000}\'');
+  }
+
+  const data = await apiRequest('PUT', `/api/config/limits/contacts/${encodeURIComponent(phone)}`, parseJsonArg(fieldsJson));
+  log(`✅ Limits for ${data.contact.phone} updated`, 'green');
+  console.log(`  ${formatLimits(data.contact)}\n`);
+}
+
+async function removeContactLimits(phone) {
+  if (!phone) {
+    error('Please provide a phone number');
+  }
+
+  await apiRequest('DELETE', `/api/config/limits/contacts/${encodeURIComponent(phone)}`);
+  log(`✅ ${phone} now uses the global limits`, 'green');
+}
+
+// --name=value flags -> { name: value }
+function parseFlags(list) {
+  const flags = {};
+  const rest = [];
+  for (const item of list) {
+    const match = item.match(/^--([\w-]+)=(.*)$/);
+    if (match) flags[match[1]] = match[2];
+    else rest.push(item);
+  }
+  return { flags, rest };
+}
+
+async function showAccess() {
+  const data = await apiRequest('GET', '/api/access');
+
+  log(`\n🛡️  Access (mode: ${data.mode})\n`, 'bright');
+  log('Tiers:', 'cyan');
+  for (const tier of data.tiers) {
+    const limits = tier.allowSessions ? (formatLimits(tier) || 'global limits') : 'no sessions';
+    log(`  ${tier.name}${tier.name === data.defaultTier ? ' (default)' : ''} - ${tier.contacts} contacts`, 'yellow');
+    console.log(`    ${limits}${tier.description ? ` - ${tier.description}` : ''}`);
+  }
+
+  for (const [title, entries] of [['Contacts in tiers', data.contacts], ['Allowlist', data.allowlist], ['Blocklist', data.blocklist]]) {
+    log(`\n${title}:`, 'cyan');
+    if (entries.length === 0) {
+      console.log('  none');
+    }
+    for (const entry of entries) {
+      console.log(`  ${entry.phone}${entry.tier ? `  ${entry.tier}` : ''}${entry.note ? `  (${entry.note})` : ''}`);
+    }
+  }
+  console.log();
+}
+
+async function setAccessMode(mode) {
+  if (!mode) {
+    error('Usage: set-access-mode open|allowlist');
+  }
+  await apiRequest('PUT', '/api/access/mode', { mode });
+  log(`✅ Access mode: ${mode}`, 'green');
+}
+
+async function setTier(name, fieldsJson) {
+  if (!name || !fieldsJson) {
+    error('Usage: set-tier <name> \'{"maxMessagesPerSession": 50, "rateLimitMs": 0}\'');
+  }
+  const { tier } = await apiRequest('PUT', `/api/access/tiers/${encodeURIComponent(name)}`, parseJsonArg(fieldsJson));
+  log(`✅ Tier ${tier.name} saved`, 'green');
+  console.log(`  ${tier.allowSessions ? (formatLimits(tier) || 'global limits') : 'no sessions'}\n`);
+}
+
+async function deleteTier(name) {
+  if (!name) {
+    error('Usage: delete-tier <name>');
+  }
+  await apiRequest('DELETE', `/api/access/tiers/${encodeURIComponent(name)}`);
+  log(`✅ Tier ${name} deleted (its contacts are back in the default tier)`, 'green');
+}
+
+async function setContactTier(list) {
+  const { flags, rest } = parseFlags(list);
+  const [phone, tier] = rest;
+  if (!phone || !tier) {
+    error('Usage: set-contact-tier <phone> <tier> [--note=...]');
+  }
+  const { contact } = await apiRequest('PUT', `/api/access/contacts/${encodeURIComponent(phone)}`, { tier, note: flags.note });
+  log(`✅ ${contact.phone} is in tier ${contact.tier}`, 'green');
+}
+
+// allow / unallow / block / unblock
+async function updateAccessList(command, list) {
+  const { flags, rest } = parseFlags(list);
+  const phone = rest[0];
+  const listPath = command.endsWith('allow') ? 'allowlist' : 'blocklist';
+  const adding = command === 'allow' || command === 'block';
+  if (!phone) {
+    error(`Usage: ${command} <phone>${adding ? ' [--note=...]' : ''}`);
+  }
+  if (adding) {
+    await apiRequest('PUT', `/api/access/${listPath}/${encodeURIComponent(phone)}`, { note: flags.note });
+    log(`✅ ${phone} added to the ${listPath}`, 'green');
+  } else {
+    await apiRequest('DELETE', `/api/access/${listPath}/${encodeURIComponent(phone)}`);
+    log(`✅ ${phone} removed from the ${listPath}`, 'green');
+  }
+}
+
+async function checkAccess(phone) {
+  if (!phone) {
+    error('Usage: check-access <phone>');
+  }
+  const data = await apiRequest('GET', `/api/access/check/${encodeURIComponent(phone)}`);
+  log(`${data.phone}: ${data.allowed ? 'can start sessions' : `no access (${data.reason})`} - tier ${data.tier}`, data.allowed ? 'green' : 'red');
+  console.log(`  ${formatLimits(data.limits)}\n`);
+}
+
+async function showTranscripts(list) {
+  const { flags, rest } = parseFlags(list);
+  const id = rest[0];
+
+  if (id) {
+    const format = flags.format || 'text';
+    const data = await apiRequest('GET', `/api/sessions/${encodeURIComponent(id)}/transcript?format=${encodeURIComponent(format)}`);
+    process.stdout.write(typeof data === 'string' ? data : JSON.stringify(data, null, 2) + '\n');
+    return;
+  }
+
+  const query = new URLSearchParams();
+  if (flags.phone) query.set('phone', flags.phone);
+  if (flags.from) query.set('from', flags.from);
+  if (flags.to) query.set('to', flags.to);
+  if (flags.reason) query.set('endReason', flags.reason);
+  if (flags.session) query.set('session', flags.session);
+  if (flags.limit) query.set('limit', flags.limit);
+
+  const data = await apiRequest('GET', `/api/sessions?${query}`);
+
+  log(`\n💬 Bot Sessions (${data.sessions.length} of ${data.total})\n`, 'bright');
+  if (data.sessions.length === 0) {
+    log('No sessions match.\n', 'cyan');
+    return;
+  }
+  for (const session of data.sessions) {
+    const status = session.status === 'open' ? 'open' : session.endReason;
+    log(`#${session.id}  ${session.phone}  ${session.startedAt}  [${status}]`, 'yellow');
+    console.log(`  ${session.turnCount} turns, ${session.messageCount} counted messages, session: ${session.wahaSession}`);
+  }
+  log('\nShow one with: node cli.js transcripts <id> [--format=text|csv|json]\n', 'cyan');
+}
+
+async function showTools(list) {
+  const { flags } = parseFlags(list);
+  const { tools } = await apiRequest('GET', '/api/tools');
+
+  log('\n🔧 Tools\n', 'bright');
+  for (const tool of tools) {
+    log(`${tool.name}${tool.enabledByDefault ? '' : ' (not in default persona)'}`, 'yellow');
+    console.log(`  ${tool.description}`);
+  }
+
+  const query = new URLSearchParams({ limit: flags.limit || '20' });
+  if (flags.session) query.set('sessionId', flags.session);
+  if (flags.tool) query.set('tool', flags.tool);
+  const { calls } = await apiRequest('GET', `/api/tools/calls?${query}`);
+
+  log(`\nRecent calls (${calls.length}):\n`, 'cyan');
+  for (const call of calls) {
+    const outcome = call.error ? `error: ${call.error}` : JSON.stringify(call.result);
+    console.log(`  ${new Date(call.created_at).toISOString()}  ${call.phone || '-'}  ${call.tool}(${JSON.stringify(call.args)})  ${call.duration_ms}ms`);
+    console.log(`    -> ${outcome.length > 120 ? outcome.substring(0, 120) + '...' : outcome}`);
+  }
+  console.log();
+}
+
+async function setBusinessHours(fieldsJson) {
+  if (!fieldsJson) {
+    error('Usage: set-business-hours \'{"timezone": "Asia/Jerusalem", "hours": {"fri": null}}\'');
+  }
+  const data = await apiRequest('PUT', '/api/config/business-hours', parseJsonArg(fieldsJson));
+  log('✅ Business hours updated', 'green');
+  console.log(JSON.stringify(data.businessHours, null, 2));
+}
+
+function printGroupChats(groupChats) {
+  log(`Group chats: ${groupChats.enabled ? 'enabled' : 'disabled'} (sessions per ${groupChats.sessionScope})`, groupChats.enabled ? 'green' : 'yellow');
+  const groups = Object.entries(groupChats.groups);
+  if (groups.length === 0) {
+    log('No groups allowed. Add one with: node cli.js allow-group <id@g.us>\n', 'cyan');
+    return;
+  }
+  for (const [groupId, group] of groups) {
+    console.log(`  ${groupId}${group.name ? `  ${group.name}` : ''}${group.sessionScope ? `  (sessions per ${group.sessionScope})` : ''}`);
+  }
+  console.log();
+}
+
+async function showGroups() {
+  const data = await apiRequest('GET', '/api/config/groups');
+  log('\n👥 Group Chats\n', 'bright');
+  printGroupChats(data.groupChats);
+}
+
+async function setGroups(fieldsJson) {
+  if (!fieldsJson) {
+    error('Usage: set-groups \'{"enabled": true, "sessionScope": "participant"}\'');
+  }
+  const data = await apiRequest('PUT', '/api/config/groups', parseJsonArg(fieldsJson));
+  log('✅ Group chat settings updated', 'green');
+  printGroupChats(data.groupChats);
+}
+
+async function allowGroup(list) {
+  const { flags, rest } = parseFlags(list);
+  if (!rest[0]) {
+    error('Usage: allow-group <id@g.us> [--name=...] [--scope=participant|group]');
+  }
+  await apiRequest('PUT', `/api/config/groups/${encodeURIComponent(rest[0])}`, {
+    name: flags.name,
+    sessionScope: flags.scope
+  });
+  log(`✅ Group ${rest[0]} allowed`, 'green');
+}
+
+async function removeGroup(groupId) {
+  if (!groupId) {
+    error('Usage: remove-group <id@g.us>');
+  }
+  await apiRequest('DELETE', `/api/config/groups/${encodeURIComponent(groupId)}`);
+  log(`✅ Group ${groupId} removed from the allowlist`, 'green');
+}
+
+async function listKnowledge() {
+  const data = await apiRequest('GET', '/api/knowledge');
+
+  log(`\n📚 Knowledge Base (${data.documents.length} documents, ${data.topK} chunks per message)\n`, 'bright');
+  if (data.documents.length === 0) {
+    log('No documents. Add one with: node cli.js add-knowledge <file>\n', 'cyan');
+    return;
+  }
+  for (const doc of data.documents) {
+    log(`#${doc.id}  ${doc.title}  [${doc.format}]`, 'yellow');
+    console.log(`  ${doc.chunkCount} chunks, ${doc.length} characters, updated ${doc.updatedAt}${doc.source ? `, from ${doc.source}` : ''}`);
+  }
+  console.log();
+}
+
+async function addKnowledge(list) {
+  const { flags, rest } = parseFlags(list);
+  const file = rest[0];
+  if (!file) {
+    error('Usage: add-knowledge <file> [--title=...] [--format=markdown|text|pdf]');
+  }
+  if (extname(file).toLowerCase() === '.pdf') {
+    error('Extract the PDF\'s text first (e.g. pdftotext file.pdf file.txt) and add it with --format=pdf');
+  }
+
+  let content;
+  try {
+    content = readFileSync(file, 'utf8');
+  } catch (err) {
+    error(`Cannot read ${file}: ${err.message}`);
+  }
+
+  const format = flags.format || (/\.(md|markdown)$/i.test(file) ? 'markdown' : 'text');
+  const doc = await apiRequest('POST', '/api/knowledge', {
+    title: flags.title || basename(file, extname(file)),
+    content,
+    format,
+    source: basename(file)
+  });
+  log(`✅ ${doc.replaced ? 'Replaced' : 'Added'} "${doc.title}" (${doc.chunkCount} chunks)`, 'green');
+}
+
+async function removeKnowledge(id) {
+  if (!id) {
+    error('Usage: remove-knowledge <id>');
+  }
+  await apiRequest('DELETE', `/api/knowledge/${encodeURIComponent(id)}`);
+  log(`✅ Document ${id} removed`, 'green');
+}
+
+async function searchKnowledge(query) {
+  if (!query) {
+    error('Usage: search-knowledge "<question>"');
+  }
+  const { results } = await apiRequest('GET', `/api/knowledge/search?q=${encodeURIComponent(query)}`);
+
+  log(`\n🔎 ${results.length} matching chunks\n`, 'bright');
+  for (const result of results) {
+    log(`${result.title} (chunk ${result.chunkId}, score ${result.score})`, 'yellow');
+    console.log(`  ${result.text.replace(/\n/g, '\n  ')}\n`);
+  }
+}
+
+async function listHandoffs(list) {
+  const { flags } = parseFlags(list);
+  const status = flags.status || 'open';
+  const handoffs = await apiRequest('GET', `/api/handoffs?status=${encodeURIComponent(status)}`);
+
+  log(`\n🙋 Handoffs (${status}): ${handoffs.length}\n`, 'bright');
+  for (const handoff of handoffs) {
+    const who = handoff.operator ? ` - ${handoff.operator}` : '';
+    log(`${handoff.phone}  [${handoff.status}${who}]  via ${handoff.source}, ${handoff.startedAt}`, handoff.status === 'waiting' ? 'yellow' : 'cyan');
+    if (handoff.reason) {
+      console.log(`  ${handoff.reason}`);
+    }
+  }
+  console.log();
+}
+
+async function takeOver(list) {
+  const { flags, rest } = parseFlags(list);
+  if (!rest[0]) {
+    error('Usage: take-over <phone> [--operator=...] [--session=...]');
+  }
+  const handoff = await apiRequest('POST', `/api/handoffs/${encodeURIComponent(rest[0])}`, {
+    operator: flags.operator || 'cli',
+    session: flags.session
+  });
+  log(`✅ ${handoff.phone} is with ${handoff.operator} - the bot is paused for this chat`, 'green');
+}
+
+async function returnToBot(list) {
+  const { flags, rest } = parseFlags(list);
+  if (!rest[0]) {
+    error('Usage: return-to-bot <phone> [--operator=...] [--session=...]');
+  }
+  await apiRequest('DELETE', `/api/handoffs/${encodeURIComponent(rest[0])}`, {
+    operator: flags.operator || 'cli',
+    session: flags.session
+  });
+  log(`✅ ${rest[0]} is back with the bot`, 'green');
+}
+
+async function listEvents(list) {
+  const { flags } = parseFlags(list);
+  const query = new URLSearchParams({ limit: flags.limit || '50' });
+  if (flags.status) query.set('status', flags.status);
+  const { events, stats } = await apiRequest('GET', `/api/events?${query}`);
+
+  log('\n📥 Incoming messages\n', 'bright');
+  console.log(`  ${Object.entries(stats).map(([status, count]) => `${status}: ${count}`).join(' | ')}\n`);
+  for (const event of events) {
+    const color = event.status === 'failed' ? 'red' : event.status === 'replied' ? 'green' : 'yellow';
+    log(`#${event.id}  ${event.chatId}  [${event.status}, ${event.attempts} attempt(s)]  ${event.receivedAt}`, color);
+    if (event.error) {
+      console.log(`  ${event.error}`);
+    }
+  }
+  console.log();
+}
+
+async function retryEvent(id) {
+  if (!id) {
+    error('Usage: retry-event <id>');
+  }
+  await apiRequest('POST', `/api/events/${encodeURIComponent(id)}/retry`);
+  log(`✅ Event #${id} queued again`, 'green');
+}
+
+function printOutboxStats(stats) {
+  console.log(`  ${Object.entries(stats).map(([status, count]) => `${status}: ${count}`).join(' | ')}\n`);
+}
+
+async function listOutbox(list) {
+  const { flags } = parseFlags(list);
+  const query = new URLSearchParams({ limit: flags.limit || '50' });
+  if (flags.status) query.set('status', flags.status);
+  if (flags.chat) query.set('chatId', flags.chat);
+  const { messages, stats } = await apiRequest('GET', `/api/outbox?${query}`);
+
+  log('\n📤 Outgoing messages\n', 'bright');
+  printOutboxStats(stats);
+  for (const message of messages) {
+    const color = message.status === 'sent' ? 'green' : 'yellow';
+    log(`#${message.id}  ${message.chatId}  ${message.kind}  [${message.status}, ${message.attempts} attempt(s)]  ${message.createdAt}`, color);
+    if (message.text) {
+      console.log(`  ${message.text.substring(0, 100)}`);
+    }
+    if (message.status === 'pending' && message.error) {
+      console.log(`  last error: ${message.error} (next attempt ${message.nextAttemptAt})`);
+    }
+  }
+  console.log();
+}
+
+async function listDeadLetters(list) {
+  const { flags } = parseFlags(list);
+  const query = new URLSearchParams({ limit: flags.limit || '50' });
+  if (flags.chat) query.set('chatId', flags.chat);
+  const { deadLetters, stats } = await apiRequest('GET', `/api/outbox/dead-letters?${query}`);
+
+  log('\n☠️  Dead letters\n', 'bright');
+  printOutboxStats(stats);
+  for (const dead of deadLetters) {
+    log(`#${dead.id}  ${dead.chatId}  ${dead.kind}  [${dead.attempts} attempt(s)]  ${dead.failedAt}`, 'red');
+    if (dead.text) {
+      console.log(`  ${dead.text.substring(0, 100)}`);
+    }
+    console.log(`  ${dead.error}`);
+  }
+  console.log();
+}
+
+async function redrive(list) {
+  const { flags, rest } = parseFlags(list);
+  if (!rest[0]) {
+    error('Usage: redrive <id|all> [--chat=...]');
+  }
+  if (rest[0] === 'all') {
+    const { messages } = await apiRequest('POST', '/api/outbox/dead-letters/redrive', { chatId: flags.chat });
+    log(`✅ ${messages.length} dead letter(s) queued again`, 'green');
+    return;
+  }
+  const { message } = await apiRequest('POST', `/api/outbox/dead-letters/${encodeURIComponent(rest[0])}/redrive`);
+  log(`✅ Dead letter #${rest[0]} queued again as #${message.id}`, 'green');
+}
+
+async function discardDeadLetter(id) {
+  if (!id) {
+    error('Usage: discard-dead-letter <id>');
+  }
+  await apiRequest('DELETE', `/api/outbox/dead-letters/${encodeURIComponent(id)}`);
+  log(`✅ Dead letter #${id} discarded`, 'green');
+}
+
+async function listAudit(list) {
+  const { flags } = parseFlags(list);
+  const query = new URLSearchParams({ limit: flags.limit || '50' });
+  for (const key of ['actor', 'action', 'target', 'from', 'to']) {
+    if (flags[key]) query.set(key, flags[key]);
+  }
+  const { entries, total } = await apiRequest('GET', `/api/audit?${query}`);
+
+  log(`\n📜 Audit log (${entries.length} of ${total})\n`, 'bright');
+  for (const entry of entries) {
+    log(`${entry.createdAt}  ${entry.actor}  ${entry.action}${entry.target ? `  → ${entry.target}` : ''}`, 'cyan');
+    if (entry.before !== null) {
+      console.log(`  before: ${JSON.stringify(entry.before)}`);
+    }
+    if (entry.after !== null) {
+      console.log(`  after:  ${JSON.stringify(entry.after)}`);
+    }
+  }
+  console.log();
+}
+
 function showHelp() {
   log('\n🤖 Gemini Bot CLI - Configuration Tool\n', 'bright');
   log('Usage:', 'cyan');
   log('  node cli.js <command> [arguments]\n');
   log('Commands:', 'cyan');
   log('  get-prompt              Get current system prompt');
-  log('  set-prompt "<prompt>"   Set new system prompt');
+  log('  set-prompt "<prompt>" [--note= --rollout=<percent>]');
+  log('                          Save a new prompt version (--rollout: only that share of new sessions)');
   log('  reset-prompt            Reset to default prompt');
+  log('  prompt-versions         List prompt versions, who made them and sessions using each');
+  log('  prompt-diff [from] [to] Diff two prompt versions (default: active vs. the one before)');
+  log('  rollback-prompt <version> [--note=]');
+  log('                          Make an old prompt version live again');
+  log('  set-rollout <percent>   Change the share of new sessions for the version being rolled out');
+  log('                          (100 = make it active, 0 = abandon it)');
   log('  config                  Get all configuration');
+  log('  list-profiles           List bot profiles and their assignments');
+  log('  get-profile <name>      Show a profile and its effective settings');
+  log('  create-profile <name> [json]   Create a profile (fields as JSON)');
+  log('  update-profile <name> <json>   Update profile fields (null resets one)');
+  log('  delete-profile <name>   Delete a profile');
+  log('  assign-profile <name> session|contact <target>');
+  log('                          Use a profile for a WAHA session or contact');
+  log('  unassign-profile session|contact <target>');
+  log('                          Remove an assignment');
+  log('  resolve-profile <phone> [session]');
+  log('                          Show which profile handles a contact');
+  log('  limits                  Show session limits and contact overrides');
+  log('  set-limits <json>       Update global limits (null resets one)');
+  log('  reset-limits            Reset global limits to default');
+  log('  set-contact-limits <phone> <json>');
+  log('                          Override limits for one contact (e.g. VIP)');
+  log('  remove-contact-limits <phone>');
+  log('                          Drop a contact\'s overrides');
+  log('  access                  Access mode, tiers, allowlist and blocklist');
+  log('  set-access-mode open|allowlist');
+  log('                          Allowlist mode: only allowlisted contacts get sessions');
+  log('  set-tier <name> <json>  Create or update a tier (limits, allowSessions)');
+  log('  delete-tier <name>      Delete a tier');
+  log('  set-contact-tier <phone> <tier> [--note=]');
+  log('                          Put a contact in a tier');
+  log('  allow|unallow <phone> [--note=]');
+  log('                          Add to / remove from the allowlist');
+  log('  block|unblock <phone> [--note=]');
+  log('                          Add to / remove from the blocklist');
+  log('  check-access <phone>    Can this contact start a session, and their limits');
+  log('  transcripts [--phone= --from= --to= --reason= --session=]');
+  log('                          List bot sessions');
+  log('  transcripts <id> [--format=text|csv|json]');
+  log('                          Print one conversation');
+  log('  tools [--session=<id> --tool=<name>]');
+  log('                          List tools and recent tool calls');
+  log('  set-business-hours <json>');
+  log('                          Hours for get_business_hours (null = closed)');
+  log('  groups                  Group chat settings and allowlist');
+  log('  set-groups <json>       Enable group chats, default session scope');
+  log('  allow-group <id@g.us> [--name= --scope=participant|group]');
+  log('                          Let the bot answer in a group');
+  log('  remove-group <id@g.us>  Take a group off the allowlist');
+  log('  knowledge               List knowledge base documents');
+  log('  add-knowledge <file> [--title= --format=]');
+  log('                          Add or replace a document (Markdown or text)');
+  log('  remove-knowledge <id>   Delete a document');
+  log('  search-knowledge "<question>"');
+  log('                          Show the chunks the bot would use');
+  log('  handoffs [--status=open|waiting|active|closed|all]');
+  log('                          Chats handed to a human');
+  log('  take-over <phone> [--operator= --session=]');
+  log('                          Pause the bot and reply yourself');
+  log('  return-to-bot <phone> [--operator= --session=]');
+  log('                          Hand the chat back to the bot');
+  log('  events [--status= --limit=]');
+  log('                          Incoming messages (received, processing, replied, ignored, failed)');
+  log('  retry-event <id>        Process a message again');
+  log('  outbox [--status= --chat= --limit=]');
+  log('                          Outgoing messages (pending, sending, sent)');
+  log('  dead-letters [--chat= --limit=]');
+  log('                          Messages that could not be sent');
+  log('  redrive <id|all> [--chat=]');
+  log('                          Send dead letters again');
+  log('  discard-dead-letter <id>');
+  log('                          Drop a dead letter without sending it');
+  log('  audit [--actor= --action= --target= --from= --to= --limit=]');
+  log('                          Who changed what, with before/after values');
   log('  help                    Show this help message\n');
   log('Environment Variables:', 'cyan');
   log('  GEMINI_BOT_URL    Bot API URL (default: http://localhost:3003)');
-  log('  WAHA_API_KEY      API key for authentication (required)\n');
+  log('  WAHA_API_KEY      API key for authentication (required)');
+  log('  AUDIT_ACTOR       Name recorded in the audit log (default: cli:<OS user>)\n');
   log('Examples:', 'cyan');
   log('  WAHA_API_KEY=mykey node cli.js get-prompt');
   log('  WAHA_API_KEY=mykey node cli.js set-prompt "אתה עוזר AI מקצועי..."');
-  log('  WAHA_API_KEY=mykey node cli.js reset-prompt\n');
+  log('  WAHA_API_KEY=mykey node cli.js reset-prompt');
+  log('  WAHA_API_KEY=mykey node cli.js set-prompt "אתה עוזר..." --note="Shorter answers" --rollout=10');
+  log('  WAHA_API_KEY=mykey node cli.js create-profile sales \'{"triggerPhrases": ["מכירות"], "maxMessagesPerSession": 40}\'');
+  log('  WAHA_API_KEY=mykey node cli.js assign-profile sales session sales-line');
+  log('  WAHA_API_KEY=mykey node cli.js set-contact-limits 972501234567 \'{"sessionTimeoutMs": 3600000, "note": "VIP"}\'');
+  log('  WAHA_API_KEY=mykey node cli.js transcripts 42 --format=csv > transcript-42.csv\n');
 }
 
 // Main
 const command = process.argv[2];
-const arg = process.argv.slice(3).join(' ');
+const args = process.argv.slice(3);
+const arg = args.join(' ');
 
 switch (command) {
   case 'get-prompt':
     getPrompt();
     break;
   case 'set-prompt':
-    setPrompt(arg);
+    setPrompt(args);
     break;
   case 'reset-prompt':
     resetPrompt();
     break;
+  case 'prompt-versions':
+    listPromptVersions();
+    break;
+  case 'prompt-diff':
+    diffPrompts(args[0], args[1]);
+    break;
+  case 'rollback-prompt':
+    rollbackPrompt(args);
+    break;
+  case 'set-rollout':
+    setRollout(args[0]);
+    break;
   case 'config':
     getConfig();
     break;
+  case 'list-profiles':
+    listProfiles();
+    break;
+  case 'get-profile':
+    getProfile(args[0]);
+    break;
+  case 'create-profile':
+    createProfile(args[0], args.slice(1).join(' '));
+    break;
+  case 'update-profile':
+    updateProfile(args[0], args.slice(1).join(' '));
+    break;
+  case 'delete-profile':
+    deleteProfile(args[0]);
+    break;
+  case 'assign-profile':
+    assignProfile(args[0], args[1], args[2]);
+    break;
+  case 'unassign-profile':
+    unassignProfile(args[0], args[1]);
+    break;
+  case 'resolve-profile':
+    resolveProfile(args[0], args[1]);
+    break;
+  case 'limits':
+    showLimits();
+    break;
+  case 'set-limits':
+    setLimits(arg);
+    break;
+  case 'reset-limits':
+    resetLimits();
+    break;
+  case 'set-contact-limits':
+    setContactLimits(args[0], args.slice(1).join(' '));
+    break;
+  case 'remove-contact-limits':
+    removeContactLimits(args[0]);
+    break;
+  case 'access':
+    showAccess();
+    break;
+  case 'set-access-mode':
+    setAccessMode(args[0]);
+    break;
+  case 'set-tier':
+    setTier(args[0], args.slice(1).join(' '));
+    break;
+  case 'delete-tier':
+    deleteTier(args[0]);
+    break;
+  case 'set-contact-tier':
+    setContactTier(args);
+    break;
+  case 'allow':
+  case 'unallow':
+  case 'block':
+  case 'unblock':
+    updateAccessList(command, args);
+    break;
+  case 'check-access':
+    checkAccess(args[0]);
+    break;
+  case 'transcripts':
+    showTranscripts(args);
+    break;
+  case 'tools':
+    showTools(args);
+    break;
+  case 'set-business-hours':
+    setBusinessHours(arg);
+    break;
+  case 'groups':
+    showGroups();
+    break;
+  case 'set-groups':
+    setGroups(arg);
+    break;
+  case 'allow-group':
+    allowGroup(args);
+    break;
+  case 'remove-group':
+    removeGroup(args[0]);
+    break;
+  case 'knowledge':
+    listKnowledge();
+    break;
+  case 'add-knowledge':
+    addKnowledge(args);
+    break;
+  case 'remove-knowledge':
+    removeKnowledge(args[0]);
+    break;
+  case 'search-knowledge':
+    searchKnowledge(arg);
+    break;
+  case 'handoffs':
+    listHandoffs(args);
+    break;
+  case 'take-over':
+    takeOver(args);
+    break;
+  case 'return-to-bot':
+    returnToBot(args);
+    break;
+  case 'events':
+    listEvents(args);
+    break;
+  case 'retry-event':
+    retryEvent(args[0]);
+    break;
+  case 'outbox':
+    listOutbox(args);
+    break;
+  case 'dead-letters':
+    listDeadLetters(args);
+    break;
+  case 'redrive':
+    redrive(args);
+    break;
+  case 'discard-dead-letter':
+    discardDeadLetter(args[0]);
+    break;
+  case 'audit':
+    listAudit(args);
+    break;
   case 'help':
   case '--help':
   case '-h':
@@ -11,9 +11,9 @@ NETWORK="waha_waha-network"
 
 echo "🚀 Hot swap deployment starting..."
 
-# 1. Build new image
+# 1. Build new image (from the repo root, for the shared waha-client)
 echo "📦 Building new image..."
-docker build -t waha-gemini-bot:new -f /opt/waha/gemini-bot/Dockerfile /opt/waha/gemini-bot
+docker build -t waha-gemini-bot:new -f /opt/waha/gemini-bot/Dockerfile /opt/waha
 
 # 2. Start new container on different port
 echo "🆕 Starting new container..."
@@ -27,7 +27,11 @@ docker run -d \
   -e WAHA_URL=http://waha:3000 \
   -e WAHA_API_KEY=$WAHA_API_KEY \
   -e GEMINI_API_KEY="${GEMINI_API_KEY}" \
-  -e GEMINI_MODEL="${GEMINI_MODEL:-gemini-2.0-flash-exp}" \
+  -e LLM_PROVIDER="${LLM_PROVIDER:-gemini}" \
+  -e GEMINI_MODEL="${GEMINI_MODEL:-gemini-2.5-flash}" \
+  -e OPENAI_BASE_URL="${OPENAI_BASE_URL:-}" \
+  -e OPENAI_API_KEY="${OPENAI_API_KEY:-}" \
+  -e OPENAI_MODEL="${OPENAI_MODEL:-}" \
   -e SYSTEM_PROMPT="${SYSTEM_PROMPT}" \
   -e ELEVENLABS_API_KEY="${ELEVENLABS_API_KEY:-}" \
   -e ELEVENLABS_VOICE_ID="${ELEVENLABS_VOICE_ID:-EXAVITQu4vr4xnSDxMaL}" \
@@ -78,7 +82,11 @@ docker run -d \
   -e WAHA_URL=http://waha:3000 \
   -e WAHA_API_KEY=$WAHA_API_KEY \
   -e GEMINI_API_KEY="${GEMINI_API_KEY}" \
-  -e GEMINI_MODEL="${GEMINI_MODEL:-gemini-2.0-flash-exp}" \
+  -e LLM_PROVIDER="${LLM_PROVIDER:-gemini}" \
+  -e GEMINI_MODEL="${GEMINI_MODEL:-gemini-2.5-flash}" \
+  -e OPENAI_BASE_URL="${OPENAI_BASE_URL:-}" \
+  -e OPENAI_API_KEY="${OPENAI_API_KEY:-}" \
+  -e OPENAI_MODEL="${OPENAI_MODEL:-}" \
   -e SYSTEM_PROMPT="${SYSTEM_PROMPT}" \
   -e ELEVENLABS_API_KEY="${ELEVENLABS_API_KEY:-}" \
   -e ELEVENLABS_VOICE_ID="${ELEVENLABS_VOICE_ID:-EXAVITQu4vr4xnSDxMaL}" \
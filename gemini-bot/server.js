@@ -1,22 +1,106 @@
 import express from 'express';
-import sessionManager, { SESSION_TIMEOUT_MS, MAX_MESSAGES_PER_SESSION } from './src/sessionManager.js';
-import { sendMessage, clearSession, healthCheck } from './src/geminiClient.js';
+import sessionManager, { chatKey, DEFAULT_LIMITS } from './src/sessionManager.js';
+import { DEFAULT_TIER } from './src/accessControl.js';
+import llm from './src/llmProvider.js';
 import * as elevenLabs from './src/elevenLabsClient.js';
+import WebhookRelay from './src/webhookRelay.js';
+import { requireWebhookSignature } from '../waha-client/webhookSignature.js';
+import ProfileManager from './src/profileManager.js';
+import Transcripts, { TRANSCRIPT_FORMATS } from './src/transcripts.js';
+import ToolRegistry from './src/toolRegistry.js';
+import registerBuiltinTools, { DEFAULT_BUSINESS_HOURS, getBusinessHours, validateBusinessHours } from './src/builtinTools.js';
+import InboundBuffer from './src/inboundBuffer.js';
+import InboundEvents, { INBOUND_STATUSES } from './src/inboundEvents.js';
+import AuditLog, { AUDIT_MAX_LIMIT } from './src/auditLog.js';
+import PromptVersions, { diffLines } from './src/promptVersions.js';
+import Outbox, { OUTBOX_STATUSES } from './src/outbox.js';
+import { createWahaClient } from '../waha-client/index.js';
+import KnowledgeBase, { KNOWLEDGE_FORMATS, withKnowledge, toSources } from './src/knowledgeBase.js';
+import {
+  DEFAULT_GROUP_CONFIG, validateGroupConfig, validateGroupEntry, getGroupConfig, getGroupSettings,
+  groupSessionKey, getParticipantPhone, getMentionedPhones, stripMention
+} from './src/groupChats.js';
 
 const app = express();
-app.use(express.json());
+// Knowledge base documents are uploaded as JSON; the raw body is kept for webhook signatures
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 
 const PORT = process.env.PORT || 3003;
 const WAHA_URL = process.env.WAHA_URL || 'http://waha:3000';
 const WAHA_API_KEY = process.env.WAHA_API_KEY;
+const DEFAULT_WAHA_SESSION = process.env.WAHA_SESSION || 'default'; // used when a webhook doesn't name its session
+const waha = createWahaClient({ baseUrl: WAHA_URL, apiKey: WAHA_API_KEY, session: DEFAULT_WAHA_SESSION, timeoutMs: 30000 });
 const DEFAULT_SYSTEM_PROMPT = process.env.SYSTEM_PROMPT || 'אתה עוזר AI ידידותי בשם הבוט של אביץ. ענה בעברית בצורה תמציתית וידידותית.';
 
+// Shared secret WAHA signs webhooks with (WHATSAPP_HOOK_HMAC_KEY); unset = signatures not checked
+const WEBHOOK_HMAC_KEY = process.env.WEBHOOK_HMAC_KEY || '';
+const verifyWebhookSignature = requireWebhookSignature(WEBHOOK_HMAC_KEY, {
+  maxAgeMs: parseInt(process.env.WEBHOOK_MAX_AGE_MS || '300000')
+});
+
+// Fan-out relay: WAHA events are recorded once and forwarded to every subscriber (signed with the same secret)
+const webhookRelay = new WebhookRelay(sessionManager.db, { hmacKey: WEBHOOK_HMAC_KEY || null });
+webhookRelay.seedSubscribers(process.env.WEBHOOK_SUBSCRIBERS);
+
+// Bot personas, selectable per WAHA session or per contact
+const profileManager = new ProfileManager(sessionManager.db);
+
+// Read-only view over stored conversations, for audits and support
+const transcripts = new Transcripts(sessionManager.db);
+
+// Server-side tools the LLM can call (enabled per bot profile)
+const toolRegistry = registerBuiltinTools(new ToolRegistry(sessionManager.db), { sessionManager, startHandoff });
+
+// Tools for the built-in persona: BOT_TOOLS (comma-separated) or every registered tool
+const DEFAULT_TOOLS = process.env.BOT_TOOLS
+  ? process.env.BOT_TOOLS.split(',').map(t => t.trim()).filter(Boolean)
+  : toolRegistry.names();
+
+// Documents the bot answers from; the best-matching chunks are added to each message
+const knowledgeBase = new KnowledgeBase(sessionManager.db);
+const KNOWLEDGE_TOP_K = parseInt(process.env.KNOWLEDGE_TOP_K || '3'); // 0 disables retrieval
+
+// Every incoming message is stored (and deduplicated by WAHA message id) before it's answered
+const inboundEvents = new InboundEvents(sessionManager.db);
+
+// Who changed what through the API (append-only)
+const auditLog = new AuditLog(sessionManager.db);
+
+// Everything the bot sends is stored first: retried with backoff if WAHA fails, dead-lettered if it can't be sent
+const outbox = new Outbox(sessionManager.db, {
+  transport: ({ kind, chatId, wahaSession, payload, replyTo }) => {
+    if (kind === 'voice') {
+      return waha.sendVoice(chatId, { ...payload, filename: 'voice.mp3' }, { session: wahaSession, replyTo });
+    }
+    rememberBotText(chatId, payload.text);
+    return waha.sendText(chatId, payload.text, { session: wahaSession, replyTo });
+  }
+});
+
+// Numbered system prompt versions, with staged rollout; a prompt stored before versioning becomes v1
+const promptVersions = new PromptVersions(sessionManager.db);
+if (promptVersions.importLegacy(sessionManager.getConfig('system_prompt'))) {
+  sessionManager.db.prepare('DELETE FROM bot_config WHERE key = ?').run('system_prompt');
+  console.log('[Config] Stored system prompt imported as version 1');
+}
+
+// Messages wait per chat (chat id on one of our numbers) until it's been quiet for INBOUND_QUIET_MS
+// (at most INBOUND_MAX_WAIT_MS), then go to the LLM as one turn; a chat's replies never overlap
+const inboundBuffer = new InboundBuffer((key, items) => handleInbound(items), {
+  quietMs: parseInt(process.env.INBOUND_QUIET_MS || '2500'),
+  maxWaitMs: parseInt(process.env.INBOUND_MAX_WAIT_MS || '10000')
+});
+
 /**
- * Get the effective system prompt (from DB or default)
+ * Get the effective system prompt (the active version or default)
  */
 function getSystemPrompt() {
-  const dbPrompt = sessionManager.getConfig('system_prompt');
-  return dbPrompt || DEFAULT_SYSTEM_PROMPT;
+  return promptVersions.getActive()?.prompt || DEFAULT_SYSTEM_PROMPT;
 }
 
 /**
@@ -30,6 +114,33 @@ function requireApiKey(req, res, next) {
   next();
 }
 
+/**
+ * Who made an API call: X-Actor (chatty sends the signed-in user, the CLI the OS user) - it's only
+ * as trustworthy as whoever holds the API key - else 'api-key'
+ */
+function getActor(req) {
+  return String(req.headers['x-actor'] || 'api-key').slice(0, 100);
+}
+
+/**
+ * Record a change in the audit log, by getActor(req).
+ * The action is the method and route, e.g. "PUT /api/config/system-prompt"
+ */
+function audit(req, target = null, before = null, after = null) {
+  try {
+    auditLog.record({
+      actor: getActor(req),
+      action: `${req.method} ${req.route?.path || req.path}`,
+      target,
+      before,
+      after,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('[Audit] Failed to record:', error.message);
+  }
+}
+
 // Recording indicator settings
 const RECORDING_DURATION_MIN = 2000;  // min recording indicator duration
 const RECORDING_DURATION_MAX = 5000;  // max recording indicator duration
@@ -40,6 +151,14 @@ const SESSION_TRIGGER = 'הבוט של אביץ';
 // End keywords to close session
 const END_KEYWORDS = ['end', 'stop', 'bye', 'quit', 'exit', 'סיום', 'ביי', 'יציאה'];
 
+// Keywords that hand an active session to a human operator (HANDOFF_KEYWORDS, comma-separated)
+const HANDOFF_KEYWORDS = process.env.HANDOFF_KEYWORDS
+  ? process.env.HANDOFF_KEYWORDS.split(',').map(k => k.trim()).filter(Boolean)
+  : ['נציג', 'נציגה', 'בן אדם', 'human', 'representative'];
+
+// Phones that get a WhatsApp message when a contact asks for a human (comma-separated)
+const HANDOFF_NOTIFY_PHONES = (process.env.HANDOFF_NOTIFY_PHONES || '').split(',').map(p => p.replace(/\D/g, '')).filter(Boolean);
+
 // Typing speed simulation (characters per second, human-like range)
 const TYPING_SPEED_MIN = 30;  // slow typer
 const TYPING_SPEED_MAX = 60;  // fast typer
@@ -49,6 +168,9 @@ const TYPING_PAUSE_CHANCE = 0.3;  // 30% chance to pause while typing
 const TYPING_PAUSE_MIN = 800;     // min pause duration
 const TYPING_PAUSE_MAX = 2500;    // max pause duration
 
+// Multiplies every human-like delay (reading, typing, pauses); 0 replies at once (offline dialogue tests)
+const HUMAN_DELAY_SCALE = parseFloat(process.env.HUMAN_DELAY_SCALE || '1');
+
 /**
  * Generate random delay in ms (for human-like behavior)
  */
@@ -57,10 +179,10 @@ function randomDelay(min, max) {
 }
 
 /**
- * Sleep for specified milliseconds
+ * Sleep for specified milliseconds (scaled by HUMAN_DELAY_SCALE)
  */
 function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+  return new Promise(resolve => setTimeout(resolve, ms * HUMAN_DELAY_SCALE));
 }
 
 /**
@@ -72,10 +194,11 @@ function shouldHappen(probability) {
 
 /**
  * Build footer showing remaining messages/time - only what's relevant
+ * Thresholds shrink with the effective limits, so short sessions don't always show it
  */
-function buildRemainingFooter(remaining, timeRemainingMin, timeRemainingMs) {
-  const lowMessages = remaining <= 3;
-  const lowTime = timeRemainingMin <= 5;
+function buildRemainingFooter(remaining, timeRemainingMs, limits) {
+  const lowMessages = remaining <= Math.min(3, Math.floor(limits.maxMessagesPerSession / 2));
+  const lowTime = timeRemainingMs <= Math.min(5 * 60000, limits.sessionTimeoutMs / 2);
 
   if (!lowMessages && !lowTime) {
     return '';
@@ -133,24 +256,9 @@ function calculateTypingSegments(text) {
 /**
  * Mark message as seen (read receipts)
  */
-async function markAsSeen(chatId) {
-  try {
-    const response = await fetch(`${WAHA_URL}/api/sendSeen`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': WAHA_API_KEY
-      },
-      body: JSON.stringify({
-        session: 'default',
-        chatId: chatId
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Failed to mark as seen:', await response.text());
-      return false;
-    }
+async function markAsSeen(chatId, session = DEFAULT_WAHA_SESSION) {
+  try {
+    await waha.sendSeen(chatId, { session });
     console.log(`[${chatId}] Marked as seen`);
     return true;
   } catch (error) {
@@ -162,24 +270,9 @@ async function markAsSeen(chatId) {
 /**
  * Start typing indicator
  */
-async function startTyping(chatId) {
-  try {
-    const response = await fetch(`${WAHA_URL}/api/startTyping`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': WAHA_API_KEY
-      },
-      body: JSON.stringify({
-        session: 'default',
-        chatId: chatId
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Failed to start typing:', await response.text());
-      return false;
-    }
+async function startTyping(chatId, session = DEFAULT_WAHA_SESSION) {
+  try {
+    await waha.startTyping(chatId, { session });
     console.log(`[${chatId}] Started typing`);
     return true;
   } catch (error) {
@@ -191,24 +284,9 @@ async function startTyping(chatId) {
 /**
  * Stop typing indicator
  */
-async function stopTyping(chatId) {
-  try {
-    const response = await fetch(`${WAHA_URL}/api/stopTyping`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': WAHA_API_KEY
-      },
-      body: JSON.stringify({
-        session: 'default',
-        chatId: chatId
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Failed to stop typing:', await response.text());
-      return false;
-    }
+async function stopTyping(chatId, session = DEFAULT_WAHA_SESSION) {
+  try {
+    await waha.stopTyping(chatId, { session });
     return true;
   } catch (error) {
     console.error('Error stopping typing:', error.message);
@@ -219,24 +297,9 @@ async function stopTyping(chatId) {
 /**
  * Start recording indicator (for voice messages)
  */
-async function startRecording(chatId) {
-  try {
-    const response = await fetch(`${WAHA_URL}/api/default/presence`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': WAHA_API_KEY
-      },
-      body: JSON.stringify({
-        chatId: chatId,
-        presence: 'recording'
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Failed to start recording:', await response.text());
-      return false;
-    }
+async function startRecording(chatId, session = DEFAULT_WAHA_SESSION) {
+  try {
+    await waha.setPresence(chatId, 'recording', { session });
     console.log(`[${chatId}] Started recording indicator`);
     return true;
   } catch (error) {
@@ -246,58 +309,44 @@ async function startRecording(chatId) {
 }
 
 /**
- * Send a voice message via WAHA API
+ * Hand a message to the outbox
+ * @param {object} data - { kind, chatId, wahaSession, payload, replyTo, key } (see Outbox.enqueue)
+ * @returns {boolean} Whether it went out now; if not, it is retried with backoff or dead-lettered
  */
-async function sendVoiceMessage(chatId, audioBase64, mimetype = 'audio/mpeg') {
+async function sendThroughOutbox(data) {
   try {
-    const response = await fetch(`${WAHA_URL}/api/sendVoice`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': WAHA_API_KEY
-      },
-      body: JSON.stringify({
-        session: 'default',
-        chatId: chatId,
-        file: {
-          mimetype: mimetype,
-          filename: 'voice.mp3',
-          data: audioBase64
-        }
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Failed to send voice message:', await response.text());
-      return false;
-    }
-    console.log(`[${chatId}] Voice message sent`);
-    return true;
+    const { message } = await outbox.send(data);
+    return message.status === 'sent';
   } catch (error) {
-    console.error('Error sending voice message:', error.message);
+    console.error(`[Outbox] Could not queue a message to ${data.chatId}:`, error.message);
     return false;
   }
 }
 
+/**
+ * Send a voice message via WAHA API (through the outbox)
+ */
+async function sendVoiceMessage(chatId, audioBase64, mimetype = 'audio/mpeg', session = DEFAULT_WAHA_SESSION, replyTo = null, idempotencyKey = null) {
+  const sent = await sendThroughOutbox({
+    kind: 'voice',
+    chatId,
+    wahaSession: session,
+    payload: { mimetype, data: audioBase64 },
+    replyTo,
+    key: idempotencyKey
+  });
+  if (sent) {
+    console.log(`[${chatId}] Voice message sent`);
+  }
+  return sent;
+}
+
 /**
  * Download media from WAHA
  */
-async function downloadMedia(messageId) {
+async function downloadMedia(messageId, session = DEFAULT_WAHA_SESSION) {
   try {
-    const response = await fetch(`${WAHA_URL}/api/default/messages/${messageId}/download`, {
-      method: 'GET',
-      headers: {
-        'X-Api-Key': WAHA_API_KEY
-      }
-    });
-
-    if (!response.ok) {
-      console.error('Failed to download media:', await response.text());
-      return null;
-    }
-
-    const data = await response.json();
-    return data;
+    return await waha.downloadMedia(messageId, { session });
   } catch (error) {
     console.error('Error downloading media:', error.message);
     return null;
@@ -306,12 +355,14 @@ async function downloadMedia(messageId) {
 
 /**
  * Send a WhatsApp message via WAHA API with human-like behavior
+ * @param {string} [replyTo] - Message id to quote (group replies)
+ * @param {string} [idempotencyKey] - Outbox key; a message whose key was used before isn't sent again
  */
-async function sendWhatsAppMessage(chatId, text) {
+async function sendWhatsAppMessage(chatId, text, session = DEFAULT_WAHA_SESSION, replyTo = null, idempotencyKey = null) {
   try {
     // 1. Mark message as seen first (with small random delay)
     await sleep(randomDelay(300, 800));
-    await markAsSeen(chatId);
+    await markAsSeen(chatId, session);
 
     // 2. Random pause before starting to type (reading/thinking time)
     const readingTime = randomDelay(800, 2500);
@@ -328,47 +379,33 @@ async function sendWhatsAppMessage(chatId, text) {
       const segment = segments[i];
 
       // Start typing
-      await startTyping(chatId);
+      await startTyping(chatId, session);
 
       // Type for segment duration
       await sleep(segment.duration);
 
       // If there's a pause after this segment, stop typing and pause
       if (segment.pauseAfter > 0) {
-        await stopTyping(chatId);
+        await stopTyping(chatId, session);
         console.log(`[${chatId}] Pausing (thinking)...`);
         await sleep(segment.pauseAfter);
       }
     }
 
     // 5. Stop typing
-    await stopTyping(chatId);
+    await stopTyping(chatId, session);
 
     // 6. Random delay before sending (reviewing message, like hovering over send)
     const preSendDelay = randomDelay(300, 1200);
     console.log(`[${chatId}] Reviewing before send (${preSendDelay}ms)...`);
     await sleep(preSendDelay);
 
-    // 7. Send the message
-    const response = await fetch(`${WAHA_URL}/api/sendText`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': WAHA_API_KEY
-      },
-      body: JSON.stringify({
-        session: 'default',
-        chatId: chatId,
-        text: text
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Failed to send WhatsApp message:', await response.text());
-      return false;
+    // 7. Send the message (the outbox retries it if WAHA fails)
+    const sent = await sendThroughOutbox({ kind: 'text', chatId, wahaSession: session, payload: { text }, replyTo, key: idempotencyKey });
+    if (sent) {
+      console.log(`[${chatId}] Message sent`);
     }
-    console.log(`[${chatId}] Message sent`);
-    return true;
+    return sent;
   } catch (error) {
     console.error('Error sending WhatsApp message:', error.message);
     return false;
@@ -378,29 +415,12 @@ async function sendWhatsAppMessage(chatId, text) {
 /**
  * Quick response without full human simulation (for system messages)
  */
-async function sendQuickMessage(chatId, text) {
+async function sendQuickMessage(chatId, text, session = DEFAULT_WAHA_SESSION, replyTo = null, idempotencyKey = null) {
   try {
-    await markAsSeen(chatId);
+    await markAsSeen(chatId, session);
     await sleep(randomDelay(200, 500));
 
-    const response = await fetch(`${WAHA_URL}/api/sendText`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'X-Api-Key': WAHA_API_KEY
-      },
-      body: JSON.stringify({
-        session: 'default',
-        chatId: chatId,
-        text: text
-      })
-    });
-
-    if (!response.ok) {
-      console.error('Failed to send WhatsApp message:', await response.text());
-      return false;
-    }
-    return true;
+    return await sendThroughOutbox({ kind: 'text', chatId, wahaSession: session, payload: { text }, replyTo, key: idempotencyKey });
   } catch (error) {
     console.error('Error sending WhatsApp message:', error.message);
     return false;
@@ -410,11 +430,11 @@ async function sendQuickMessage(chatId, text) {
 /**
  * Send a voice message with human-like recording behavior
  */
-async function sendWhatsAppVoiceMessage(chatId, text) {
+async function sendWhatsAppVoiceMessage(chatId, text, session = DEFAULT_WAHA_SESSION, voiceId = null, replyTo = null, idempotencyKey = null) {
   try {
     // 1. Mark message as seen
     await sleep(randomDelay(300, 800));
-    await markAsSeen(chatId);
+    await markAsSeen(chatId, session);
 
     // 2. Thinking time before recording
     const thinkingTime = randomDelay(800, 2000);
@@ -423,15 +443,15 @@ async function sendWhatsAppVoiceMessage(chatId, text) {
 
     // 3. Generate audio with ElevenLabs
     console.log(`[${chatId}] Generating voice with ElevenLabs...`);
-    const audio = await elevenLabs.generateSpeech(text);
+    const audio = await elevenLabs.generateSpeech(text, voiceId || undefined);
 
     if (!audio) {
       console.log(`[${chatId}] Voice generation failed, falling back to text`);
-      return sendWhatsAppMessage(chatId, text);
+      return sendWhatsAppMessage(chatId, text, session, replyTo, idempotencyKey);
     }
 
     // 4. Show recording indicator
-    await startRecording(chatId);
+    await startRecording(chatId, session);
 
     // 5. Wait based on audio size (simulate recording time)
     const recordingTime = randomDelay(RECORDING_DURATION_MIN, RECORDING_DURATION_MAX);
@@ -439,18 +459,18 @@ async function sendWhatsAppVoiceMessage(chatId, text) {
     await sleep(recordingTime);
 
     // 6. Stop presence indicator
-    await stopTyping(chatId);
+    await stopTyping(chatId, session);
 
     // 7. Small delay before sending
     await sleep(randomDelay(200, 500));
 
     // 8. Send voice message
-    return sendVoiceMessage(chatId, audio.base64, audio.mimetype);
+    return sendVoiceMessage(chatId, audio.base64, audio.mimetype, session, replyTo, idempotencyKey);
 
   } catch (error) {
     console.error('Error sending voice message:', error.message);
     // Fallback to text
-    return sendWhatsAppMessage(chatId, text);
+    return sendWhatsAppMessage(chatId, text, session, replyTo, idempotencyKey);
   }
 }
 
@@ -458,30 +478,237 @@ async function sendWhatsAppVoiceMessage(chatId, text) {
 const VOICE_REPLY_CHANCE_NORMAL = 0.10;  // 10% for text messages
 const VOICE_REPLY_CHANCE_TO_VOICE = 0.70; // 70% when replying to voice
 
+/**
+ * Built-in persona, used for anything a bot profile doesn't override
+ */
+function getBaseProfile() {
+  return {
+    id: null,
+    name: 'built-in',
+    triggerPhrases: [SESSION_TRIGGER],
+    endKeywords: END_KEYWORDS,
+    handoffKeywords: HANDOFF_KEYWORDS,
+    systemPrompt: getSystemPrompt(),
+    promptVersion: promptVersions.getRollout().activeVersion, // null = default prompt
+    model: null, // LLM provider default
+    voiceEnabled: true,
+    voiceId: null, // ElevenLabs client default
+    voiceReplyChance: VOICE_REPLY_CHANCE_NORMAL,
+    voiceReplyToVoiceChance: VOICE_REPLY_CHANCE_TO_VOICE,
+    tools: DEFAULT_TOOLS,
+    ...sessionManager.limits.getGlobal()
+  };
+}
+
+/**
+ * Merge a stored profile over the built-in one (unset fields keep the built-in value)
+ */
+function getEffectiveProfile(profile) {
+  const effective = getBaseProfile();
+  if (!profile) return effective;
+  for (const [key, value] of Object.entries(profile)) {
+    if (value !== null && key in effective) effective[key] = value;
+  }
+  // A profile's own prompt isn't versioned
+  if (profile.systemPrompt) effective.promptVersion = null;
+  return effective;
+}
+
+/**
+ * Answer with a system prompt version (null = the default prompt), unless the stored profile has its own prompt
+ */
+function withPromptVersion(effective, profile, version) {
+  if (profile?.systemPrompt) return effective;
+  return { ...effective, systemPrompt: version?.prompt || DEFAULT_SYSTEM_PROMPT, promptVersion: version?.version ?? null };
+}
+
+/**
+ * Profile for an incoming chat - an open session keeps the profile and prompt version it started with;
+ * a new one gets the version picked by the rollout.
+ * Limits are the live effective ones, so per-contact overrides (VIPs) always apply
+ */
+function getProfileForChat(phone, wahaSession, activeSession) {
+  if (activeSession) {
+    const profile = activeSession.profileId ? profileManager.get(activeSession.profileId) : null;
+    const effective = activeSession.promptVersion
+      ? withPromptVersion(getEffectiveProfile(profile), profile, promptVersions.get(activeSession.promptVersion))
+      : getEffectiveProfile(profile);
+    return { ...effective, ...sessionManager.getLimits(phone, wahaSession) };
+  }
+  const profile = profileManager.resolve(phone, wahaSession);
+  const effective = withPromptVersion(getEffectiveProfile(profile), profile, promptVersions.pick());
+  return { ...effective, ...sessionManager.getLimits(phone, wahaSession, profile || {}) };
+}
+
+/**
+ * Tool options for an LLM turn: the profile's tools, run in the context of this chat
+ */
+function getToolOptions(phone, chatId, wahaSession, profile, sessionKey = phone) {
+  // Handoffs are for direct chats; in a group the contact is a participant
+  const enabledTools = chatId.endsWith('@g.us') ? profile.tools.filter(name => name !== 'request_human') : profile.tools;
+  const context = {
+    phone,
+    chatId,
+    wahaSession,
+    sessionKey,
+    sessionId: sessionManager.activeSessions.get(chatKey(sessionKey, wahaSession))?.sessionId ?? null,
+    enabledTools
+  };
+  return {
+    tools: toolRegistry.declarations(enabledTools),
+    runTool: (name, args) => toolRegistry.execute(name, args, context)
+  };
+}
+
+/**
+ * Reject tool names that aren't registered (profiles are saved before they're used)
+ */
+function findUnknownTools(data) {
+  return Array.isArray(data.tools) ? data.tools.filter(name => !toolRegistry.has(name)) : [];
+}
+
+// ============================================
+// Group chats
+// ============================================
+
+// Our own number per WAHA session, to spot @mentions of the bot in groups
+const botPhones = new Map();
+
+async function getBotPhone(session) {
+  if (botPhones.has(session)) return botPhones.get(session);
+  try {
+    const me = await waha.getMe({ session, timeoutMs: 5000, retries: 0 });
+    const phone = String(me?.id || '').split('@')[0].replace(/\D/g, '');
+    if (phone) botPhones.set(session, phone);
+    return phone || null;
+  } catch (error) {
+    console.error(`[Groups] Could not look up the number of session "${session}":`, error.message);
+    return null;
+  }
+}
+
+// ============================================
+// Human handoff
+// ============================================
+
+// Texts the bot sent recently, per chat: their fromMe echoes aren't operator replies
+const OWN_ECHO_TTL_MS = 2 * 60 * 1000;
+const recentBotTexts = new Map();
+
+function rememberBotText(chatId, text) {
+  const now = Date.now();
+  const texts = (recentBotTexts.get(chatId) || []).filter(t => now - t.at < OWN_ECHO_TTL_MS);
+  texts.push({ text, at: now });
+  recentBotTexts.set(chatId, texts);
+}
+
+function isOwnEcho(chatId, text) {
+  const texts = recentBotTexts.get(chatId) || [];
+  const index = texts.findIndex(t => t.text === text && Date.now() - t.at < OWN_ECHO_TTL_MS);
+  if (index === -1) return false;
+  texts.splice(index, 1);
+  return true;
+}
+
+/**
+ * Tell operators about a handoff change: a 'bot.handoff' event through the webhook
+ * relay (chatty shows it in Chats), and WhatsApp messages to HANDOFF_NOTIFY_PHONES
+ * when a contact asks for a human
+ * @param {string} action - started, taken or ended
+ */
+function notifyHandoff(handoff, action) {
+  try {
+    webhookRelay.record({ event: 'bot.handoff', timestamp: Date.now(), session: handoff.wahaSession, payload: { action, ...handoff } });
+    webhookRelay.dispatch().catch(error => console.error('[Relay] Dispatch error:', error.message));
+  } catch (error) {
+    console.error('[Handoff] Failed to record event:', error.message);
+  }
+
+  if (action === 'started' && handoff.source !== 'operator') {
+    const text = `🙋 ${handoff.phone} מבקש/ת נציג אנושי${handoff.reason ? `\nסיבה: ${handoff.reason}` : ''}`;
+    for (const notifyPhone of HANDOFF_NOTIFY_PHONES) {
+      sendQuickMessage(`${notifyPhone}@c.us`, text, handoff.wahaSession)
+        .catch(error => console.error('[Handoff] Failed to notify operator:', error.message));
+    }
+  }
+}
+
+/**
+ * Hand a chat to a human (keyword, LLM tool or operator) and notify operators
+ * @param {object} options - { chatId, wahaSession, source, reason, operator }
+ */
+function startHandoff(phone, options) {
+  const handoff = sessionManager.startHandoff(phone, options);
+  if (handoff.created) {
+    console.log(`[${phone}] 🙋 Handed off to a human (${handoff.source}${handoff.reason ? `: ${handoff.reason}` : ''})`);
+    notifyHandoff(handoff, handoff.status === 'active' ? 'taken' : 'started');
+  } else if (handoff.status === 'active' && options.operator) {
+    notifyHandoff(handoff, 'taken');
+  }
+  return handoff;
+}
+
+/**
+ * Give a chat back to the bot; its LLM chat is rebuilt with the operator's turns
+ */
+function endHandoff(phone, wahaSession, endedBy) {
+  const handoff = sessionManager.endHandoff(phone, wahaSession, endedBy);
+  if (handoff) {
+    llm.clearSession(chatKey(phone, wahaSession));
+    console.log(`[${phone}] 🤖 Back to the bot (${endedBy})`);
+    notifyHandoff(handoff, 'ended');
+  }
+  return handoff;
+}
+
+/**
+ * Operator replies (our own fromMe messages) during a handoff become operator turns.
+ * A reply to a waiting handoff means someone took it from the phone.
+ */
+function recordOperatorMessage(message, wahaSession) {
+  const chatId = message.to || message.chatId;
+  if (!chatId || chatId.includes('@g.us')) return;
+
+  const phone = chatId.replace('@c.us', '');
+  const handoff = sessionManager.getHandoff(phone, wahaSession);
+  const text = message.body || message.text || '';
+  if (!handoff || !text.trim() || isOwnEcho(chatId, text)) return;
+
+  if (handoff.status === 'waiting') {
+    notifyHandoff(sessionManager.handoffs.take(phone, wahaSession, 'whatsapp'), 'taken');
+  }
+  sessionManager.recordTurn(phone, wahaSession, 'operator', text);
+  console.log(`[${phone}] 👤 Operator: ${text.substring(0, 50)}...`);
+}
+
 /**
  * Send response - randomly chooses voice or text
  * @param {string} chatId - Chat ID to send to
  * @param {string} text - Text to send
  * @param {boolean} replyingToVoice - Whether we're replying to a voice message
+ * @param {string} session - WAHA session (WhatsApp number) to reply through
+ * @param {object} profile - Effective bot profile (voice settings)
+ * @param {string} replyTo - Message id to quote (group replies)
+ * @param {string} idempotencyKey - Outbox key (see sendWhatsAppMessage)
  */
-async function sendResponse(chatId, text, replyingToVoice = false) {
+async function sendResponse(chatId, text, replyingToVoice = false, session = DEFAULT_WAHA_SESSION, profile = getBaseProfile(), replyTo = null, idempotencyKey = null) {
   // Determine voice chance based on context
-  const voiceChance = replyingToVoice ? VOICE_REPLY_CHANCE_TO_VOICE : VOICE_REPLY_CHANCE_NORMAL;
+  const voiceChance = replyingToVoice ? profile.voiceReplyToVoiceChance : profile.voiceReplyChance;
 
-  // Check if ElevenLabs is enabled and random chance
-  if (elevenLabs.isEnabled() && Math.random() < voiceChance) {
+  // Check if ElevenLabs is enabled for this profile and random chance
+  if (profile.voiceEnabled && elevenLabs.isEnabled() && Math.random() < voiceChance) {
     console.log(`[${chatId}] Sending as voice message (${replyingToVoice ? 'replying to voice' : 'random'})`);
-    return sendWhatsAppVoiceMessage(chatId, text);
+    return sendWhatsAppVoiceMessage(chatId, text, session, profile.voiceId, replyTo, idempotencyKey);
   }
 
   // Send as text
-  return sendWhatsAppMessage(chatId, text);
+  return sendWhatsAppMessage(chatId, text, session, replyTo, idempotencyKey);
 }
 
 /**
  * Transcribe voice message to text
  */
-async function transcribeVoiceMessage(message) {
+async function transcribeVoiceMessage(message, session = DEFAULT_WAHA_SESSION) {
   if (!elevenLabs.isEnabled()) {
     return null;
   }
@@ -493,18 +720,15 @@ async function transcribeVoiceMessage(message) {
 
     if (!mediaUrl) {
       // Try to download via message ID
-      const mediaData = await downloadMedia(message.id);
+      const mediaData = await downloadMedia(message.id, session);
       if (mediaData?.data) {
         return elevenLabs.transcribeAudio(mediaData.data, mimetype);
       }
       return null;
     }
 
-    // Download audio from URL
-    const audioBuffer = await elevenLabs.downloadAudio(mediaUrl);
-    if (!audioBuffer) {
-      return null;
-    }
+    // Download audio from URL (WAHA media URLs need the API key)
+    const audioBuffer = Buffer.from(await waha.fetchMedia(mediaUrl));
 
     // Transcribe
     return elevenLabs.transcribeAudio(audioBuffer, mimetype);
@@ -525,16 +749,40 @@ function formatTimeRemaining(ms) {
 }
 
 /**
- * Get welcome message when session starts
+ * Format a limit duration for user display (Hebrew), e.g. "10 דקות", "שעה", "3 שעות"
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes % 60 !== 0) {
+    return minutes === 1 ? 'דקה' : `${minutes} דקות`;
+  }
+  const hours = minutes / 60;
+  if (hours === 1) return 'שעה';
+  if (hours === 2) return 'שעתיים';
+  return `${hours} שעות`;
+}
+
+/**
+ * Tell the user when they can start over, based on their effective rate limit
+ */
+function getRestartText(phone, wahaSession, restartHint, rateLimitMs) {
+  const canStart = sessionManager.canStartSession(phone, wahaSession, rateLimitMs);
+  if (canStart.allowed) {
+    return `תוכל/י להתחיל שיחה חדשה עם "${restartHint}"`;
+  }
+  return `תוכל/י להתחיל שיחה חדשה בעוד ${formatDuration(canStart.waitMinutes * 60000)} עם "${restartHint}"`;
+}
+
+/**
+ * Get welcome message when session starts (limits are the effective ones for the contact)
  */
-function getWelcomeMessage() {
-  const timeoutMinutes = Math.floor(SESSION_TIMEOUT_MS / 60000);
+function getWelcomeMessage(limits) {
+  const rateLine = limits.rateLimitMs > 0 ? `\n• שיחה אחת כל ${formatDuration(limits.rateLimitMs)}` : '';
   return `🤖 *הבוט של אביץ' - שיחה התחילה!*
 
 📝 מגבלות השיחה:
-• עד ${MAX_MESSAGES_PER_SESSION} הודעות
-• זמן קצוב: ${timeoutMinutes} דקות
-• שיחה אחת בשעה
+• עד ${limits.maxMessagesPerSession} הודעות
+• זמן קצוב: ${formatDuration(limits.sessionTimeoutMs)}${rateLine}
 
 שלח/י הודעה כדי להתחיל.
 שלח/י "סיום" לסיום השיחה.`;
@@ -543,210 +791,444 @@ function getWelcomeMessage() {
 /**
  * Handle incoming webhook from WAHA
  */
-app.post('/webhook', async (req, res) => {
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
+  // Store messages before acknowledging, so a crash can't lose them. WAHA's retries of a
+  // message we already have are acknowledged and dropped - not relayed or answered again.
+  let inbound = null;
+  try {
+    inbound = inboundEvents.receive(req.body);
+  } catch (error) {
+    console.error('[Events] Failed to record event:', error.message);
+  }
+  if (inbound?.duplicate) {
+    console.log(`[Events] Duplicate message ${inbound.messageId} dropped`);
+    return res.sendStatus(200);
+  }
+
+  // Record the event for subscribers before acknowledging, so a crash can't lose it
+  try {
+    webhookRelay.record(req.body);
+  } catch (error) {
+    console.error('[Relay] Failed to record event:', error.message);
+  }
+
   // Respond immediately to webhook (don't block WAHA)
   res.sendStatus(200);
+  webhookRelay.dispatch().catch(error => console.error('[Relay] Dispatch error:', error.message));
 
-  try {
-    const { event, payload } = req.body;
+  await processEvent(req.body, inbound?.id ?? null);
+});
 
-    // Only process 'message' events (ignore 'message.any' to prevent duplicates)
-    if (event !== 'message') {
-      return;
+/**
+ * Process a stored webhook event: its message is queued for its chat, or the event is
+ * marked ignored when it isn't for the bot (also used to resume events after a restart)
+ */
+async function processEvent(body, eventId = null) {
+  try {
+    const queued = await queueMessage(body, eventId);
+    if (!queued && eventId) {
+      inboundEvents.finish([eventId], 'ignored');
+    }
+  } catch (error) {
+    console.error('Webhook error:', error);
+    if (eventId) {
+      inboundEvents.finish([eventId], 'failed', error.message);
     }
+  }
+}
 
-    // Extract message details
-    const message = payload;
-    const chatId = message.from || message.chatId;
+/**
+ * Extract, filter and transcribe a WAHA event's message, then queue it for its chat
+ * @returns {boolean} Whether the message was queued
+ */
+async function queueMessage(body, eventId) {
+  const { event, payload } = body;
+  // Reply through the same WhatsApp number the message arrived on
+  const wahaSession = body.session || DEFAULT_WAHA_SESSION;
+
+  // What operators send during a handoff arrives as our own messages on 'message.any'
+  if (event === 'message.any' && payload?.fromMe) {
+    recordOperatorMessage(payload, wahaSession);
+    return;
+  }
 
-    // Skip group messages (only handle individual chats)
-    if (!chatId || chatId.includes('@g.us')) {
-      return;
-    }
+  // Only process 'message' events (ignore 'message.any' to prevent duplicates)
+  if (event !== 'message') {
+    return;
+  }
+
+  // Extract message details
+  const message = payload;
+  const chatId = message.from || message.chatId;
+
+  // Skip messages from self
+  if (!chatId || message.fromMe) {
+    return;
+  }
 
-    // Skip messages from self
-    if (message.fromMe) {
+  // Extract phone number (remove @c.us suffix). Sessions are keyed by it; in a group
+  // the key is the group or group/participant and the contact is the participant.
+  const isGroup = chatId.endsWith('@g.us');
+  let phone = chatId.replace('@c.us', '');
+  let contactPhone = phone;
+  let replyTo = null;
+  let botPhone = null;
+  let mentioned = false;
+  let senderName = null;
+
+  if (isGroup) {
+    // Groups are opt-in, one by one
+    const group = getGroupSettings(getGroupConfig(key => sessionManager.getConfig(key)), chatId);
+    contactPhone = getParticipantPhone(message);
+    if (!group || !contactPhone) {
       return;
     }
+    botPhone = await getBotPhone(wahaSession);
+    mentioned = !!botPhone && getMentionedPhones(message).has(botPhone);
+    phone = groupSessionKey(chatId, contactPhone, group.sessionScope);
+    replyTo = message.id || null;
+    // Everyone shares a group session, so the model needs to know who is talking
+    if (group.sessionScope === 'group') {
+      senderName = message._data?.notifyName || message.notifyName || contactPhone;
+    }
+  }
+
+  // Check message type - handle voice messages
+  const messageType = message.type || message.messageType || 'text';
+  const isVoiceMessage = messageType === 'ptt' || messageType === 'audio';
 
-    // Extract phone number (remove @c.us suffix)
-    const phone = chatId.replace('@c.us', '');
+  // A voice note can't @mention the bot, so in groups it's never addressed to us
+  if (isGroup && isVoiceMessage) {
+    return;
+  }
 
-    // Check message type - handle voice messages
-    const messageType = message.type || message.messageType || 'text';
-    const isVoiceMessage = messageType === 'ptt' || messageType === 'audio';
+  // Debug: log message type for voice debugging
+  if (message.hasMedia || messageType !== 'text') {
+    console.log(`[${phone}] Media message - type: ${messageType}, hasMedia: ${message.hasMedia}`);
+  }
 
-    // Debug: log message type for voice debugging
-    if (message.hasMedia || messageType !== 'text') {
-      console.log(`[${phone}] Media message - type: ${messageType}, hasMedia: ${message.hasMedia}`);
-    }
+  // Get message text (or transcribe voice)
+  let text = message.body || message.text || '';
 
-    // Get message text (or transcribe voice)
-    let text = message.body || message.text || '';
-
-    if (isVoiceMessage) {
-      console.log(`[${phone}] 🎤 Voice message detected, transcribing...`);
-      const transcription = await transcribeVoiceMessage(message);
-      if (transcription) {
-        text = transcription;
-        console.log(`[${phone}] Transcribed: ${text.substring(0, 50)}...`);
-      } else {
-        console.log(`[${phone}] Could not transcribe voice message`);
-        // If we can't transcribe and there's an active session, let user know
-        const session = sessionManager.getSession(phone);
-        if (session) {
-          await sendQuickMessage(chatId, "🎤 קיבלתי את ההודעה הקולית אבל לא הצלחתי לתמלל אותה. נסה/י לשלוח טקסט במקום.");
-        }
-        return;
+  if (isVoiceMessage) {
+    console.log(`[${phone}] 🎤 Voice message detected, transcribing...`);
+    const transcription = await transcribeVoiceMessage(message, wahaSession);
+    if (transcription) {
+      text = transcription;
+      console.log(`[${phone}] Transcribed: ${text.substring(0, 50)}...`);
+    } else {
+      console.log(`[${phone}] Could not transcribe voice message`);
+      // If we can't transcribe and there's an active session, let user know
+      const session = sessionManager.getSession(phone, wahaSession);
+      if (session) {
+        await sendQuickMessage(chatId, "🎤 קיבלתי את ההודעה הקולית אבל לא הצלחתי לתמלל אותה. נסה/י לשלוח טקסט במקום.", wahaSession);
       }
+      return;
     }
+  }
+
+  if (!text.trim()) {
+    return;
+  }
 
-    if (!text.trim()) {
+  // In a group, only messages that @mention the bot or use a trigger phrase are for it
+  if (isGroup) {
+    const profile = getProfileForChat(phone, wahaSession, sessionManager.getSession(phone, wahaSession));
+    if (!mentioned && !profile.triggerPhrases.some(t => text.includes(t))) {
       return;
     }
+    text = stripMention(text, botPhone) || 'שלום!';
+  }
 
-    const lowerText = text.toLowerCase().trim();
-    console.log(`[${phone}] ${isVoiceMessage ? '🎤 ' : ''}Received: ${text.substring(0, 50)}...`);
+  console.log(`[${phone}] ${isVoiceMessage ? '🎤 ' : ''}Received: ${text.substring(0, 50)}...`);
+
+  // Wait for the chat to go quiet; rapid-fire messages are answered as one turn
+  inboundBuffer.push(chatKey(chatId, wahaSession), {
+    phone,
+    chatId,
+    wahaSession,
+    contactPhone,
+    replyTo,
+    mentioned,
+    isGroup,
+    isVoiceMessage,
+    speaker: senderName ? `${senderName}: ` : '',
+    text,
+    eventId
+  });
+  return true;
+}
 
-    // Check for end keywords (only if session is active)
-    const existingSession = sessionManager.getSession(phone);
-    if (existingSession && END_KEYWORDS.some(kw => lowerText === kw || lowerText.includes(kw))) {
-      sessionManager.endSession(phone, 'user_ended');
-      clearSession(phone);
-      await sendQuickMessage(chatId, '👋 השיחה הסתיימה. תודה על הצ\'אט!\n\nכדי להתחיל שוב, שלח/י הודעה עם "הבוט של אביץ"');
-      return;
+/**
+ * One LLM turn from buffered messages; in a shared group session each line says who wrote it
+ * @param {string} trigger - Removed from each message (the trigger phrase that opened the session)
+ */
+function composeTurn(items, trigger = null) {
+  return items
+    .map(item => ({ speaker: item.speaker, text: trigger ? item.text.replace(trigger, '').trim() : item.text }))
+    .filter(item => item.text)
+    .map(item => item.speaker + item.text)
+    .join('\n');
+}
+
+/**
+ * Store an answered turn and count its messages, once per inbound event. A replayed event
+ * (resume, retry) isn't stored or counted again; its LLM chat, which now has the turn twice,
+ * is rebuilt from the stored history
+ * @returns {number} Messages counted
+ */
+function recordReply(phone, wahaSession, userText, result, knowledge, eventId, messageCount) {
+  const recorded = sessionManager.recordExchange(phone, wahaSession, userText, result.text, {
+    sources: toSources(knowledge),
+    eventId,
+    messageCount
+  });
+  if (recorded) return messageCount;
+  llm.clearSession(chatKey(phone, wahaSession));
+  console.log(`[${phone}] Event #${eventId} was answered before - not stored or counted again`);
+  return 0;
+}
+
+/**
+ * Answer a chat's buffered messages. A group chat can hold several sessions
+ * (one per participant), answered one after another.
+ */
+async function handleInbound(items) {
+  const bySession = new Map();
+  for (const item of items) {
+    bySession.set(item.phone, [...(bySession.get(item.phone) || []), item]);
+  }
+  for (const [phone, sessionItems] of bySession) {
+    const eventIds = sessionItems.map(item => item.eventId).filter(Boolean);
+    inboundEvents.markProcessing(eventIds);
+    try {
+      const status = await handleTurn(phone, sessionItems);
+      inboundEvents.finish(eventIds, status || 'replied');
+    } catch (error) {
+      console.error(`[${phone}] Error handling messages:`, error);
+      inboundEvents.finish(eventIds, 'failed', error.message);
     }
+  }
+}
 
-    // Check if user has an active session
-    let session = sessionManager.getSession(phone);
+/**
+ * Handle one session's batch of messages as a single turn: end and handoff keywords,
+ * session start, then the LLM reply (quoting the latest message in groups)
+ * @returns {string|undefined} 'ignored' when nothing was sent; throws when the LLM failed
+ */
+async function handleTurn(phone, items) {
+  const latest = items[items.length - 1];
+  const { chatId, wahaSession, contactPhone, replyTo, isGroup } = latest;
+  // Outbox keys: when the same messages are answered again (retry, restart), each kind of answer goes out once
+  const sendKey = purpose => (latest.eventId ? `event:${latest.eventId}:${purpose}` : null);
+  const isVoiceMessage = items.some(item => item.isVoiceMessage);
+  const mentioned = items.some(item => item.mentioned);
+  const text = items.map(item => item.text).join('\n');
+
+  // The bot session, handoff and LLM chat of this phone on the number the messages came in on
+  const llmKey = chatKey(phone, wahaSession);
+  const existingSession = sessionManager.getSession(phone, wahaSession);
+  const profile = getProfileForChat(phone, wahaSession, existingSession);
+  const restartHint = profile.triggerPhrases[0];
+  const lowerText = text.toLowerCase().trim();
+
+  if (items.length > 1) {
+    console.log(`[${phone}] Answering ${items.length} messages as one turn`);
+  }
 
-    // If no session, check if message contains the trigger phrase
-    if (!session) {
-      // Check if message contains the trigger phrase
-      if (!text.includes(SESSION_TRIGGER)) {
-        // Silently ignore - don't respond to messages without trigger
-        console.log(`[${phone}] Ignored: missing trigger phrase`);
-        return;
-      }
+  // A human has the chat - keep the messages for context, stay quiet
+  if (sessionManager.getHandoff(phone, wahaSession)) {
+    for (const item of items) {
+      sessionManager.recordTurn(phone, wahaSession, 'user', item.text, item.eventId);
+    }
+    console.log(`[${phone}] 🙋 With a human operator - bot paused`);
+    return 'ignored';
+  }
 
-      // Check rate limit
-      const canStart = sessionManager.canStartSession(phone);
-      if (!canStart.allowed) {
-        await sendQuickMessage(chatId,
-          `⏳ הגבלת קצב: תוכל/י להתחיל שיחה חדשה בעוד ${canStart.waitMinutes} דקות.`
-        );
-        return;
-      }
+  // Check for end keywords (only if session is active)
+  if (existingSession && profile.endKeywords.map(kw => kw.toLowerCase()).some(kw => lowerText === kw || lowerText.includes(kw))) {
+    sessionManager.endSession(phone, wahaSession, 'user_ended');
+    llm.clearSession(llmKey);
+    await sendQuickMessage(chatId, `👋 השיחה הסתיימה. תודה על הצ'אט!\n\nכדי להתחיל שוב, שלח/י הודעה עם "${restartHint}"`, wahaSession, replyTo, sendKey('end'));
+    return;
+  }
 
-      // Start new session
-      sessionManager.startSession(phone);
-      session = sessionManager.getSession(phone);
-      console.log(`[${phone}] Session started`);
+  // Asked for a human (only in an active direct chat)
+  if (existingSession && !isGroup && profile.handoffKeywords.map(kw => kw.toLowerCase()).some(kw => lowerText.includes(kw))) {
+    sessionManager.recordTurn(phone, wahaSession, 'user', text, latest.eventId);
+    startHandoff(phone, { chatId, wahaSession, source: 'keyword', reason: text.substring(0, 200) });
+    await sendQuickMessage(chatId, '🙋 מעביר/ה אותך לנציג/ה אנושי/ת. נחזור אליך כאן בהקדם.', wahaSession, null, sendKey('handoff'));
+    return;
+  }
 
-      // No intro message - process first message directly
-      // Use full message or remove trigger phrase
-      const messageWithoutTrigger = text.replace(SESSION_TRIGGER, '').trim();
-      const firstMessage = messageWithoutTrigger || 'שלום!'; // Default if only trigger phrase
+  // Check if user has an active session
+  let session = existingSession;
+
+  // If no session, check if message contains the trigger phrase (or, in a group, mentions the bot)
+  if (!session) {
+    // Check if message contains one of the profile's trigger phrases
+    const trigger = profile.triggerPhrases.find(t => text.includes(t));
+    if (!trigger && !mentioned) {
+      // Silently ignore - don't respond to messages without trigger
+      console.log(`[${phone}] Ignored: missing trigger phrase`);
+      return 'ignored';
+    }
 
-      const canSend = sessionManager.canSendMessage(phone);
-      if (!canSend.allowed) {
-        return;
-      }
+    // Blocklist, blocked tier, or not on the allowlist - ignore silently too.
+    // The contact who opened the session is checked (in a shared group session, not whoever wrote last).
+    const opener = items.find(item => item.mentioned || (trigger && item.text.includes(trigger))) || latest;
+    const access = sessionManager.access.check(opener.contactPhone);
+    if (!access.allowed) {
+      console.log(`[${phone}] Ignored: no access (${access.reason}, tier ${access.tier})`);
+      return 'ignored';
+    }
 
-      // Get response from Gemini for first message
-      const result = await sendMessage(phone, firstMessage, getSystemPrompt());
-
-      if (result.success) {
-        // Voice messages count as 2 for rate limiting
-        const messageCount = isVoiceMessage ? 2 : 1;
-        sessionManager.recordMessage(phone, messageCount);
-        const remaining = canSend.messagesRemaining - messageCount;
-        const timeRemainingMin = canSend.timeRemainingMs / 60000;
-        // Build footer - only show what's relevant
-        const footer = buildRemainingFooter(remaining, timeRemainingMin, canSend.timeRemainingMs);
-        // Use sendResponse which may send voice randomly (higher chance if replying to voice)
-        await sendResponse(chatId, result.text + footer, isVoiceMessage);
-      } else {
-        await sendQuickMessage(chatId, `❌ שגיאה: ${result.error}`);
-      }
+    // Check rate limit
+    const canStart = sessionManager.canStartSession(phone, wahaSession, profile.rateLimitMs);
+    if (!canStart.allowed) {
+      await sendQuickMessage(chatId,
+        `⏳ הגבלת קצב: תוכל/י להתחיל שיחה חדשה בעוד ${canStart.waitMinutes} דקות.`,
+        wahaSession,
+        replyTo,
+        sendKey('rate-limit')
+      );
       return;
     }
 
-    // Session exists - process message
-    const canSend = sessionManager.canSendMessage(phone);
-
-    // Voice messages count as 2 for rate limiting
-    const messageCount = isVoiceMessage ? 2 : 1;
+    // Start new session
+    // Only the profile's own limits travel with the session; global and contact limits stay live
+    sessionManager.startSession(phone, wahaSession, {
+      profileId: profile.id,
+      limits: profile.id ? profileManager.get(profile.id) : {},
+      promptVersion: profile.promptVersion
+    });
+    session = sessionManager.getSession(phone, wahaSession);
+    console.log(`[${phone}] Session started on WAHA session "${wahaSession}" with profile "${profile.name}"` +
+      (profile.promptVersion ? `, prompt v${profile.promptVersion}` : ''));
 
-    if (!canSend.allowed || canSend.messagesRemaining < messageCount) {
-      clearSession(phone);
+    // No intro message - process first message directly
+    // Use full message or remove trigger phrase
+    const firstMessage = composeTurn(items, trigger) || `${latest.speaker}שלום!`; // Default if only trigger phrase
 
-      if (canSend.reason === 'max_messages' || canSend.messagesRemaining < messageCount) {
-        await sendQuickMessage(chatId,
-          `📊 השיחה הסתיימה: הגעת למקסימום ${MAX_MESSAGES_PER_SESSION} הודעות.\n\nתוכל/י להתחיל שיחה חדשה בעוד שעה עם "הבוט של אביץ"`
-        );
-      } else if (canSend.reason === 'timeout') {
-        await sendQuickMessage(chatId,
-          `⏰ השיחה הסתיימה: פג הזמן הקצוב.\n\nתוכל/י להתחיל שיחה חדשה בעוד שעה עם "הבוט של אביץ"`
-        );
-      }
-      return;
+    const canSend = sessionManager.canSendMessage(phone, wahaSession);
+    if (!canSend.allowed) {
+      return 'ignored';
     }
 
-    // Get response from Gemini
-    const result = await sendMessage(phone, text, getSystemPrompt());
+    // Get response from the LLM for first message
+    const knowledge = knowledgeBase.search(firstMessage, KNOWLEDGE_TOP_K);
+    const result = await llm.sendMessage(llmKey, withKnowledge(firstMessage, knowledge), profile.systemPrompt, profile.model || undefined,
+      () => sessionManager.getHistory(phone, wahaSession), getToolOptions(contactPhone, chatId, wahaSession, profile, phone));
 
     if (result.success) {
-      sessionManager.recordMessage(phone, messageCount);
-      const remaining = canSend.messagesRemaining - messageCount;
-      const timeRemainingMin = canSend.timeRemainingMs / 60000;
-      // Build footer - only show what's relevant
-      const footer = buildRemainingFooter(remaining, timeRemainingMin, canSend.timeRemainingMs);
+      // Voice messages count as 2 for rate limiting
+      const messageCount = isVoiceMessage ? 2 : 1;
+      const remaining = canSend.messagesRemaining - recordReply(phone, wahaSession, firstMessage, result, knowledge, latest.eventId, messageCount);
+      // Build footer - only show what's relevant (none once the LLM handed the chat to a human)
+      const footer = sessionManager.getHandoff(phone, wahaSession) ? '' : buildRemainingFooter(remaining, canSend.timeRemainingMs, canSend.limits);
       // Use sendResponse which may send voice randomly (higher chance if replying to voice)
-      await sendResponse(chatId, result.text + footer, isVoiceMessage);
+      await sendResponse(chatId, result.text + footer, isVoiceMessage, wahaSession, profile, replyTo, sendKey('reply'));
     } else {
-      await sendQuickMessage(chatId, `❌ שגיאה: ${result.error}`);
+      await sendQuickMessage(chatId, `❌ שגיאה: ${result.error}`, wahaSession, replyTo, sendKey('error'));
+      throw new Error(result.error);
     }
+    return;
+  }
 
-  } catch (error) {
-    console.error('Webhook error:', error);
+  // Session exists - process message
+  const canSend = sessionManager.canSendMessage(phone, wahaSession);
+
+  // Voice messages count as 2 for rate limiting (a batch is one turn)
+  const messageCount = isVoiceMessage ? 2 : 1;
+
+  if (!canSend.allowed || canSend.messagesRemaining < messageCount) {
+    llm.clearSession(llmKey);
+
+    if (canSend.reason === 'max_messages' || canSend.messagesRemaining < messageCount) {
+      await sendQuickMessage(chatId,
+        `📊 השיחה הסתיימה: הגעת למקסימום ${profile.maxMessagesPerSession} הודעות.\n\n${getRestartText(phone, wahaSession, restartHint, profile.rateLimitMs)}`,
+        wahaSession,
+        replyTo,
+        sendKey('limit')
+      );
+    } else if (canSend.reason === 'timeout') {
+      await sendQuickMessage(chatId,
+        `⏰ השיחה הסתיימה: פג הזמן הקצוב.\n\n${getRestartText(phone, wahaSession, restartHint, profile.rateLimitMs)}`,
+        wahaSession,
+        replyTo,
+        sendKey('limit')
+      );
+    }
+    return;
   }
-});
+
+  // Get response from the LLM (rebuilt from the stored turns if the bot restarted mid-conversation),
+  // grounded on the knowledge base chunks that match the message
+  const userText = composeTurn(items);
+  const knowledge = knowledgeBase.search(text, KNOWLEDGE_TOP_K);
+  const result = await llm.sendMessage(llmKey, withKnowledge(userText, knowledge), profile.systemPrompt, profile.model || undefined,
+    () => sessionManager.getHistory(phone, wahaSession), getToolOptions(contactPhone, chatId, wahaSession, profile, phone));
+
+  if (result.success) {
+    const remaining = canSend.messagesRemaining - recordReply(phone, wahaSession, userText, result, knowledge, latest.eventId, messageCount);
+    // Build footer - only show what's relevant (none once the LLM handed the chat to a human)
+    const footer = sessionManager.getHandoff(phone, wahaSession) ? '' : buildRemainingFooter(remaining, canSend.timeRemainingMs, canSend.limits);
+    // Use sendResponse which may send voice randomly (higher chance if replying to voice)
+    await sendResponse(chatId, result.text + footer, isVoiceMessage, wahaSession, profile, replyTo, sendKey('reply'));
+  } else {
+    await sendQuickMessage(chatId, `❌ שגיאה: ${result.error}`, wahaSession, replyTo, sendKey('error'));
+    throw new Error(result.error);
+  }
+}
 
 /**
  * Health check endpoint
  */
 app.get('/health', async (req, res) => {
-  const geminiHealth = await healthCheck();
+  const llmHealth = await llm.healthCheck();
   const elevenLabsHealth = await elevenLabs.healthCheck();
   res.json({
     status: 'ok',
-    gemini: geminiHealth,
+    llm: llmHealth,
     elevenLabs: elevenLabsHealth,
     voiceChances: {
       normal: VOICE_REPLY_CHANCE_NORMAL,
       replyToVoice: VOICE_REPLY_CHANCE_TO_VOICE
     },
     activeSessions: sessionManager.activeSessions.size,
-    trigger: SESSION_TRIGGER
+    limits: sessionManager.limits.getGlobal(),
+    defaultWahaSession: DEFAULT_WAHA_SESSION,
+    webhookRelay: webhookRelay.getStats(),
+    webhookSignature: verifyWebhookSignature.stats,
+    trigger: SESSION_TRIGGER,
+    profiles: profileManager.list().length,
+    knowledge: { documents: knowledgeBase.list().length, topK: KNOWLEDGE_TOP_K },
+    handoffs: sessionManager.handoffs.open.size,
+    accessMode: sessionManager.access.getMode(),
+    inbound: { quietMs: inboundBuffer.quietMs, maxWaitMs: inboundBuffer.maxWaitMs, busyChats: inboundBuffer.size },
+    inboundEvents: inboundEvents.getStats(),
+    outbox: outbox.getStats()
   });
 });
 
 /**
- * Get session status for a phone number
+ * Get session status for a phone number on one of our numbers (?session=, default WAHA_SESSION)
  */
 app.get('/session/:phone', (req, res) => {
-  const status = sessionManager.getSessionStatus(req.params.phone);
+  const status = sessionManager.getSessionStatus(req.params.phone, req.query.session || DEFAULT_WAHA_SESSION);
   res.json(status);
 });
 
 /**
- * Manually end a session
+ * Manually end a session (?session=, default WAHA_SESSION)
  */
-app.delete('/session/:phone', (req, res) => {
+app.delete('/session/:phone', requireApiKey, (req, res) => {
   const phone = req.params.phone;
-  sessionManager.endSession(phone, 'admin');
-  clearSession(phone);
+  const wahaSession = req.query.session || DEFAULT_WAHA_SESSION;
+  const before = sessionManager.getSessionStatus(phone, wahaSession);
+  sessionManager.endSession(phone, wahaSession, 'admin');
+  llm.clearSession(chatKey(phone, wahaSession));
+  audit(req, phone, before, null);
   res.json({ success: true, message: 'Session ended' });
 });
 
@@ -755,23 +1237,40 @@ app.delete('/session/:phone', (req, res) => {
 // ============================================
 
 /**
- * Get current system prompt
+ * Get current system prompt, its version and any rollout in progress
  */
 app.get('/api/config/system-prompt', requireApiKey, (req, res) => {
-  const currentPrompt = getSystemPrompt();
-  const dbPrompt = sessionManager.getConfig('system_prompt');
+  const active = promptVersions.getActive();
   res.json({
-    systemPrompt: currentPrompt,
-    source: dbPrompt ? 'database' : 'default',
+    systemPrompt: active?.prompt || DEFAULT_SYSTEM_PROMPT,
+    source: active ? 'database' : 'default',
+    version: active?.version ?? null,
+    rollout: promptVersions.getRollout(),
     default: DEFAULT_SYSTEM_PROMPT
   });
 });
 
+// System prompt as the audit log records it: the live version and its text (null version = the
+// default prompt), plus the candidate while a rollout is in progress
+function systemPromptAuditState() {
+  const rollout = promptVersions.getRollout();
+  const active = promptVersions.getActive();
+  const candidate = rollout.candidateVersion ? promptVersions.get(rollout.candidateVersion) : null;
+  return {
+    version: active?.version ?? null,
+    prompt: active?.prompt || DEFAULT_SYSTEM_PROMPT,
+    candidate: candidate
+      ? { version: candidate.version, prompt: candidate.prompt, rolloutPercent: rollout.rolloutPercent }
+      : null
+  };
+}
+
 /**
- * Update system prompt
+ * Update system prompt - stored as a new version.
+ * Body: { systemPrompt, note, rolloutPercent } - below 100 it's rolled out to that share of new sessions first
  */
 app.put('/api/config/system-prompt', requireApiKey, (req, res) => {
-  const { systemPrompt } = req.body;
+  const { systemPrompt, note, rolloutPercent = 100 } = req.body;
 
   if (!systemPrompt || typeof systemPrompt !== 'string') {
     return res.status(400).json({ error: 'systemPrompt is required and must be a string' });
@@ -781,47 +1280,1096 @@ app.put('/api/config/system-prompt', requireApiKey, (req, res) => {
     return res.status(400).json({ error: 'systemPrompt must be at least 10 characters' });
   }
 
-  const result = sessionManager.setConfig('system_prompt', systemPrompt.trim());
-  console.log(`[Config] System prompt updated`);
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return res.status(400).json({ error: 'note must be a string' });
+  }
 
-  res.json({
-    success: true,
-    systemPrompt: result.value,
-    updatedAt: new Date(result.updatedAt).toISOString()
-  });
+  const before = systemPromptAuditState();
+  try {
+    const { version, rollout } = promptVersions.create({
+      prompt: systemPrompt,
+      author: getActor(req),
+      note: note?.trim().slice(0, 500),
+      rolloutPercent
+    });
+    console.log(`[Config] System prompt v${version.version} created` +
+      (rollout.candidateVersion ? ` (rolling out to ${rollout.rolloutPercent}% of new sessions)` : ''));
+    audit(req, 'system_prompt', before, { ...systemPromptAuditState(), note: version.note });
+
+    res.json({
+      success: true,
+      systemPrompt: version.prompt,
+      version: version.version,
+      rollout,
+      updatedAt: version.createdAt
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
 /**
- * Reset system prompt to default
+ * Reset system prompt to default (versions are kept for rollback)
  */
 app.delete('/api/config/system-prompt', requireApiKey, (req, res) => {
-  // Remove from database to fall back to default
-  sessionManager.db.prepare('DELETE FROM bot_config WHERE key = ?').run('system_prompt');
+  const before = systemPromptAuditState();
+  const rollout = promptVersions.reset();
   console.log(`[Config] System prompt reset to default`);
+  audit(req, 'system_prompt', before, systemPromptAuditState());
 
   res.json({
     success: true,
     systemPrompt: DEFAULT_SYSTEM_PROMPT,
-    source: 'default'
+    source: 'default',
+    rollout
   });
 });
 
 /**
- * Get all configuration
+ * List system prompt versions, newest first, with how many sessions each one answered
+ */
+app.get('/api/config/system-prompt/versions', requireApiKey, (req, res) => {
+  res.json({ versions: promptVersions.list(), rollout: promptVersions.getRollout() });
+});
+
+/**
+ * Line diff between two versions. Query: from, to (version numbers; 0 = the default prompt).
+ * Defaults: to = the active version, from = the one before it
+ */
+app.get('/api/config/system-prompt/diff', requireApiKey, (req, res) => {
+  const activeVersion = promptVersions.getRollout().activeVersion || 0;
+  const to = parseInt(req.query.to ?? activeVersion);
+  const from = parseInt(req.query.from ?? Math.max(to - 1, 0));
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < 0) {
+    return res.status(400).json({ error: 'from and to must be version numbers' });
+  }
+
+  const prompts = {};
+  for (const version of [from, to]) {
+    prompts[version] = version === 0 ? DEFAULT_SYSTEM_PROMPT : promptVersions.get(version)?.prompt;
+    if (prompts[version] === undefined) {
+      return res.status(404).json({ error: `Version ${version} not found` });
+    }
+  }
+  res.json({ from, to, diff: diffLines(prompts[from], prompts[to]) });
+});
+
+/**
+ * Get one system prompt version
+ */
+app.get('/api/config/system-prompt/versions/:version', requireApiKey, (req, res) => {
+  const version = promptVersions.get(parseInt(req.params.version));
+  if (!version) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  res.json(version);
+});
+
+/**
+ * Make an old version live again (as a new version copied from it). Body: { version, note }
+ */
+app.post('/api/config/system-prompt/rollback', requireApiKey, (req, res) => {
+  const { version: target, note } = req.body;
+  if (!Number.isInteger(target)) {
+    return res.status(400).json({ error: 'version is required and must be a number' });
+  }
+
+  const before = systemPromptAuditState();
+  const result = promptVersions.rollback(target, {
+    author: getActor(req),
+    note: typeof note === 'string' ? note.trim().slice(0, 500) : null
+  });
+  if (!result) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+  console.log(`[Config] System prompt rolled back to v${target} (now v${result.version.version})`);
+  audit(req, 'system_prompt', before, { ...systemPromptAuditState(), note: result.version.note });
+
+  res.json({ success: true, version: result.version.version, systemPrompt: result.version.prompt, rollout: result.rollout });
+});
+
+/**
+ * Change the share of new sessions the candidate version gets. Body: { percent } - 100 makes it
+ * the active version, 0 abandons it
+ */
+app.put('/api/config/system-prompt/rollout', requireApiKey, (req, res) => {
+  const before = systemPromptAuditState();
+  try {
+    const rollout = promptVersions.setRolloutPercent(req.body.percent);
+    console.log(`[Config] System prompt rollout of v${before.candidate?.version} set to ${req.body.percent}%`);
+    audit(req, 'system_prompt', before, systemPromptAuditState());
+    res.json({ success: true, rollout });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Get all configuration
  */
 app.get('/api/config', requireApiKey, (req, res) => {
   const allConfig = sessionManager.getAllConfig();
   res.json({
     config: allConfig,
     defaults: {
-      system_prompt: DEFAULT_SYSTEM_PROMPT
+      system_prompt: DEFAULT_SYSTEM_PROMPT,
+      limits: DEFAULT_LIMITS
     },
     effective: {
-      system_prompt: getSystemPrompt()
+      system_prompt: getSystemPrompt(),
+      limits: sessionManager.limits.getGlobal()
     }
   });
 });
 
+/**
+ * Get the global session limits (applied to every contact without an override)
+ */
+app.get('/api/config/limits', requireApiKey, (req, res) => {
+  res.json({
+    limits: sessionManager.limits.getGlobal(),
+    defaults: DEFAULT_LIMITS,
+    contacts: sessionManager.limits.listContacts()
+  });
+});
+
+/**
+ * Update global session limits (partial; null resets one to the default).
+ * Takes effect immediately, including for sessions already running
+ */
+app.put('/api/config/limits', requireApiKey, (req, res) => {
+  try {
+    const before = sessionManager.limits.getGlobal();
+    const limits = sessionManager.limits.setGlobal(req.body || {});
+    console.log(`[Config] Session limits updated: ${JSON.stringify(limits)}`);
+    audit(req, 'limits', before, limits);
+    res.json({ success: true, limits });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Reset global session limits to the defaults
+ */
+app.delete('/api/config/limits', requireApiKey, (req, res) => {
+  const before = sessionManager.limits.getGlobal();
+  const limits = sessionManager.limits.resetGlobal();
+  console.log(`[Config] Session limits reset to default`);
+  audit(req, 'limits', before, limits);
+  res.json({ success: true, limits });
+});
+
+/**
+ * Get a contact's limit overrides and the limits they'd get now
+ */
+app.get('/api/config/limits/contacts/:phone', requireApiKey, (req, res) => {
+  res.json({
+    override: sessionManager.limits.getContact(req.params.phone),
+    effective: sessionManager.getLimits(req.params.phone.replace(/\D/g, ''))
+  });
+});
+
+/**
+ * Set per-contact limit overrides (e.g. longer sessions for VIPs)
+ */
+app.put('/api/config/limits/contacts/:phone', requireApiKey, (req, res) => {
+  try {
+    const before = sessionManager.limits.getContact(req.params.phone);
+    const contact = sessionManager.limits.setContact(req.params.phone, req.body || {});
+    console.log(`[Config] Limits for ${contact.phone} updated`);
+    audit(req, contact.phone, before, contact);
+    res.json({ success: true, contact });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a contact's limit overrides
+ */
+app.delete('/api/config/limits/contacts/:phone', requireApiKey, (req, res) => {
+  const before = sessionManager.limits.getContact(req.params.phone);
+  if (!sessionManager.limits.removeContact(req.params.phone)) {
+    return res.status(404).json({ error: 'No limits set for this contact' });
+  }
+  audit(req, before.phone, before, null);
+  res.json({ success: true });
+});
+
+// ============================================
+// Access Control API (requires API key)
+// ============================================
+
+// URL segment -> access_lists.list
+const ACCESS_LIST_PATHS = { allowlist: 'allow', blocklist: 'block' };
+
+// A contact who just lost access doesn't keep a running session on any of our numbers
+function endSessionIfBlocked(phone) {
+  if (sessionManager.access.check(phone).allowed) return;
+  for (const { wahaSession } of sessionManager.getContactSessions(phone)) {
+    sessionManager.endSession(phone, wahaSession, 'blocked');
+    llm.clearSession(chatKey(phone, wahaSession));
+    console.log(`[${phone}] Session on "${wahaSession}" ended: access revoked`);
+  }
+}
+
+/**
+ * Access mode, tiers, tier assignments, allowlist and blocklist
+ */
+app.get('/api/access', requireApiKey, (req, res) => {
+  const access = sessionManager.access;
+  res.json({
+    mode: access.getMode(),
+    defaultTier: DEFAULT_TIER,
+    tiers: access.listTiers(),
+    contacts: access.listContacts(req.query.tier),
+    allowlist: access.getList('allow'),
+    blocklist: access.getList('block')
+  });
+});
+
+/**
+ * Whether a contact may start a session, their tier and the limits they'd get
+ */
+app.get('/api/access/check/:phone', requireApiKey, (req, res) => {
+  const phone = req.params.phone.replace(/\D/g, '');
+  res.json({ phone, ...sessionManager.access.check(phone), limits: sessionManager.getLimits(phone) });
+});
+
+/**
+ * Switch between 'open' (anyone with the trigger phrase) and 'allowlist' mode
+ */
+app.put('/api/access/mode', requireApiKey, (req, res) => {
+  try {
+    const before = sessionManager.access.getMode();
+    const mode = sessionManager.access.setMode(req.body?.mode);
+    console.log(`[Access] Mode set to ${mode}`);
+    audit(req, 'access_mode', before, mode);
+    res.json({ success: true, mode });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Create or update a tier ({ description, allowSessions, sessionTimeoutMs, rateLimitMs, maxMessagesPerSession };
+ * null limits fall back to the global ones)
+ */
+app.put('/api/access/tiers/:name', requireApiKey, (req, res) => {
+  try {
+    const before = sessionManager.access.getTier(req.params.name);
+    const tier = sessionManager.access.saveTier(req.params.name, req.body || {});
+    console.log(`[Access] Tier "${tier.name}" saved`);
+    audit(req, tier.name, before, tier);
+    for (const contact of sessionManager.access.listContacts(tier.name)) {
+      endSessionIfBlocked(contact.phone);
+    }
+    res.json({ success: true, tier });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a tier (its contacts move back to the default tier)
+ */
+app.delete('/api/access/tiers/:name', requireApiKey, (req, res) => {
+  try {
+    const before = sessionManager.access.getTier(req.params.name);
+    if (!sessionManager.access.removeTier(req.params.name)) {
+      return res.status(404).json({ error: 'Tier not found' });
+    }
+    console.log(`[Access] Tier "${req.params.name}" deleted`);
+    audit(req, req.params.name, before, null);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Put a contact in a tier ({ tier, note })
+ */
+app.put('/api/access/contacts/:phone', requireApiKey, (req, res) => {
+  try {
+    const before = sessionManager.access.getContactTier(req.params.phone).name;
+    const contact = sessionManager.access.setContactTier(req.params.phone, req.body?.tier, req.body?.note ?? null);
+    console.log(`[Access] ${contact.phone} is now in tier "${contact.tier}"`);
+    audit(req, contact.phone, { tier: before }, contact);
+    endSessionIfBlocked(contact.phone);
+    res.json({ success: true, contact });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Move a contact back to the default tier
+ */
+app.delete('/api/access/contacts/:phone', requireApiKey, (req, res) => {
+  const phone = req.params.phone.replace(/\D/g, '');
+  const before = sessionManager.access.getContactTier(phone).name;
+  const contact = sessionManager.access.setContactTier(phone, DEFAULT_TIER);
+  console.log(`[Access] ${phone} is back in tier "${DEFAULT_TIER}"`);
+  audit(req, phone, { tier: before }, contact);
+  res.json({ success: true, contact });
+});
+
+/**
+ * Add a contact to the allowlist or blocklist ({ note }); blocking ends their running session
+ */
+app.put('/api/access/:list/:phone', requireApiKey, (req, res) => {
+  const list = ACCESS_LIST_PATHS[req.params.list];
+  if (!list) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  try {
+    const entry = sessionManager.access.addToList(list, req.params.phone, req.body?.note ?? null);
+    console.log(`[Access] ${entry.phone} added to the ${req.params.list}`);
+    audit(req, entry.phone, null, entry);
+    endSessionIfBlocked(entry.phone);
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a contact from the allowlist or blocklist
+ */
+app.delete('/api/access/:list/:phone', requireApiKey, (req, res) => {
+  const list = ACCESS_LIST_PATHS[req.params.list];
+  if (!list) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  if (!sessionManager.access.removeFromList(list, req.params.phone)) {
+    return res.status(404).json({ error: `Not on the ${req.params.list}` });
+  }
+  console.log(`[Access] ${req.params.phone} removed from the ${req.params.list}`);
+  audit(req, req.params.phone.replace(/\D/g, ''), { list }, null);
+  endSessionIfBlocked(req.params.phone.replace(/\D/g, ''));
+  res.json({ success: true });
+});
+
+/**
+ * Get business hours (used by the get_business_hours tool)
+ */
+app.get('/api/config/business-hours', requireApiKey, (req, res) => {
+  const stored = sessionManager.getConfig('business_hours');
+  res.json({
+    businessHours: getBusinessHours(key => sessionManager.getConfig(key)),
+    source: stored ? 'database' : 'default',
+    default: DEFAULT_BUSINESS_HOURS
+  });
+});
+
+/**
+ * Update business hours ({ timezone, hours: { sun: "09:00-17:00", sat: null }, note })
+ */
+app.put('/api/config/business-hours', requireApiKey, (req, res) => {
+  try {
+    validateBusinessHours(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { timezone, hours, note } = req.body;
+  const before = getBusinessHours(key => sessionManager.getConfig(key));
+  sessionManager.setConfig('business_hours', JSON.stringify({ timezone, hours, note }));
+  console.log(`[Config] Business hours updated`);
+  const businessHours = getBusinessHours(key => sessionManager.getConfig(key));
+  audit(req, 'business_hours', before, businessHours);
+  res.json({ success: true, businessHours });
+});
+
+/**
+ * Reset business hours to default
+ */
+app.delete('/api/config/business-hours', requireApiKey, (req, res) => {
+  const before = getBusinessHours(key => sessionManager.getConfig(key));
+  sessionManager.db.prepare('DELETE FROM bot_config WHERE key = ?').run('business_hours');
+  console.log(`[Config] Business hours reset to default`);
+  audit(req, 'business_hours', before, DEFAULT_BUSINESS_HOURS);
+  res.json({ success: true, businessHours: DEFAULT_BUSINESS_HOURS });
+});
+
+/**
+ * Get group chat settings (enabled, default sessionScope, allowlisted groups)
+ */
+app.get('/api/config/groups', requireApiKey, (req, res) => {
+  const stored = sessionManager.getConfig('group_chats');
+  res.json({
+    groupChats: getGroupConfig(key => sessionManager.getConfig(key)),
+    source: stored ? 'database' : 'default',
+    default: DEFAULT_GROUP_CONFIG
+  });
+});
+
+/**
+ * Update group chat settings ({ enabled, sessionScope: participant|group, groups: { "<id>@g.us": { name, sessionScope } } });
+ * fields left out keep their current value
+ */
+app.put('/api/config/groups', requireApiKey, (req, res) => {
+  try {
+    validateGroupConfig(req.body || {});
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const current = getGroupConfig(key => sessionManager.getConfig(key));
+  const { enabled = current.enabled, sessionScope = current.sessionScope, groups = current.groups } = req.body;
+  sessionManager.setConfig('group_chats', JSON.stringify({ enabled, sessionScope, groups }));
+  console.log(`[Config] Group chats ${enabled ? 'enabled' : 'disabled'} (${Object.keys(groups).length} groups allowed)`);
+  const groupChats = getGroupConfig(key => sessionManager.getConfig(key));
+  audit(req, 'group_chats', current, groupChats);
+  res.json({ success: true, groupChats });
+});
+
+/**
+ * Allow a group, or change its settings ({ name, sessionScope }; null clears one)
+ */
+app.put('/api/config/groups/:groupId', requireApiKey, (req, res) => {
+  const { groupId } = req.params;
+  const { name, sessionScope } = req.body || {};
+  try {
+    validateGroupEntry(groupId, { name, sessionScope });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const current = getGroupConfig(key => sessionManager.getConfig(key));
+  const entry = { ...current.groups[groupId] };
+  if (name !== undefined) entry.name = name;
+  if (sessionScope !== undefined) entry.sessionScope = sessionScope;
+  const groups = { ...current.groups, [groupId]: entry };
+  sessionManager.setConfig('group_chats', JSON.stringify({ ...current, groups }));
+  console.log(`[Config] Group ${groupId} allowed`);
+  audit(req, groupId, current.groups[groupId] || null, entry);
+  res.json({ success: true, groupChats: getGroupConfig(key => sessionManager.getConfig(key)) });
+});
+
+/**
+ * Remove a group from the allowlist
+ */
+app.delete('/api/config/groups/:groupId', requireApiKey, (req, res) => {
+  const current = getGroupConfig(key => sessionManager.getConfig(key));
+  if (!current.groups[req.params.groupId]) {
+    return res.status(404).json({ error: 'Group is not on the allowlist' });
+  }
+
+  const groups = { ...current.groups };
+  delete groups[req.params.groupId];
+  sessionManager.setConfig('group_chats', JSON.stringify({ ...current, groups }));
+  console.log(`[Config] Group ${req.params.groupId} removed`);
+  audit(req, req.params.groupId, current.groups[req.params.groupId], null);
+  res.json({ success: true, groupChats: getGroupConfig(key => sessionManager.getConfig(key)) });
+});
+
+// ============================================
+// Tools API (requires API key)
+// ============================================
+
+/**
+ * Registered tools and which ones the built-in persona uses
+ */
+app.get('/api/tools', requireApiKey, (req, res) => {
+  res.json({
+    tools: [...toolRegistry.tools.values()].map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || null,
+      timeoutMs: tool.timeoutMs,
+      enabledByDefault: DEFAULT_TOOLS.includes(tool.name)
+    }))
+  });
+});
+
+/**
+ * Tool call log (filter by sessionId and tool)
+ */
+app.get('/api/tools/calls', requireApiKey, (req, res) => {
+  res.json({
+    calls: toolRegistry.listCalls({
+      sessionId: req.query.sessionId,
+      tool: req.query.tool,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500)
+    })
+  });
+});
+
+// ============================================
+// Knowledge Base API (requires API key)
+// ============================================
+
+/**
+ * List knowledge base documents
+ */
+app.get('/api/knowledge', requireApiKey, (req, res) => {
+  res.json({ documents: knowledgeBase.list(), formats: KNOWLEDGE_FORMATS, topK: KNOWLEDGE_TOP_K });
+});
+
+/**
+ * Search the knowledge base the way the bot does (?q=...&limit=)
+ */
+app.get('/api/knowledge/search', requireApiKey, (req, res) => {
+  if (!req.query.q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  res.json({ results: knowledgeBase.search(req.query.q, Math.min(parseInt(req.query.limit) || KNOWLEDGE_TOP_K || 3, 20)) });
+});
+
+/**
+ * One document with its content and chunks
+ */
+app.get('/api/knowledge/:id', requireApiKey, (req, res) => {
+  const doc = knowledgeBase.get(req.params.id, { withChunks: true });
+  if (!doc) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json(doc);
+});
+
+/**
+ * Upload a document ({ title, content, format: markdown|text|pdf, source }).
+ * A document with the same title is replaced. PDFs are uploaded as their extracted text.
+ * Raw text/markdown bodies are accepted too, with ?title= (and ?format=).
+ */
+app.post('/api/knowledge', requireApiKey, express.text({ type: ['text/plain', 'text/markdown'], limit: '5mb' }), (req, res) => {
+  const body = typeof req.body === 'string'
+    ? {
+        title: req.query.title,
+        content: req.body,
+        format: req.query.format || (req.is('text/markdown') ? 'markdown' : 'text'),
+        source: req.query.source
+      }
+    : req.body || {};
+
+  try {
+    const doc = knowledgeBase.upsert(body);
+    console.log(`[Knowledge] ${doc.replaced ? 'Replaced' : 'Added'} "${doc.title}" (${doc.chunkCount} chunks)`);
+    audit(req, doc.title, null, { id: doc.id, title: doc.title, replaced: doc.replaced, chunkCount: doc.chunkCount });
+    res.json(doc);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a document
+ */
+app.delete('/api/knowledge/:id', requireApiKey, (req, res) => {
+  const before = knowledgeBase.get(req.params.id);
+  if (!knowledgeBase.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  console.log(`[Knowledge] Removed document ${req.params.id}`);
+  audit(req, before.title, before, null);
+  res.json({ success: true });
+});
+
+// ============================================
+// Human Handoff API (requires API key)
+// ============================================
+
+/**
+ * List handoffs (?status=open - the default -, waiting, active, closed or all)
+ */
+app.get('/api/handoffs', requireApiKey, (req, res) => {
+  const status = req.query.status || 'open';
+  if (!['open', 'all', 'waiting', 'active', 'closed'].includes(status)) {
+    return res.status(400).json({ error: 'status must be one of: open, all, waiting, active, closed' });
+  }
+  res.json(sessionManager.handoffs.list({ status, limit: Math.min(parseInt(req.query.limit) || 100, 500) }));
+});
+
+/**
+ * Take over a chat (or pick up a waiting handoff); the bot stops replying to it
+ * Body: { operator, reason, chatId, session }
+ */
+app.post('/api/handoffs/:phone', requireApiKey, (req, res) => {
+  const phone = req.params.phone.replace(/\D/g, '');
+  if (!phone) {
+    return res.status(400).json({ error: 'phone is required' });
+  }
+  const { operator, reason, chatId, session } = req.body || {};
+  const handoff = startHandoff(phone, {
+    chatId,
+    wahaSession: session || sessionManager.getContactSessions(phone)[0]?.wahaSession || DEFAULT_WAHA_SESSION,
+    source: 'operator',
+    reason: reason || null,
+    operator: operator || 'operator'
+  });
+  audit(req, phone, null, handoff);
+  res.json(handoff);
+});
+
+/**
+ * Give a chat back to the bot
+ * Body: { operator, session } (without a session, the phone's open handoff on any number)
+ */
+app.delete('/api/handoffs/:phone', requireApiKey, async (req, res) => {
+  const phone = req.params.phone.replace(/\D/g, '');
+  const wahaSession = req.body?.session || sessionManager.handoffs.forPhone(phone)[0]?.wahaSession || DEFAULT_WAHA_SESSION;
+  const handoff = endHandoff(phone, wahaSession, req.body?.operator || 'operator');
+  if (!handoff) {
+    return res.status(404).json({ error: 'No open handoff for this phone' });
+  }
+  audit(req, phone, null, handoff);
+  if (sessionManager.activeSessions.has(chatKey(phone, wahaSession))) {
+    await sendQuickMessage(handoff.chatId, '🤖 הבוט חזר לשיחה. אפשר להמשיך לשאול אותי.', handoff.wahaSession);
+  }
+  res.json(handoff);
+});
+
+// ============================================
+// Transcripts API (requires API key)
+// ============================================
+
+/**
+ * List bot sessions (filter by phone, from, to, endReason - 'open' for running ones - and session)
+ */
+app.get('/api/sessions', requireApiKey, (req, res) => {
+  try {
+    const result = transcripts.list({
+      phone: req.query.phone,
+      from: req.query.from,
+      to: req.query.to,
+      endReason: req.query.endReason,
+      wahaSession: req.query.session,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      offset: parseInt(req.query.offset) || 0
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * One session's transcript as JSON (default), plain text or CSV (?format=)
+ */
+app.get('/api/sessions/:id/transcript', requireApiKey, (req, res) => {
+  const format = req.query.format || 'json';
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` });
+  }
+
+  const transcript = transcripts.get(req.params.id);
+  if (!transcript) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (format === 'text') {
+    return res.type('text/plain; charset=utf-8').send(transcripts.toText(transcript));
+  }
+  if (format === 'csv') {
+    res.attachment(`transcript-${transcript.session.id}.csv`);
+    return res.type('text/csv; charset=utf-8').send(transcripts.toCsv(transcript));
+  }
+  res.json(transcript);
+});
+
+// ============================================
+// Bot Profiles API (requires API key)
+// ============================================
+
+/**
+ * List profiles with their assignments, plus the built-in fallback
+ */
+app.get('/api/profiles', requireApiKey, (req, res) => {
+  res.json({
+    profiles: profileManager.list(),
+    assignments: profileManager.listAssignments(),
+    builtIn: getBaseProfile()
+  });
+});
+
+/**
+ * Show which profile would handle a contact on a WAHA session
+ */
+app.get('/api/profiles/resolve', requireApiKey, (req, res) => {
+  const { phone, session = DEFAULT_WAHA_SESSION } = req.query;
+  if (!phone) {
+    return res.status(400).json({ error: 'phone is required' });
+  }
+  const profile = profileManager.resolve(String(phone).replace(/\D/g, ''), session);
+  res.json({ source: profile ? profile.name : 'built-in', profile: getEffectiveProfile(profile) });
+});
+
+/**
+ * Get a profile by id or name
+ */
+app.get('/api/profiles/:id', requireApiKey, (req, res) => {
+  const profile = profileManager.get(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  res.json({ profile, effective: getEffectiveProfile(profile) });
+});
+
+/**
+ * Create a profile
+ */
+app.post('/api/profiles', requireApiKey, (req, res) => {
+  const unknownTools = findUnknownTools(req.body || {});
+  if (unknownTools.length > 0) {
+    return res.status(400).json({ error: `Unknown tools: ${unknownTools.join(', ')}` });
+  }
+
+  try {
+    const profile = profileManager.create(req.body || {});
+    console.log(`[Profiles] Created "${profile.name}"`);
+    audit(req, profile.name, null, profile);
+    res.json({ success: true, profile });
+  } catch (error) {
+    if (error.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Update some fields of a profile (null resets a field to the built-in value)
+ */
+app.patch('/api/profiles/:id', requireApiKey, (req, res) => {
+  const unknownTools = findUnknownTools(req.body || {});
+  if (unknownTools.length > 0) {
+    return res.status(400).json({ error: `Unknown tools: ${unknownTools.join(', ')}` });
+  }
+
+  try {
+    const before = profileManager.get(req.params.id);
+    const profile = profileManager.update(req.params.id, req.body || {});
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    console.log(`[Profiles] Updated "${profile.name}"`);
+    audit(req, profile.name, before, profile);
+    res.json({ success: true, profile });
+  } catch (error) {
+    if (error.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'A profile with this name already exists' });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a profile and its assignments
+ */
+app.delete('/api/profiles/:id', requireApiKey, (req, res) => {
+  const before = profileManager.get(req.params.id);
+  if (!profileManager.remove(req.params.id)) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  console.log(`[Profiles] Deleted "${req.params.id}"`);
+  audit(req, before.name, before, null);
+  res.json({ success: true });
+});
+
+/**
+ * Assign a profile to a WAHA session or a contact
+ */
+app.post('/api/profiles/:id/assignments', requireApiKey, (req, res) => {
+  const { type, target } = req.body || {};
+  try {
+    const assignment = profileManager.assign(req.params.id, type, target);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    console.log(`[Profiles] ${type} ${assignment.target} -> "${assignment.profile}"`);
+    audit(req, `${type}:${assignment.target}`, null, assignment);
+    res.json({ success: true, assignment });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove the profile assignment of a WAHA session or contact
+ */
+app.delete('/api/profiles/assignments/:type/:target', requireApiKey, (req, res) => {
+  if (!profileManager.unassign(req.params.type, req.params.target)) {
+    return res.status(404).json({ error: 'Assignment not found' });
+  }
+  audit(req, `${req.params.type}:${req.params.target}`);
+  res.json({ success: true });
+});
+
+// ============================================
+// Webhook Relay API (requires API key)
+// ============================================
+
+/**
+ * List webhook subscribers
+ */
+app.get('/api/webhooks/subscribers', requireApiKey, (req, res) => {
+  res.json({ subscribers: webhookRelay.listSubscribers() });
+});
+
+/**
+ * Register a webhook subscriber
+ */
+app.post('/api/webhooks/subscribers', requireApiKey, (req, res) => {
+  const { name, url, events } = req.body;
+
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ error: 'url is required and must be a string' });
+  }
+
+  try {
+    new URL(url);
+  } catch {
+    return res.status(400).json({ error: 'url must be a valid URL' });
+  }
+
+  try {
+    const subscriber = webhookRelay.addSubscriber({
+      name: name || new URL(url).host,
+      url,
+      events: Array.isArray(events) ? events.join(',') : (events || '*')
+    });
+    console.log(`[Relay] Subscriber added: ${url}`);
+    audit(req, subscriber.url, null, subscriber);
+    res.json({ success: true, subscriber });
+  } catch (error) {
+    if (error.message.includes('UNIQUE')) {
+      return res.status(409).json({ error: 'Subscriber URL already registered' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Enable or disable a subscriber
+ */
+app.patch('/api/webhooks/subscribers/:id', requireApiKey, (req, res) => {
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled is required and must be a boolean' });
+  }
+
+  const before = webhookRelay.getSubscriber(req.params.id);
+  const subscriber = webhookRelay.setSubscriberEnabled(req.params.id, enabled);
+  if (!subscriber) {
+    return res.status(404).json({ error: 'Subscriber not found' });
+  }
+  audit(req, subscriber.url, before, subscriber);
+  res.json({ success: true, subscriber });
+});
+
+/**
+ * Remove a subscriber and its delivery log
+ */
+app.delete('/api/webhooks/subscribers/:id', requireApiKey, (req, res) => {
+  const before = webhookRelay.getSubscriber(req.params.id);
+  if (!webhookRelay.removeSubscriber(req.params.id)) {
+    return res.status(404).json({ error: 'Subscriber not found' });
+  }
+  audit(req, before.url, before, null);
+  res.json({ success: true });
+});
+
+/**
+ * Delivery log (filter by subscriberId and status)
+ */
+app.get('/api/webhooks/deliveries', requireApiKey, (req, res) => {
+  const deliveries = webhookRelay.listDeliveries({
+    subscriberId: req.query.subscriberId,
+    status: req.query.status,
+    limit: parseInt(req.query.limit) || 100
+  });
+  res.json({ deliveries, stats: webhookRelay.getStats() });
+});
+
+/**
+ * Retry a delivery now
+ */
+app.post('/api/webhooks/deliveries/:id/retry', requireApiKey, (req, res) => {
+  if (!webhookRelay.retryDelivery(req.params.id)) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+  audit(req, `delivery:${req.params.id}`);
+  webhookRelay.dispatch().catch(error => console.error('[Relay] Dispatch error:', error.message));
+  res.json({ success: true });
+});
+
+/**
+ * Recently recorded WAHA events
+ */
+app.get('/api/webhooks/events', requireApiKey, (req, res) => {
+  res.json({ events: webhookRelay.listEvents(parseInt(req.query.limit) || 50) });
+});
+
+// ============================================
+// Inbound Events API (requires API key)
+// ============================================
+
+/**
+ * Stored incoming messages and their status, newest first (filter by status, e.g. failed)
+ */
+app.get('/api/events', requireApiKey, (req, res) => {
+  const { status } = req.query;
+  if (status && !INBOUND_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${INBOUND_STATUSES.join(', ')}` });
+  }
+  res.json({
+    events: inboundEvents.list({ status, limit: Math.min(parseInt(req.query.limit) || 100, 500) }),
+    stats: inboundEvents.getStats()
+  });
+});
+
+/**
+ * One stored event, with the WAHA webhook body
+ */
+app.get('/api/events/:id', requireApiKey, (req, res) => {
+  const event = inboundEvents.get(req.params.id);
+  if (!event) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  res.json(event);
+});
+
+/**
+ * Process an event again (e.g. one that failed)
+ */
+app.post('/api/events/:id/retry', requireApiKey, (req, res) => {
+  let retry;
+  try {
+    retry = inboundEvents.retry(req.params.id);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!retry) {
+    return res.status(404).json({ error: 'Event not found' });
+  }
+  console.log(`[Events] Retrying event #${retry.id}`);
+  audit(req, `event:${retry.id}`);
+  processEvent(retry.body, retry.id);
+  res.json({ success: true });
+});
+
+// ============================================
+// Outbox API (requires API key)
+// ============================================
+
+/**
+ * Outgoing messages, newest first (filter by status and chatId)
+ */
+app.get('/api/outbox', requireApiKey, (req, res) => {
+  const { status, chatId } = req.query;
+  if (status && !OUTBOX_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+  }
+  res.json({
+    messages: outbox.list({ status, chatId, limit: Math.min(parseInt(req.query.limit) || 100, 500) }),
+    stats: outbox.getStats()
+  });
+});
+
+/**
+ * Messages that could not be sent, newest first (filter by chatId)
+ */
+app.get('/api/outbox/dead-letters', requireApiKey, (req, res) => {
+  res.json({
+    deadLetters: outbox.listDeadLetters({ chatId: req.query.chatId, limit: Math.min(parseInt(req.query.limit) || 100, 500) }),
+    stats: outbox.getStats()
+  });
+});
+
+/**
+ * Send every dead letter again (or only a chat's, with chatId)
+ */
+app.post('/api/outbox/dead-letters/redrive', requireApiKey, (req, res) => {
+  const chatId = req.body?.chatId || null;
+  const messages = outbox.redriveAll({ chatId });
+  console.log(`[Outbox] Re-driving ${messages.length} dead letter(s)${chatId ? ` to ${chatId}` : ''}`);
+  if (messages.length > 0) {
+    audit(req, chatId ? `dead-letters:${chatId}` : 'dead-letters', null, { messages: messages.map(message => message.id) });
+  }
+  outbox.dispatch().catch(error => console.error('[Outbox] Dispatch error:', error.message));
+  res.json({ success: true, messages });
+});
+
+/**
+ * Send a dead letter again, with its idempotency key and a fresh set of attempts
+ */
+app.post('/api/outbox/dead-letters/:id/redrive', requireApiKey, (req, res) => {
+  const before = outbox.getDeadLetter(req.params.id);
+  const message = outbox.redrive(req.params.id);
+  if (!message) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  console.log(`[Outbox] Re-driving dead letter #${req.params.id} as #${message.id}`);
+  audit(req, `dead-letter:${req.params.id}`, before, message);
+  outbox.dispatch().catch(error => console.error('[Outbox] Dispatch error:', error.message));
+  res.json({ success: true, message });
+});
+
+/**
+ * Drop a dead letter without sending it
+ */
+app.delete('/api/outbox/dead-letters/:id', requireApiKey, (req, res) => {
+  const before = outbox.getDeadLetter(req.params.id);
+  if (!outbox.discard(req.params.id)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  audit(req, `dead-letter:${req.params.id}`, before, null);
+  res.json({ success: true });
+});
+
+// ============================================
+// Audit Log API (requires API key)
+// ============================================
+
+/**
+ * Changes made through the API, newest first (filter by actor, action, target, from, to)
+ */
+app.get('/api/audit', requireApiKey, (req, res) => {
+  try {
+    res.json(auditLog.list({
+      actor: req.query.actor,
+      action: req.query.action,
+      target: req.query.target,
+      from: req.query.from,
+      to: req.query.to,
+      limit: Math.min(parseInt(req.query.limit) || 100, AUDIT_MAX_LIMIT),
+      offset: parseInt(req.query.offset) || 0
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Retry due webhook deliveries every 5 seconds
+setInterval(() => {
+  webhookRelay.dispatch().catch(error => console.error('[Relay] Dispatch error:', error.message));
+}, 5000);
+
+// Retry due outgoing messages every 5 seconds
+setInterval(() => {
+  outbox.dispatch().catch(error => console.error('[Outbox] Dispatch error:', error.message));
+}, 5000);
+
+// Prune old webhook and inbound events, and sent messages, every hour
+setInterval(() => {
+  webhookRelay.prune();
+  inboundEvents.prune();
+  outbox.prune();
+}, 60 * 60 * 1000);
+
+// Pick up conversations that were open before a restart; their LLM chats are rebuilt on the next message
+const restoredSessions = sessionManager.restoreOpenSessions();
+
+// Messages that were waiting or being answered when the bot stopped; answered once the server is up
+const unfinishedEvents = inboundEvents.takeUnfinished();
+
+// Sends cut off by the stop may have gone out; they become dead letters instead of being sent twice
+const interruptedSends = outbox.recoverInterrupted();
+
 // Cleanup expired sessions every minute
 setInterval(() => {
   sessionManager.cleanupExpiredSessions();
@@ -830,9 +2378,33 @@ setInterval(() => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🤖 Gemini Bot server running on port ${PORT}`);
-  console.log(`📡 Expecting webhooks from WAHA at ${WAHA_URL}`);
+  console.log(`🧠 LLM provider: ${llm.name} (model: ${llm.model})`);
+  if (!llm.isEnabled()) {
+    console.warn(`⚠️  LLM provider "${llm.name}" is not configured - replies will fail until it is (see GEMINI_API_KEY)`);
+  }
+  console.log(`📡 Expecting webhooks from WAHA at ${WAHA_URL} (default session: ${DEFAULT_WAHA_SESSION})`);
+  console.log(`🔏 Webhook signatures: ${WEBHOOK_HMAC_KEY ? 'verified' : 'not checked (set WEBHOOK_HMAC_KEY)'}`);
   console.log(`🎯 Session trigger: "${SESSION_TRIGGER}"`);
-  console.log(`⏱️  Session timeout: ${SESSION_TIMEOUT_MS / 60000} minutes`);
-  console.log(`📊 Max messages per session: ${MAX_MESSAGES_PER_SESSION}`);
-  console.log(`🔒 Rate limit: 1 session per hour`);
+  const limits = sessionManager.limits.getGlobal();
+  console.log(`⏱️  Session timeout: ${limits.sessionTimeoutMs / 60000} minutes`);
+  console.log(`📊 Max messages per session: ${limits.maxMessagesPerSession}`);
+  console.log(`🔒 Rate limit: 1 session per ${limits.rateLimitMs / 60000} minutes`);
+  console.log(`♻️  Restored open sessions: ${restoredSessions}`);
+  console.log(`📥 Unanswered messages to resume: ${unfinishedEvents.length}`);
+  const outboxStats = outbox.getStats();
+  console.log(`📤 Outbox: ${outboxStats.pending} waiting to be retried, ${outboxStats.dead} dead letter(s)` +
+    (interruptedSends ? ` (${interruptedSends} interrupted by the restart)` : ''));
+  console.log(`⭐ Contacts with custom limits: ${sessionManager.limits.listContacts().length}`);
+  console.log(`📚 Knowledge base documents: ${knowledgeBase.list().length}`);
+  console.log(`🙋 Open handoffs: ${sessionManager.handoffs.open.size}`);
+  console.log(`📥 Inbound quiet window: ${inboundBuffer.quietMs}ms (max wait ${inboundBuffer.maxWaitMs}ms)`);
+  console.log(`🛡️  Access mode: ${sessionManager.access.getMode()} (${sessionManager.access.getList('block').length} blocked)`);
+  console.log(`🔀 Webhook relay subscribers: ${webhookRelay.listSubscribers().length}`);
+
+  // In order, so each chat's messages are queued as they arrived
+  (async () => {
+    for (const { id, body } of unfinishedEvents) {
+      await processEvent(body, id);
+    }
+  })();
 });
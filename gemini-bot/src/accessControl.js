@@ -0,0 +1,283 @@
+/**
+ * Access Control
+ * - Allowlist and blocklist of contacts; in 'allowlist' mode only allowlisted contacts get sessions
+ * - Access tiers (blocked, standard, premium, unlimited, or your own) with per-tier session limits
+ * - A contact's tier limits win over the global limits and bot profiles; contact overrides still win over the tier
+ */
+
+import { LIMIT_KEYS, validateLimits, pickLimits } from './sessionLimits.js';
+
+const ACCESS_MODES = ['open', 'allowlist'];
+const ACCESS_LISTS = ['allow', 'block'];
+const DEFAULT_TIER = 'standard';
+const TIER_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Seeded on first run; all but the default and 'blocked' can be deleted, all can be edited
+const BUILT_IN_TIERS = [
+  { name: 'blocked', description: 'No bot sessions', allowSessions: false },
+  { name: 'standard', description: 'Global limits', allowSessions: true },
+  {
+    name: 'premium',
+    description: 'Longer sessions, shorter wait',
+    allowSessions: true,
+    sessionTimeoutMs: 30 * 60 * 1000,
+    rateLimitMs: 15 * 60 * 1000,
+    maxMessagesPerSession: 50
+  },
+  {
+    name: 'unlimited',
+    description: 'No wait between sessions',
+    allowSessions: true,
+    sessionTimeoutMs: 24 * 60 * 60 * 1000,
+    rateLimitMs: 0,
+    maxMessagesPerSession: 1000
+  }
+];
+const PROTECTED_TIERS = ['blocked', DEFAULT_TIER];
+
+function normalizePhone(phone) {
+  return String(phone).replace(/\D/g, '');
+}
+
+class AccessControl {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS access_tiers (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        allow_sessions INTEGER NOT NULL DEFAULT 1,
+        session_timeout_ms INTEGER,
+        rate_limit_ms INTEGER,
+        max_messages_per_session INTEGER,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS access_contacts (
+        phone TEXT PRIMARY KEY,
+        tier TEXT NOT NULL,
+        note TEXT,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS access_lists (
+        phone TEXT PRIMARY KEY,
+        list TEXT NOT NULL,
+        note TEXT,
+        created_at INTEGER NOT NULL
+      );
+    `);
+
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO access_tiers (name, description, allow_sessions, session_timeout_ms, rate_limit_ms, max_messages_per_session, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const tier of BUILT_IN_TIERS) {
+      insert.run(
+        tier.name, tier.description, tier.allowSessions ? 1 : 0,
+        tier.sessionTimeoutMs ?? null, tier.rateLimitMs ?? null, tier.maxMessagesPerSession ?? null, Date.now()
+      );
+    }
+  }
+
+  // 'open' (anyone with the trigger phrase) or 'allowlist', stored in bot_config
+  getMode() {
+    const row = this.db.prepare("SELECT value FROM bot_config WHERE key = 'access_mode'").get();
+    return ACCESS_MODES.includes(row?.value) ? row.value : (ACCESS_MODES.includes(process.env.ACCESS_MODE) ? process.env.ACCESS_MODE : 'open');
+  }
+
+  setMode(mode) {
+    if (!ACCESS_MODES.includes(mode)) {
+      throw new Error(`mode must be one of: ${ACCESS_MODES.join(', ')}`);
+    }
+    this.db.prepare(`
+      INSERT INTO bot_config (key, value, updated_at) VALUES ('access_mode', ?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run(mode, Date.now());
+    return mode;
+  }
+
+  // ---- Tiers ----
+
+  formatTier(row) {
+    if (!row) return null;
+    const tier = { name: row.name, description: row.description, allowSessions: !!row.allow_sessions };
+    for (const [field, column] of Object.entries(LIMIT_KEYS)) {
+      tier[field] = row[column];
+    }
+    tier.builtIn = BUILT_IN_TIERS.some(t => t.name === row.name);
+    tier.contacts = row.contact_count ?? 0;
+    return tier;
+  }
+
+  getTier(name) {
+    return this.formatTier(this.db.prepare(`
+      SELECT t.*, (SELECT COUNT(*) FROM access_contacts c WHERE c.tier = t.name) AS contact_count
+      FROM access_tiers t WHERE t.name = ?
+    `).get(name));
+  }
+
+  listTiers() {
+    return this.db.prepare(`
+      SELECT t.*, (SELECT COUNT(*) FROM access_contacts c WHERE c.tier = t.name) AS contact_count
+      FROM access_tiers t ORDER BY t.name
+    `).all().map(row => this.formatTier(row));
+  }
+
+  /**
+   * Create or update a tier; limits left out keep their value, null means "use the global limit"
+   * @param {object} fields - { description, allowSessions, sessionTimeoutMs, rateLimitMs, maxMessagesPerSession }
+   */
+  saveTier(name, fields) {
+    if (!TIER_NAME_PATTERN.test(name || '')) {
+      throw new Error('Tier name must be 1-32 lowercase letters, digits, - or _');
+    }
+    const { description, allowSessions, ...limits } = fields || {};
+    validateLimits(limits);
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      throw new Error('description must be a string');
+    }
+    if (allowSessions !== undefined && typeof allowSessions !== 'boolean') {
+      throw new Error('allowSessions must be true or false');
+    }
+    if (name === 'blocked' && allowSessions === true) {
+      throw new Error("The 'blocked' tier can't allow sessions");
+    }
+
+    const merged = { ...this.getTier(name), ...fields };
+    this.db.prepare(`
+      INSERT INTO access_tiers (name, description, allow_sessions, session_timeout_ms, rate_limit_ms, max_messages_per_session, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        description = excluded.description,
+        allow_sessions = excluded.allow_sessions,
+        session_timeout_ms = excluded.session_timeout_ms,
+        rate_limit_ms = excluded.rate_limit_ms,
+        max_messages_per_session = excluded.max_messages_per_session,
+        updated_at = excluded.updated_at
+    `).run(
+      name,
+      merged.description ?? null,
+      merged.allowSessions === false ? 0 : 1,
+      merged.sessionTimeoutMs ?? null,
+      merged.rateLimitMs ?? null,
+      merged.maxMessagesPerSession ?? null,
+      Date.now()
+    );
+    return this.getTier(name);
+  }
+
+  // Delete a tier; its contacts fall back to the default tier
+  removeTier(name) {
+    if (PROTECTED_TIERS.includes(name)) {
+      throw new Error(`The '${name}' tier can't be deleted`);
+    }
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM access_contacts WHERE tier = ?').run(name);
+      return this.db.prepare('DELETE FROM access_tiers WHERE name = ?').run(name).changes > 0;
+    });
+    return remove();
+  }
+
+  // ---- Contacts ----
+
+  formatContact(row) {
+    return { phone: row.phone, tier: row.tier, note: row.note, updatedAt: new Date(row.updated_at).toISOString() };
+  }
+
+  listContacts(tier) {
+    const rows = tier
+      ? this.db.prepare('SELECT * FROM access_contacts WHERE tier = ? ORDER BY phone').all(tier)
+      : this.db.prepare('SELECT * FROM access_contacts ORDER BY phone').all();
+    return rows.map(row => this.formatContact(row));
+  }
+
+  // Put a contact in a tier (the default tier removes the assignment)
+  setContactTier(phone, tier, note = null) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      throw new Error('phone is required');
+    }
+    if (!this.getTier(tier)) {
+      throw new Error(`Unknown tier: ${tier}`);
+    }
+    if (tier === DEFAULT_TIER) {
+      this.db.prepare('DELETE FROM access_contacts WHERE phone = ?').run(normalized);
+      return { phone: normalized, tier, note: null, updatedAt: null };
+    }
+    this.db.prepare(`
+      INSERT INTO access_contacts (phone, tier, note, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(phone) DO UPDATE SET tier = excluded.tier, note = excluded.note, updated_at = excluded.updated_at
+    `).run(normalized, tier, note, Date.now());
+    return this.formatContact(this.db.prepare('SELECT * FROM access_contacts WHERE phone = ?').get(normalized));
+  }
+
+  // The contact's tier, or the default one
+  getContactTier(phone) {
+    const row = this.db.prepare('SELECT tier FROM access_contacts WHERE phone = ?').get(normalizePhone(phone));
+    return this.getTier(row?.tier || DEFAULT_TIER) || this.getTier(DEFAULT_TIER);
+  }
+
+  // Limits the contact's tier sets (only the ones it sets)
+  getTierLimits(phone) {
+    return pickLimits(this.getContactTier(phone));
+  }
+
+  // ---- Allowlist / blocklist ----
+
+  formatListEntry(row) {
+    return { phone: row.phone, list: row.list, note: row.note, createdAt: new Date(row.created_at).toISOString() };
+  }
+
+  getList(list) {
+    return this.db.prepare('SELECT * FROM access_lists WHERE list = ? ORDER BY phone').all(list).map(row => this.formatListEntry(row));
+  }
+
+  // Add a contact to the allowlist or the blocklist (a contact is on one list at most)
+  addToList(list, phone, note = null) {
+    if (!ACCESS_LISTS.includes(list)) {
+      throw new Error(`list must be one of: ${ACCESS_LISTS.join(', ')}`);
+    }
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      throw new Error('phone is required');
+    }
+    this.db.prepare(`
+      INSERT INTO access_lists (phone, list, note, created_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(phone) DO UPDATE SET list = excluded.list, note = excluded.note, created_at = excluded.created_at
+    `).run(normalized, list, note, Date.now());
+    return this.formatListEntry(this.db.prepare('SELECT * FROM access_lists WHERE phone = ?').get(normalized));
+  }
+
+  removeFromList(list, phone) {
+    return this.db.prepare('DELETE FROM access_lists WHERE list = ? AND phone = ?').run(list, normalizePhone(phone)).changes > 0;
+  }
+
+  /**
+   * May this contact start a bot session?
+   * @returns {object} { allowed, reason: null|'blocklist'|'tier'|'not_allowlisted', tier }
+   */
+  check(phone) {
+    const normalized = normalizePhone(phone);
+    const entry = this.db.prepare('SELECT list FROM access_lists WHERE phone = ?').get(normalized);
+    const tier = this.getContactTier(normalized);
+
+    if (entry?.list === 'block') {
+      return { allowed: false, reason: 'blocklist', tier: tier.name };
+    }
+    if (!tier.allowSessions) {
+      return { allowed: false, reason: 'tier', tier: tier.name };
+    }
+    if (this.getMode() === 'allowlist' && entry?.list !== 'allow') {
+      return { allowed: false, reason: 'not_allowlisted', tier: tier.name };
+    }
+    return { allowed: true, reason: null, tier: tier.name };
+  }
+}
+
+export default AccessControl;
+export { ACCESS_MODES, ACCESS_LISTS, DEFAULT_TIER, BUILT_IN_TIERS };
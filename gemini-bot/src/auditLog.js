@@ -0,0 +1,124 @@
+/**
+ * Audit Log
+ * - One row per change made through the API: who (actor), what (action - method and route),
+ *   to what (target), the value before and after, and when
+ * - Append-only: SQLite triggers refuse to update or delete rows
+ * - Before/after values are stored as JSON
+ */
+
+const AUDIT_MAX_LIMIT = 500;
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function fromJson(text) {
+  return text === null ? null : JSON.parse(text);
+}
+
+// ISO date or ms -> ms (null if it isn't a date)
+function toMillis(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+class AuditLog {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target TEXT,
+        before_value TEXT,
+        after_value TEXT,
+        ip TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target);
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `);
+  }
+
+  formatEntry(row) {
+    return {
+      id: row.id,
+      actor: row.actor,
+      action: row.action,
+      target: row.target,
+      before: fromJson(row.before_value),
+      after: fromJson(row.after_value),
+      ip: row.ip,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  /**
+   * Append an entry
+   * @param {object} entry - { actor, action, target, before, after, ip }
+   * @returns {object} The stored entry
+   */
+  record({ actor, action, target = null, before = null, after = null, ip = null }) {
+    if (!actor || !action) {
+      throw new Error('actor and action are required');
+    }
+    const result = this.db.prepare(`
+      INSERT INTO audit_log (actor, action, target, before_value, after_value, ip, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(actor, action, target === null ? null : String(target), toJson(before), toJson(after), ip, Date.now());
+    return this.formatEntry(this.db.prepare('SELECT * FROM audit_log WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  /**
+   * Entries, newest first
+   * @param {object} filters - { actor, action (substring), target, from, to (ISO or ms), limit, offset }
+   * @returns {object} { entries, total }
+   */
+  list({ actor, action, target, from, to, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (actor) {
+      conditions.push('actor = ?');
+      params.push(actor);
+    }
+    if (action) {
+      conditions.push('action LIKE ?');
+      params.push(`%${action}%`);
+    }
+    if (target) {
+      conditions.push('target = ?');
+      params.push(String(target));
+    }
+    for (const [value, condition] of [[from, 'created_at >= ?'], [to, 'created_at <= ?']]) {
+      if (value === undefined || value === null || value === '') continue;
+      const ms = toMillis(value);
+      if (ms === null) {
+        throw new Error(`Invalid date: ${value}`);
+      }
+      conditions.push(condition);
+      params.push(ms);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${where}`).get(...params).count;
+    const rows = this.db.prepare(`SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+      .all(...params, Math.min(Math.max(limit, 1), AUDIT_MAX_LIMIT), Math.max(offset, 0));
+    return { entries: rows.map(row => this.formatEntry(row)), total };
+  }
+}
+
+export default AuditLog;
+export { AUDIT_MAX_LIMIT };
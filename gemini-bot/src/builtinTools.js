@@ -0,0 +1,230 @@
+/**
+ * Built-in Tools
+ * - lookup_contact_name: the contact's name from chatty-backend favorites
+ * - get_session_status: messages/time left in the current bot session
+ * - create_reminder: a one-off WhatsApp reminder via chatty-backend's scheduler
+ * - get_business_hours: opening hours from bot_config
+ * - request_human: hand the chat to a human operator (the bot stops replying)
+ */
+
+const CHATTY_API_URL = (process.env.CHATTY_API_URL || 'http://chatty-backend:3002').replace(/\/+$/, '');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Sun-Thu office hours, short Friday, closed Saturday
+const DEFAULT_BUSINESS_HOURS = {
+  timezone: process.env.BUSINESS_TIMEZONE || 'Asia/Jerusalem',
+  hours: {
+    sun: '09:00-17:00',
+    mon: '09:00-17:00',
+    tue: '09:00-17:00',
+    wed: '09:00-17:00',
+    thu: '09:00-17:00',
+    fri: '09:00-13:00',
+    sat: null
+  },
+  note: null
+};
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Throws with a user-facing message; null for a day means closed
+function validateBusinessHours(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('business hours must be an object');
+  }
+  if (value.timezone !== undefined && !isValidTimezone(value.timezone)) {
+    throw new Error(`Unknown timezone: ${value.timezone}`);
+  }
+  for (const [day, range] of Object.entries(value.hours || {})) {
+    if (!DAYS.includes(day)) {
+      throw new Error(`Unknown day "${day}" (expected ${DAYS.join(', ')})`);
+    }
+    if (range !== null && !/^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/.test(range)) {
+      throw new Error(`hours.${day} must look like "09:00-17:00" or be null (closed)`);
+    }
+  }
+  if (value.note !== undefined && value.note !== null && typeof value.note !== 'string') {
+    throw new Error('note must be a string');
+  }
+}
+
+/**
+ * Stored business hours merged over the defaults
+ * @param {Function} getConfig - bot_config reader (key -> string | null)
+ */
+function getBusinessHours(getConfig) {
+  const stored = getConfig('business_hours');
+  if (!stored) return DEFAULT_BUSINESS_HOURS;
+  try {
+    const parsed = JSON.parse(stored);
+    return {
+      timezone: parsed.timezone || DEFAULT_BUSINESS_HOURS.timezone,
+      hours: { ...DEFAULT_BUSINESS_HOURS.hours, ...parsed.hours },
+      note: parsed.note ?? null
+    };
+  } catch {
+    return DEFAULT_BUSINESS_HOURS;
+  }
+}
+
+// Weekday and HH:mm of an instant in a timezone
+function zonedNow(timezone, now = Date.now()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(now)).map(p => [p.type, p.value]));
+  return { day: parts.weekday.toLowerCase().slice(0, 3), time: `${parts.hour}:${parts.minute}` };
+}
+
+function isOpenAt(businessHours, now = Date.now()) {
+  const { day, time } = zonedNow(businessHours.timezone, now);
+  const range = businessHours.hours[day];
+  if (!range) return false;
+  const [open, close] = range.split('-');
+  return time >= open && time < close;
+}
+
+// "YYYY-MM-DDTHH:mm" wall-clock time in a timezone (what chatty's scheduler expects)
+function toLocalDateTime(ms, timezone) {
+  return new Intl.DateTimeFormat('sv-SE', {
+    timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).format(new Date(ms)).replace(' ', 'T');
+}
+
+async function chattyRequest(method, path, body) {
+  const response = await fetch(`${CHATTY_API_URL}${path}`, {
+    method,
+    // chatty-backend accepts the WAHA key as a service credential
+    headers: { 'Content-Type': 'application/json', 'X-Api-Key': process.env.WAHA_API_KEY || '' },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(4000)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `chatty-backend returned HTTP ${response.status}`);
+  }
+  return data;
+}
+
+/**
+ * Register the built-in tools
+ * @param {ToolRegistry} registry
+ * @param {object} deps - { sessionManager, startHandoff(phone, options) }
+ */
+function registerBuiltinTools(registry, { sessionManager, startHandoff }) {
+  const getConfig = key => sessionManager.getConfig(key);
+
+  registry.register({
+    name: 'lookup_contact_name',
+    description: 'Look up the saved name of a WhatsApp contact (defaults to the person you are talking to).',
+    parameters: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string', description: 'Phone number in international format, digits only. Omit for the current user.' }
+      }
+    },
+    handler: async (args, context) => {
+      const phone = String(args.phone || context.phone || '').replace(/\D/g, '');
+      const favorites = await chattyRequest('GET', '/api/favorites');
+      const favorite = favorites.find(f => f.phone === phone);
+      return favorite ? { found: true, phone, name: favorite.name } : { found: false, phone };
+    }
+  });
+
+  registry.register({
+    name: 'get_session_status',
+    description: 'How many messages and minutes the user has left in this conversation with the bot.',
+    handler: async (args, context) => {
+      const status = sessionManager.getSessionStatus(context.sessionKey || context.phone, context.wahaSession);
+      if (!status.active) {
+        return { active: false, canStartNew: status.canStartNew, waitMinutes: status.waitMinutes };
+      }
+      return {
+        active: true,
+        messagesRemaining: status.messagesRemaining,
+        minutesRemaining: Math.max(0, Math.floor(status.timeRemainingSeconds / 60))
+      };
+    }
+  });
+
+  registry.register({
+    name: 'create_reminder',
+    description: 'Schedule a WhatsApp reminder message to the user. Give either sendAt (local business time) or inMinutes.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'What to remind the user about' },
+        sendAt: { type: 'string', description: 'Local date and time, format YYYY-MM-DDTHH:mm' },
+        inMinutes: { type: 'integer', description: 'Minutes from now' }
+      },
+      required: ['text']
+    },
+    handler: async (args, context) => {
+      if (!args.text || typeof args.text !== 'string') {
+        throw new Error('text is required');
+      }
+      const { timezone } = getBusinessHours(getConfig);
+      let sendAt = args.sendAt;
+      if (!sendAt) {
+        const minutes = Number(args.inMinutes);
+        if (!Number.isFinite(minutes) || minutes < 1 || minutes > 60 * 24 * 90) {
+          throw new Error('Give sendAt or inMinutes (1 minute to 90 days)');
+        }
+        sendAt = toLocalDateTime(Date.now() + minutes * 60000, timezone);
+      }
+
+      const schedule = await chattyRequest('POST', '/api/schedules', {
+        phones: [context.phone],
+        message: `⏰ תזכורת: ${args.text}`,
+        sendAt,
+        timezone,
+        session: context.wahaSession
+      });
+      return { scheduled: true, id: schedule.id, sendAt, timezone };
+    }
+  });
+
+  registry.register({
+    name: 'get_business_hours',
+    description: 'The business opening hours per weekday, and whether it is open right now.',
+    handler: async () => {
+      const businessHours = getBusinessHours(getConfig);
+      return { ...businessHours, openNow: isOpenAt(businessHours), now: zonedNow(businessHours.timezone) };
+    }
+  });
+
+  registry.register({
+    name: 'request_human',
+    description: 'Hand this conversation to a human operator when the user asks for a person, is upset, or needs something you cannot do. After calling it, tell the user a person will reply here soon; you will not answer further messages.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Short summary for the operator of what the user needs' }
+      }
+    },
+    handler: async (args, context) => {
+      if (!startHandoff) {
+        throw new Error('Human handoff is not available');
+      }
+      const handoff = startHandoff(context.phone, {
+        chatId: context.chatId,
+        wahaSession: context.wahaSession,
+        source: 'llm',
+        reason: typeof args.reason === 'string' ? args.reason.substring(0, 200) : null
+      });
+      return { handedOff: true, status: handoff.status };
+    }
+  });
+
+  return registry;
+}
+
+export default registerBuiltinTools;
+export { DEFAULT_BUSINESS_HOURS, getBusinessHours, validateBusinessHours, isOpenAt, toLocalDateTime };
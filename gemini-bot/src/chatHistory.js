@@ -0,0 +1,108 @@
+/**
+ * Chat History
+ * - Every user/model turn is stored against its chat_sessions row
+ * - Lets the LLM chat be rebuilt after a restart or redeploy
+ * - Bot turns keep the knowledge base documents they were grounded on (sources)
+ * - During a human handoff the operator's replies are stored as 'operator' turns
+ * - Turns answering an inbound event keep its id, so a replayed event (resume, retry) isn't stored twice
+ */
+
+const ROLES = ['user', 'model', 'operator'];
+
+/**
+ * Stored turns -> the alternating user/model turns an LLM chat expects.
+ * Operator replies count as the assistant's side (marked as such), and
+ * consecutive turns from the same side are merged.
+ */
+function toLlmTurns(turns) {
+  const result = [];
+  for (const turn of turns) {
+    const role = turn.role === 'user' ? 'user' : 'model';
+    const text = turn.role === 'operator' ? `[Human agent] ${turn.text}` : turn.text;
+    const last = result[result.length - 1];
+    if (last && last.role === role) {
+      last.text += `\n${text}`;
+    } else {
+      result.push({ role, text, createdAt: turn.createdAt });
+    }
+  }
+  // Messages the human never answered - the next user message must follow a model turn
+  if (result.length > 0 && result[result.length - 1].role === 'user') {
+    result.push({ role: 'model', text: '[Human agent handed the chat back without replying]' });
+  }
+  return result;
+}
+
+class ChatHistory {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        text TEXT NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_chat_messages_session ON chat_messages(session_id, id);
+    `);
+
+    // Migrations: knowledge base citations, inbound event ids
+    const columns = this.db.prepare('PRAGMA table_info(chat_messages)').all();
+    if (!columns.some(c => c.name === 'sources')) {
+      this.db.exec('ALTER TABLE chat_messages ADD COLUMN sources TEXT');
+    }
+    if (!columns.some(c => c.name === 'event_id')) {
+      this.db.exec('ALTER TABLE chat_messages ADD COLUMN event_id INTEGER');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_chat_messages_event ON chat_messages(event_id, role)');
+  }
+
+  // Whether an inbound event already has a turn with this role
+  hasEventTurn(eventId, role) {
+    return !!this.db.prepare('SELECT 1 FROM chat_messages WHERE event_id = ? AND role = ?').get(eventId, role);
+  }
+
+  /**
+   * @param {Array} [sources] - Knowledge base documents used for the turn ([{ docId, title, chunkIds }])
+   * @param {number} [eventId] - Inbound event the turn belongs to
+   * @returns {boolean} false when the event already has a turn with this role
+   */
+  add(sessionId, role, text, sources = null, eventId = null) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (eventId && this.hasEventTurn(eventId, role)) return false;
+    this.db.prepare(`
+      INSERT INTO chat_messages (session_id, role, text, sources, event_id, created_at) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(sessionId, role, text, sources && sources.length > 0 ? JSON.stringify(sources) : null, eventId, Date.now());
+    return true;
+  }
+
+  // Store a completed exchange; both turns or neither, so the history always alternates.
+  // Returns false when the event was already answered (nothing is stored)
+  addExchange(sessionId, userText, modelText, sources = null, eventId = null) {
+    const insert = this.db.transaction(() => {
+      if (eventId && this.hasEventTurn(eventId, 'model')) return false;
+      this.add(sessionId, 'user', userText, null, eventId);
+      this.add(sessionId, 'model', modelText, sources, eventId);
+      return true;
+    });
+    return insert();
+  }
+
+  // Turns as stored: [{ role, text, createdAt }]
+  list(sessionId) {
+    return this.db.prepare(`
+      SELECT role, text, created_at AS createdAt FROM chat_messages WHERE session_id = ? ORDER BY id
+    `).all(sessionId);
+  }
+}
+
+export default ChatHistory;
+export { ROLES, toLlmTurns };
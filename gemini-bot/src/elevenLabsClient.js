@@ -30,8 +30,9 @@ function shouldSendVoice() {
 /**
  * Generate speech audio from text using ElevenLabs API
  * Returns base64-encoded audio data or null on error
+ * @param {string} [voiceId] - Voice override (e.g. from a bot profile)
  */
-async function generateSpeech(text) {
+async function generateSpeech(text, voiceId = ELEVENLABS_VOICE_ID) {
   if (!ELEVENLABS_API_KEY) {
     console.error('ElevenLabs API key not configured');
     return null;
@@ -45,7 +46,7 @@ async function generateSpeech(text) {
 
   try {
     const response = await fetch(
-      `https://api.elevenlabs.io/v1/text-to-speech/${ELEVENLABS_VOICE_ID}`,
+      `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
       {
         method: 'POST',
         headers: {
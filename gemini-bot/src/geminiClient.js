@@ -1,44 +1,88 @@
+/**
+ * Gemini LLM Provider
+ * - Google Gemini chat sessions via @google/generative-ai
+ * - Model from GEMINI_MODEL (a bot profile may override it per chat)
+ */
+
 import { GoogleGenerativeAI } from '@google/generative-ai';
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const MODEL = 'gemini-2.5-flash';
+const MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+const MAX_TOOL_ROUNDS = 5; // tool call -> result round-trips per user message
 
-if (!GEMINI_API_KEY) {
-  console.error('ERROR: GEMINI_API_KEY environment variable is required');
-  process.exit(1);
-}
+const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
 
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-
-// Store chat sessions for each phone
+// Store chat sessions for each phone (a cache - the turns themselves are persisted by the caller)
 const chatSessions = new Map();
 
+/**
+ * Check if Gemini is configured
+ */
+function isEnabled() {
+  return !!genAI;
+}
+
+/**
+ * Stored turns ([{ role: 'user'|'model', text }]) -> Gemini history
+ */
+function toGeminiHistory(turns) {
+  return turns.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] }));
+}
+
 /**
  * Get or create a chat session for a phone number
+ * @param {Function} loadHistory - Returns stored turns to rebuild a chat that isn't in memory
+ * @param {Array} tools - Tool declarations ({ name, description, parameters }) the model may call
  */
-function getOrCreateChat(phone, systemPrompt) {
+function getOrCreateChat(phone, systemPrompt, modelName = MODEL, loadHistory = () => [], tools = []) {
   if (!chatSessions.has(phone)) {
     const model = genAI.getGenerativeModel({
-      model: MODEL,
-      systemInstruction: systemPrompt
+      model: modelName,
+      systemInstruction: systemPrompt,
+      ...(tools.length > 0 ? { tools: [{ functionDeclarations: tools }] } : {})
     });
     const chat = model.startChat({
-      history: []
+      history: toGeminiHistory(loadHistory())
     });
     chatSessions.set(phone, chat);
   }
   return chatSessions.get(phone);
 }
 
+/**
+ * Send the user's message and answer any function calls until the model replies with text
+ */
+async function runTurn(chat, userMessage, runTool) {
+  let result = await chat.sendMessage(userMessage);
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS && runTool; round++) {
+    const calls = result.response.functionCalls() || [];
+    if (calls.length === 0) break;
+
+    const responses = [];
+    for (const call of calls) {
+      responses.push({ functionResponse: { name: call.name, response: await runTool(call.name, call.args) } });
+    }
+    result = await chat.sendMessage(responses);
+  }
+
+  return result.response.text();
+}
+
 /**
  * Send a message using Gemini Chat API
+ * @param {string} [modelName] - Model override (e.g. from a bot profile)
+ * @param {Function} [loadHistory] - Stored turns of the conversation, used after a restart
+ * @param {object} [options] - { tools, runTool(name, args) -> { result } | { error } }
  */
-async function sendMessage(phone, userMessage, systemPrompt) {
+async function sendMessage(phone, userMessage, systemPrompt, modelName = MODEL, loadHistory = () => [], { tools = [], runTool } = {}) {
+  if (!isEnabled()) {
+    return { success: false, error: 'GEMINI_API_KEY is not configured' };
+  }
+
   try {
-    const chat = getOrCreateChat(phone, systemPrompt);
-    const result = await chat.sendMessage(userMessage);
-    const response = await result.response;
-    const responseText = response.text();
+    const chat = getOrCreateChat(phone, systemPrompt, modelName, loadHistory, tools);
+    const responseText = await runTurn(chat, userMessage, runTool);
 
     return {
       success: true,
@@ -51,14 +95,13 @@ async function sendMessage(phone, userMessage, systemPrompt) {
     // If session is corrupted, clear it and retry
     if (chatSessions.has(phone)) {
       chatSessions.delete(phone);
-      // Retry once with fresh session
+      // Retry once with a fresh session rebuilt from the stored turns
       try {
-        const chat = getOrCreateChat(phone, systemPrompt);
-        const result = await chat.sendMessage(userMessage);
-        const response = await result.response;
+        const chat = getOrCreateChat(phone, systemPrompt, modelName, loadHistory, tools);
+        const responseText = await runTurn(chat, userMessage, runTool);
         return {
           success: true,
-          text: response.text().trim() || 'No response generated.'
+          text: responseText.trim() || 'No response generated.'
         };
       } catch (retryError) {
         return {
@@ -86,6 +129,10 @@ function clearSession(phone) {
  * Check if Gemini API is configured and working
  */
 async function healthCheck() {
+  if (!isEnabled()) {
+    return { healthy: false, model: MODEL, error: 'GEMINI_API_KEY is not configured' };
+  }
+
   try {
     const model = genAI.getGenerativeModel({ model: MODEL });
     const result = await model.generateContent('Say "OK" in one word');
@@ -93,8 +140,8 @@ async function healthCheck() {
     response.text(); // Will throw if failed
     return { healthy: true, model: MODEL };
   } catch (error) {
-    return { healthy: false, error: error.message };
+    return { healthy: false, model: MODEL, error: error.message };
   }
 }
 
-export { sendMessage, clearSession, healthCheck };
+export { sendMessage, clearSession, healthCheck, isEnabled, MODEL };
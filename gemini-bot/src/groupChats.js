@@ -0,0 +1,133 @@
+/**
+ * Group Chats
+ * - Opt-in: groups are ignored unless group chats are enabled and the group is on the allowlist
+ * - In a group the bot only answers when @mentioned or when a trigger phrase is used,
+ *   and quotes the message it answers
+ * - Sessions per participant (each member has their own conversation) or one per group
+ */
+
+const GROUP_SESSION_SCOPES = ['participant', 'group'];
+const GROUP_ID_PATTERN = /^[\d-]+@g\.us$/;
+
+const DEFAULT_GROUP_CONFIG = {
+  enabled: false,
+  sessionScope: 'participant',
+  groups: {} // groupId -> { name, sessionScope } - the allowlist
+};
+
+function validateScope(scope, field) {
+  if (scope !== undefined && scope !== null && !GROUP_SESSION_SCOPES.includes(scope)) {
+    throw new Error(`${field} must be one of: ${GROUP_SESSION_SCOPES.join(', ')}`);
+  }
+}
+
+// One allowlist entry ({ name, sessionScope }, both optional)
+function validateGroupEntry(groupId, entry = {}) {
+  if (!GROUP_ID_PATTERN.test(groupId)) {
+    throw new Error(`Invalid group id "${groupId}" (expected e.g. 120363012345678901@g.us)`);
+  }
+  if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+    throw new Error(`groups["${groupId}"] must be an object`);
+  }
+  if (entry.name !== undefined && entry.name !== null && typeof entry.name !== 'string') {
+    throw new Error(`groups["${groupId}"].name must be a string`);
+  }
+  validateScope(entry.sessionScope, `groups["${groupId}"].sessionScope`);
+}
+
+// Throws with a user-facing message
+function validateGroupConfig(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('group chat settings must be an object');
+  }
+  if (value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+    throw new Error('enabled must be true or false');
+  }
+  validateScope(value.sessionScope, 'sessionScope');
+  if (value.groups !== undefined) {
+    if (typeof value.groups !== 'object' || value.groups === null || Array.isArray(value.groups)) {
+      throw new Error('groups must be an object keyed by group id');
+    }
+    for (const [groupId, entry] of Object.entries(value.groups)) {
+      validateGroupEntry(groupId, entry);
+    }
+  }
+}
+
+/**
+ * Stored group chat settings merged over the defaults
+ * @param {Function} getConfig - bot_config reader (key -> string | null)
+ */
+function getGroupConfig(getConfig) {
+  const stored = getConfig('group_chats');
+  if (!stored) return DEFAULT_GROUP_CONFIG;
+  try {
+    const parsed = JSON.parse(stored);
+    return {
+      enabled: parsed.enabled ?? DEFAULT_GROUP_CONFIG.enabled,
+      sessionScope: parsed.sessionScope || DEFAULT_GROUP_CONFIG.sessionScope,
+      groups: parsed.groups || {}
+    };
+  } catch {
+    return DEFAULT_GROUP_CONFIG;
+  }
+}
+
+/**
+ * Settings for one group, or null when the bot must stay out of it
+ * @returns {object|null} { name, sessionScope }
+ */
+function getGroupSettings(config, groupId) {
+  if (!config.enabled) return null;
+  const entry = config.groups[groupId];
+  if (!entry) return null;
+  return { name: entry.name || null, sessionScope: entry.sessionScope || config.sessionScope };
+}
+
+// Sessions are keyed like phones: the group itself, or group/participant
+function groupSessionKey(groupId, participantPhone, sessionScope) {
+  return sessionScope === 'group' ? groupId : `${groupId}/${participantPhone}`;
+}
+
+// Sender of a group message, digits only (WAHA engines put it in different places)
+function getParticipantPhone(message) {
+  const participant = message.participant || message.author || message._data?.key?.participant || message._data?.author || '';
+  return participant.split('@')[0].replace(/\D/g, '');
+}
+
+/**
+ * Phones @mentioned in a message, digits only: WEBJS lists them in mentionedJidList,
+ * NOWEB in the message's contextInfo; the text itself carries "@<phone>"
+ */
+function getMentionedPhones(message) {
+  const ids = [
+    ...(message.mentionedIds || []),
+    ...(message._data?.mentionedJidList || []),
+    ...(message._data?.message?.extendedTextMessage?.contextInfo?.mentionedJid || [])
+  ].map(id => String(id?._serialized || id).split('@')[0]);
+
+  const text = message.body || message.text || '';
+  for (const match of text.matchAll(/@(\d{6,})/g)) {
+    ids.push(match[1]);
+  }
+  return new Set(ids.map(id => id.replace(/\D/g, '')).filter(Boolean));
+}
+
+// Drop "@<bot phone>" from the text the LLM sees
+function stripMention(text, botPhone) {
+  if (!botPhone) return text.trim();
+  return text.replace(new RegExp(`@${botPhone}\\b`, 'g'), '').replace(/\s{2,}/g, ' ').trim();
+}
+
+export {
+  GROUP_SESSION_SCOPES,
+  DEFAULT_GROUP_CONFIG,
+  validateGroupConfig,
+  validateGroupEntry,
+  getGroupConfig,
+  getGroupSettings,
+  groupSessionKey,
+  getParticipantPhone,
+  getMentionedPhones,
+  stripMention
+};
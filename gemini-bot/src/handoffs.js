@@ -0,0 +1,171 @@
+/**
+ * Human Handoff
+ * - A contact's chat handed from the bot to a human operator
+ * - While a handoff is open the bot stays quiet for that phone on that number
+ * - Opened by a keyword, by the LLM (request_human tool) or by an operator;
+ *   'waiting' until an operator takes it, then 'active', 'closed' once back with the bot
+ */
+
+const HANDOFF_SOURCES = ['keyword', 'llm', 'operator'];
+
+// A contact writing to two of our numbers has two chats: everything per chat is keyed by both
+function chatKey(phone, wahaSession = 'default') {
+  return `${wahaSession}:${phone}`;
+}
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+class Handoffs {
+  constructor(db) {
+    this.db = db;
+    this.open = new Map(); // chatKey(phone, wahaSession) -> open handoff (API shape)
+    this.initializeDatabase();
+    this.loadOpen();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS bot_handoffs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        waha_session TEXT NOT NULL DEFAULT 'default',
+        session_id INTEGER,
+        source TEXT NOT NULL,
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'waiting',
+        operator TEXT,
+        started_at INTEGER NOT NULL,
+        taken_at INTEGER,
+        ended_at INTEGER,
+        ended_by TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_bot_handoffs_phone ON bot_handoffs(phone, status);
+    `);
+  }
+
+  // Open handoffs survive restarts
+  loadOpen() {
+    const rows = this.db.prepare(`SELECT * FROM bot_handoffs WHERE status != 'closed' ORDER BY id`).all();
+    for (const row of rows) {
+      this.open.set(chatKey(row.phone, row.waha_session), this.formatHandoff(row));
+    }
+  }
+
+  // Row -> API shape
+  formatHandoff(row) {
+    return {
+      id: row.id,
+      phone: row.phone,
+      chatId: row.chat_id,
+      wahaSession: row.waha_session,
+      sessionId: row.session_id,
+      source: row.source,
+      reason: row.reason,
+      status: row.status,
+      operator: row.operator,
+      startedAt: toIso(row.started_at),
+      takenAt: toIso(row.taken_at),
+      endedAt: toIso(row.ended_at),
+      endedBy: row.ended_by
+    };
+  }
+
+  refresh(id) {
+    const handoff = this.formatHandoff(this.db.prepare('SELECT * FROM bot_handoffs WHERE id = ?').get(id));
+    const key = chatKey(handoff.phone, handoff.wahaSession);
+    if (handoff.status === 'closed') {
+      this.open.delete(key);
+    } else {
+      this.open.set(key, handoff);
+    }
+    return handoff;
+  }
+
+  // Open handoff for a phone on one of our numbers, or null
+  get(phone, wahaSession = 'default') {
+    return this.open.get(chatKey(phone, wahaSession)) || null;
+  }
+
+  // Open handoffs for a phone on any of our numbers
+  forPhone(phone) {
+    return [...this.open.values()].filter(handoff => handoff.phone === phone);
+  }
+
+  /**
+   * Open a handoff (an operator opening one takes it straight away).
+   * If one is already open it is returned as is - or taken, when an operator asks.
+   * @param {object} options - { chatId, wahaSession, sessionId, source, reason, operator }
+   * @returns {object} handoff with created: true|false
+   */
+  start(phone, { chatId, wahaSession = 'default', sessionId = null, source, reason = null, operator = null }) {
+    if (!HANDOFF_SOURCES.includes(source)) {
+      throw new Error(`source must be one of: ${HANDOFF_SOURCES.join(', ')}`);
+    }
+
+    const existing = this.get(phone, wahaSession);
+    if (existing) {
+      const handoff = operator && existing.status === 'waiting' ? this.take(phone, wahaSession = 'default', operator) : existing;
+      return { ...handoff, created: false };
+    }
+
+    const now = Date.now();
+    const result = this.db.prepare(`
+      INSERT INTO bot_handoffs (phone, chat_id, waha_session, session_id, source, reason, status, operator, started_at, taken_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      phone,
+      chatId || `${phone}@c.us`,
+      wahaSession,
+      sessionId,
+      source,
+      reason,
+      operator ? 'active' : 'waiting',
+      operator,
+      now,
+      operator ? now : null
+    );
+    return { ...this.refresh(result.lastInsertRowid), created: true };
+  }
+
+  // An operator picks up a waiting handoff
+  take(phone, wahaSession = 'default', operator) {
+    const handoff = this.get(phone, wahaSession);
+    if (!handoff) return null;
+    this.db.prepare(`
+      UPDATE bot_handoffs SET status = 'active', operator = ?, taken_at = COALESCE(taken_at, ?) WHERE id = ?
+    `).run(operator || 'operator', Date.now(), handoff.id);
+    return this.refresh(handoff.id);
+  }
+
+  // Give the chat back to the bot; returns the closed handoff, or null if none was open
+  end(phone, wahaSession = 'default', endedBy = 'operator') {
+    const handoff = this.get(phone, wahaSession);
+    if (!handoff) return null;
+    this.db.prepare(`
+      UPDATE bot_handoffs SET status = 'closed', ended_at = ?, ended_by = ? WHERE id = ?
+    `).run(Date.now(), endedBy, handoff.id);
+    return this.refresh(handoff.id);
+  }
+
+  // Open handoffs (status 'open', the default), one status, or everything ('all'), newest first
+  list({ status = 'open', limit = 100 } = {}) {
+    let query = 'SELECT * FROM bot_handoffs';
+    const params = [];
+    if (status === 'open') {
+      query += ` WHERE status != 'closed'`;
+    } else if (status !== 'all') {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+    return this.db.prepare(query).all(...params).map(row => this.formatHandoff(row));
+  }
+}
+
+export default Handoffs;
+export { HANDOFF_SOURCES, chatKey };
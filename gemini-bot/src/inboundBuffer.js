@@ -0,0 +1,78 @@
+/**
+ * Inbound Buffer
+ * - Collects a chat's messages until it has been quiet for quietMs (or maxWaitMs since the first one)
+ * - Hands them to the handler as one batch, so rapid-fire messages become one LLM turn
+ * - One batch per chat at a time: messages arriving while a reply is being typed wait for the next batch
+ */
+
+class InboundBuffer {
+  /**
+   * @param {Function} handler - async (key, items) => void
+   * @param {object} options - { quietMs, maxWaitMs }
+   */
+  constructor(handler, { quietMs = 2000, maxWaitMs = 8000 } = {}) {
+    this.handler = handler;
+    this.quietMs = quietMs;
+    this.maxWaitMs = Math.max(maxWaitMs, quietMs);
+    this.chats = new Map(); // key -> { pending, firstAt, timer, running }
+  }
+
+  // Queue a message for its chat
+  push(key, item) {
+    let chat = this.chats.get(key);
+    if (!chat) {
+      chat = { pending: [], firstAt: null, timer: null, running: null };
+      this.chats.set(key, chat);
+    }
+    if (chat.pending.length === 0) {
+      chat.firstAt = Date.now();
+    }
+    chat.pending.push(item);
+
+    clearTimeout(chat.timer);
+    const wait = Math.min(this.quietMs, Math.max(0, chat.firstAt + this.maxWaitMs - Date.now()));
+    chat.timer = setTimeout(() => this.flush(key), wait);
+  }
+
+  // Hand the pending messages to the handler, unless a batch for this chat is still running
+  flush(key) {
+    const chat = this.chats.get(key);
+    if (!chat) return;
+    chat.timer = null;
+    if (chat.running) return; // picked up when the running batch finishes
+
+    const items = chat.pending.splice(0);
+    if (items.length === 0) {
+      this.chats.delete(key);
+      return;
+    }
+
+    chat.running = Promise.resolve()
+      .then(() => this.handler(key, items))
+      .catch(error => console.error(`[${key}] Error handling messages:`, error))
+      .finally(() => {
+        chat.running = null;
+        if (chat.timer) return; // more messages are still settling
+        if (chat.pending.length > 0) {
+          this.flush(key);
+        } else {
+          this.chats.delete(key);
+        }
+      });
+  }
+
+  // Chats with messages waiting or being answered
+  get size() {
+    return this.chats.size;
+  }
+
+  // Resolves once nothing is pending or running (for tests and shutdown)
+  async idle() {
+    while (this.chats.size > 0) {
+      await Promise.all([...this.chats.values()].map(chat => chat.running));
+      await new Promise(resolve => setTimeout(resolve, Math.min(this.quietMs, 10)));
+    }
+  }
+}
+
+export default InboundBuffer;
@@ -0,0 +1,180 @@
+/**
+ * Inbound Events
+ * - Every incoming WhatsApp message is stored before it is acknowledged, keyed by its WAHA message id,
+ *   so WAHA's retries of a message we already have are dropped instead of answered twice
+ * - Status: received (stored, waiting for its chat to go quiet), processing (being answered),
+ *   replied, ignored (not for the bot) or failed
+ * - Messages that were received or processing when the bot stopped are picked up again at startup
+ */
+
+const INBOUND_STATUSES = ['received', 'processing', 'replied', 'ignored', 'failed'];
+const INBOUND_MAX_ATTEMPTS = 3;
+const INBOUND_RESUME_WINDOW_MS = 60 * 60 * 1000; // older messages aren't answered after a restart
+const INBOUND_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // keep 7 days of finished events
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+// WAHA engines send the id as a string or as { _serialized }
+function getMessageId(message) {
+  const id = message?.id?._serialized || message?.id;
+  return typeof id === 'string' && id ? id : null;
+}
+
+class InboundEvents {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS inbound_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT UNIQUE,
+        chat_id TEXT,
+        waha_session TEXT,
+        body TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'received',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        received_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_inbound_events_status ON inbound_events(status, id);
+    `);
+  }
+
+  // Row -> API shape (the raw WAHA body only when asked for)
+  formatEvent(row, withBody = false) {
+    const event = {
+      id: row.id,
+      messageId: row.message_id,
+      chatId: row.chat_id,
+      wahaSession: row.waha_session,
+      status: row.status,
+      attempts: row.attempts,
+      error: row.last_error,
+      receivedAt: toIso(row.received_at),
+      updatedAt: toIso(row.updated_at)
+    };
+    if (withBody) {
+      event.body = JSON.parse(row.body);
+    }
+    return event;
+  }
+
+  /**
+   * Store an incoming 'message' webhook (other events aren't tracked)
+   * @returns {object|null} { id, messageId, duplicate } - duplicate when the message id was seen before
+   */
+  receive(body) {
+    if (body?.event !== 'message' || !body.payload || body.payload.fromMe) return null;
+
+    const messageId = getMessageId(body.payload);
+    const now = Date.now();
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO inbound_events (message_id, chat_id, waha_session, body, received_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(messageId, body.payload.from || body.payload.chatId || null, body.session || null, JSON.stringify(body), now, now);
+
+    if (result.changes === 0) {
+      const existing = this.db.prepare('SELECT id FROM inbound_events WHERE message_id = ?').get(messageId);
+      return { id: existing.id, messageId, duplicate: true };
+    }
+    return { id: result.lastInsertRowid, messageId, duplicate: false };
+  }
+
+  // Events of a batch are being answered (counts an attempt)
+  markProcessing(ids) {
+    const update = this.db.prepare(`
+      UPDATE inbound_events SET status = 'processing', attempts = attempts + 1, updated_at = ? WHERE id = ?
+    `);
+    const now = Date.now();
+    this.db.transaction(() => ids.forEach(id => update.run(now, id)))();
+  }
+
+  // replied, ignored or failed (with the error)
+  finish(ids, status, error = null) {
+    if (!INBOUND_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${INBOUND_STATUSES.join(', ')}`);
+    }
+    const update = this.db.prepare('UPDATE inbound_events SET status = ?, last_error = ?, updated_at = ? WHERE id = ?');
+    const now = Date.now();
+    this.db.transaction(() => ids.filter(Boolean).forEach(id => update.run(status, error, now, id)))();
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM inbound_events WHERE id = ?').get(id);
+    return row ? this.formatEvent(row, true) : null;
+  }
+
+  // Newest first
+  list({ status, limit = 100 } = {}) {
+    const rows = status
+      ? this.db.prepare('SELECT * FROM inbound_events WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit)
+      : this.db.prepare('SELECT * FROM inbound_events ORDER BY id DESC LIMIT ?').all(limit);
+    return rows.map(row => this.formatEvent(row));
+  }
+
+  // Event counts by status
+  getStats() {
+    const stats = Object.fromEntries(INBOUND_STATUSES.map(status => [status, 0]));
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS count FROM inbound_events GROUP BY status').all()) {
+      stats[row.status] = row.count;
+    }
+    return stats;
+  }
+
+  /**
+   * Events left unfinished by a stop or crash, oldest first, to process again. Ones that are
+   * too old or already failed INBOUND_MAX_ATTEMPTS times are marked failed instead.
+   * @returns {Array} [{ id, body }]
+   */
+  takeUnfinished(now = Date.now()) {
+    const rows = this.db.prepare(`
+      SELECT * FROM inbound_events WHERE status IN ('received', 'processing') ORDER BY id
+    `).all();
+
+    const resume = [];
+    for (const row of rows) {
+      if (row.attempts >= INBOUND_MAX_ATTEMPTS) {
+        this.finish([row.id], 'failed', `Gave up after ${row.attempts} attempts`);
+      } else if (now - row.received_at > INBOUND_RESUME_WINDOW_MS) {
+        this.finish([row.id], 'failed', 'Too old to answer after a restart');
+      } else {
+        this.db.prepare("UPDATE inbound_events SET status = 'received', updated_at = ? WHERE id = ?").run(now, row.id);
+        resume.push({ id: row.id, body: JSON.parse(row.body) });
+      }
+    }
+    return resume;
+  }
+
+  /**
+   * Queue a finished event to be processed again (e.g. a failed one)
+   * @returns {object|null} { id, body }, or null if the event doesn't exist
+   */
+  retry(id) {
+    const row = this.db.prepare('SELECT * FROM inbound_events WHERE id = ?').get(id);
+    if (!row) return null;
+    if (row.status === 'received' || row.status === 'processing') {
+      throw new Error(`Event ${id} is still ${row.status}`);
+    }
+    this.db.prepare(`
+      UPDATE inbound_events SET status = 'received', attempts = 0, last_error = NULL, updated_at = ? WHERE id = ?
+    `).run(Date.now(), id);
+    return { id: row.id, body: JSON.parse(row.body) };
+  }
+
+  // Drop finished events older than the retention window (their message ids can't come back by then)
+  prune(now = Date.now()) {
+    return this.db.prepare(`
+      DELETE FROM inbound_events WHERE status NOT IN ('received', 'processing') AND received_at < ?
+    `).run(now - INBOUND_RETENTION_MS).changes;
+  }
+}
+
+export default InboundEvents;
+export { INBOUND_STATUSES, INBOUND_MAX_ATTEMPTS, INBOUND_RESUME_WINDOW_MS, INBOUND_RETENTION_MS, getMessageId };
@@ -0,0 +1,277 @@
+/**
+ * Knowledge Base
+ * - Documents (Markdown, plain text, text extracted from PDFs) split into chunks
+ * - Chunks indexed with SQLite FTS5 for keyword search
+ * - The best chunks for a user message are handed to the LLM as context
+ */
+
+const KNOWLEDGE_FORMATS = ['markdown', 'text', 'pdf'];
+const CHUNK_SIZE = 800; // characters per chunk (a paragraph is never split unless it's longer)
+const MAX_DOCUMENT_LENGTH = 2 * 1024 * 1024;
+const MAX_QUERY_TERMS = 20;
+
+// PDF extraction leaves hard line breaks and hyphenated words; join them back into paragraphs
+function normalizePdfText(content) {
+  return content
+    .replace(/\f/g, '\n\n')
+    .replace(/(\w)-\n(\w)/g, '$1$2')
+    .replace(/([^\n])\n(?!\n)/g, '$1 ');
+}
+
+// Split a too-long paragraph at sentence ends (or hard-cut if a "sentence" is still too long)
+function splitParagraph(paragraph) {
+  const pieces = [];
+  let current = '';
+  for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*/g) || [paragraph]) {
+    if (current && current.length + sentence.length > CHUNK_SIZE) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+    while (current.length > CHUNK_SIZE) {
+      pieces.push(current.substring(0, CHUNK_SIZE).trim());
+      current = current.substring(CHUNK_SIZE);
+    }
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * Split a document into chunks of whole paragraphs. In Markdown each chunk
+ * starts under its nearest heading, so the heading is repeated as context.
+ */
+function chunkText(content, format = 'text') {
+  const text = (format === 'pdf' ? normalizePdfText(content) : content).replace(/\r\n?/g, '\n');
+  const chunks = [];
+  let heading = '';
+  let current = '';
+
+  const flush = () => {
+    if (current.trim()) chunks.push(current.trim());
+    current = '';
+  };
+
+  for (const block of text.split(/\n\s*\n/)) {
+    const paragraph = block.trim();
+    if (!paragraph) continue;
+
+    if (format === 'markdown' && /^#{1,6}\s/.test(paragraph) && !paragraph.includes('\n')) {
+      flush();
+      heading = paragraph.replace(/^#+\s*/, '');
+      continue;
+    }
+
+    if (current && current.length + paragraph.length + 2 > CHUNK_SIZE) {
+      flush();
+    }
+    if (paragraph.length > CHUNK_SIZE) {
+      flush();
+      for (const piece of splitParagraph(paragraph)) {
+        chunks.push(heading ? `${heading}\n${piece}` : piece);
+      }
+      continue;
+    }
+    current = current ? `${current}\n\n${paragraph}` : (heading ? `${heading}\n${paragraph}` : paragraph);
+  }
+  flush();
+
+  return chunks;
+}
+
+// Free text -> FTS5 query: each word quoted (no FTS syntax from users), any word may match
+function toMatchQuery(text) {
+  const terms = [...new Set((String(text).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []))];
+  return terms.slice(0, MAX_QUERY_TERMS).map(term => `"${term}"`).join(' OR ');
+}
+
+class KnowledgeBase {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS knowledge_docs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL UNIQUE,
+        format TEXT NOT NULL,
+        source TEXT,
+        content TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS knowledge_chunks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        text TEXT NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_doc ON knowledge_chunks(doc_id, position);
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS knowledge_fts USING fts5(
+        text, content='knowledge_chunks', content_rowid='id', tokenize='unicode61 remove_diacritics 2'
+      );
+    `);
+  }
+
+  // Row -> API shape
+  formatDoc(row) {
+    return {
+      id: row.id,
+      title: row.title,
+      format: row.format,
+      source: row.source,
+      length: row.content.length,
+      chunkCount: row.chunk_count,
+      createdAt: new Date(row.created_at).toISOString(),
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  validate({ title, content, format = 'text', source }) {
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      throw new Error('title is required');
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error('content is required (Markdown or plain text; extract PDFs to text first)');
+    }
+    if (content.length > MAX_DOCUMENT_LENGTH) {
+      throw new Error(`content is too long (max ${MAX_DOCUMENT_LENGTH} characters)`);
+    }
+    if (!KNOWLEDGE_FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${KNOWLEDGE_FORMATS.join(', ')}`);
+    }
+    if (source !== undefined && source !== null && typeof source !== 'string') {
+      throw new Error('source must be a string');
+    }
+  }
+
+  // Replace a document's chunks and their index entries
+  indexChunks(docId, content, format) {
+    const oldChunks = this.db.prepare('SELECT id, text FROM knowledge_chunks WHERE doc_id = ?').all(docId);
+    const unindex = this.db.prepare(`INSERT INTO knowledge_fts (knowledge_fts, rowid, text) VALUES ('delete', ?, ?)`);
+    for (const chunk of oldChunks) {
+      unindex.run(chunk.id, chunk.text);
+    }
+    this.db.prepare('DELETE FROM knowledge_chunks WHERE doc_id = ?').run(docId);
+
+    const insertChunk = this.db.prepare('INSERT INTO knowledge_chunks (doc_id, position, text) VALUES (?, ?, ?)');
+    const index = this.db.prepare('INSERT INTO knowledge_fts (rowid, text) VALUES (?, ?)');
+    chunkText(content, format).forEach((text, position) => {
+      const { lastInsertRowid } = insertChunk.run(docId, position, text);
+      index.run(lastInsertRowid, text);
+    });
+  }
+
+  /**
+   * Add a document, or replace the one with the same title
+   * @param {object} doc - { title, content, format: markdown|text|pdf, source }
+   */
+  upsert(doc) {
+    this.validate(doc);
+    const title = doc.title.trim();
+    const format = doc.format || 'text';
+    const now = Date.now();
+
+    const save = this.db.transaction(() => {
+      const existing = this.db.prepare('SELECT id FROM knowledge_docs WHERE title = ?').get(title);
+      let id;
+      if (existing) {
+        id = existing.id;
+        this.db.prepare(`
+          UPDATE knowledge_docs SET format = ?, source = ?, content = ?, updated_at = ? WHERE id = ?
+        `).run(format, doc.source ?? null, doc.content, now, id);
+      } else {
+        id = this.db.prepare(`
+          INSERT INTO knowledge_docs (title, format, source, content, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+        `).run(title, format, doc.source ?? null, doc.content, now, now).lastInsertRowid;
+      }
+      this.indexChunks(id, doc.content, format);
+      return { id, replaced: !!existing };
+    });
+
+    const { id, replaced } = save();
+    return { ...this.get(id), replaced };
+  }
+
+  list() {
+    return this.db.prepare(`
+      SELECT d.*, (SELECT COUNT(*) FROM knowledge_chunks c WHERE c.doc_id = d.id) AS chunk_count
+      FROM knowledge_docs d ORDER BY d.title
+    `).all().map(row => this.formatDoc(row));
+  }
+
+  // One document, optionally with its content and chunks, or null
+  get(id, { withChunks = false } = {}) {
+    const row = this.db.prepare(`
+      SELECT d.*, (SELECT COUNT(*) FROM knowledge_chunks c WHERE c.doc_id = d.id) AS chunk_count
+      FROM knowledge_docs d WHERE d.id = ?
+    `).get(id);
+    if (!row) return null;
+
+    const doc = this.formatDoc(row);
+    if (withChunks) {
+      doc.content = row.content;
+      doc.chunks = this.db.prepare('SELECT id, position, text FROM knowledge_chunks WHERE doc_id = ? ORDER BY position').all(id);
+    }
+    return doc;
+  }
+
+  remove(id) {
+    const remove = this.db.transaction(() => {
+      const doc = this.db.prepare('SELECT id FROM knowledge_docs WHERE id = ?').get(id);
+      if (!doc) return false;
+      this.indexChunks(doc.id, '', 'text');
+      this.db.prepare('DELETE FROM knowledge_docs WHERE id = ?').run(doc.id);
+      return true;
+    });
+    return remove();
+  }
+
+  /**
+   * Best-matching chunks for a message, best first
+   * @returns {Array} [{ chunkId, docId, title, text, score }]
+   */
+  search(text, limit = 3) {
+    const query = toMatchQuery(text);
+    if (!query || limit <= 0) return [];
+
+    return this.db.prepare(`
+      SELECT c.id AS chunkId, c.doc_id AS docId, d.title, c.text, bm25(knowledge_fts) AS rank
+      FROM knowledge_fts
+      JOIN knowledge_chunks c ON c.id = knowledge_fts.rowid
+      JOIN knowledge_docs d ON d.id = c.doc_id
+      WHERE knowledge_fts MATCH ?
+      ORDER BY rank
+      LIMIT ?
+    `).all(query, limit).map(({ rank, ...chunk }) => ({ ...chunk, score: Math.round(-rank * 1000) / 1000 }));
+  }
+}
+
+/**
+ * Prepend knowledge base excerpts to the user's message (the stored turn keeps the original text)
+ */
+function withKnowledge(userMessage, chunks) {
+  if (chunks.length === 0) return userMessage;
+  const excerpts = chunks.map((chunk, i) => `[${i + 1}] ${chunk.title}:\n${chunk.text}`).join('\n\n');
+  return `Reference material from the knowledge base. Answer from it when it is relevant; ignore it otherwise.\n\n${excerpts}\n\n---\nUser message:\n${userMessage}`;
+}
+
+// Citations stored with the bot's turn: one entry per document used
+function toSources(chunks) {
+  const sources = new Map();
+  for (const chunk of chunks) {
+    if (!sources.has(chunk.docId)) {
+      sources.set(chunk.docId, { docId: chunk.docId, title: chunk.title, chunkIds: [] });
+    }
+    sources.get(chunk.docId).chunkIds.push(chunk.chunkId);
+  }
+  return [...sources.values()];
+}
+
+export default KnowledgeBase;
+export { KNOWLEDGE_FORMATS, chunkText, toMatchQuery, withKnowledge, toSources };
@@ -0,0 +1,36 @@
+/**
+ * LLM Provider selection
+ * - Every provider implements sendMessage, clearSession and healthCheck
+ * - LLM_PROVIDER picks one: gemini (default), openai (any OpenAI-compatible endpoint) or mock
+ */
+
+import * as gemini from './geminiClient.js';
+import * as openai from './openaiClient.js';
+import * as mock from './mockClient.js';
+
+const PROVIDERS = { gemini, openai, mock };
+
+/**
+ * Provider by name, wrapped with its name and default model
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+  const key = String(name).toLowerCase();
+  const client = PROVIDERS[key];
+  if (!client) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return {
+    name: key,
+    model: client.MODEL,
+    isEnabled: client.isEnabled,
+    sendMessage: client.sendMessage,
+    clearSession: client.clearSession,
+    async healthCheck() {
+      return { provider: key, ...(await client.healthCheck()) };
+    }
+  };
+}
+
+export default createProvider();
+export { createProvider, PROVIDERS };
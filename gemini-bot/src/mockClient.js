@@ -0,0 +1,119 @@
+/**
+ * Scripted Mock LLM Provider
+ * - Deterministic replies for running and testing the bot offline
+ * - Script from MOCK_LLM_SCRIPT (JSON file), otherwise echoes the message
+ *
+ * Script format:
+ *   {
+ *     "rules": [
+ *       { "match": "hello", "reply": "Hi! This is turn {turn}" },       // case-insensitive substring
+ *       { "pattern": "^order (\\d+)", "reply": "Order $1 is on its way" }, // regex, $1.. are groups
+ *       { "match": "boom", "error": "Simulated outage" },                // fail this turn
+ *       { "match": "hours", "tool": "get_business_hours", "args": {},     // call a tool first
+ *         "reply": "Here you go: {tool_result}" }
+ *     ],
+ *     "default": "[mock] {message}"
+ *   }
+ * Placeholders: {message}, {turn} (1-based, per conversation), {phone} (the conversation key, "<WAHA session>:<phone>" from the bot), {tool_result} (JSON)
+ */
+
+import fs from 'fs';
+
+const MODEL = 'mock';
+const DEFAULT_SCRIPT = { rules: [], default: '[mock] {message}' };
+
+let script = loadScript(process.env.MOCK_LLM_SCRIPT);
+
+// Completed turns per phone, so {turn} keeps counting after a restart
+const turnCounts = new Map();
+
+function loadScript(filePath) {
+  if (!filePath) return DEFAULT_SCRIPT;
+  try {
+    return validateScript(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (error) {
+    console.error(`Mock LLM: could not load script ${filePath}: ${error.message}`);
+    return DEFAULT_SCRIPT;
+  }
+}
+
+function validateScript(value) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('script must be a JSON object');
+  }
+  const rules = value.rules || [];
+  if (!Array.isArray(rules)) {
+    throw new Error('rules must be an array');
+  }
+  for (const rule of rules) {
+    if (!rule.match && !rule.pattern) {
+      throw new Error('every rule needs "match" or "pattern"');
+    }
+    if (rule.reply === undefined && rule.error === undefined) {
+      throw new Error('every rule needs "reply" or "error"');
+    }
+  }
+  return { rules, default: value.default ?? DEFAULT_SCRIPT.default };
+}
+
+/**
+ * Replace the script at runtime (tests, offline harness)
+ */
+function setScript(value) {
+  script = value ? validateScript(value) : DEFAULT_SCRIPT;
+  turnCounts.clear();
+}
+
+function isEnabled() {
+  return true;
+}
+
+function fill(template, values) {
+  return template.replace(/\{(message|turn|phone|tool_result)\}/g, (_, key) => String(values[key] ?? ''));
+}
+
+/**
+ * Reply to a message using the first matching rule
+ * @param {object} [options] - { tools, runTool(name, args) } for rules that call a tool
+ */
+async function sendMessage(phone, userMessage, systemPrompt, modelName = MODEL, loadHistory = () => [], { tools = [], runTool } = {}) {
+  if (!turnCounts.has(phone)) {
+    turnCounts.set(phone, Math.floor(loadHistory().length / 2));
+  }
+  const turn = turnCounts.get(phone) + 1;
+  const values = { message: userMessage, turn, phone };
+
+  for (const rule of script.rules) {
+    let reply = null;
+    if (rule.pattern) {
+      const groups = userMessage.match(new RegExp(rule.pattern, 'i'));
+      if (!groups) continue;
+      if (rule.error !== undefined) return { success: false, error: fill(rule.error, values) };
+      reply = String(rule.reply).replace(/\$(\d)/g, (_, index) => groups[index] ?? '');
+    } else {
+      if (!userMessage.toLowerCase().includes(String(rule.match).toLowerCase())) continue;
+      if (rule.error !== undefined) return { success: false, error: fill(rule.error, values) };
+      reply = String(rule.reply);
+    }
+    if (rule.tool) {
+      const available = runTool && tools.some(tool => tool.name === rule.tool);
+      const output = available ? await runTool(rule.tool, rule.args || {}) : { error: `Tool ${rule.tool} is not enabled` };
+      values.tool_result = JSON.stringify(output);
+    }
+    turnCounts.set(phone, turn);
+    return { success: true, text: fill(reply, values) };
+  }
+
+  turnCounts.set(phone, turn);
+  return { success: true, text: fill(script.default, values) };
+}
+
+function clearSession(phone) {
+  turnCounts.delete(phone);
+}
+
+async function healthCheck() {
+  return { healthy: true, model: MODEL, rules: script.rules.length };
+}
+
+export { sendMessage, clearSession, healthCheck, isEnabled, setScript, MODEL };
@@ -0,0 +1,149 @@
+/**
+ * OpenAI-compatible LLM Provider
+ * - Any /chat/completions endpoint: OpenAI, Ollama, llama.cpp server, vLLM, LM Studio...
+ * - Defaults to a local Ollama (no API key needed)
+ */
+
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const MODEL = process.env.OPENAI_MODEL || 'llama3.1';
+const REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '60000');
+const MAX_TOOL_ROUNDS = 5; // tool call -> result round-trips per user message
+
+// Conversation per phone: [{ role: 'user'|'assistant', content }] (system prompt is added per request)
+const conversations = new Map();
+
+/**
+ * Check if the provider is configured (local servers don't need a key)
+ */
+function isEnabled() {
+  return !!OPENAI_BASE_URL;
+}
+
+function headers() {
+  const result = { 'Content-Type': 'application/json' };
+  if (OPENAI_API_KEY) {
+    result.Authorization = `Bearer ${OPENAI_API_KEY}`;
+  }
+  return result;
+}
+
+/**
+ * Stored turns ([{ role: 'user'|'model', text }]) -> chat completion messages
+ */
+function toMessages(turns) {
+  return turns.map(turn => ({ role: turn.role === 'model' ? 'assistant' : 'user', content: turn.text }));
+}
+
+async function requestCompletion(body) {
+  const response = await fetch(`${OPENAI_BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers: headers(),
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`HTTP ${response.status}: ${errorText.substring(0, 200)}`);
+  }
+
+  const data = await response.json();
+  return data.choices?.[0]?.message || {};
+}
+
+function parseToolArgs(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Send a message to the chat completions endpoint
+ * @param {string} [modelName] - Model override (e.g. from a bot profile)
+ * @param {Function} [loadHistory] - Stored turns of the conversation, used after a restart
+ * @param {object} [options] - { tools, runTool(name, args) -> { result } | { error } }
+ */
+async function sendMessage(phone, userMessage, systemPrompt, modelName = MODEL, loadHistory = () => [], { tools = [], runTool } = {}) {
+  if (!conversations.has(phone)) {
+    conversations.set(phone, toMessages(loadHistory()));
+  }
+  const history = conversations.get(phone);
+
+  try {
+    // Tool calls and results only live for this turn; the conversation keeps the final answer
+    const messages = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      ...history,
+      { role: 'user', content: userMessage }
+    ];
+    const toolSpecs = tools.map(tool => ({
+      type: 'function',
+      function: { parameters: { type: 'object', properties: {} }, ...tool }
+    }));
+
+    let message = await requestCompletion({
+      model: modelName,
+      messages,
+      ...(toolSpecs.length > 0 ? { tools: toolSpecs } : {})
+    });
+
+    for (let round = 0; round < MAX_TOOL_ROUNDS && runTool && message.tool_calls?.length; round++) {
+      messages.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+      for (const call of message.tool_calls) {
+        const output = await runTool(call.function.name, parseToolArgs(call.function.arguments));
+        messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(output) });
+      }
+      message = await requestCompletion({ model: modelName, messages, tools: toolSpecs });
+    }
+
+    const text = (message.content || '').trim() || 'No response generated.';
+
+    // Only keep the exchange once it succeeded, so history always alternates
+    history.push({ role: 'user', content: userMessage }, { role: 'assistant', content: text });
+    return { success: true, text };
+
+  } catch (error) {
+    console.error('OpenAI-compatible API error:', error.message);
+    return {
+      success: false,
+      error: error.message || 'Failed to get response from the model'
+    };
+  }
+}
+
+/**
+ * Clear conversation when session ends
+ */
+function clearSession(phone) {
+  conversations.delete(phone);
+}
+
+/**
+ * Check the endpoint is reachable by listing its models
+ */
+async function healthCheck() {
+  try {
+    const response = await fetch(`${OPENAI_BASE_URL}/models`, {
+      headers: headers(),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) {
+      return { healthy: false, model: MODEL, baseUrl: OPENAI_BASE_URL, error: `HTTP ${response.status}` };
+    }
+    const data = await response.json();
+    const models = (data.data || []).map(m => m.id);
+    return {
+      healthy: true,
+      model: MODEL,
+      baseUrl: OPENAI_BASE_URL,
+      modelAvailable: models.length === 0 || models.includes(MODEL)
+    };
+  } catch (error) {
+    return { healthy: false, model: MODEL, baseUrl: OPENAI_BASE_URL, error: error.message };
+  }
+}
+
+export { sendMessage, clearSession, healthCheck, isEnabled, MODEL };
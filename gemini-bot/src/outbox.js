@@ -0,0 +1,372 @@
+/**
+ * Outbox
+ * - Every message the bot sends (text or voice) is stored before it goes to WAHA, under an idempotency key:
+ *   a message whose key was seen before (e.g. the reply to an event that is processed again) isn't sent twice
+ * - A message is sent at once unless an earlier one to the same chat is still waiting, so a chat's
+ *   messages arrive in order
+ * - Failed sends are retried with exponential backoff; sends WAHA refused outright (bad request, wrong key,
+ *   unknown session or chat) and sends that ran out of attempts move to the dead-letter table
+ * - Dead letters stay until an admin re-drives them (back into the outbox) or discards them
+ * - Sends that were in flight when the bot stopped may have reached WhatsApp; they are dead-lettered
+ *   at startup rather than sent again
+ */
+
+import { randomUUID } from 'node:crypto';
+
+const OUTBOX_KINDS = ['text', 'voice'];
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent'];
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BACKOFF_BASE_MS = 5000; // 5s, 10s, 20s, 40s, 80s
+const OUTBOX_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // keep 7 days of sent messages
+// WAHA answers that sending again won't change
+const PERMANENT_STATUSES = [400, 401, 403, 404, 413];
+
+function toIso(ms) {
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+// Failures worth another attempt: network errors, timeouts, 429, 5xx and WAHA's "session not ready" (422)
+function isPermanentFailure(error) {
+  return PERMANENT_STATUSES.includes(error?.status);
+}
+
+class Outbox {
+  /**
+   * @param {object} options - { transport, maxAttempts, backoffBaseMs }
+   *   transport(message) sends one message through WAHA and throws when it fails
+   */
+  constructor(db, { transport, maxAttempts = OUTBOX_MAX_ATTEMPTS, backoffBaseMs = OUTBOX_BACKOFF_BASE_MS } = {}) {
+    this.db = db;
+    this.transport = transport;
+    this.maxAttempts = maxAttempts;
+    this.backoffBaseMs = backoffBaseMs;
+    this.initializeDatabase();
+    this.dispatching = false;
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS outbox_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        idempotency_key TEXT UNIQUE NOT NULL,
+        kind TEXT NOT NULL,
+        waha_session TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        reply_to TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        sent_at INTEGER
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox_messages(status, id);
+      CREATE INDEX IF NOT EXISTS idx_outbox_chat ON outbox_messages(waha_session, chat_id, status);
+
+      -- Sends that failed for good, as they were when they left the outbox
+      CREATE TABLE IF NOT EXISTS outbox_dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        outbox_id INTEGER NOT NULL,
+        idempotency_key TEXT UNIQUE NOT NULL,
+        kind TEXT NOT NULL,
+        waha_session TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        reply_to TEXT,
+        attempts INTEGER NOT NULL,
+        last_status_code INTEGER,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        failed_at INTEGER NOT NULL
+      );
+    `);
+  }
+
+  // Row -> API shape; voice audio only when asked for (it is large)
+  formatMessage(row, withPayload = false) {
+    if (!row) return null;
+    const payload = JSON.parse(row.payload);
+    const message = {
+      id: row.id,
+      key: row.idempotency_key,
+      kind: row.kind,
+      wahaSession: row.waha_session,
+      chatId: row.chat_id,
+      text: payload.text ?? null,
+      replyTo: row.reply_to,
+      attempts: row.attempts,
+      statusCode: row.last_status_code,
+      error: row.last_error,
+      createdAt: toIso(row.created_at)
+    };
+    if (row.status) {
+      Object.assign(message, {
+        status: row.status,
+        nextAttemptAt: row.status === 'pending' ? toIso(row.next_attempt_at) : null,
+        sentAt: toIso(row.sent_at)
+      });
+    } else {
+      Object.assign(message, { status: 'dead', outboxId: row.outbox_id, failedAt: toIso(row.failed_at) });
+    }
+    if (withPayload) {
+      message.payload = payload;
+    }
+    return message;
+  }
+
+  get(id) {
+    return this.formatMessage(this.db.prepare('SELECT * FROM outbox_messages WHERE id = ?').get(id), true);
+  }
+
+  getDeadLetter(id) {
+    return this.formatMessage(this.db.prepare('SELECT * FROM outbox_dead_letters WHERE id = ?').get(id));
+  }
+
+  /**
+   * Store a message to send. A key already in the outbox or the dead letters returns that message instead
+   * @param {object} data - { kind, chatId, wahaSession, payload, replyTo, key }
+   *   payload: { text } for text, { mimetype, data (base64) } for voice; no key = a random one
+   * @returns {object} { message, duplicate }
+   */
+  enqueue({ kind, chatId, wahaSession, payload, replyTo = null, key = null }) {
+    if (!OUTBOX_KINDS.includes(kind)) {
+      throw new Error(`kind must be one of: ${OUTBOX_KINDS.join(', ')}`);
+    }
+    if (!chatId || !wahaSession) {
+      throw new Error('chatId and wahaSession are required');
+    }
+    const idempotencyKey = key || randomUUID();
+
+    return this.db.transaction(() => {
+      const dead = this.db.prepare('SELECT * FROM outbox_dead_letters WHERE idempotency_key = ?').get(idempotencyKey);
+      if (dead) {
+        return { message: this.formatMessage(dead), duplicate: true };
+      }
+      const now = Date.now();
+      const result = this.db.prepare(`
+        INSERT OR IGNORE INTO outbox_messages
+          (idempotency_key, kind, waha_session, chat_id, payload, reply_to, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(idempotencyKey, kind, wahaSession, chatId, JSON.stringify(payload || {}), replyTo, now, now);
+      const row = this.db.prepare('SELECT * FROM outbox_messages WHERE idempotency_key = ?').get(idempotencyKey);
+      return { message: this.formatMessage(row), duplicate: result.changes === 0 };
+    })();
+  }
+
+  // Whether an earlier message to the same chat hasn't gone out yet
+  hasEarlierUnsent(row) {
+    return Boolean(this.db.prepare(`
+      SELECT 1 FROM outbox_messages
+      WHERE waha_session = ? AND chat_id = ? AND status IN ('pending', 'sending') AND id < ?
+      LIMIT 1
+    `).get(row.waha_session, row.chat_id, row.id));
+  }
+
+  /**
+   * Store a message and send it now, unless an earlier one to the chat is still waiting
+   * (then it goes out after that one). Transport failures don't throw; they are retried or dead-lettered
+   * @returns {object} { message, duplicate } - message.status: pending, sending, sent or dead
+   */
+  async send(data) {
+    const { message, duplicate } = this.enqueue(data);
+    if (duplicate) {
+      console.log(`[Outbox] ${message.chatId}: "${message.key}" was already queued - not sent again`);
+      return { message, duplicate };
+    }
+
+    const row = this.db.prepare('SELECT * FROM outbox_messages WHERE id = ?').get(message.id);
+    if (this.hasEarlierUnsent(row)) {
+      console.log(`[Outbox] #${row.id} to ${row.chat_id} waits for earlier messages to the chat`);
+      this.dispatch().catch(error => console.error('[Outbox] Dispatch error:', error.message));
+      return { message, duplicate };
+    }
+    await this.attempt(row);
+    const after = this.db.prepare('SELECT * FROM outbox_messages WHERE id = ?').get(row.id) ||
+      this.db.prepare('SELECT * FROM outbox_dead_letters WHERE idempotency_key = ?').get(row.idempotency_key);
+    return { message: this.formatMessage(after), duplicate };
+  }
+
+  /**
+   * One send attempt
+   * @returns {string} 'sent', 'pending' (will be retried), 'dead', or 'skipped' (already taken)
+   */
+  async attempt(row) {
+    const claimed = this.db.prepare(`
+      UPDATE outbox_messages SET status = 'sending' WHERE id = ? AND status = 'pending'
+    `).run(row.id);
+    if (claimed.changes === 0) return 'skipped';
+
+    const attempts = row.attempts + 1;
+    try {
+      await this.transport(this.formatMessage({ ...row, attempts }, true));
+    } catch (error) {
+      return this.recordFailure(row, attempts, error);
+    }
+
+    this.db.prepare(`
+      UPDATE outbox_messages
+      SET status = 'sent', attempts = ?, last_status_code = NULL, last_error = NULL, sent_at = ?
+      WHERE id = ?
+    `).run(attempts, Date.now(), row.id);
+    console.log(`[Outbox] #${row.id} (${row.kind}) sent to ${row.chat_id}` + (attempts > 1 ? ` on attempt ${attempts}` : ''));
+    return 'sent';
+  }
+
+  // Move a message from the outbox to the dead letters
+  moveToDeadLetters(row, attempts, error) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO outbox_dead_letters
+          (outbox_id, idempotency_key, kind, waha_session, chat_id, payload, reply_to, attempts,
+           last_status_code, last_error, created_at, failed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(row.id, row.idempotency_key, row.kind, row.waha_session, row.chat_id, row.payload, row.reply_to,
+        attempts, error?.status ?? null, error.message, row.created_at, Date.now());
+      this.db.prepare('DELETE FROM outbox_messages WHERE id = ?').run(row.id);
+    })();
+    console.error(`[Outbox] #${row.id} to ${row.chat_id} dead-lettered after ${attempts} attempt(s): ${error.message}`);
+  }
+
+  recordFailure(row, attempts, error) {
+    if (isPermanentFailure(error) || attempts >= this.maxAttempts) {
+      this.moveToDeadLetters(row, attempts, error);
+      return 'dead';
+    }
+
+    const statusCode = error?.status ?? null;
+    const now = Date.now();
+    const nextAttemptAt = now + this.backoffBaseMs * 2 ** (attempts - 1);
+    this.db.prepare(`
+      UPDATE outbox_messages
+      SET status = 'pending', attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?
+      WHERE id = ?
+    `).run(attempts, nextAttemptAt, statusCode, error.message, row.id);
+    console.error(`[Outbox] #${row.id} to ${row.chat_id} failed (attempt ${attempts}/${this.maxAttempts}): ${error.message}`);
+    return 'pending';
+  }
+
+  /**
+   * Send everything that is due, chat by chat in order: a chat's queue stops at its first message
+   * that isn't due yet, is being sent, or fails again. Concurrent calls are no-ops while a run is in progress
+   */
+  async dispatch() {
+    if (this.dispatching) return;
+    this.dispatching = true;
+
+    try {
+      const now = Date.now();
+      const chats = new Map();
+      const unsent = this.db.prepare(`
+        SELECT * FROM outbox_messages WHERE status IN ('pending', 'sending') ORDER BY id
+      `).all();
+      for (const row of unsent) {
+        const chat = `${row.waha_session}|${row.chat_id}`;
+        chats.set(chat, [...(chats.get(chat) || []), row]);
+      }
+
+      await Promise.all([...chats.values()].map(async rows => {
+        for (const row of rows) {
+          if (row.status !== 'pending' || row.next_attempt_at > now) return;
+          const result = await this.attempt(row);
+          if (result !== 'sent' && result !== 'dead') return;
+        }
+      }));
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * At startup: sends that were in flight when the bot stopped may have been delivered,
+   * so they are dead-lettered for an admin to check instead of sent again
+   * @returns {number} How many were moved
+   */
+  recoverInterrupted() {
+    const rows = this.db.prepare("SELECT * FROM outbox_messages WHERE status = 'sending'").all();
+    for (const row of rows) {
+      this.moveToDeadLetters(row, row.attempts + 1, new Error('Interrupted while sending (the bot stopped); it may have been delivered'));
+    }
+    return rows.length;
+  }
+
+  // Outbox messages, newest first (filter by status and chat)
+  list({ status, chatId, limit = 100 } = {}) {
+    let query = 'SELECT * FROM outbox_messages WHERE 1 = 1';
+    const params = [];
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+    if (chatId) {
+      query += ' AND chat_id = ?';
+      params.push(chatId);
+    }
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+    return this.db.prepare(query).all(...params).map(row => this.formatMessage(row));
+  }
+
+  // Dead letters, newest first
+  listDeadLetters({ chatId, limit = 100 } = {}) {
+    const rows = chatId
+      ? this.db.prepare('SELECT * FROM outbox_dead_letters WHERE chat_id = ? ORDER BY id DESC LIMIT ?').all(chatId, limit)
+      : this.db.prepare('SELECT * FROM outbox_dead_letters ORDER BY id DESC LIMIT ?').all(limit);
+    return rows.map(row => this.formatMessage(row));
+  }
+
+  /**
+   * Move a dead letter back into the outbox for an immediate send, with its key and a fresh set of attempts
+   * @returns {object|null} The outbox message, or null if there is no such dead letter
+   */
+  redrive(id) {
+    return this.db.transaction(() => {
+      const dead = this.db.prepare('SELECT * FROM outbox_dead_letters WHERE id = ?').get(id);
+      if (!dead) return null;
+      const now = Date.now();
+      const result = this.db.prepare(`
+        INSERT INTO outbox_messages
+          (idempotency_key, kind, waha_session, chat_id, payload, reply_to, next_attempt_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(dead.idempotency_key, dead.kind, dead.waha_session, dead.chat_id, dead.payload, dead.reply_to, now, dead.created_at);
+      this.db.prepare('DELETE FROM outbox_dead_letters WHERE id = ?').run(id);
+      return this.formatMessage(this.db.prepare('SELECT * FROM outbox_messages WHERE id = ?').get(result.lastInsertRowid));
+    })();
+  }
+
+  /**
+   * Re-drive every dead letter (or a chat's)
+   * @returns {object[]} The outbox messages
+   */
+  redriveAll({ chatId } = {}) {
+    return this.listDeadLetters({ chatId, limit: -1 }).reverse().map(dead => this.redrive(dead.id));
+  }
+
+  discard(id) {
+    return this.db.prepare('DELETE FROM outbox_dead_letters WHERE id = ?').run(id).changes > 0;
+  }
+
+  // Counts by status, plus dead letters
+  getStats() {
+    const stats = Object.fromEntries(OUTBOX_STATUSES.map(status => [status, 0]));
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS count FROM outbox_messages GROUP BY status').all()) {
+      stats[row.status] = row.count;
+    }
+    stats.dead = this.db.prepare('SELECT COUNT(*) AS count FROM outbox_dead_letters').get().count;
+    return stats;
+  }
+
+  // Drop sent messages older than the retention window (dead letters stay until handled)
+  prune(now = Date.now()) {
+    return this.db.prepare("DELETE FROM outbox_messages WHERE status = 'sent' AND sent_at < ?")
+      .run(now - OUTBOX_RETENTION_MS).changes;
+  }
+}
+
+export default Outbox;
+export {
+  OUTBOX_KINDS, OUTBOX_STATUSES, OUTBOX_MAX_ATTEMPTS, OUTBOX_BACKOFF_BASE_MS, OUTBOX_RETENTION_MS,
+  isPermanentFailure
+};
@@ -0,0 +1,274 @@
+/**
+ * Bot Profiles (personas)
+ * - Named profiles with their own triggers, end/handoff keywords, prompt, model, voice, limits and tools
+ * - Assigned per WAHA session or per contact; contact assignments win
+ * - Unset fields fall back to the bot's built-in defaults
+ */
+
+const ASSIGNMENT_TYPES = ['session', 'contact'];
+
+// API field -> column, for the settings a profile may override
+const PROFILE_FIELDS = {
+  triggerPhrases: 'trigger_phrases',
+  endKeywords: 'end_keywords',
+  handoffKeywords: 'handoff_keywords',
+  systemPrompt: 'system_prompt',
+  model: 'model',
+  voiceEnabled: 'voice_enabled',
+  voiceId: 'voice_id',
+  voiceReplyChance: 'voice_reply_chance',
+  voiceReplyToVoiceChance: 'voice_reply_to_voice_chance',
+  sessionTimeoutMs: 'session_timeout_ms',
+  rateLimitMs: 'rate_limit_ms',
+  maxMessagesPerSession: 'max_messages_per_session',
+  tools: 'tools'
+};
+
+const JSON_FIELDS = ['triggerPhrases', 'endKeywords', 'handoffKeywords', 'tools'];
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim());
+}
+
+function isPositiveInt(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function isChance(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+// Throws with a user-facing message on the first invalid field (null clears a field)
+function validateProfile(data, { requireName = false } = {}) {
+  if (requireName || data.name !== undefined) {
+    if (typeof data.name !== 'string' || !/^[\w-]+$/.test(data.name)) {
+      throw new Error('name is required and may only contain letters, numbers, - and _');
+    }
+  }
+
+  const checks = {
+    triggerPhrases: [isStringList, 'a non-empty array of strings'],
+    endKeywords: [isStringList, 'a non-empty array of strings'],
+    // Empty list = only the LLM or an operator can hand the chat to a human
+    handoffKeywords: [v => Array.isArray(v) && v.every(k => typeof k === 'string' && k.trim()), 'an array of strings'],
+    systemPrompt: [v => typeof v === 'string' && v.trim().length >= 10, 'a string of at least 10 characters'],
+    model: [v => typeof v === 'string' && v.trim().length > 0, 'a non-empty string'],
+    voiceEnabled: [v => typeof v === 'boolean', 'a boolean'],
+    voiceId: [v => typeof v === 'string' && v.trim().length > 0, 'a non-empty string'],
+    voiceReplyChance: [isChance, 'a number between 0 and 1'],
+    voiceReplyToVoiceChance: [isChance, 'a number between 0 and 1'],
+    sessionTimeoutMs: [isPositiveInt, 'a positive integer'],
+    rateLimitMs: [v => Number.isInteger(v) && v >= 0, 'a non-negative integer'],
+    maxMessagesPerSession: [isPositiveInt, 'a positive integer'],
+    // Empty list = no tools for this persona
+    tools: [v => Array.isArray(v) && v.every(t => typeof t === 'string' && t.trim()), 'an array of tool names']
+  };
+
+  for (const [field, [check, description]] of Object.entries(checks)) {
+    const value = data[field];
+    if (value === undefined || value === null) continue;
+    if (!check(value)) {
+      throw new Error(`${field} must be ${description}`);
+    }
+  }
+
+  if (data.isDefault !== undefined && typeof data.isDefault !== 'boolean') {
+    throw new Error('isDefault must be a boolean');
+  }
+}
+
+class ProfileManager {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS bot_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        is_default INTEGER NOT NULL DEFAULT 0,
+        trigger_phrases TEXT,
+        end_keywords TEXT,
+        handoff_keywords TEXT,
+        system_prompt TEXT,
+        model TEXT,
+        voice_enabled INTEGER,
+        voice_id TEXT,
+        voice_reply_chance REAL,
+        voice_reply_to_voice_chance REAL,
+        session_timeout_ms INTEGER,
+        rate_limit_ms INTEGER,
+        max_messages_per_session INTEGER,
+        tools TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS profile_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_type TEXT NOT NULL,
+        target TEXT NOT NULL,
+        profile_id INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        UNIQUE(target_type, target)
+      );
+    `);
+
+    // Columns added after the first release
+    const columns = this.db.prepare('PRAGMA table_info(bot_profiles)').all();
+    for (const column of ['tools', 'handoff_keywords']) {
+      if (!columns.some(c => c.name === column)) {
+        this.db.exec(`ALTER TABLE bot_profiles ADD COLUMN ${column} TEXT`);
+      }
+    }
+  }
+
+  // DB row -> API shape (camelCase, parsed JSON, booleans)
+  formatProfile(row) {
+    if (!row) return null;
+    const profile = { id: row.id, name: row.name, isDefault: !!row.is_default };
+    for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+      let value = row[column];
+      if (value !== null && JSON_FIELDS.includes(field)) value = JSON.parse(value);
+      if (value !== null && field === 'voiceEnabled') value = !!value;
+      profile[field] = value;
+    }
+    profile.createdAt = row.created_at;
+    profile.updatedAt = row.updated_at;
+    return profile;
+  }
+
+  // Look up by numeric id or by name
+  findRow(idOrName) {
+    const key = String(idOrName);
+    return /^\d+$/.test(key)
+      ? this.db.prepare('SELECT * FROM bot_profiles WHERE id = ?').get(Number(key))
+      : this.db.prepare('SELECT * FROM bot_profiles WHERE name = ?').get(key);
+  }
+
+  get(idOrName) {
+    return this.formatProfile(this.findRow(idOrName));
+  }
+
+  list() {
+    const assignments = this.listAssignments();
+    return this.db.prepare('SELECT * FROM bot_profiles ORDER BY name').all().map(row => ({
+      ...this.formatProfile(row),
+      assignments: assignments.filter(a => a.profileId === row.id).map(a => ({ type: a.type, target: a.target }))
+    }));
+  }
+
+  // Column/value pairs for the profile fields present in data
+  toColumns(data) {
+    const columns = {};
+    for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+      if (data[field] === undefined) continue;
+      let value = data[field];
+      if (value !== null && JSON_FIELDS.includes(field)) value = JSON.stringify(value.map(v => v.trim()));
+      if (typeof value === 'boolean') value = value ? 1 : 0;
+      if (typeof value === 'string') value = value.trim();
+      columns[column] = value;
+    }
+    return columns;
+  }
+
+  create(data) {
+    validateProfile(data, { requireName: true });
+    const now = Date.now();
+    const columns = { name: data.name, is_default: data.isDefault ? 1 : 0, ...this.toColumns(data), created_at: now, updated_at: now };
+
+    const insert = this.db.transaction(() => {
+      if (data.isDefault) this.db.prepare('UPDATE bot_profiles SET is_default = 0').run();
+      const names = Object.keys(columns);
+      return this.db.prepare(`
+        INSERT INTO bot_profiles (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})
+      `).run(...Object.values(columns)).lastInsertRowid;
+    });
+
+    return this.get(insert());
+  }
+
+  // Partial update; null clears a field back to the built-in default
+  update(idOrName, data) {
+    const row = this.findRow(idOrName);
+    if (!row) return null;
+    validateProfile(data);
+
+    const columns = this.toColumns(data);
+    if (data.name !== undefined) columns.name = data.name;
+    if (data.isDefault !== undefined) columns.is_default = data.isDefault ? 1 : 0;
+    columns.updated_at = Date.now();
+
+    const update = this.db.transaction(() => {
+      if (data.isDefault) this.db.prepare('UPDATE bot_profiles SET is_default = 0').run();
+      const names = Object.keys(columns);
+      this.db.prepare(`
+        UPDATE bot_profiles SET ${names.map(n => `${n} = ?`).join(', ')} WHERE id = ?
+      `).run(...Object.values(columns), row.id);
+    });
+    update();
+
+    return this.get(row.id);
+  }
+
+  remove(idOrName) {
+    const row = this.findRow(idOrName);
+    if (!row) return false;
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM profile_assignments WHERE profile_id = ?').run(row.id);
+      this.db.prepare('DELETE FROM bot_profiles WHERE id = ?').run(row.id);
+    });
+    remove();
+    return true;
+  }
+
+  // Point a WAHA session or a contact phone at a profile (replaces any previous assignment)
+  assign(idOrName, type, target) {
+    if (!ASSIGNMENT_TYPES.includes(type)) {
+      throw new Error(`type must be one of: ${ASSIGNMENT_TYPES.join(', ')}`);
+    }
+    if (typeof target !== 'string' || !target.trim()) {
+      throw new Error('target is required');
+    }
+    const row = this.findRow(idOrName);
+    if (!row) return null;
+
+    const normalized = type === 'contact' ? target.replace(/\D/g, '') : target.trim();
+    this.db.prepare(`
+      INSERT INTO profile_assignments (target_type, target, profile_id, created_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(target_type, target) DO UPDATE SET profile_id = excluded.profile_id, created_at = excluded.created_at
+    `).run(type, normalized, row.id, Date.now());
+    return { type, target: normalized, profileId: row.id, profile: row.name };
+  }
+
+  unassign(type, target) {
+    const normalized = type === 'contact' ? String(target).replace(/\D/g, '') : String(target);
+    return this.db.prepare('DELETE FROM profile_assignments WHERE target_type = ? AND target = ?')
+      .run(type, normalized).changes > 0;
+  }
+
+  listAssignments() {
+    return this.db.prepare(`
+      SELECT a.target_type AS type, a.target, a.profile_id AS profileId, p.name AS profile
+      FROM profile_assignments a JOIN bot_profiles p ON p.id = a.profile_id
+      ORDER BY a.target_type, a.target
+    `).all();
+  }
+
+  // Profile for a chat: contact assignment, then session assignment, then the default profile (or null)
+  resolve(phone, wahaSession) {
+    const byAssignment = this.db.prepare(`
+      SELECT p.* FROM profile_assignments a JOIN bot_profiles p ON p.id = a.profile_id
+      WHERE a.target_type = ? AND a.target = ?
+    `);
+    const row = byAssignment.get('contact', phone)
+      || byAssignment.get('session', wahaSession)
+      || this.db.prepare('SELECT * FROM bot_profiles WHERE is_default = 1').get();
+    return this.formatProfile(row);
+  }
+}
+
+export default ProfileManager;
+export { ASSIGNMENT_TYPES, PROFILE_FIELDS, validateProfile };
@@ -0,0 +1,203 @@
+/**
+ * System Prompt Versions
+ * - Every change to the built-in persona's system prompt is kept as a numbered version with its author and note
+ * - The active version answers new sessions; none active means the default prompt (SYSTEM_PROMPT)
+ * - A new version can be rolled out to a percentage of new sessions first (the candidate);
+ *   each session records the version it started with and keeps it until it ends
+ * - Rolling back copies an old version into a new one, so the history only grows
+ */
+
+// Line diff of two prompts (LCS): [{ op: ' '|'-'|'+', line }]
+function diffLines(before, after) {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ op: '-', line: a[i++] });
+    } else {
+      diff.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ op: '-', line: a[i++] });
+  while (j < b.length) diff.push({ op: '+', line: b[j++] });
+  return diff;
+}
+
+class PromptVersions {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS prompt_versions (
+        version INTEGER PRIMARY KEY AUTOINCREMENT,
+        prompt TEXT NOT NULL,
+        author TEXT NOT NULL,
+        note TEXT,
+        created_at INTEGER NOT NULL
+      );
+
+      -- Single row: the live version, and the candidate being rolled out to rollout_percent of new sessions
+      CREATE TABLE IF NOT EXISTS prompt_rollout (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        active_version INTEGER,
+        candidate_version INTEGER,
+        rollout_percent INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+    this.db.prepare('INSERT OR IGNORE INTO prompt_rollout (id, updated_at) VALUES (1, ?)').run(Date.now());
+  }
+
+  /**
+   * Keep a prompt stored before versioning existed (bot_config.system_prompt) as version 1
+   * @returns {object|null} The imported version
+   */
+  importLegacy(prompt) {
+    if (!prompt || this.db.prepare('SELECT COUNT(*) AS count FROM prompt_versions').get().count > 0) {
+      return null;
+    }
+    return this.create({ prompt, author: 'import', note: 'Prompt set before versioning' });
+  }
+
+  formatVersion(row) {
+    if (!row) return null;
+    return {
+      version: row.version,
+      prompt: row.prompt,
+      author: row.author,
+      note: row.note,
+      createdAt: new Date(row.created_at).toISOString()
+    };
+  }
+
+  get(version) {
+    return this.formatVersion(this.db.prepare('SELECT * FROM prompt_versions WHERE version = ?').get(version));
+  }
+
+  // Newest first, with how many sessions each one answered
+  list() {
+    return this.db.prepare(`
+      SELECT v.*, (SELECT COUNT(*) FROM chat_sessions s WHERE s.prompt_version = v.version) AS session_count
+      FROM prompt_versions v ORDER BY v.version DESC
+    `).all().map(row => ({ ...this.formatVersion(row), sessions: row.session_count }));
+  }
+
+  // { activeVersion, candidateVersion, rolloutPercent, updatedAt }
+  getRollout() {
+    const row = this.db.prepare('SELECT * FROM prompt_rollout WHERE id = 1').get();
+    return {
+      activeVersion: row.active_version,
+      candidateVersion: row.candidate_version,
+      rolloutPercent: row.candidate_version ? row.rollout_percent : 0,
+      updatedAt: new Date(row.updated_at).toISOString()
+    };
+  }
+
+  setRolloutState(activeVersion, candidateVersion, percent) {
+    this.db.prepare(`
+      UPDATE prompt_rollout SET active_version = ?, candidate_version = ?, rollout_percent = ?, updated_at = ? WHERE id = 1
+    `).run(activeVersion, candidateVersion, percent, Date.now());
+    return this.getRollout();
+  }
+
+  // The live version, or null for the default prompt
+  getActive() {
+    const { activeVersion } = this.getRollout();
+    return activeVersion ? this.get(activeVersion) : null;
+  }
+
+  /**
+   * Store a new version. With a rolloutPercent below 100 it becomes the candidate for that share of
+   * new sessions; otherwise it goes live at once (replacing any rollout in progress)
+   * @param {object} data - { prompt, author, note, rolloutPercent }
+   * @returns {object} { version, rollout }
+   */
+  create({ prompt, author, note = null, rolloutPercent = 100 }) {
+    if (typeof prompt !== 'string' || !prompt.trim()) {
+      throw new Error('prompt is required');
+    }
+    const percent = Number(rolloutPercent);
+    if (!Number.isInteger(percent) || percent < 1 || percent > 100) {
+      throw new Error('rolloutPercent must be a whole number from 1 to 100');
+    }
+
+    return this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO prompt_versions (prompt, author, note, created_at) VALUES (?, ?, ?, ?)
+      `).run(prompt.trim(), author || 'unknown', note || null, Date.now());
+      const version = Number(result.lastInsertRowid);
+      const rollout = percent === 100
+        ? this.setRolloutState(version, null, 0)
+        : this.setRolloutState(this.getRollout().activeVersion, version, percent);
+      return { version: this.get(version), rollout };
+    })();
+  }
+
+  /**
+   * Change the candidate's share of new sessions: 100 makes it the active version, 0 abandons it
+   * @returns {object} The rollout state
+   */
+  setRolloutPercent(percent) {
+    const { activeVersion, candidateVersion } = this.getRollout();
+    if (!candidateVersion) {
+      throw new Error('No rollout in progress');
+    }
+    const value = Number(percent);
+    if (!Number.isInteger(value) || value < 0 || value > 100) {
+      throw new Error('percent must be a whole number from 0 to 100');
+    }
+    if (value === 100) return this.setRolloutState(candidateVersion, null, 0);
+    if (value === 0) return this.setRolloutState(activeVersion, null, 0);
+    return this.setRolloutState(activeVersion, candidateVersion, value);
+  }
+
+  /**
+   * Make an old version live again, as a new version copied from it (any rollout is abandoned)
+   * @returns {object|null} { version, rollout }, or null if the version doesn't exist
+   */
+  rollback(version, { author, note } = {}) {
+    const target = this.get(version);
+    if (!target) return null;
+    return this.create({ prompt: target.prompt, author, note: note || `Rolled back to v${target.version}` });
+  }
+
+  // Back to the default prompt (versions are kept)
+  reset() {
+    return this.setRolloutState(null, null, 0);
+  }
+
+  /**
+   * The version a new session gets: the candidate for rolloutPercent of them, else the active one
+   * @param {Function} random - returns [0, 1)
+   * @returns {object|null} A version, or null for the default prompt
+   */
+  pick(random = Math.random) {
+    const { activeVersion, candidateVersion, rolloutPercent } = this.getRollout();
+    if (candidateVersion && random() * 100 < rolloutPercent) {
+      return this.get(candidateVersion);
+    }
+    return activeVersion ? this.get(activeVersion) : null;
+  }
+}
+
+export default PromptVersions;
+export { diffLines };
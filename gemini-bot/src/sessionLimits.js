@@ -0,0 +1,201 @@
+/**
+ * Session Limits
+ * - Global limits live in bot_config and fall back to the built-in defaults
+ * - Per-contact overrides (e.g. VIP phones with longer sessions) win over everything else
+ * - Resolved on every check, so changes apply to running sessions without a restart
+ */
+
+// Built-in limits
+const SESSION_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
+const RATE_LIMIT_MS = 60 * 60 * 1000; // 1 hour
+const MAX_MESSAGES_PER_SESSION = 20;
+
+const DEFAULT_LIMITS = {
+  sessionTimeoutMs: SESSION_TIMEOUT_MS,
+  rateLimitMs: RATE_LIMIT_MS,
+  maxMessagesPerSession: MAX_MESSAGES_PER_SESSION
+};
+
+// API field -> bot_config key / contact_limits column
+const LIMIT_KEYS = {
+  sessionTimeoutMs: 'session_timeout_ms',
+  rateLimitMs: 'rate_limit_ms',
+  maxMessagesPerSession: 'max_messages_per_session'
+};
+
+// Throws with a user-facing message on the first invalid limit (null clears a limit)
+function validateLimits(limits) {
+  if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+    throw new Error('limits must be an object');
+  }
+  const unknown = Object.keys(limits).filter(key => !(key in LIMIT_KEYS) && key !== 'note');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown limit: ${unknown.join(', ')} (expected ${Object.keys(LIMIT_KEYS).join(', ')})`);
+  }
+
+  const checks = {
+    sessionTimeoutMs: [v => Number.isInteger(v) && v > 0, 'a positive integer'],
+    rateLimitMs: [v => Number.isInteger(v) && v >= 0, 'a non-negative integer'],
+    maxMessagesPerSession: [v => Number.isInteger(v) && v > 0, 'a positive integer']
+  };
+  for (const [field, [check, description]] of Object.entries(checks)) {
+    const value = limits[field];
+    if (value === undefined || value === null) continue;
+    if (!check(value)) {
+      throw new Error(`${field} must be ${description}`);
+    }
+  }
+
+  if (limits.note !== undefined && limits.note !== null && typeof limits.note !== 'string') {
+    throw new Error('note must be a string');
+  }
+}
+
+// Only the limit fields that are actually set
+function pickLimits(source) {
+  const limits = {};
+  if (!source) return limits;
+  for (const field of Object.keys(LIMIT_KEYS)) {
+    if (source[field] !== undefined && source[field] !== null) limits[field] = source[field];
+  }
+  return limits;
+}
+
+function normalizePhone(phone) {
+  return String(phone).replace(/\D/g, '');
+}
+
+class SessionLimits {
+  constructor(db) {
+    this.db = db;
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS bot_config (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS contact_limits (
+        phone TEXT PRIMARY KEY,
+        session_timeout_ms INTEGER,
+        rate_limit_ms INTEGER,
+        max_messages_per_session INTEGER,
+        note TEXT,
+        updated_at INTEGER NOT NULL
+      );
+    `);
+  }
+
+  // Global limits: bot_config values over the built-in defaults
+  getGlobal() {
+    const limits = { ...DEFAULT_LIMITS };
+    const rows = this.db.prepare(`
+      SELECT key, value FROM bot_config WHERE key IN (${Object.values(LIMIT_KEYS).map(() => '?').join(', ')})
+    `).all(...Object.values(LIMIT_KEYS));
+    for (const [field, key] of Object.entries(LIMIT_KEYS)) {
+      const row = rows.find(r => r.key === key);
+      const value = row ? Number(row.value) : NaN;
+      if (Number.isInteger(value)) limits[field] = value;
+    }
+    return limits;
+  }
+
+  // Partial update of the global limits; null resets a limit to the built-in default
+  setGlobal(limits) {
+    validateLimits(limits);
+    const now = Date.now();
+    const update = this.db.transaction(() => {
+      for (const [field, key] of Object.entries(LIMIT_KEYS)) {
+        if (limits[field] === undefined) continue;
+        if (limits[field] === null) {
+          this.db.prepare('DELETE FROM bot_config WHERE key = ?').run(key);
+        } else {
+          this.db.prepare(`
+            INSERT INTO bot_config (key, value, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+          `).run(key, String(limits[field]), now);
+        }
+      }
+    });
+    update();
+    return this.getGlobal();
+  }
+
+  resetGlobal() {
+    this.db.prepare(`
+      DELETE FROM bot_config WHERE key IN (${Object.values(LIMIT_KEYS).map(() => '?').join(', ')})
+    `).run(...Object.values(LIMIT_KEYS));
+    return this.getGlobal();
+  }
+
+  formatContact(row) {
+    if (!row) return null;
+    const contact = { phone: row.phone };
+    for (const [field, column] of Object.entries(LIMIT_KEYS)) {
+      contact[field] = row[column];
+    }
+    contact.note = row.note;
+    contact.updatedAt = row.updated_at;
+    return contact;
+  }
+
+  getContact(phone) {
+    return this.formatContact(
+      this.db.prepare('SELECT * FROM contact_limits WHERE phone = ?').get(normalizePhone(phone))
+    );
+  }
+
+  listContacts() {
+    return this.db.prepare('SELECT * FROM contact_limits ORDER BY phone').all().map(row => this.formatContact(row));
+  }
+
+  // Create or update a contact's overrides; null clears one limit
+  setContact(phone, limits) {
+    validateLimits(limits);
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      throw new Error('phone is required');
+    }
+
+    const existing = this.getContact(normalized) || {};
+    const merged = { ...existing, ...limits };
+    if (Object.keys(pickLimits(merged)).length === 0) {
+      throw new Error(`At least one of ${Object.keys(LIMIT_KEYS).join(', ')} is required`);
+    }
+
+    this.db.prepare(`
+      INSERT INTO contact_limits (phone, session_timeout_ms, rate_limit_ms, max_messages_per_session, note, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(phone) DO UPDATE SET
+        session_timeout_ms = excluded.session_timeout_ms,
+        rate_limit_ms = excluded.rate_limit_ms,
+        max_messages_per_session = excluded.max_messages_per_session,
+        note = excluded.note,
+        updated_at = excluded.updated_at
+    `).run(
+      normalized,
+      merged.sessionTimeoutMs ?? null,
+      merged.rateLimitMs ?? null,
+      merged.maxMessagesPerSession ?? null,
+      merged.note ?? null,
+      Date.now()
+    );
+    return this.getContact(normalized);
+  }
+
+  removeContact(phone) {
+    return this.db.prepare('DELETE FROM contact_limits WHERE phone = ?').run(normalizePhone(phone)).changes > 0;
+  }
+
+  // Effective limits for a contact: global, then overrides (e.g. a bot profile), then the contact's own
+  resolve(phone, overrides = {}) {
+    return { ...this.getGlobal(), ...pickLimits(overrides), ...pickLimits(this.getContact(phone)) };
+  }
+}
+
+export default SessionLimits;
+export { SESSION_TIMEOUT_MS, RATE_LIMIT_MS, MAX_MESSAGES_PER_SESSION, DEFAULT_LIMITS, LIMIT_KEYS, validateLimits, pickLimits };
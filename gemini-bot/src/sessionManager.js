@@ -1,20 +1,28 @@
 import Database from 'better-sqlite3';
 import path from 'path';
-
-const DB_PATH = process.env.NODE_ENV === 'production'
+import SessionLimits, {
+  SESSION_TIMEOUT_MS, RATE_LIMIT_MS, MAX_MESSAGES_PER_SESSION, DEFAULT_LIMITS, pickLimits
+} from './sessionLimits.js';
+import ChatHistory, { toLlmTurns } from './chatHistory.js';
+import Handoffs, { chatKey } from './handoffs.js';
+import AccessControl from './accessControl.js';
+
+// DB_PATH overrides (':memory:' for the offline dialogue tests)
+const DB_PATH = process.env.DB_PATH || (process.env.NODE_ENV === 'production'
   ? '/app/data/gemini-bot.db'
-  : './gemini-bot.db';
-
-// Session limits
-const SESSION_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
-const RATE_LIMIT_MS = 60 * 60 * 1000; // 1 hour
-const MAX_MESSAGES_PER_SESSION = 20;
+  : './gemini-bot.db');
 
+// Bot sessions are per (WAHA session, phone): a contact who writes to two of our numbers
+// has a separate session, history and rate limit on each. The contact's own limits and tier apply to both.
 class SessionManager {
-  constructor() {
-    this.db = new Database(DB_PATH);
+  constructor(dbPath = DB_PATH) {
+    this.db = new Database(dbPath);
     this.initializeDatabase();
-    this.activeSessions = new Map(); // phone -> { chat, history, messageCount, startTime }
+    this.limits = new SessionLimits(this.db);
+    this.access = new AccessControl(this.db);
+    this.history = new ChatHistory(this.db);
+    this.handoffs = new Handoffs(this.db);
+    this.activeSessions = new Map(); // chatKey(phone, wahaSession) -> { sessionId, phone, messageCount, startTime, wahaSession, profileId, limitOverrides, promptVersion }
   }
 
   initializeDatabase() {
@@ -25,7 +33,12 @@ class SessionManager {
         started_at INTEGER NOT NULL,
         ended_at INTEGER,
         message_count INTEGER DEFAULT 0,
-        end_reason TEXT
+        end_reason TEXT,
+        waha_session TEXT NOT NULL DEFAULT 'default',
+        profile_id INTEGER,
+        limit_overrides TEXT,
+        prompt_version INTEGER,
+        paused_ms INTEGER NOT NULL DEFAULT 0
       );
 
       CREATE INDEX IF NOT EXISTS idx_phone_started ON chat_sessions(phone, started_at);
@@ -36,6 +49,20 @@ class SessionManager {
         updated_at INTEGER NOT NULL
       );
     `);
+
+    // Columns added after the first release (CREATE TABLE IF NOT EXISTS skips existing tables)
+    this.ensureColumn('chat_sessions', 'waha_session', "TEXT NOT NULL DEFAULT 'default'");
+    this.ensureColumn('chat_sessions', 'profile_id', 'INTEGER');
+    this.ensureColumn('chat_sessions', 'limit_overrides', 'TEXT');
+    this.ensureColumn('chat_sessions', 'prompt_version', 'INTEGER');
+    this.ensureColumn('chat_sessions', 'paused_ms', 'INTEGER NOT NULL DEFAULT 0');
+  }
+
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
   // Get configuration value
@@ -64,53 +91,70 @@ class SessionManager {
     return config;
   }
 
-  // Check if user can start a new session (rate limit: 1 per hour)
-  canStartSession(phone) {
-    const oneHourAgo = Date.now() - RATE_LIMIT_MS;
+  // Effective limits for a phone on one of our numbers: configured globals, the session's profile overrides
+  // (or the given ones when there's no session yet), the contact's tier, then the contact's own overrides
+  getLimits(phone, wahaSession = 'default', overrides) {
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
+    const profileLimits = pickLimits(overrides || (session ? session.limitOverrides : {}));
+    return this.limits.resolve(phone, { ...profileLimits, ...this.access.getTierLimits(phone) });
+  }
+
+  // Check if user can start a new session on this number (rate limit: 1 per rateLimitMs, default 1 hour)
+  canStartSession(phone, wahaSession = 'default', rateLimitMs = this.getLimits(phone, wahaSession).rateLimitMs) {
+    const oneHourAgo = Date.now() - rateLimitMs;
 
     const recentSession = this.db.prepare(`
       SELECT * FROM chat_sessions
-      WHERE phone = ? AND started_at > ?
+      WHERE phone = ? AND waha_session = ? AND started_at > ?
       ORDER BY started_at DESC
       LIMIT 1
-    `).get(phone, oneHourAgo);
+    `).get(phone, wahaSession, oneHourAgo);
 
     if (recentSession) {
-      const waitTime = Math.ceil((recentSession.started_at + RATE_LIMIT_MS - Date.now()) / 60000);
+      const waitTime = Math.ceil((recentSession.started_at + rateLimitMs - Date.now()) / 60000);
       return { allowed: false, waitMinutes: waitTime };
     }
 
     return { allowed: true };
   }
 
-  // Start a new session
-  startSession(phone) {
+  // Start a new session; wahaSession is the WhatsApp number the chat came in on,
+  // profileId/limits come from the bot profile handling the chat (if any); the limits
+  // are kept as overrides so changes to the global and contact limits still apply.
+  // promptVersion is the system prompt version the session answers with (null = the default prompt or the profile's own)
+  startSession(phone, wahaSession = 'default', { profileId = null, limits = {}, promptVersion = null } = {}) {
     const now = Date.now();
+    const limitOverrides = pickLimits(limits);
 
     // Record in database
     const result = this.db.prepare(`
-      INSERT INTO chat_sessions (phone, started_at) VALUES (?, ?)
-    `).run(phone, now);
+      INSERT INTO chat_sessions (phone, started_at, waha_session, profile_id, limit_overrides, prompt_version) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(phone, now, wahaSession, profileId, JSON.stringify(limitOverrides), promptVersion);
 
     // Store in memory
-    this.activeSessions.set(phone, {
+    this.activeSessions.set(chatKey(phone, wahaSession), {
       sessionId: result.lastInsertRowid,
+      phone,
       messageCount: 0,
-      startTime: now
+      startTime: now,
+      wahaSession,
+      profileId,
+      limitOverrides,
+      promptVersion
     });
 
     return { sessionId: result.lastInsertRowid };
   }
 
   // Get active session or null
-  getSession(phone) {
-    const session = this.activeSessions.get(phone);
+  getSession(phone, wahaSession = 'default') {
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
 
     if (!session) return null;
 
-    // Check timeout
-    if (Date.now() - session.startTime > SESSION_TIMEOUT_MS) {
-      this.endSession(phone, 'timeout');
+    // Check timeout (the clock is paused while a human has the chat)
+    if (!this.handoffs.get(phone, wahaSession) && Date.now() - session.startTime > this.getLimits(phone, wahaSession).sessionTimeoutMs) {
+      this.endSession(phone, wahaSession, 'timeout');
       return null;
     }
 
@@ -118,35 +162,37 @@ class SessionManager {
   }
 
   // Check if session can accept more messages
-  canSendMessage(phone) {
-    const session = this.getSession(phone);
+  canSendMessage(phone, wahaSession = 'default') {
+    const session = this.getSession(phone, wahaSession);
 
     if (!session) {
       return { allowed: false, reason: 'no_session' };
     }
 
-    if (session.messageCount >= MAX_MESSAGES_PER_SESSION) {
-      this.endSession(phone, 'max_messages');
+    const limits = this.getLimits(phone, wahaSession);
+    if (session.messageCount >= limits.maxMessagesPerSession) {
+      this.endSession(phone, wahaSession, 'max_messages');
       return { allowed: false, reason: 'max_messages' };
     }
 
-    const timeRemaining = SESSION_TIMEOUT_MS - (Date.now() - session.startTime);
+    const timeRemaining = limits.sessionTimeoutMs - (Date.now() - session.startTime);
     if (timeRemaining <= 0) {
-      this.endSession(phone, 'timeout');
+      this.endSession(phone, wahaSession, 'timeout');
       return { allowed: false, reason: 'timeout' };
     }
 
     return {
       allowed: true,
-      messagesRemaining: MAX_MESSAGES_PER_SESSION - session.messageCount,
-      timeRemainingMs: timeRemaining
+      messagesRemaining: limits.maxMessagesPerSession - session.messageCount,
+      timeRemainingMs: timeRemaining,
+      limits
     };
   }
 
   // Increment message count
   // count: how many messages to add (voice messages count as 2)
-  recordMessage(phone, count = 1) {
-    const session = this.activeSessions.get(phone);
+  recordMessage(phone, wahaSession = 'default', count = 1) {
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
     if (!session) return;
 
     session.messageCount += count;
@@ -157,9 +203,69 @@ class SessionManager {
     `).run(session.messageCount, session.sessionId);
   }
 
+  // Persist a user/model exchange against the phone's open session on that number, and count
+  // its messages, in one transaction. An inbound event (eventId) is recorded and counted once:
+  // returns false when a replay of the event already was
+  // options: { sources, eventId, messageCount }
+  recordExchange(phone, wahaSession, userText, modelText, { sources = null, eventId = null, messageCount = 1 } = {}) {
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
+    if (!session) return false;
+    return this.db.transaction(() => {
+      if (!this.history.addExchange(session.sessionId, userText, modelText, sources, eventId)) return false;
+      this.recordMessage(phone, wahaSession, messageCount);
+      return true;
+    })();
+  }
+
+  // Persist a single turn (e.g. user messages and operator replies during a handoff);
+  // a replayed inbound event (eventId) isn't stored twice
+  recordTurn(phone, wahaSession, role, text, eventId = null) {
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
+    if (!session) return;
+    this.history.add(session.sessionId, role, text, null, eventId);
+  }
+
+  // Turns of the phone's open session as LLM context ([{ role: 'user'|'model', text, createdAt }]),
+  // including what a human operator said
+  getHistory(phone, wahaSession = 'default') {
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
+    return session ? toLlmTurns(this.history.list(session.sessionId)) : [];
+  }
+
+  // Open handoff for a phone on one of our numbers, or null
+  getHandoff(phone, wahaSession = 'default') {
+    return this.handoffs.get(phone, wahaSession);
+  }
+
+  // Hand the chat to a human; the bot stays quiet for this phone on that number until endHandoff
+  // options: { chatId, wahaSession, source: keyword|llm|operator, reason, operator }
+  startHandoff(phone, options) {
+    const wahaSession = options.wahaSession || 'default';
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
+    return this.handoffs.start(phone, {
+      ...options,
+      wahaSession,
+      sessionId: session ? session.sessionId : null
+    });
+  }
+
+  // Give the chat back to the bot. The session gets back the time the human had it
+  // (kept in paused_ms, so it survives a restart; started_at stays the real start for the rate limit).
+  endHandoff(phone, wahaSession = 'default', endedBy = 'operator') {
+    const handoff = this.handoffs.end(phone, wahaSession, endedBy);
+    const session = this.activeSessions.get(chatKey(phone, wahaSession));
+    if (handoff && session && handoff.sessionId === session.sessionId) {
+      const pausedMs = Date.now() - Date.parse(handoff.startedAt);
+      session.startTime += pausedMs;
+      this.db.prepare('UPDATE chat_sessions SET paused_ms = paused_ms + ? WHERE id = ?').run(pausedMs, session.sessionId);
+    }
+    return handoff;
+  }
+
   // End a session
-  endSession(phone, reason = 'manual') {
-    const session = this.activeSessions.get(phone);
+  endSession(phone, wahaSession = 'default', reason = 'manual') {
+    const key = chatKey(phone, wahaSession);
+    const session = this.activeSessions.get(key);
     if (!session) return;
 
     this.db.prepare(`
@@ -168,26 +274,36 @@ class SessionManager {
       WHERE id = ?
     `).run(Date.now(), reason, session.sessionId);
 
-    this.activeSessions.delete(phone);
+    this.activeSessions.delete(key);
+  }
+
+  // Open sessions of a phone on any of our numbers
+  getContactSessions(phone) {
+    return [...this.activeSessions.values()].filter(session => session.phone === phone);
   }
 
   // Get session status
-  getSessionStatus(phone) {
-    const session = this.getSession(phone);
+  getSessionStatus(phone, wahaSession = 'default') {
+    const session = this.getSession(phone, wahaSession);
 
     if (session) {
-      const timeRemaining = Math.ceil((SESSION_TIMEOUT_MS - (Date.now() - session.startTime)) / 1000);
+      const limits = this.getLimits(phone, wahaSession);
+      const timeRemaining = Math.ceil((limits.sessionTimeoutMs - (Date.now() - session.startTime)) / 1000);
       return {
         active: true,
+        wahaSession: session.wahaSession,
+        profileId: session.profileId,
         messageCount: session.messageCount,
-        messagesRemaining: MAX_MESSAGES_PER_SESSION - session.messageCount,
-        timeRemainingSeconds: timeRemaining
+        messagesRemaining: limits.maxMessagesPerSession - session.messageCount,
+        timeRemainingSeconds: timeRemaining,
+        limits
       };
     }
 
-    const canStart = this.canStartSession(phone);
+    const canStart = this.canStartSession(phone, wahaSession);
     return {
       active: false,
+      wahaSession,
       canStartNew: canStart.allowed,
       waitMinutes: canStart.waitMinutes || 0
     };
@@ -197,13 +313,57 @@ class SessionManager {
   cleanupExpiredSessions() {
     const now = Date.now();
 
-    for (const [phone, session] of this.activeSessions.entries()) {
-      if (now - session.startTime > SESSION_TIMEOUT_MS) {
-        this.endSession(phone, 'timeout');
+    for (const { phone, wahaSession, startTime } of [...this.activeSessions.values()]) {
+      if (!this.handoffs.get(phone, wahaSession) && now - startTime > this.getLimits(phone, wahaSession).sessionTimeoutMs) {
+        this.endSession(phone, wahaSession, 'timeout');
       }
     }
   }
+
+  // Reload sessions still open in the DB (e.g. after a redeploy) into memory, with the time
+  // given back by past handoffs. Expired ones are closed (unless a human still has the chat),
+  // and only the newest open row per phone and number is kept.
+  restoreOpenSessions() {
+    const rows = this.db.prepare(`
+      SELECT * FROM chat_sessions WHERE ended_at IS NULL ORDER BY started_at DESC
+    `).all();
+    const seen = new Set();
+    let restored = 0;
+
+    for (const row of rows) {
+      const key = chatKey(row.phone, row.waha_session);
+      if (seen.has(key)) {
+        // Older duplicate left behind by a crash
+        this.db.prepare('UPDATE chat_sessions SET ended_at = ?, end_reason = ? WHERE id = ?')
+          .run(Date.now(), 'superseded', row.id);
+        continue;
+      }
+      seen.add(key);
+
+      let limitOverrides = {};
+      try {
+        limitOverrides = pickLimits(JSON.parse(row.limit_overrides || '{}'));
+      } catch {
+        // Keep the global limits
+      }
+
+      this.activeSessions.set(key, {
+        sessionId: row.id,
+        phone: row.phone,
+        messageCount: row.message_count || 0,
+        startTime: row.started_at + (row.paused_ms || 0),
+        wahaSession: row.waha_session,
+        profileId: row.profile_id,
+        limitOverrides,
+        promptVersion: row.prompt_version
+      });
+
+      if (this.getSession(row.phone, row.waha_session)) restored++;
+    }
+
+    return restored;
+  }
 }
 
 export default new SessionManager();
-export { SESSION_TIMEOUT_MS, RATE_LIMIT_MS, MAX_MESSAGES_PER_SESSION };
+export { SessionManager, chatKey, SESSION_TIMEOUT_MS, RATE_LIMIT_MS, MAX_MESSAGES_PER_SESSION, DEFAULT_LIMITS };
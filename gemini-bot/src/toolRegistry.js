@@ -0,0 +1,154 @@
+/**
+ * Tool Registry
+ * - Server-side tools the LLM may call, declared in one place
+ * - Each call runs with a timeout and is logged against the chat session
+ * - Which tools a chat gets is decided by its bot profile
+ */
+
+const DEFAULT_TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS || '5000');
+const MAX_TOOL_LOG_TEXT = 2000;
+
+function truncate(text) {
+  return text.length > MAX_TOOL_LOG_TEXT ? text.substring(0, MAX_TOOL_LOG_TEXT) + '...' : text;
+}
+
+// Logged JSON may have been truncated; show it as text then
+function parseLogged(text) {
+  if (text === null) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Tool ${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class ToolRegistry {
+  constructor(db) {
+    this.db = db;
+    this.tools = new Map();
+    this.initializeDatabase();
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS tool_calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER,
+        phone TEXT,
+        tool TEXT NOT NULL,
+        args TEXT,
+        result TEXT,
+        error TEXT,
+        duration_ms INTEGER NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_tool_calls_session ON tool_calls(session_id);
+    `);
+  }
+
+  /**
+   * Register a tool
+   * @param {object} tool - { name, description, parameters (JSON schema, optional), timeoutMs, handler(args, context) }
+   */
+  register(tool) {
+    if (!/^[a-zA-Z_][\w]{0,63}$/.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool.name}`);
+    }
+    if (typeof tool.handler !== 'function' || !tool.description) {
+      throw new Error(`Tool ${tool.name} needs a description and a handler`);
+    }
+    this.tools.set(tool.name, { timeoutMs: DEFAULT_TOOL_TIMEOUT_MS, ...tool });
+    return this;
+  }
+
+  names() {
+    return [...this.tools.keys()];
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  // Tools for a chat, in the provider-neutral shape { name, description, parameters }
+  declarations(enabledNames = this.names()) {
+    return enabledNames
+      .filter(name => this.tools.has(name))
+      .map(name => {
+        const { description, parameters } = this.tools.get(name);
+        return parameters ? { name, description, parameters } : { name, description };
+      });
+  }
+
+  /**
+   * Run a tool call from the LLM. Never throws - failures come back as { error } so the
+   * model can tell the user, and every call is logged.
+   * @param {object} context - { phone, chatId, sessionKey, sessionId, wahaSession, enabledTools }
+   */
+  async execute(name, args = {}, context = {}) {
+    const started = Date.now();
+    let result = null;
+    let error = null;
+
+    const tool = this.tools.get(name);
+    if (!tool || (context.enabledTools && !context.enabledTools.includes(name))) {
+      error = `Unknown or disabled tool: ${name}`;
+    } else {
+      try {
+        result = (await withTimeout(Promise.resolve().then(() => tool.handler(args || {}, context)), tool.timeoutMs, name)) ?? null;
+      } catch (err) {
+        error = err.message || String(err);
+      }
+    }
+
+    const durationMs = Date.now() - started;
+    this.db.prepare(`
+      INSERT INTO tool_calls (session_id, phone, tool, args, result, error, duration_ms, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      context.sessionId ?? null,
+      context.phone ?? null,
+      name,
+      truncate(JSON.stringify(args || {})),
+      result === null ? null : truncate(JSON.stringify(result)),
+      error,
+      durationMs,
+      Date.now()
+    );
+    console.log(`[${context.phone || '-'}] 🔧 ${name}(${JSON.stringify(args || {})}) -> ${error ? `error: ${error}` : 'ok'} (${durationMs}ms)`);
+
+    return error ? { error } : { result };
+  }
+
+  // Call log, newest first (filter by session or tool)
+  listCalls({ sessionId, tool, limit = 100 } = {}) {
+    let query = 'SELECT * FROM tool_calls WHERE 1 = 1';
+    const params = [];
+    if (sessionId) {
+      query += ' AND session_id = ?';
+      params.push(sessionId);
+    }
+    if (tool) {
+      query += ' AND tool = ?';
+      params.push(tool);
+    }
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+    return this.db.prepare(query).all(...params).map(row => ({
+      ...row,
+      args: parseLogged(row.args),
+      result: parseLogged(row.result)
+    }));
+  }
+}
+
+export default ToolRegistry;
+export { DEFAULT_TOOL_TIMEOUT_MS };
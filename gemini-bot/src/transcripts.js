@@ -0,0 +1,142 @@
+/**
+ * Transcripts
+ * - Browse bot conversations (chat_sessions) with filters
+ * - Export one conversation's turns as JSON, plain text or CSV
+ */
+
+const TRANSCRIPT_FORMATS = ['json', 'text', 'csv'];
+
+// Turn role -> label in text transcripts
+const SPEAKERS = { user: 'User', model: 'Bot', operator: 'Operator' };
+
+// Accepts ms timestamps or anything Date.parse understands; a bare date as the
+// upper bound means "through the end of that day"
+function parseDateFilter(value, name, { endOfDay = false } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value);
+  let ms = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  if (Number.isNaN(ms)) {
+    throw new Error(`${name} must be a date (e.g. 2026-01-31) or a timestamp in ms`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    ms += 24 * 60 * 60 * 1000;
+  }
+  return ms;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class Transcripts {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Session row -> API shape
+  formatSession(row) {
+    return {
+      id: row.id,
+      phone: row.phone,
+      wahaSession: row.waha_session,
+      profileId: row.profile_id,
+      promptVersion: row.prompt_version ?? null,
+      startedAt: new Date(row.started_at).toISOString(),
+      endedAt: row.ended_at ? new Date(row.ended_at).toISOString() : null,
+      endReason: row.end_reason,
+      status: row.ended_at ? 'ended' : 'open',
+      messageCount: row.message_count,
+      turnCount: row.turn_count
+    };
+  }
+
+  /**
+   * List sessions, newest first
+   * @param {object} filters - phone, from, to, endReason ('open' for sessions still running), wahaSession, limit, offset
+   */
+  list({ phone, from, to, endReason, wahaSession, limit = 50, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    if (phone) {
+      where += ' AND s.phone = ?';
+      params.push(String(phone).replace(/\D/g, ''));
+    }
+    const fromMs = parseDateFilter(from, 'from');
+    if (fromMs !== null) {
+      where += ' AND s.started_at >= ?';
+      params.push(fromMs);
+    }
+    const toMs = parseDateFilter(to, 'to', { endOfDay: true });
+    if (toMs !== null) {
+      where += ' AND s.started_at < ?';
+      params.push(toMs);
+    }
+    if (endReason === 'open') {
+      where += ' AND s.ended_at IS NULL';
+    } else if (endReason) {
+      where += ' AND s.end_reason = ?';
+      params.push(endReason);
+    }
+    if (wahaSession) {
+      where += ' AND s.waha_session = ?';
+      params.push(wahaSession);
+    }
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM chat_sessions s${where}`).get(...params).count;
+    const rows = this.db.prepare(`
+      SELECT s.*, (SELECT COUNT(*) FROM chat_messages m WHERE m.session_id = s.id) AS turn_count
+      FROM chat_sessions s${where}
+      ORDER BY s.started_at DESC, s.id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return { sessions: rows.map(row => this.formatSession(row)), total };
+  }
+
+  // One session with its turns, or null
+  get(id) {
+    const row = this.db.prepare(`
+      SELECT s.*, (SELECT COUNT(*) FROM chat_messages m WHERE m.session_id = s.id) AS turn_count
+      FROM chat_sessions s WHERE s.id = ?
+    `).get(id);
+    if (!row) return null;
+
+    const turns = this.db.prepare(`
+      SELECT role, text, sources, created_at FROM chat_messages WHERE session_id = ? ORDER BY id
+    `).all(row.id).map(turn => ({
+      role: turn.role,
+      text: turn.text,
+      at: new Date(turn.created_at).toISOString(),
+      ...(turn.sources ? { sources: JSON.parse(turn.sources) } : {})
+    }));
+
+    return { session: this.formatSession(row), turns };
+  }
+
+  // Readable transcript for support tickets
+  toText({ session, turns }) {
+    const header = [
+      `Session #${session.id} - ${session.phone} (WhatsApp session: ${session.wahaSession})`,
+      `Started: ${session.startedAt}`,
+      `Ended: ${session.endedAt ? `${session.endedAt} (${session.endReason})` : 'still open'}`,
+      ''
+    ];
+    const lines = turns.map(turn => {
+      const line = `[${turn.at}] ${SPEAKERS[turn.role] || turn.role}: ${turn.text}`;
+      return turn.sources ? `${line}\n  (sources: ${turn.sources.map(s => s.title).join(', ')})` : line;
+    });
+    return [...header, ...lines].join('\n') + '\n';
+  }
+
+  toCsv({ session, turns }) {
+    const rows = [['session_id', 'phone', 'at', 'role', 'text']];
+    for (const turn of turns) {
+      rows.push([session.id, session.phone, turn.at, turn.role, turn.text]);
+    }
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+}
+
+export default Transcripts;
+export { TRANSCRIPT_FORMATS, parseDateFilter };
@@ -0,0 +1,298 @@
+/**
+ * Webhook Relay
+ * - Records every WAHA event once in SQLite
+ * - Fans it out to registered subscribers (e.g. chatty-backend)
+ * - Retries failed deliveries with exponential backoff and keeps a per-subscriber log
+ * - Signs deliveries like WAHA does when given an HMAC key, so subscribers can verify them
+ */
+
+import { signatureHeaders } from '../../waha-client/webhookSignature.js';
+
+// Delivery settings
+const RELAY_TIMEOUT_MS = 10000;
+const RELAY_MAX_ATTEMPTS = 6;
+const RELAY_BACKOFF_BASE_MS = 5000; // 5s, 10s, 20s, 40s, 80s
+const RELAY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // keep 7 days of events
+
+class WebhookRelay {
+  /**
+   * @param {object} options - { hmacKey } to sign deliveries with
+   */
+  constructor(db, { hmacKey = null } = {}) {
+    this.db = db;
+    this.hmacKey = hmacKey;
+    this.initializeDatabase();
+    this.dispatching = false;
+  }
+
+  initializeDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        session TEXT,
+        payload TEXT NOT NULL,
+        received_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_subscribers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        url TEXT UNIQUE NOT NULL,
+        events TEXT NOT NULL DEFAULT '*',
+        enabled INTEGER NOT NULL DEFAULT 1,
+        source TEXT NOT NULL DEFAULT 'api',
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        subscriber_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_status_code INTEGER,
+        last_error TEXT,
+        delivered_at INTEGER,
+        created_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_deliveries_subscriber ON webhook_deliveries(subscriber_id, created_at);
+    `);
+
+    // Migration: where a subscriber came from ('env' or 'api')
+    const columns = this.db.prepare('PRAGMA table_info(webhook_subscribers)').all();
+    if (!columns.some(c => c.name === 'source')) {
+      this.db.exec("ALTER TABLE webhook_subscribers ADD COLUMN source TEXT NOT NULL DEFAULT 'api'");
+    }
+  }
+
+  /**
+   * Sync subscribers with a comma-separated URL list (e.g. WEBHOOK_SUBSCRIBERS env).
+   * Listed URLs are registered (or claimed, if already present) as env subscribers;
+   * env subscribers no longer listed are removed. API-added subscribers are left alone.
+   */
+  seedSubscribers(urlList) {
+    const urls = (urlList || '').split(',').map(u => u.trim()).filter(Boolean);
+    const listed = new Set();
+
+    for (const url of urls) {
+      const exists = this.db.prepare('SELECT id FROM webhook_subscribers WHERE url = ?').get(url);
+      if (exists) {
+        this.db.prepare("UPDATE webhook_subscribers SET source = 'env' WHERE id = ?").run(exists.id);
+        listed.add(url);
+        continue;
+      }
+
+      try {
+        this.addSubscriber({ name: new URL(url).host, url, source: 'env' });
+        listed.add(url);
+        console.log(`[Relay] Registered subscriber ${url}`);
+      } catch (error) {
+        console.error(`[Relay] Skipping invalid subscriber URL "${url}": ${error.message}`);
+      }
+    }
+
+    const stale = this.db.prepare("SELECT id, url FROM webhook_subscribers WHERE source = 'env'").all()
+      .filter(subscriber => !listed.has(subscriber.url));
+    for (const subscriber of stale) {
+      this.removeSubscriber(subscriber.id);
+      console.log(`[Relay] Removed subscriber ${subscriber.url} (no longer in WEBHOOK_SUBSCRIBERS)`);
+    }
+  }
+
+  // Add a subscriber; events is '*' or a comma-separated list of WAHA event names
+  addSubscriber({ name, url, events = '*', source = 'api' }) {
+    const now = Date.now();
+    const result = this.db.prepare(`
+      INSERT INTO webhook_subscribers (name, url, events, source, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(name, url, events, source, now);
+    return this.getSubscriber(result.lastInsertRowid);
+  }
+
+  getSubscriber(id) {
+    return this.db.prepare('SELECT * FROM webhook_subscribers WHERE id = ?').get(id) || null;
+  }
+
+  listSubscribers() {
+    return this.db.prepare('SELECT * FROM webhook_subscribers ORDER BY id').all();
+  }
+
+  setSubscriberEnabled(id, enabled) {
+    this.db.prepare('UPDATE webhook_subscribers SET enabled = ? WHERE id = ?').run(enabled ? 1 : 0, id);
+    return this.getSubscriber(id);
+  }
+
+  removeSubscriber(id) {
+    this.db.prepare('DELETE FROM webhook_deliveries WHERE subscriber_id = ?').run(id);
+    return this.db.prepare('DELETE FROM webhook_subscribers WHERE id = ?').run(id).changes > 0;
+  }
+
+  // Check if a subscriber wants this event
+  subscriberWants(subscriber, event) {
+    if (subscriber.events === '*') return true;
+    return subscriber.events.split(',').map(e => e.trim()).includes(event);
+  }
+
+  // Persist an incoming WAHA event and queue one delivery per interested subscriber
+  record(body) {
+    const now = Date.now();
+    const event = body?.event || 'unknown';
+
+    const insert = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO webhook_events (event, session, payload, received_at) VALUES (?, ?, ?, ?)
+      `).run(event, body?.session || null, JSON.stringify(body), now);
+      const eventId = result.lastInsertRowid;
+
+      const subscribers = this.db.prepare('SELECT * FROM webhook_subscribers WHERE enabled = 1').all();
+      const insertDelivery = this.db.prepare(`
+        INSERT INTO webhook_deliveries (event_id, subscriber_id, next_attempt_at, created_at) VALUES (?, ?, ?, ?)
+      `);
+      let deliveries = 0;
+      for (const subscriber of subscribers) {
+        if (this.subscriberWants(subscriber, event)) {
+          insertDelivery.run(eventId, subscriber.id, now, now);
+          deliveries++;
+        }
+      }
+      return { eventId, deliveries };
+    });
+
+    return insert();
+  }
+
+  // POST one event to one subscriber
+  async deliver(delivery) {
+    const attempts = delivery.attempts + 1;
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Relay-Event-Id': String(delivery.event_id),
+          ...(this.hmacKey ? signatureHeaders(delivery.payload, this.hmacKey) : {})
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(RELAY_TIMEOUT_MS)
+      });
+      statusCode = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    const now = Date.now();
+    if (!error) {
+      this.db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = ?, last_status_code = ?, last_error = NULL, delivered_at = ?
+        WHERE id = ?
+      `).run(attempts, statusCode, now, delivery.id);
+      return true;
+    }
+
+    const giveUp = attempts >= RELAY_MAX_ATTEMPTS;
+    const nextAttemptAt = now + RELAY_BACKOFF_BASE_MS * 2 ** (attempts - 1);
+    this.db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, next_attempt_at = ?, last_status_code = ?, last_error = ?
+      WHERE id = ?
+    `).run(giveUp ? 'failed' : 'pending', attempts, nextAttemptAt, statusCode, error, delivery.id);
+    console.error(`[Relay] Delivery #${delivery.id} to ${delivery.url} failed (attempt ${attempts}/${RELAY_MAX_ATTEMPTS}): ${error}`);
+    return false;
+  }
+
+  // Deliver everything that is due; concurrent calls are no-ops while a run is in progress
+  async dispatch() {
+    if (this.dispatching) return;
+    this.dispatching = true;
+
+    try {
+      const due = this.db.prepare(`
+        SELECT d.*, s.url, e.payload
+        FROM webhook_deliveries d
+        JOIN webhook_subscribers s ON s.id = d.subscriber_id
+        JOIN webhook_events e ON e.id = d.event_id
+        WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND s.enabled = 1
+        ORDER BY d.id
+      `).all(Date.now());
+
+      await Promise.all(due.map(delivery => this.deliver(delivery)));
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  // Re-queue a failed delivery for an immediate attempt
+  retryDelivery(id) {
+    const result = this.db.prepare(`
+      UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ?
+    `).run(Date.now(), id);
+    return result.changes > 0;
+  }
+
+  // Delivery log, newest first
+  listDeliveries({ subscriberId, status, limit = 100 } = {}) {
+    let query = `
+      SELECT d.*, s.name AS subscriber_name, e.event
+      FROM webhook_deliveries d
+      JOIN webhook_subscribers s ON s.id = d.subscriber_id
+      JOIN webhook_events e ON e.id = d.event_id
+      WHERE 1 = 1
+    `;
+    const params = [];
+    if (subscriberId) {
+      query += ' AND d.subscriber_id = ?';
+      params.push(subscriberId);
+    }
+    if (status) {
+      query += ' AND d.status = ?';
+      params.push(status);
+    }
+    query += ' ORDER BY d.id DESC LIMIT ?';
+    params.push(limit);
+    return this.db.prepare(query).all(...params);
+  }
+
+  listEvents(limit = 50) {
+    return this.db.prepare('SELECT * FROM webhook_events ORDER BY id DESC LIMIT ?').all(limit)
+      .map(row => ({ ...row, payload: JSON.parse(row.payload) }));
+  }
+
+  // Delivery counts by status
+  getStats() {
+    const rows = this.db.prepare('SELECT status, COUNT(*) as count FROM webhook_deliveries GROUP BY status').all();
+    const stats = { subscribers: this.db.prepare('SELECT COUNT(*) as count FROM webhook_subscribers WHERE enabled = 1').get().count };
+    for (const row of rows) {
+      stats[row.status] = row.count;
+    }
+    return stats;
+  }
+
+  // Drop events (and their deliveries) older than the retention window, unless still pending
+  prune(now = Date.now()) {
+    const cutoff = now - RELAY_RETENTION_MS;
+    const prune = this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM webhook_deliveries
+        WHERE status != 'pending' AND event_id IN (SELECT id FROM webhook_events WHERE received_at < ?)
+      `).run(cutoff);
+      return this.db.prepare(`
+        DELETE FROM webhook_events
+        WHERE received_at < ? AND id NOT IN (SELECT event_id FROM webhook_deliveries)
+      `).run(cutoff).changes;
+    });
+    return prune();
+  }
+}
+
+export default WebhookRelay;
+export { RELAY_MAX_ATTEMPTS, RELAY_BACKOFF_BASE_MS, RELAY_RETENTION_MS };
@@ -0,0 +1,132 @@
+/**
+ * Access Control Unit Tests
+ * Tests for access tiers, tier assignments, the allowlist/blocklist and access checks
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import SessionLimits, { DEFAULT_LIMITS } from '../src/sessionLimits.js';
+import AccessControl, { BUILT_IN_TIERS, DEFAULT_TIER } from '../src/accessControl.js';
+
+describe('Access Control', () => {
+  let db;
+  let limits;
+  let access;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    limits = new SessionLimits(db);
+    access = new AccessControl(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('tiers', () => {
+    it('should seed the built-in tiers once', () => {
+      new AccessControl(db);
+      assert.deepStrictEqual(access.listTiers().map(t => t.name), BUILT_IN_TIERS.map(t => t.name).sort());
+      assert.strictEqual(access.getTier('blocked').allowSessions, false);
+      assert.strictEqual(access.getTier('unlimited').rateLimitMs, 0);
+    });
+
+    it('should create and update tiers', () => {
+      access.saveTier('gold', { description: 'Gold members', maxMessagesPerSession: 40 });
+      const tier = access.saveTier('gold', { rateLimitMs: 0 });
+      assert.strictEqual(tier.description, 'Gold members');
+      assert.strictEqual(tier.maxMessagesPerSession, 40);
+      assert.strictEqual(tier.rateLimitMs, 0);
+      assert.strictEqual(tier.allowSessions, true);
+      assert.strictEqual(tier.builtIn, false);
+    });
+
+    it('should validate tiers', () => {
+      assert.throws(() => access.saveTier('Gold Tier', {}), /Tier name/);
+      assert.throws(() => access.saveTier('gold', { maxMessagesPerSession: 0 }), /positive integer/);
+      assert.throws(() => access.saveTier('gold', { speed: 1 }), /Unknown limit/);
+      assert.throws(() => access.saveTier('gold', { allowSessions: 'yes' }), /true or false/);
+      assert.throws(() => access.saveTier('blocked', { allowSessions: true }), /can't allow sessions/);
+    });
+
+    it('should move contacts back to the default tier when their tier is deleted', () => {
+      access.saveTier('gold', {});
+      access.setContactTier('972501234567', 'gold');
+      assert.strictEqual(access.removeTier('gold'), true);
+      assert.strictEqual(access.getContactTier('972501234567').name, DEFAULT_TIER);
+      assert.strictEqual(access.removeTier('gold'), false);
+      assert.throws(() => access.removeTier('standard'), /can't be deleted/);
+      assert.throws(() => access.removeTier('blocked'), /can't be deleted/);
+    });
+  });
+
+  describe('contacts', () => {
+    it('should assign tiers by normalized phone', () => {
+      const contact = access.setContactTier('+972-50-123-4567', 'premium', 'VIP');
+      assert.strictEqual(contact.phone, '972501234567');
+      assert.strictEqual(access.getContactTier('972501234567').name, 'premium');
+      assert.deepStrictEqual(access.listContacts('premium').map(c => c.note), ['VIP']);
+    });
+
+    it('should drop the assignment when moved to the default tier', () => {
+      access.setContactTier('972501234567', 'premium');
+      access.setContactTier('972501234567', DEFAULT_TIER);
+      assert.strictEqual(access.listContacts().length, 0);
+    });
+
+    it('should reject unknown tiers', () => {
+      assert.throws(() => access.setContactTier('972501234567', 'gold'), /Unknown tier/);
+    });
+
+    it('should resolve limits: global, then profile, then tier, then contact overrides', () => {
+      access.setContactTier('972501234567', 'premium');
+      const tierLimits = access.getTierLimits('972501234567');
+      const profileLimits = { maxMessagesPerSession: 10, sessionTimeoutMs: 60000 };
+
+      let resolved = limits.resolve('972501234567', { ...profileLimits, ...tierLimits });
+      assert.strictEqual(resolved.maxMessagesPerSession, 50);
+      assert.strictEqual(resolved.rateLimitMs, 15 * 60 * 1000);
+
+      limits.setContact('972501234567', { maxMessagesPerSession: 99 });
+      resolved = limits.resolve('972501234567', { ...profileLimits, ...tierLimits });
+      assert.strictEqual(resolved.maxMessagesPerSession, 99);
+
+      // The standard tier sets nothing, so the global limits apply
+      assert.deepStrictEqual(limits.resolve('972509999999', access.getTierLimits('972509999999')), DEFAULT_LIMITS);
+    });
+  });
+
+  describe('checks', () => {
+    it('should let anyone in by default', () => {
+      assert.strictEqual(access.getMode(), 'open');
+      assert.deepStrictEqual(access.check('972501234567'), { allowed: true, reason: null, tier: 'standard' });
+    });
+
+    it('should turn away blocklisted contacts and the blocked tier', () => {
+      access.addToList('block', '972501234567', 'spam');
+      assert.strictEqual(access.check('972501234567').reason, 'blocklist');
+
+      access.setContactTier('972502222222', 'blocked');
+      assert.strictEqual(access.check('972502222222').reason, 'tier');
+    });
+
+    it('should only let allowlisted contacts in allowlist mode', () => {
+      access.addToList('allow', '972501234567');
+      access.setMode('allowlist');
+      assert.strictEqual(access.check('972501234567').allowed, true);
+      assert.strictEqual(access.check('972509999999').reason, 'not_allowlisted');
+      assert.throws(() => access.setMode('closed'), /mode must be one of/);
+    });
+
+    it('should keep a contact on one list at most', () => {
+      access.addToList('allow', '972501234567');
+      access.addToList('block', '972501234567');
+      assert.strictEqual(access.getList('allow').length, 0);
+      assert.strictEqual(access.getList('block').length, 1);
+      assert.strictEqual(access.removeFromList('allow', '972501234567'), false);
+      assert.strictEqual(access.removeFromList('block', '972501234567'), true);
+      assert.throws(() => access.addToList('grey', '972501234567'), /list must be one of/);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Audit Log Unit Tests
+ * Tests for recording changes, filtering and the append-only guarantee
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import AuditLog, { AUDIT_MAX_LIMIT } from '../src/auditLog.js';
+
+describe('Audit Log', () => {
+  let db;
+  let auditLog;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    auditLog = new AuditLog(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should record who changed what, with before and after values', () => {
+    const entry = auditLog.record({
+      actor: 'alice',
+      action: 'PUT /api/config/system-prompt',
+      target: 'system_prompt',
+      before: 'old prompt',
+      after: 'new prompt',
+      ip: '127.0.0.1'
+    });
+
+    assert.strictEqual(entry.actor, 'alice');
+    assert.strictEqual(entry.before, 'old prompt');
+    assert.strictEqual(entry.after, 'new prompt');
+    assert.ok(entry.createdAt);
+    assert.deepStrictEqual(auditLog.list().entries, [entry]);
+  });
+
+  it('should keep structured values and missing ones', () => {
+    const entry = auditLog.record({ actor: 'api-key', action: 'DELETE /session/:phone', target: 972501234567, before: { active: true } });
+    assert.strictEqual(entry.target, '972501234567');
+    assert.deepStrictEqual(entry.before, { active: true });
+    assert.strictEqual(entry.after, null);
+    assert.throws(() => auditLog.record({ action: 'x' }), /actor and action are required/);
+  });
+
+  it('should filter newest first', () => {
+    auditLog.record({ actor: 'alice', action: 'PUT /api/access/mode', target: 'access_mode' });
+    auditLog.record({ actor: 'bob', action: 'DELETE /api/profiles/:id', target: 'sales' });
+    auditLog.record({ actor: 'alice', action: 'DELETE /api/knowledge/:id', target: 'FAQ' });
+
+    assert.deepStrictEqual(auditLog.list().entries.map(e => e.target), ['FAQ', 'sales', 'access_mode']);
+    assert.strictEqual(auditLog.list({ actor: 'alice' }).total, 2);
+    assert.deepStrictEqual(auditLog.list({ action: 'DELETE' }).entries.map(e => e.actor), ['alice', 'bob']);
+    assert.strictEqual(auditLog.list({ target: 'sales' }).entries[0].actor, 'bob');
+    assert.strictEqual(auditLog.list({ to: Date.now() - 60000 }).total, 0);
+    assert.strictEqual(auditLog.list({ from: new Date(Date.now() - 60000).toISOString() }).total, 3);
+    assert.throws(() => auditLog.list({ from: 'yesterday' }), /Invalid date/);
+
+    const page = auditLog.list({ limit: 1, offset: 1 });
+    assert.strictEqual(page.total, 3);
+    assert.deepStrictEqual(page.entries.map(e => e.target), ['sales']);
+    assert.ok(AUDIT_MAX_LIMIT >= 100);
+  });
+
+  it('should refuse to change or delete entries', () => {
+    const entry = auditLog.record({ actor: 'alice', action: 'PUT /api/config/limits' });
+    assert.throws(() => db.prepare("UPDATE audit_log SET actor = 'mallory' WHERE id = ?").run(entry.id), /append-only/);
+    assert.throws(() => db.prepare('DELETE FROM audit_log').run(), /append-only/);
+    assert.strictEqual(auditLog.list().entries[0].actor, 'alice');
+  });
+});
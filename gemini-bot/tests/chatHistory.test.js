@@ -0,0 +1,89 @@
+/**
+ * Chat History Unit Tests
+ * Tests for persisting conversation turns
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import ChatHistory, { toLlmTurns } from '../src/chatHistory.js';
+
+describe('Chat History', () => {
+  let db;
+  let history;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    history = new ChatHistory(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should store an exchange as a user and a model turn', () => {
+    history.addExchange(1, 'שלום', 'היי! איך אפשר לעזור?');
+    const turns = history.list(1);
+    assert.strictEqual(turns.length, 2);
+    assert.strictEqual(turns[0].role, 'user');
+    assert.strictEqual(turns[1].role, 'model');
+    assert.strictEqual(turns[1].text, 'היי! איך אפשר לעזור?');
+  });
+
+  it('should keep turns in order', () => {
+    history.addExchange(1, 'first', 'one');
+    history.addExchange(1, 'second', 'two');
+    assert.deepStrictEqual(history.list(1).map(t => t.text), ['first', 'one', 'second', 'two']);
+  });
+
+  it('should keep sessions apart', () => {
+    history.addExchange(1, 'a', 'b');
+    history.addExchange(2, 'c', 'd');
+    assert.strictEqual(history.list(2)[0].text, 'c');
+    assert.strictEqual(history.list(3).length, 0);
+  });
+
+  it('should return turns with their timestamps', () => {
+    history.addExchange(1, 'hi', 'hello');
+    const [turn] = history.list(1);
+    assert.deepStrictEqual(Object.keys(turn), ['role', 'text', 'createdAt']);
+    assert.ok(turn.createdAt > 0);
+  });
+
+  it('should store the exchange of an inbound event once', () => {
+    assert.strictEqual(history.addExchange(1, 'hi', 'hello', null, 5), true);
+    assert.strictEqual(history.addExchange(1, 'hi', 'hello again', null, 5), false);
+    assert.strictEqual(history.addExchange(1, 'next', 'ok', null, 6), true);
+    assert.deepStrictEqual(history.list(1).map(t => t.text), ['hi', 'hello', 'next', 'ok']);
+  });
+
+  it('should reject unknown roles', () => {
+    assert.throws(() => history.add(1, 'system', 'x'), /role must be one of/);
+  });
+
+  describe('toLlmTurns', () => {
+    it('should pass plain exchanges through', () => {
+      history.addExchange(1, 'a', 'b');
+      assert.deepStrictEqual(toLlmTurns(history.list(1)).map(t => [t.role, t.text]), [['user', 'a'], ['model', 'b']]);
+    });
+
+    it('should mark operator replies and merge consecutive turns', () => {
+      history.add(1, 'user', 'I want a human');
+      history.add(1, 'user', 'now please');
+      history.add(1, 'operator', 'Hi, Dana here');
+      history.add(1, 'operator', 'Refund sent');
+      assert.deepStrictEqual(toLlmTurns(history.list(1)).map(t => [t.role, t.text]), [
+        ['user', 'I want a human\nnow please'],
+        ['model', '[Human agent] Hi, Dana here\n[Human agent] Refund sent']
+      ]);
+    });
+
+    it('should close unanswered user turns with a model turn', () => {
+      history.addExchange(1, 'a', 'b');
+      history.add(1, 'user', 'hello?');
+      const turns = toLlmTurns(history.list(1));
+      assert.strictEqual(turns.length, 4);
+      assert.strictEqual(turns[3].role, 'model');
+    });
+  });
+});
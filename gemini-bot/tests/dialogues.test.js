@@ -0,0 +1,15 @@
+/**
+ * Dialogue Tests
+ * Replays the fixtures in tests/dialogues against the real server with a fake WAHA (see harness.js)
+ */
+
+import { describe, it } from 'node:test';
+import { runDialogue, loadDialogues } from './harness.js';
+
+describe('Dialogues', () => {
+  for (const dialogue of loadDialogues()) {
+    it(`${dialogue.file}: ${dialogue.name}`, async () => {
+      await runDialogue(dialogue);
+    });
+  }
+});
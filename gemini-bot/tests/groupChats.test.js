@@ -0,0 +1,90 @@
+/**
+ * Group Chats Unit Tests
+ * Tests for group chat settings, the allowlist, session keys and mention detection
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  DEFAULT_GROUP_CONFIG,
+  validateGroupConfig,
+  getGroupConfig,
+  getGroupSettings,
+  groupSessionKey,
+  getParticipantPhone,
+  getMentionedPhones,
+  stripMention
+} from '../src/groupChats.js';
+
+const GROUP = '120363012345678901@g.us';
+
+describe('Group Chats', () => {
+  describe('settings', () => {
+    it('should be off by default', () => {
+      assert.deepStrictEqual(getGroupConfig(() => null), DEFAULT_GROUP_CONFIG);
+      assert.deepStrictEqual(getGroupConfig(() => 'not json'), DEFAULT_GROUP_CONFIG);
+      assert.strictEqual(getGroupSettings(DEFAULT_GROUP_CONFIG, GROUP), null);
+    });
+
+    it('should only answer in allowlisted groups once enabled', () => {
+      const stored = JSON.stringify({ enabled: true, groups: { [GROUP]: { name: 'Team' } } });
+      const config = getGroupConfig(() => stored);
+
+      assert.deepStrictEqual(getGroupSettings(config, GROUP), { name: 'Team', sessionScope: 'participant' });
+      assert.strictEqual(getGroupSettings(config, '120363999999999999@g.us'), null);
+      assert.strictEqual(getGroupSettings({ ...config, enabled: false }, GROUP), null);
+    });
+
+    it('should let a group override the session scope', () => {
+      const config = { enabled: true, sessionScope: 'participant', groups: { [GROUP]: { sessionScope: 'group' } } };
+      assert.strictEqual(getGroupSettings(config, GROUP).sessionScope, 'group');
+    });
+
+    it('should validate settings', () => {
+      assert.doesNotThrow(() => validateGroupConfig({ enabled: true, sessionScope: 'group', groups: { [GROUP]: {} } }));
+      assert.doesNotThrow(() => validateGroupConfig({ groups: { '972501234567-1600000000@g.us': { name: 'Old group' } } }));
+      assert.throws(() => validateGroupConfig([]), /must be an object/);
+      assert.throws(() => validateGroupConfig({ enabled: 'yes' }), /enabled must be true or false/);
+      assert.throws(() => validateGroupConfig({ sessionScope: 'everyone' }), /sessionScope must be one of/);
+      assert.throws(() => validateGroupConfig({ groups: [GROUP] }), /keyed by group id/);
+      assert.throws(() => validateGroupConfig({ groups: { '972501234567@c.us': {} } }), /Invalid group id/);
+      assert.throws(() => validateGroupConfig({ groups: { [GROUP]: { sessionScope: 'all' } } }), /sessionScope must be one of/);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should key sessions per participant or per group', () => {
+      assert.strictEqual(groupSessionKey(GROUP, '972501234567', 'participant'), `${GROUP}/972501234567`);
+      assert.strictEqual(groupSessionKey(GROUP, '972501234567', 'group'), GROUP);
+    });
+
+    it('should find the sender of a group message', () => {
+      assert.strictEqual(getParticipantPhone({ participant: '972501234567@c.us' }), '972501234567');
+      assert.strictEqual(getParticipantPhone({ _data: { key: { participant: '972501234567@s.whatsapp.net' } } }), '972501234567');
+      assert.strictEqual(getParticipantPhone({}), '');
+    });
+  });
+
+  describe('mentions', () => {
+    it('should collect mentions from every WAHA engine and the text', () => {
+      const mentioned = getMentionedPhones({
+        body: 'hey @972509999999',
+        _data: {
+          mentionedJidList: ['972501111111@c.us'],
+          message: { extendedTextMessage: { contextInfo: { mentionedJid: ['972502222222@s.whatsapp.net'] } } }
+        }
+      });
+      assert.deepStrictEqual([...mentioned].sort(), ['972501111111', '972502222222', '972509999999']);
+    });
+
+    it('should find no mentions in a plain message', () => {
+      assert.strictEqual(getMentionedPhones({ body: 'hello everyone' }).size, 0);
+    });
+
+    it('should strip the bot mention from the text', () => {
+      assert.strictEqual(stripMention('@972509999999 what are your hours?', '972509999999'), 'what are your hours?');
+      assert.strictEqual(stripMention('ask @972501111111 please', '972509999999'), 'ask @972501111111 please');
+      assert.strictEqual(stripMention('@972509999999', '972509999999'), '');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Handoff Unit Tests
+ * Tests for opening, taking over and closing human handoffs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import Handoffs from '../src/handoffs.js';
+
+describe('Handoffs', () => {
+  let db;
+  let handoffs;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    handoffs = new Handoffs(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should open a waiting handoff from a keyword or the LLM', () => {
+    const handoff = handoffs.start('972501234567', { source: 'keyword', reason: 'asked for a human', sessionId: 4 });
+    assert.strictEqual(handoff.created, true);
+    assert.strictEqual(handoff.status, 'waiting');
+    assert.strictEqual(handoff.chatId, '972501234567@c.us');
+    assert.strictEqual(handoff.sessionId, 4);
+    assert.strictEqual(handoffs.get('972501234567').id, handoff.id);
+  });
+
+  it('should open an active handoff for an operator', () => {
+    const handoff = handoffs.start('972501234567', { source: 'operator', operator: 'dana', wahaSession: 'sales' });
+    assert.strictEqual(handoff.status, 'active');
+    assert.strictEqual(handoff.operator, 'dana');
+    assert.strictEqual(handoff.wahaSession, 'sales');
+    assert.ok(handoff.takenAt);
+  });
+
+  it('should reject unknown sources', () => {
+    assert.throws(() => handoffs.start('972501234567', { source: 'magic' }), /source must be one of/);
+  });
+
+  it('should keep one open handoff per phone and let an operator take it', () => {
+    const first = handoffs.start('972501234567', { source: 'llm' });
+    const again = handoffs.start('972501234567', { source: 'keyword' });
+    assert.strictEqual(again.created, false);
+    assert.strictEqual(again.id, first.id);
+    assert.strictEqual(again.status, 'waiting');
+
+    const taken = handoffs.start('972501234567', { source: 'operator', operator: 'dana' });
+    assert.strictEqual(taken.id, first.id);
+    assert.strictEqual(taken.status, 'active');
+    assert.strictEqual(taken.source, 'llm');
+  });
+
+  it('should close a handoff', () => {
+    handoffs.start('972501234567', { source: 'keyword' });
+    const closed = handoffs.end('972501234567', 'default', 'dana');
+    assert.strictEqual(closed.status, 'closed');
+    assert.strictEqual(closed.endedBy, 'dana');
+    assert.strictEqual(handoffs.get('972501234567'), null);
+    assert.strictEqual(handoffs.end('972501234567'), null);
+    assert.strictEqual(handoffs.take('972501234567', 'default', 'dana'), null);
+  });
+
+  it('should keep a handoff to the number it was opened on', () => {
+    const sales = handoffs.start('972501234567', { source: 'operator', operator: 'dana', wahaSession: 'sales' });
+    assert.strictEqual(handoffs.get('972501234567'), null);
+    assert.strictEqual(handoffs.get('972501234567', 'sales').id, sales.id);
+
+    const support = handoffs.start('972501234567', { source: 'keyword' });
+    assert.strictEqual(support.created, true);
+    assert.deepStrictEqual(handoffs.forPhone('972501234567').map(h => h.wahaSession).sort(), ['default', 'sales']);
+
+    handoffs.end('972501234567', 'sales');
+    assert.strictEqual(handoffs.get('972501234567').id, support.id);
+    assert.strictEqual(new Handoffs(db).get('972501234567', 'sales'), null);
+  });
+
+  it('should reload open handoffs after a restart', () => {
+    handoffs.start('972501111111', { source: 'keyword' });
+    handoffs.start('972502222222', { source: 'keyword' });
+    handoffs.end('972502222222');
+
+    const reloaded = new Handoffs(db);
+    assert.ok(reloaded.get('972501111111'));
+    assert.strictEqual(reloaded.get('972502222222'), null);
+  });
+
+  it('should list open, closed or all handoffs', () => {
+    handoffs.start('972501111111', { source: 'keyword' });
+    handoffs.start('972502222222', { source: 'operator', operator: 'dana' });
+    handoffs.end('972501111111');
+
+    assert.deepStrictEqual(handoffs.list().map(h => h.phone), ['972502222222']);
+    assert.deepStrictEqual(handoffs.list({ status: 'closed' }).map(h => h.phone), ['972501111111']);
+    assert.strictEqual(handoffs.list({ status: 'all' }).length, 2);
+  });
+});
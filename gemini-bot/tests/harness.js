@@ -0,0 +1,327 @@
+/**
+ * Offline Dialogue Harness
+ * - Boots the real server.js (in-memory DB, mock LLM, no human-like delays) against a fake WAHA
+ * - Replays a dialogue fixture (tests/dialogues/*.json) through /webhook, turn by turn
+ * - After each turn, asserts on the exact WAHA calls it made, the event status and the session;
+ *   at the end, on the stored sessions (end reasons, message counts)
+ *
+ * Fixture format:
+ *   {
+ *     "name": "What the dialogue shows",
+ *     "llm": { "rules": [...], "default": "ok: {message}" },   // mock LLM script (see src/mockClient.js)
+ *     "env": { "HANDOFF_KEYWORDS": "human" },                  // extra server environment
+ *     "wahaResponses": { "GET /api/sessions/default/me": { "id": "972500000000@c.us" } },
+ *     "steps": [
+ *       { "api": "PUT /api/config/limits", "body": { "maxMessagesPerSession": 2 },
+ *         "expect": { "httpStatus": 200, "waha": [] } },
+ *       { "from": "972501111111", "send": "hi",                // or an array: sent together, one turn
+ *         "id": "msg-1", "session": "default", "type": "text", // optional: WAHA message id (to replay one), session, type
+ *         "expect": {
+ *           "status": "replied",                               // the messages' event status
+ *           "waha": ["POST /api/sendSeen", { "call": "POST /api/sendText", "body": { "text": "ok: hi" } }],
+ *           "session": { "active": true, "messageCount": 1 }   // GET /session/:phone?session=
+ *         } },
+ *       { "wait": 1500 }
+ *     ],
+ *     "expect": { "sessions": { "972501111111": [{ "endReason": "max_messages", "messageCount": 2 }] } }
+ *   }
+ *
+ * Expected objects match when every key they list matches (arrays must have the same length);
+ * a string written as "/regex/flags" matches by regular expression. "waha" lists every call of
+ * the turn, in order - keep scripted replies short, so they're typed in one segment.
+ */
+
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:http';
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import assert from 'node:assert';
+
+const BOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DIALOGUES_DIR = join(BOT_DIR, 'tests', 'dialogues');
+const API_KEY = 'harness-key';
+const TERMINAL_STATUSES = ['replied', 'ignored', 'failed'];
+const STARTUP_TIMEOUT_MS = 15000;
+const TURN_TIMEOUT_MS = 10000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fake WAHA: answers every request with 200 (or a fixture's canned response) and records it
+ * @param {object} responses - "METHOD /path" -> JSON body
+ * @returns {Promise<object>} { url, calls, close() } - calls are { call, body, apiKey }
+ */
+async function startFakeWaha(responses = {}) {
+  const calls = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const call = `${req.method} ${req.url.split('?')[0]}`;
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = raw;
+      }
+      calls.push({ call, body, apiKey: req.headers['x-api-key'] || null });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responses[call] ?? {}));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// A port nothing listens on right now
+async function freePort() {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Start server.js as a child process, wired to the fake WAHA and a mock LLM script
+ * @returns {Promise<object>} { url, request(method, path, body), output(), stop() }
+ */
+async function startBot({ wahaUrl, llm, env = {} }) {
+  const dir = mkdtempSync(join(tmpdir(), 'gemini-bot-dialogue-'));
+  const scriptPath = join(dir, 'llm.json');
+  writeFileSync(scriptPath, JSON.stringify(llm || {}));
+  const port = await freePort();
+
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: BOT_DIR,
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      DB_PATH: ':memory:',
+      WAHA_URL: wahaUrl,
+      WAHA_API_KEY: API_KEY,
+      LLM_PROVIDER: 'mock',
+      MOCK_LLM_SCRIPT: scriptPath,
+      HUMAN_DELAY_SCALE: '0',
+      INBOUND_QUIET_MS: '20',
+      INBOUND_MAX_WAIT_MS: '200',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const request = async (method, path, body) => {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-Api-Key': API_KEY },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, body: isJson ? await response.json() : await response.text() };
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    rmSync(dir, { recursive: true, force: true });
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (true) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`server.js exited during startup:\n${output}`);
+    }
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch {
+      // not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`server.js did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`);
+    }
+    await sleep(50);
+  }
+
+  return { url, request, output: () => output, stop };
+}
+
+// Every stored message answered (or ignored/failed) and no chat still waiting or running
+async function waitForIdle(bot) {
+  const deadline = Date.now() + TURN_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const [events, health] = await Promise.all([
+      bot.request('GET', '/api/events?limit=500'),
+      bot.request('GET', '/health')
+    ]);
+    const settled = events.body.events.every(event => TERMINAL_STATUSES.includes(event.status));
+    if (settled && health.body.inbound.busyChats === 0) return;
+    await sleep(20);
+  }
+  throw new Error(`the bot was still busy after ${TURN_TIMEOUT_MS}ms`);
+}
+
+function isRegexString(value) {
+  return typeof value === 'string' && /^\/.+\/[gimsuy]*$/s.test(value);
+}
+
+function toRegex(value) {
+  const end = value.lastIndexOf('/');
+  return new RegExp(value.slice(1, end), value.slice(end + 1));
+}
+
+/**
+ * The parts of `actual` that `expected` mentions, with regex matches replaced by the expected
+ * string - so assert.deepStrictEqual passes exactly when they match, and shows a useful diff otherwise
+ */
+function project(actual, expected) {
+  if (isRegexString(expected)) {
+    return typeof actual === 'string' && toRegex(expected).test(actual) ? expected : actual;
+  }
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) return actual;
+    return actual.map((item, index) => index < expected.length ? project(item, expected[index]) : item);
+  }
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object' || Array.isArray(actual)) return actual;
+    return Object.fromEntries(Object.keys(expected).map(key => [key, project(actual[key], expected[key])]));
+  }
+  return actual;
+}
+
+// "POST /api/sendText" is short for { call: "POST /api/sendText" }
+function toCall(expected) {
+  return typeof expected === 'string' ? { call: expected } : expected;
+}
+
+function describeStep(index, step) {
+  if (step.send !== undefined) return `step ${index + 1} (${step.from} sends ${JSON.stringify(step.send)})`;
+  if (step.api) return `step ${index + 1} (${step.api})`;
+  return `step ${index + 1}`;
+}
+
+/**
+ * Send a turn's messages to /webhook, as WAHA would
+ */
+async function sendMessages(bot, step, index) {
+  const texts = Array.isArray(step.send) ? step.send : [step.send];
+  const ids = [];
+  for (const [n, text] of texts.entries()) {
+    const id = (Array.isArray(step.id) ? step.id[n] : step.id) || `harness-${index + 1}-${n + 1}`;
+    ids.push(id);
+    const response = await bot.request('POST', '/webhook', {
+      event: 'message',
+      session: step.session || 'default',
+      timestamp: Date.now(),
+      payload: {
+        id,
+        from: step.from.includes('@') ? step.from : `${step.from}@c.us`,
+        body: text,
+        type: step.type || 'text',
+        fromMe: false,
+        timestamp: Math.floor(Date.now() / 1000)
+      }
+    });
+    assert.strictEqual(response.status, 200, `webhook answered ${response.status}`);
+  }
+  return ids;
+}
+
+// The WAHA calls made since callsBefore, exactly and in order
+function checkWahaCalls(waha, callsBefore, expectedCalls, label) {
+  const expected = expectedCalls.map(toCall);
+  const actual = waha.calls.slice(callsBefore).map(({ call, body }) => ({ call, body }));
+  assert.deepStrictEqual(project(actual, expected), expected, `${label}: WAHA calls differ`);
+}
+
+async function checkTurn(bot, waha, step, ids, callsBefore, label) {
+  const expect = step.expect || {};
+  const phone = step.from.replace(/@.*$/, '');
+
+  if (expect.waha) {
+    checkWahaCalls(waha, callsBefore, expect.waha, label);
+  }
+
+  if (expect.status) {
+    const { body } = await bot.request('GET', '/api/events?limit=500');
+    const statuses = body.events.filter(event => ids.includes(event.messageId)).map(event => event.status);
+    assert.deepStrictEqual(statuses, ids.map(() => expect.status), `${label}: event status differs`);
+  }
+
+  if (expect.session) {
+    const { body } = await bot.request('GET', `/session/${encodeURIComponent(phone)}?session=${encodeURIComponent(step.session || 'default')}`);
+    assert.deepStrictEqual(project(body, expect.session), expect.session, `${label}: session differs`);
+  }
+}
+
+/**
+ * Replay one dialogue fixture; throws an AssertionError (with the server log) on the first mismatch
+ */
+async function runDialogue(dialogue) {
+  const waha = await startFakeWaha(dialogue.wahaResponses);
+  let bot = null;
+  try {
+    bot = await startBot({ wahaUrl: waha.url, llm: dialogue.llm, env: dialogue.env });
+
+    for (const [index, step] of dialogue.steps.entries()) {
+      const label = describeStep(index, step);
+      if (step.wait) {
+        await sleep(step.wait);
+      } else if (step.api) {
+        const [method, path] = step.api.split(' ');
+        const callsBefore = waha.calls.length;
+        const response = await bot.request(method, path, step.body);
+        assert.strictEqual(response.status, step.expect?.httpStatus ?? 200, `${label}: ${JSON.stringify(response.body)}`);
+        await waitForIdle(bot);
+        if (step.expect?.waha) {
+          checkWahaCalls(waha, callsBefore, step.expect.waha, label);
+        }
+      } else if (step.send !== undefined) {
+        const callsBefore = waha.calls.length;
+        const ids = await sendMessages(bot, step, index);
+        await waitForIdle(bot);
+        await checkTurn(bot, waha, step, ids, callsBefore, label);
+      } else {
+        throw new Error(`${label}: needs "send", "api" or "wait"`);
+      }
+    }
+
+    for (const [phone, expected] of Object.entries(dialogue.expect?.sessions || {})) {
+      const { body } = await bot.request('GET', `/api/sessions?phone=${encodeURIComponent(phone)}`);
+      const sessions = body.sessions.reverse(); // oldest first, like the dialogue
+      assert.deepStrictEqual(project(sessions, expected), expected, `sessions of ${phone} differ`);
+    }
+
+    const unauthenticated = waha.calls.filter(call => call.apiKey !== API_KEY);
+    assert.deepStrictEqual(unauthenticated.map(call => call.call), [], 'WAHA calls without the API key');
+  } catch (error) {
+    if (bot) error.message += `\n\n--- server.js output ---\n${bot.output()}`;
+    throw error;
+  } finally {
+    if (bot) await bot.stop();
+    await waha.close();
+  }
+}
+
+// Fixtures in tests/dialogues, by file name
+function loadDialogues(dir = DIALOGUES_DIR) {
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => ({ file, ...JSON.parse(readFileSync(join(dir, file), 'utf8')) }));
+}
+
+export { startFakeWaha, startBot, runDialogue, loadDialogues, project };
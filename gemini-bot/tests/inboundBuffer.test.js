@@ -0,0 +1,88 @@
+/**
+ * Inbound Buffer Unit Tests
+ * Tests for the quiet window, batching rapid-fire messages and per-chat serialisation
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import InboundBuffer from '../src/inboundBuffer.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Inbound Buffer', () => {
+  it('should batch messages that arrive within the quiet window', async () => {
+    const batches = [];
+    const buffer = new InboundBuffer((key, items) => batches.push([key, items]), { quietMs: 30, maxWaitMs: 1000 });
+
+    buffer.push('chat1', 'a');
+    await sleep(10);
+    buffer.push('chat1', 'b');
+    buffer.push('chat1', 'c');
+    assert.strictEqual(batches.length, 0);
+
+    await buffer.idle();
+    assert.deepStrictEqual(batches, [['chat1', ['a', 'b', 'c']]]);
+    assert.strictEqual(buffer.size, 0);
+  });
+
+  it('should keep chats apart', async () => {
+    const batches = [];
+    const buffer = new InboundBuffer((key, items) => batches.push([key, items]), { quietMs: 20 });
+
+    buffer.push('chat1', 'a');
+    buffer.push('chat2', 'b');
+    await buffer.idle();
+    assert.deepStrictEqual(batches.sort(), [['chat1', ['a']], ['chat2', ['b']]]);
+  });
+
+  it('should not wait past maxWaitMs for a chat that keeps typing', async () => {
+    const batches = [];
+    const buffer = new InboundBuffer((key, items) => batches.push(items), { quietMs: 40, maxWaitMs: 60 });
+
+    for (let i = 0; i < 6; i++) {
+      buffer.push('chat1', i);
+      await sleep(20);
+    }
+    await buffer.idle();
+    assert.ok(batches.length >= 2, `expected the burst to be split, got ${JSON.stringify(batches)}`);
+    assert.deepStrictEqual(batches.flat(), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('should hold new messages until the running batch is answered', async () => {
+    const events = [];
+    const buffer = new InboundBuffer(async (key, items) => {
+      events.push(`start ${items.join('')}`);
+      await sleep(60);
+      events.push(`end ${items.join('')}`);
+    }, { quietMs: 10 });
+
+    buffer.push('chat1', 'a');
+    await sleep(25);
+    buffer.push('chat1', 'b');
+    await sleep(5);
+    buffer.push('chat1', 'c');
+
+    await buffer.idle();
+    assert.deepStrictEqual(events, ['start a', 'end a', 'start bc', 'end bc']);
+  });
+
+  it('should keep going after the handler fails', async () => {
+    const batches = [];
+    const buffer = new InboundBuffer(async (key, items) => {
+      batches.push(items);
+      if (batches.length === 1) throw new Error('boom');
+    }, { quietMs: 10 });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      buffer.push('chat1', 'a');
+      await sleep(20);
+      buffer.push('chat1', 'b');
+      await buffer.idle();
+    } finally {
+      console.error = originalError;
+    }
+    assert.deepStrictEqual(batches, [['a'], ['b']]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Inbound Events Unit Tests
+ * Tests for deduplication, status tracking, resuming after a restart and retries
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import InboundEvents, { INBOUND_MAX_ATTEMPTS, INBOUND_RESUME_WINDOW_MS, INBOUND_RETENTION_MS, getMessageId } from '../src/inboundEvents.js';
+
+function messageEvent(id, body = 'hello') {
+  return { event: 'message', session: 'default', payload: { id, from: '972501234567@c.us', body } };
+}
+
+describe('Inbound Events', () => {
+  let db;
+  let events;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    events = new InboundEvents(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('receiving', () => {
+    it('should store messages and flag WAHA retries as duplicates', () => {
+      const first = events.receive(messageEvent('false_972501234567@c.us_AAA'));
+      assert.strictEqual(first.duplicate, false);
+
+      const again = events.receive(messageEvent('false_972501234567@c.us_AAA'));
+      assert.deepStrictEqual(again, { id: first.id, messageId: 'false_972501234567@c.us_AAA', duplicate: true });
+      assert.strictEqual(events.list().length, 1);
+    });
+
+    it('should only track incoming messages', () => {
+      assert.strictEqual(events.receive({ event: 'session.status', payload: { status: 'WORKING' } }), null);
+      assert.strictEqual(events.receive({ event: 'message', payload: { id: 'x', fromMe: true } }), null);
+      assert.strictEqual(events.receive({ event: 'message.any', payload: { id: 'x' } }), null);
+    });
+
+    it('should store messages without an id without deduplicating them', () => {
+      assert.strictEqual(events.receive(messageEvent(undefined)).duplicate, false);
+      assert.strictEqual(events.receive(messageEvent(undefined)).duplicate, false);
+      assert.strictEqual(events.list().length, 2);
+    });
+
+    it('should read ids from every WAHA engine', () => {
+      assert.strictEqual(getMessageId({ id: 'abc' }), 'abc');
+      assert.strictEqual(getMessageId({ id: { _serialized: 'def' } }), 'def');
+      assert.strictEqual(getMessageId({}), null);
+    });
+  });
+
+  describe('status', () => {
+    it('should track processing attempts and the outcome', () => {
+      const { id } = events.receive(messageEvent('m1'));
+      assert.strictEqual(events.get(id).status, 'received');
+
+      events.markProcessing([id]);
+      assert.strictEqual(events.get(id).attempts, 1);
+      events.finish([id], 'failed', 'LLM timeout');
+
+      const event = events.get(id);
+      assert.strictEqual(event.status, 'failed');
+      assert.strictEqual(event.error, 'LLM timeout');
+      assert.strictEqual(event.body.payload.body, 'hello');
+      assert.deepStrictEqual(events.list({ status: 'failed' }).map(e => e.id), [id]);
+      assert.strictEqual(events.getStats().failed, 1);
+      assert.throws(() => events.finish([id], 'done'), /status must be one of/);
+    });
+
+    it('should retry finished events only', () => {
+      const { id } = events.receive(messageEvent('m1'));
+      assert.throws(() => events.retry(id), /still received/);
+
+      events.markProcessing([id]);
+      events.finish([id], 'failed', 'boom');
+      const retry = events.retry(id);
+      assert.strictEqual(retry.body.payload.id, 'm1');
+      assert.strictEqual(events.get(id).status, 'received');
+      assert.strictEqual(events.get(id).attempts, 0);
+      assert.strictEqual(events.retry(999), null);
+    });
+  });
+
+  describe('restart', () => {
+    it('should hand back unfinished events in order', () => {
+      const a = events.receive(messageEvent('m1'));
+      const b = events.receive(messageEvent('m2'));
+      const c = events.receive(messageEvent('m3'));
+      events.markProcessing([b.id]);
+      events.markProcessing([c.id]);
+      events.finish([c.id], 'replied');
+
+      const resume = events.takeUnfinished();
+      assert.deepStrictEqual(resume.map(e => e.id), [a.id, b.id]);
+      assert.strictEqual(events.get(b.id).status, 'received');
+    });
+
+    it('should give up on old events and ones that keep failing', () => {
+      const old = events.receive(messageEvent('m1'));
+      const stuck = events.receive(messageEvent('m2'));
+      for (let i = 0; i < INBOUND_MAX_ATTEMPTS; i++) {
+        events.markProcessing([stuck.id]);
+      }
+
+      const resume = events.takeUnfinished(Date.now() + INBOUND_RESUME_WINDOW_MS + 1000);
+      assert.strictEqual(resume.length, 0);
+      assert.match(events.get(old.id).error, /Too old/);
+      assert.match(events.get(stuck.id).error, /Gave up/);
+    });
+
+    it('should prune finished events past the retention window', () => {
+      const done = events.receive(messageEvent('m1'));
+      events.finish([done.id], 'replied');
+      events.receive(messageEvent('m2'));
+
+      assert.strictEqual(events.prune(Date.now() + INBOUND_RETENTION_MS + 1000), 1);
+      assert.strictEqual(events.list().length, 1);
+    });
+  });
+});
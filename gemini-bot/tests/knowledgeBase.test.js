@@ -0,0 +1,161 @@
+/**
+ * Knowledge Base Unit Tests
+ * Tests for chunking, FTS search, document replacement and prompt building
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import KnowledgeBase, { chunkText, toMatchQuery, withKnowledge, toSources } from '../src/knowledgeBase.js';
+
+const FAQ = `# Shipping
+
+We ship within 3 business days.
+
+Shipping is free for orders over 200 NIS.
+
+# Returns
+
+Items can be returned within 14 days with the receipt.
+
+# שעות פתיחה
+
+אנחנו פתוחים בימים א-ה בין 9:00 ל-17:00.`;
+
+describe('Knowledge Base', () => {
+  let db;
+  let kb;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    kb = new KnowledgeBase(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('chunkText', () => {
+    it('should group paragraphs under their Markdown heading', () => {
+      const chunks = chunkText(FAQ, 'markdown');
+      assert.strictEqual(chunks.length, 3);
+      assert.ok(chunks[0].startsWith('Shipping\nWe ship'));
+      assert.match(chunks[0], /free for orders/);
+      assert.ok(chunks[1].startsWith('Returns\n'));
+    });
+
+    it('should split long paragraphs into bounded chunks', () => {
+      const sentence = 'This sentence is about forty characters. ';
+      const chunks = chunkText(sentence.repeat(60), 'text');
+      assert.ok(chunks.length > 1);
+      assert.ok(chunks.every(chunk => chunk.length <= 800));
+      assert.ok(chunks.every(chunk => chunk.endsWith('.')));
+    });
+
+    it('should rejoin lines broken by PDF extraction', () => {
+      const chunks = chunkText('Our warranty covers manu-\nfacturing defects for\ntwo years.\n\nNext paragraph.', 'pdf');
+      assert.strictEqual(chunks[0], 'Our warranty covers manufacturing defects for two years.\n\nNext paragraph.');
+    });
+  });
+
+  describe('toMatchQuery', () => {
+    it('should quote words and drop FTS syntax', () => {
+      assert.strictEqual(toMatchQuery('Returns? "NEAR" (x) AND-or'), '"returns" OR "near" OR "and" OR "or"');
+      assert.strictEqual(toMatchQuery('מתי אתם פתוחים'), '"מתי" OR "אתם" OR "פתוחים"');
+      assert.strictEqual(toMatchQuery('?!'), '');
+    });
+  });
+
+  describe('documents', () => {
+    it('should add a document with its chunks', () => {
+      const doc = kb.upsert({ title: 'FAQ', content: FAQ, format: 'markdown', source: 'faq.md' });
+      assert.strictEqual(doc.replaced, false);
+      assert.strictEqual(doc.chunkCount, 3);
+      assert.strictEqual(doc.source, 'faq.md');
+
+      const full = kb.get(doc.id, { withChunks: true });
+      assert.strictEqual(full.content, FAQ);
+      assert.deepStrictEqual(full.chunks.map(c => c.position), [0, 1, 2]);
+    });
+
+    it('should validate documents', () => {
+      assert.throws(() => kb.upsert({ content: 'x' }), /title is required/);
+      assert.throws(() => kb.upsert({ title: 'a', content: '  ' }), /content is required/);
+      assert.throws(() => kb.upsert({ title: 'a', content: 'x', format: 'docx' }), /format must be one of/);
+    });
+
+    it('should replace a document with the same title', () => {
+      const first = kb.upsert({ title: 'FAQ', content: FAQ, format: 'markdown' });
+      const second = kb.upsert({ title: 'FAQ', content: 'Gift cards never expire.' });
+      assert.strictEqual(second.id, first.id);
+      assert.strictEqual(second.replaced, true);
+      assert.strictEqual(kb.list().length, 1);
+      assert.deepStrictEqual(kb.search('shipping'), []);
+      assert.strictEqual(kb.search('gift cards')[0].docId, first.id);
+    });
+
+    it('should remove a document and its index entries', () => {
+      const doc = kb.upsert({ title: 'FAQ', content: FAQ, format: 'markdown' });
+      assert.strictEqual(kb.remove(doc.id), true);
+      assert.strictEqual(kb.remove(doc.id), false);
+      assert.deepStrictEqual(kb.search('returned'), []);
+      assert.strictEqual(db.prepare('SELECT COUNT(*) AS count FROM knowledge_chunks').get().count, 0);
+    });
+  });
+
+  describe('search', () => {
+    beforeEach(() => {
+      kb.upsert({ title: 'FAQ', content: FAQ, format: 'markdown' });
+      kb.upsert({ title: 'Warranty', content: 'Electronics have a two year warranty. Keep the receipt.' });
+    });
+
+    it('should find the best-matching chunks', () => {
+      const results = kb.search('Can I get my items returned?');
+      assert.ok(results.length > 0);
+      assert.strictEqual(results[0].title, 'FAQ');
+      assert.match(results[0].text, /returned within 14 days/);
+    });
+
+    it('should search Hebrew text', () => {
+      const results = kb.search('מתי אתם פתוחים?');
+      assert.strictEqual(results.length, 1);
+      assert.match(results[0].text, /9:00/);
+    });
+
+    it('should respect the limit', () => {
+      assert.strictEqual(kb.search('receipt warranty shipping', 1).length, 1);
+      assert.deepStrictEqual(kb.search('receipt', 0), []);
+    });
+
+    it('should not fail on empty or symbol-only queries', () => {
+      assert.deepStrictEqual(kb.search(''), []);
+      assert.deepStrictEqual(kb.search('*:"('), []);
+    });
+  });
+
+  describe('prompt and citations', () => {
+    const chunks = [
+      { chunkId: 1, docId: 1, title: 'FAQ', text: 'Shipping takes 3 days.' },
+      { chunkId: 2, docId: 1, title: 'FAQ', text: 'Returns within 14 days.' },
+      { chunkId: 5, docId: 2, title: 'Warranty', text: 'Two years.' }
+    ];
+
+    it('should leave the message alone without chunks', () => {
+      assert.strictEqual(withKnowledge('hi', []), 'hi');
+    });
+
+    it('should add numbered excerpts before the message', () => {
+      const message = withKnowledge('How long is shipping?', chunks);
+      assert.match(message, /\[1\] FAQ:\nShipping takes 3 days\./);
+      assert.match(message, /\[3\] Warranty:/);
+      assert.ok(message.endsWith('User message:\nHow long is shipping?'));
+    });
+
+    it('should cite each document once', () => {
+      assert.deepStrictEqual(toSources(chunks), [
+        { docId: 1, title: 'FAQ', chunkIds: [1, 2] },
+        { docId: 2, title: 'Warranty', chunkIds: [5] }
+      ]);
+    });
+  });
+});
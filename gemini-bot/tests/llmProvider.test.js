@@ -0,0 +1,203 @@
+/**
+ * LLM Provider Unit Tests
+ * Tests for provider selection, the scripted mock and the OpenAI-compatible client
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createProvider } from '../src/llmProvider.js';
+import * as mock from '../src/mockClient.js';
+import * as openai from '../src/openaiClient.js';
+
+describe('LLM Provider', () => {
+  describe('selection', () => {
+    it('should create each known provider', () => {
+      for (const name of ['gemini', 'openai', 'mock']) {
+        const provider = createProvider(name);
+        assert.strictEqual(provider.name, name);
+        assert.strictEqual(typeof provider.sendMessage, 'function');
+        assert.strictEqual(typeof provider.clearSession, 'function');
+      }
+    });
+
+    it('should be case-insensitive', () => {
+      assert.strictEqual(createProvider('MOCK').name, 'mock');
+    });
+
+    it('should reject unknown providers', () => {
+      assert.throws(() => createProvider('claude-9000'), /Unknown LLM_PROVIDER/);
+    });
+
+    it('should tag health with the provider name', async () => {
+      const health = await createProvider('mock').healthCheck();
+      assert.strictEqual(health.provider, 'mock');
+      assert.strictEqual(health.healthy, true);
+    });
+  });
+
+  describe('mock provider', () => {
+    beforeEach(() => {
+      mock.setScript({
+        rules: [
+          { match: 'hello', reply: 'Hi {phone}, turn {turn}' },
+          { pattern: '^order (\\d+)', reply: 'Order $1 is on its way' },
+          { match: 'boom', error: 'Simulated outage' }
+        ],
+        default: 'echo: {message}'
+      });
+    });
+
+    afterEach(() => {
+      mock.setScript(null);
+    });
+
+    it('should answer with the first matching rule', async () => {
+      const result = await mock.sendMessage('972501234567', 'HELLO there', 'prompt');
+      assert.deepStrictEqual(result, { success: true, text: 'Hi 972501234567, turn 1' });
+    });
+
+    it('should fill regex groups', async () => {
+      const result = await mock.sendMessage('972501234567', 'order 42 please', 'prompt');
+      assert.strictEqual(result.text, 'Order 42 is on its way');
+    });
+
+    it('should fall back to the default reply', async () => {
+      const result = await mock.sendMessage('972501234567', 'what?', 'prompt');
+      assert.strictEqual(result.text, 'echo: what?');
+    });
+
+    it('should simulate failures', async () => {
+      const result = await mock.sendMessage('972501234567', 'boom', 'prompt');
+      assert.deepStrictEqual(result, { success: false, error: 'Simulated outage' });
+    });
+
+    it('should count turns per conversation and reset on clear', async () => {
+      await mock.sendMessage('972501234567', 'x', 'prompt');
+      assert.strictEqual((await mock.sendMessage('972501234567', 'hello', 'prompt')).text, 'Hi 972501234567, turn 2');
+      mock.clearSession('972501234567');
+      assert.strictEqual((await mock.sendMessage('972501234567', 'hello', 'prompt')).text, 'Hi 972501234567, turn 1');
+    });
+
+    it('should continue counting from stored history', async () => {
+      const history = [{ role: 'user', text: 'a' }, { role: 'model', text: 'b' }];
+      const result = await mock.sendMessage('972509999999', 'hello', 'prompt', undefined, () => history);
+      assert.strictEqual(result.text, 'Hi 972509999999, turn 2');
+    });
+
+    it('should echo without a script', async () => {
+      mock.setScript(null);
+      assert.strictEqual((await mock.sendMessage('972501234567', 'hi', 'prompt')).text, '[mock] hi');
+    });
+
+    it('should call a tool before replying', async () => {
+      mock.setScript({ rules: [{ match: 'hours', tool: 'get_business_hours', reply: 'Hours: {tool_result}' }] });
+      const calls = [];
+      const runTool = async (name, args) => {
+        calls.push({ name, args });
+        return { result: { open: true } };
+      };
+
+      const result = await mock.sendMessage('972501234567', 'hours?', 'prompt', undefined, () => [], {
+        tools: [{ name: 'get_business_hours', description: 'Hours' }],
+        runTool
+      });
+      assert.deepStrictEqual(calls, [{ name: 'get_business_hours', args: {} }]);
+      assert.strictEqual(result.text, 'Hours: {"result":{"open":true}}');
+
+      const disabled = await mock.sendMessage('972501234567', 'hours?', 'prompt', undefined, () => [], { runTool });
+      assert.match(disabled.text, /not enabled/);
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should reject invalid scripts', () => {
+      assert.throws(() => mock.setScript({ rules: [{ reply: 'x' }] }), /match" or "pattern/);
+      assert.throws(() => mock.setScript({ rules: [{ match: 'x' }] }), /reply" or "error/);
+    });
+  });
+
+  describe('openai-compatible provider', () => {
+    let originalFetch;
+    let requests;
+    let reply;
+
+    beforeEach(() => {
+      originalFetch = globalThis.fetch;
+      requests = [];
+      reply = { ok: true, status: 200, body: { choices: [{ message: { content: ' Hi! ' } }] } };
+      globalThis.fetch = async (url, options) => {
+        requests.push({ url, body: options.body ? JSON.parse(options.body) : null });
+        return {
+          ok: reply.ok,
+          status: reply.status,
+          json: async () => reply.body,
+          text: async () => JSON.stringify(reply.body)
+        };
+      };
+      openai.clearSession('972501234567');
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+    });
+
+    it('should post the system prompt, history and message', async () => {
+      const history = [{ role: 'user', text: 'earlier' }, { role: 'model', text: 'answer' }];
+      const result = await openai.sendMessage('972501234567', 'now', 'Be nice', 'llama3.1', () => history);
+
+      assert.deepStrictEqual(result, { success: true, text: 'Hi!' });
+      assert.ok(requests[0].url.endsWith('/chat/completions'));
+      assert.strictEqual(requests[0].body.model, 'llama3.1');
+      assert.deepStrictEqual(requests[0].body.messages, [
+        { role: 'system', content: 'Be nice' },
+        { role: 'user', content: 'earlier' },
+        { role: 'assistant', content: 'answer' },
+        { role: 'user', content: 'now' }
+      ]);
+    });
+
+    it('should keep the conversation between calls', async () => {
+      await openai.sendMessage('972501234567', 'one', 'Be nice');
+      await openai.sendMessage('972501234567', 'two', 'Be nice');
+      assert.strictEqual(requests[1].body.messages.length, 4);
+      assert.strictEqual(requests[1].body.messages[2].content, 'Hi!');
+    });
+
+    it('should report HTTP errors and not keep the failed turn', async () => {
+      reply = { ok: false, status: 500, body: { error: 'model not loaded' } };
+      const result = await openai.sendMessage('972501234567', 'one', 'Be nice');
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /HTTP 500/);
+
+      reply = { ok: true, status: 200, body: { choices: [{ message: { content: 'ok' } }] } };
+      await openai.sendMessage('972501234567', 'two', 'Be nice');
+      assert.strictEqual(requests[1].body.messages.length, 2);
+    });
+
+    it('should run tool calls and keep only the final answer', async () => {
+      const replies = [
+        { choices: [{ message: { content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'get_session_status', arguments: '{}' } }] } }] },
+        { choices: [{ message: { content: '3 messages left' } }] }
+      ];
+      globalThis.fetch = async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        return { ok: true, status: 200, json: async () => replies.shift() };
+      };
+      const result = await openai.sendMessage('972501234567', 'status?', 'Be nice', undefined, () => [], {
+        tools: [{ name: 'get_session_status', description: 'Status' }],
+        runTool: async () => ({ result: { messagesRemaining: 3 } })
+      });
+
+      assert.deepStrictEqual(result, { success: true, text: '3 messages left' });
+      assert.strictEqual(requests[0].body.tools[0].function.name, 'get_session_status');
+      const toolMessage = requests[1].body.messages.at(-1);
+      assert.strictEqual(toolMessage.role, 'tool');
+      assert.strictEqual(toolMessage.tool_call_id, 'c1');
+
+      await openai.sendMessage('972501234567', 'thanks', 'Be nice');
+      assert.deepStrictEqual(requests[2].body.messages.slice(1, 3), [
+        { role: 'user', content: 'status?' },
+        { role: 'assistant', content: '3 messages left' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Outbox Unit Tests
+ * Tests for idempotency keys, per-chat ordering, retries with backoff, dead letters and re-driving them
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import Outbox, { OUTBOX_MAX_ATTEMPTS, OUTBOX_BACKOFF_BASE_MS, OUTBOX_RETENTION_MS, isPermanentFailure } from '../src/outbox.js';
+
+const CHAT = '972501234567@c.us';
+
+// Errors shaped like the WAHA client's
+function httpError(status) {
+  return Object.assign(new Error(`WAHA POST /api/sendText failed: HTTP ${status}`), { status });
+}
+
+const text = (body, extra = {}) => ({ kind: 'text', chatId: CHAT, wahaSession: 'default', payload: { text: body }, ...extra });
+
+// Make every pending message due now
+function makeDue(db) {
+  db.prepare("UPDATE outbox_messages SET next_attempt_at = 0 WHERE status = 'pending'").run();
+}
+
+describe('Outbox', () => {
+  let db;
+  let outbox;
+  let sent;
+  let failures;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    sent = [];
+    failures = [];
+    outbox = new Outbox(db, {
+      transport: async (message) => {
+        const failure = failures.shift();
+        if (failure) throw failure;
+        sent.push(message);
+      }
+    });
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should send a message at once and keep it as sent', async () => {
+    const { message, duplicate } = await outbox.send(text('hello', { replyTo: 'quoted-1' }));
+
+    assert.strictEqual(duplicate, false);
+    assert.strictEqual(message.status, 'sent');
+    assert.strictEqual(message.attempts, 1);
+    assert.strictEqual(sent.length, 1);
+    assert.deepStrictEqual(sent[0].payload, { text: 'hello' });
+    assert.strictEqual(sent[0].replyTo, 'quoted-1');
+    assert.deepStrictEqual(outbox.getStats(), { pending: 0, sending: 0, sent: 1, dead: 0 });
+  });
+
+  it('should not send a message with a known idempotency key twice', async () => {
+    await outbox.send(text('answer', { key: 'event:7:reply' }));
+    const again = await outbox.send(text('a different answer', { key: 'event:7:reply' }));
+
+    assert.strictEqual(again.duplicate, true);
+    assert.strictEqual(again.message.text, 'answer');
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('should retry transient failures with exponential backoff', async () => {
+    failures.push(httpError(502));
+    const before = Date.now();
+    const { message } = await outbox.send(text('hello'));
+
+    assert.strictEqual(message.status, 'pending');
+    assert.strictEqual(message.statusCode, 502);
+    assert.ok(new Date(message.nextAttemptAt).getTime() >= before + OUTBOX_BACKOFF_BASE_MS);
+
+    // Not due yet
+    await outbox.dispatch();
+    assert.strictEqual(sent.length, 0);
+
+    failures.push(new Error('fetch failed'));
+    makeDue(db);
+    await outbox.dispatch();
+    const retried = outbox.get(message.id);
+    assert.strictEqual(retried.attempts, 2);
+    assert.ok(new Date(retried.nextAttemptAt).getTime() >= Date.now() + 2 * OUTBOX_BACKOFF_BASE_MS - 1000);
+
+    makeDue(db);
+    await outbox.dispatch();
+    assert.strictEqual(outbox.get(message.id).status, 'sent');
+    assert.strictEqual(outbox.get(message.id).attempts, 3);
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('should dead-letter permanent failures at once', async () => {
+    assert.ok(isPermanentFailure(httpError(400)));
+    assert.ok(!isPermanentFailure(httpError(503)));
+    assert.ok(!isPermanentFailure(new Error('timed out')));
+
+    failures.push(httpError(401));
+    const { message } = await outbox.send(text('hello', { key: 'k1' }));
+
+    assert.strictEqual(message.status, 'dead');
+    assert.strictEqual(message.attempts, 1);
+    assert.strictEqual(message.statusCode, 401);
+    assert.deepStrictEqual(outbox.getStats(), { pending: 0, sending: 0, sent: 0, dead: 1 });
+
+    // Its key still counts
+    const again = await outbox.send(text('hello', { key: 'k1' }));
+    assert.strictEqual(again.duplicate, true);
+    assert.strictEqual(sent.length, 0);
+  });
+
+  it('should dead-letter a message that runs out of attempts', async () => {
+    for (let i = 0; i < OUTBOX_MAX_ATTEMPTS; i++) failures.push(httpError(500));
+    const { message } = await outbox.send(text('hello'));
+    for (let i = 1; i < OUTBOX_MAX_ATTEMPTS; i++) {
+      makeDue(db);
+      await outbox.dispatch();
+    }
+
+    assert.strictEqual(outbox.get(message.id), null);
+    const [dead] = outbox.listDeadLetters();
+    assert.strictEqual(dead.outboxId, message.id);
+    assert.strictEqual(dead.attempts, OUTBOX_MAX_ATTEMPTS);
+    assert.match(dead.error, /HTTP 500/);
+  });
+
+  it('should keep a chat\'s messages in order behind one that is waiting', async () => {
+    failures.push(httpError(503));
+    await outbox.send(text('first'));
+    const second = await outbox.send(text('second'));
+    const other = await outbox.send(text('other chat', { chatId: '972509999999@c.us' }));
+
+    assert.strictEqual(second.message.status, 'pending');
+    assert.strictEqual(other.message.status, 'sent');
+
+    makeDue(db);
+    await outbox.dispatch();
+    assert.deepStrictEqual(sent.map(message => message.text), ['other chat', 'first', 'second']);
+  });
+
+  it('should re-drive a dead letter with its key and fresh attempts', async () => {
+    failures.push(httpError(404));
+    await outbox.send(text('hello', { key: 'event:3:reply' }));
+    const [dead] = outbox.listDeadLetters();
+
+    const redriven = outbox.redrive(dead.id);
+    assert.strictEqual(redriven.status, 'pending');
+    assert.strictEqual(redriven.key, 'event:3:reply');
+    assert.strictEqual(redriven.attempts, 0);
+    assert.strictEqual(outbox.listDeadLetters().length, 0);
+    assert.strictEqual(outbox.redrive(dead.id), null);
+
+    await outbox.dispatch();
+    assert.strictEqual(outbox.get(redriven.id).status, 'sent');
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('should re-drive all dead letters of a chat, and discard one', async () => {
+    failures.push(httpError(400), httpError(400), httpError(400));
+    await outbox.send(text('a'));
+    await outbox.send(text('b'));
+    await outbox.send(text('c', { chatId: '972509999999@c.us' }));
+
+    const redriven = outbox.redriveAll({ chatId: CHAT });
+    assert.deepStrictEqual(redriven.map(message => message.text), ['a', 'b']);
+
+    const [remaining] = outbox.listDeadLetters();
+    assert.strictEqual(outbox.getDeadLetter(remaining.id).text, 'c');
+    assert.ok(outbox.discard(remaining.id));
+    assert.ok(!outbox.discard(remaining.id));
+  });
+
+  it('should dead-letter sends interrupted by a restart instead of sending them again', () => {
+    const { message } = outbox.enqueue(text('hello'));
+    db.prepare("UPDATE outbox_messages SET status = 'sending' WHERE id = ?").run(message.id);
+
+    assert.strictEqual(outbox.recoverInterrupted(), 1);
+    const [dead] = outbox.listDeadLetters();
+    assert.match(dead.error, /Interrupted/);
+  });
+
+  it('should keep voice audio out of listings', async () => {
+    await outbox.send({ kind: 'voice', chatId: CHAT, wahaSession: 'default', payload: { mimetype: 'audio/mpeg', data: 'AAAA' } });
+
+    const [listed] = outbox.list();
+    assert.strictEqual(listed.payload, undefined);
+    assert.deepStrictEqual(outbox.get(listed.id).payload, { mimetype: 'audio/mpeg', data: 'AAAA' });
+    assert.strictEqual(sent[0].payload.data, 'AAAA');
+  });
+
+  it('should reject unknown kinds', () => {
+    assert.throws(() => outbox.enqueue({ ...text('x'), kind: 'sticker' }), /kind must be one of/);
+  });
+
+  it('should prune old sent messages only', async () => {
+    await outbox.send(text('old'));
+    failures.push(httpError(502));
+    await outbox.send(text('waiting', { chatId: '972509999999@c.us' }));
+
+    assert.strictEqual(outbox.prune(Date.now() + OUTBOX_RETENTION_MS + 1000), 1);
+    assert.deepStrictEqual(outbox.list().map(message => message.text), ['waiting']);
+  });
+});
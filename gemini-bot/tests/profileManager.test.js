@@ -0,0 +1,147 @@
+/**
+ * Bot Profile Unit Tests
+ * Tests for profile CRUD, validation and per-session / per-contact resolution
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import ProfileManager from '../src/profileManager.js';
+
+describe('Profile Manager', () => {
+  let db;
+  let profiles;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    profiles = new ProfileManager(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('create', () => {
+    it('should store and return a profile in API shape', () => {
+      const profile = profiles.create({
+        name: 'sales',
+        triggerPhrases: ['מכירות', 'sales bot'],
+        endKeywords: ['done'],
+        voiceEnabled: false,
+        maxMessagesPerSession: 40
+      });
+
+      assert.strictEqual(profile.name, 'sales');
+      assert.deepStrictEqual(profile.triggerPhrases, ['מכירות', 'sales bot']);
+      assert.strictEqual(profile.voiceEnabled, false);
+      assert.strictEqual(profile.maxMessagesPerSession, 40);
+      assert.strictEqual(profile.systemPrompt, null);
+      assert.strictEqual(profile.isDefault, false);
+    });
+
+    it('should require a valid name', () => {
+      assert.throws(() => profiles.create({}), /name is required/);
+      assert.throws(() => profiles.create({ name: 'has space' }), /name is required/);
+    });
+
+    it('should reject invalid fields', () => {
+      assert.throws(() => profiles.create({ name: 'a', triggerPhrases: [] }), /triggerPhrases/);
+      assert.throws(() => profiles.create({ name: 'a', voiceReplyChance: 2 }), /voiceReplyChance/);
+      assert.throws(() => profiles.create({ name: 'a', maxMessagesPerSession: 0 }), /maxMessagesPerSession/);
+      assert.throws(() => profiles.create({ name: 'a', systemPrompt: 'short' }), /systemPrompt/);
+    });
+
+    it('should store a tool list, including an empty one', () => {
+      assert.deepStrictEqual(profiles.create({ name: 'a', tools: ['get_business_hours'] }).tools, ['get_business_hours']);
+      assert.deepStrictEqual(profiles.create({ name: 'b', tools: [] }).tools, []);
+      assert.throws(() => profiles.create({ name: 'c', tools: 'get_business_hours' }), /tools/);
+    });
+
+    it('should reject duplicate names', () => {
+      profiles.create({ name: 'sales' });
+      assert.throws(() => profiles.create({ name: 'sales' }), /UNIQUE/);
+    });
+
+    it('should keep a single default profile', () => {
+      profiles.create({ name: 'a', isDefault: true });
+      profiles.create({ name: 'b', isDefault: true });
+      assert.strictEqual(profiles.get('a').isDefault, false);
+      assert.strictEqual(profiles.get('b').isDefault, true);
+    });
+  });
+
+  describe('update and remove', () => {
+    it('should update only the given fields', () => {
+      profiles.create({ name: 'sales', model: 'gemini-2.5-pro', maxMessagesPerSession: 40 });
+      const profile = profiles.update('sales', { maxMessagesPerSession: 10 });
+      assert.strictEqual(profile.model, 'gemini-2.5-pro');
+      assert.strictEqual(profile.maxMessagesPerSession, 10);
+    });
+
+    it('should clear a field with null', () => {
+      profiles.create({ name: 'sales', model: 'gemini-2.5-pro' });
+      assert.strictEqual(profiles.update('sales', { model: null }).model, null);
+    });
+
+    it('should look profiles up by id or name', () => {
+      const { id } = profiles.create({ name: 'sales' });
+      assert.strictEqual(profiles.get(id).name, 'sales');
+      assert.strictEqual(profiles.get(String(id)).name, 'sales');
+      assert.strictEqual(profiles.get('missing'), null);
+      assert.strictEqual(profiles.update('missing', {}), null);
+    });
+
+    it('should remove a profile with its assignments', () => {
+      profiles.create({ name: 'sales' });
+      profiles.assign('sales', 'session', 'sales-line');
+      assert.strictEqual(profiles.remove('sales'), true);
+      assert.strictEqual(profiles.listAssignments().length, 0);
+      assert.strictEqual(profiles.remove('sales'), false);
+    });
+  });
+
+  describe('resolve', () => {
+    beforeEach(() => {
+      profiles.create({ name: 'sales' });
+      profiles.create({ name: 'vip' });
+      profiles.create({ name: 'fallback', isDefault: true });
+    });
+
+    it('should prefer a contact assignment over the session one', () => {
+      profiles.assign('sales', 'session', 'sales-line');
+      profiles.assign('vip', 'contact', '+972-50-1234567');
+      assert.strictEqual(profiles.resolve('972501234567', 'sales-line').name, 'vip');
+    });
+
+    it('should use the session assignment for other contacts', () => {
+      profiles.assign('sales', 'session', 'sales-line');
+      assert.strictEqual(profiles.resolve('972509999999', 'sales-line').name, 'sales');
+    });
+
+    it('should fall back to the default profile', () => {
+      assert.strictEqual(profiles.resolve('972509999999', 'default').name, 'fallback');
+    });
+
+    it('should return null when nothing matches and there is no default', () => {
+      profiles.update('fallback', { isDefault: false });
+      assert.strictEqual(profiles.resolve('972509999999', 'default'), null);
+    });
+
+    it('should replace an existing assignment', () => {
+      profiles.assign('sales', 'session', 'line');
+      profiles.assign('vip', 'session', 'line');
+      assert.strictEqual(profiles.listAssignments().length, 1);
+      assert.strictEqual(profiles.resolve('972509999999', 'line').name, 'vip');
+    });
+
+    it('should reject unknown assignment types', () => {
+      assert.throws(() => profiles.assign('sales', 'group', 'x'), /type must be one of/);
+    });
+
+    it('should list profiles with their assignments', () => {
+      profiles.assign('sales', 'session', 'line');
+      const sales = profiles.list().find(p => p.name === 'sales');
+      assert.deepStrictEqual(sales.assignments, [{ type: 'session', target: 'line' }]);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * System Prompt Versions Unit Tests
+ * Tests for numbered versions, staged rollout, rollback and diffs
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import PromptVersions, { diffLines } from '../src/promptVersions.js';
+
+describe('System Prompt Versions', () => {
+  let db;
+  let versions;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE chat_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        prompt_version INTEGER
+      );
+    `);
+    versions = new PromptVersions(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  it('should number each new prompt and make it active', () => {
+    assert.strictEqual(versions.getActive(), null);
+
+    const first = versions.create({ prompt: '  You are a helpful bot.  ', author: 'alice', note: 'First' });
+    const second = versions.create({ prompt: 'You are a concise bot.', author: 'bob' });
+
+    assert.strictEqual(first.version.version, 1);
+    assert.strictEqual(first.version.prompt, 'You are a helpful bot.');
+    assert.strictEqual(second.version.version, 2);
+    assert.strictEqual(versions.getActive().author, 'bob');
+    assert.deepStrictEqual(versions.list().map(v => v.version), [2, 1]);
+    assert.throws(() => versions.create({ prompt: ' ', author: 'alice' }), /prompt is required/);
+  });
+
+  it('should count the sessions that used each version', () => {
+    versions.create({ prompt: 'Version one', author: 'alice' });
+    versions.create({ prompt: 'Version two', author: 'alice' });
+    const insert = db.prepare('INSERT INTO chat_sessions (phone, started_at, prompt_version) VALUES (?, ?, ?)');
+    insert.run('972501234567', Date.now(), 1);
+    insert.run('972501234568', Date.now(), 2);
+    insert.run('972501234569', Date.now(), 2);
+
+    assert.deepStrictEqual(versions.list().map(v => v.sessions), [2, 1]);
+  });
+
+  it('should roll a candidate out to a share of new sessions', () => {
+    versions.create({ prompt: 'Stable prompt', author: 'alice' });
+    const { rollout } = versions.create({ prompt: 'New prompt', author: 'bob', rolloutPercent: 20 });
+
+    assert.deepStrictEqual([rollout.activeVersion, rollout.candidateVersion, rollout.rolloutPercent], [1, 2, 20]);
+    assert.strictEqual(versions.getActive().version, 1);
+    assert.strictEqual(versions.pick(() => 0.1).version, 2);
+    assert.strictEqual(versions.pick(() => 0.5).version, 1);
+
+    versions.setRolloutPercent(50);
+    assert.strictEqual(versions.pick(() => 0.4).version, 2);
+
+    const done = versions.setRolloutPercent(100);
+    assert.deepStrictEqual([done.activeVersion, done.candidateVersion], [2, null]);
+    assert.strictEqual(versions.pick(() => 0.99).version, 2);
+    assert.throws(() => versions.setRolloutPercent(50), /No rollout in progress/);
+  });
+
+  it('should abandon a rollout at 0% and reject bad percentages', () => {
+    versions.create({ prompt: 'Stable prompt', author: 'alice' });
+    versions.create({ prompt: 'Risky prompt', author: 'bob', rolloutPercent: 10 });
+
+    assert.throws(() => versions.setRolloutPercent(150), /0 to 100/);
+    const abandoned = versions.setRolloutPercent(0);
+    assert.deepStrictEqual([abandoned.activeVersion, abandoned.candidateVersion], [1, null]);
+    assert.strictEqual(versions.pick(() => 0).version, 1);
+    assert.throws(() => versions.create({ prompt: 'Another', author: 'bob', rolloutPercent: 0 }), /1 to 100/);
+    assert.throws(() => versions.create({ prompt: 'Another', author: 'bob', rolloutPercent: 12.5 }), /1 to 100/);
+  });
+
+  it('should roll back by copying an old version', () => {
+    versions.create({ prompt: 'Good prompt', author: 'alice' });
+    versions.create({ prompt: 'Bad prompt', author: 'bob' });
+    versions.create({ prompt: 'Worse prompt', author: 'bob', rolloutPercent: 30 });
+
+    const result = versions.rollback(1, { author: 'carol' });
+    assert.strictEqual(result.version.version, 4);
+    assert.strictEqual(result.version.prompt, 'Good prompt');
+    assert.strictEqual(result.version.note, 'Rolled back to v1');
+    assert.deepStrictEqual([result.rollout.activeVersion, result.rollout.candidateVersion], [4, null]);
+    assert.strictEqual(versions.rollback(99, { author: 'carol' }), null);
+  });
+
+  it('should fall back to the default prompt after a reset', () => {
+    versions.create({ prompt: 'Custom prompt', author: 'alice' });
+    versions.reset();
+
+    assert.strictEqual(versions.getActive(), null);
+    assert.strictEqual(versions.pick(), null);
+    assert.strictEqual(versions.list().length, 1);
+  });
+
+  it('should import a prompt stored before versioning once', () => {
+    assert.strictEqual(versions.importLegacy(null), null);
+    const imported = versions.importLegacy('Legacy prompt');
+    assert.strictEqual(imported.version.version, 1);
+    assert.strictEqual(imported.version.author, 'import');
+    assert.strictEqual(versions.importLegacy('Legacy prompt'), null);
+    assert.strictEqual(versions.list().length, 1);
+  });
+
+  it('should diff prompts line by line', () => {
+    const diff = diffLines('Be friendly.\nAnswer in Hebrew.\nKeep it short.', 'Be friendly.\nAnswer in English.\nKeep it short.');
+    assert.deepStrictEqual(diff, [
+      { op: ' ', line: 'Be friendly.' },
+      { op: '-', line: 'Answer in Hebrew.' },
+      { op: '+', line: 'Answer in English.' },
+      { op: ' ', line: 'Keep it short.' }
+    ]);
+    assert.deepStrictEqual(diffLines('same', 'same'), [{ op: ' ', line: 'same' }]);
+  });
+});
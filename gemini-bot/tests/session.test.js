@@ -3,180 +3,25 @@
  * Tests for chat session management, rate limiting, and session lifecycle
  */
 
-import { describe, it, before, after, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import Database from 'better-sqlite3';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import fs from 'fs';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const TEST_DB_PATH = join(__dirname, 'test-session.db');
-
-// Session constants
-const SESSION_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
-const RATE_LIMIT_MS = 60 * 60 * 1000; // 1 hour
-const MAX_MESSAGES_PER_SESSION = 20;
-
-// TestSessionManager class (mirrors the real SessionManager)
-class TestSessionManager {
-  constructor(dbPath) {
-    this.db = new Database(dbPath);
-    this.initializeDatabase();
-    this.activeSessions = new Map();
-  }
-
-  initializeDatabase() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS chat_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        phone TEXT NOT NULL,
-        started_at INTEGER NOT NULL,
-        ended_at INTEGER,
-        message_count INTEGER DEFAULT 0,
-        end_reason TEXT
-      );
-      CREATE INDEX IF NOT EXISTS idx_phone_started ON chat_sessions(phone, started_at);
-      CREATE TABLE IF NOT EXISTS bot_config (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL,
-        updated_at INTEGER NOT NULL
-      );
-    `);
-  }
-
-  canStartSession(phone) {
-    const oneHourAgo = Date.now() - RATE_LIMIT_MS;
-    const recentSession = this.db.prepare(`
-      SELECT * FROM chat_sessions
-      WHERE phone = ? AND started_at > ?
-      ORDER BY started_at DESC
-      LIMIT 1
-    `).get(phone, oneHourAgo);
-
-    if (recentSession) {
-      const waitTime = Math.ceil((recentSession.started_at + RATE_LIMIT_MS - Date.now()) / 60000);
-      return { allowed: false, waitMinutes: waitTime };
-    }
-    return { allowed: true };
-  }
-
-  startSession(phone) {
-    const now = Date.now();
-    const result = this.db.prepare(`
-      INSERT INTO chat_sessions (phone, started_at) VALUES (?, ?)
-    `).run(phone, now);
-
-    this.activeSessions.set(phone, {
-      sessionId: result.lastInsertRowid,
-      messageCount: 0,
-      startTime: now
-    });
-    return { sessionId: result.lastInsertRowid };
-  }
-
-  getSession(phone) {
-    const session = this.activeSessions.get(phone);
-    if (!session) return null;
-
-    if (Date.now() - session.startTime > SESSION_TIMEOUT_MS) {
-      this.endSession(phone, 'timeout');
-      return null;
-    }
-    return session;
-  }
-
-  canSendMessage(phone) {
-    const session = this.getSession(phone);
-    if (!session) return { allowed: false, reason: 'no_session' };
-
-    if (session.messageCount >= MAX_MESSAGES_PER_SESSION) {
-      this.endSession(phone, 'max_messages');
-      return { allowed: false, reason: 'max_messages' };
-    }
-
-    const timeRemaining = SESSION_TIMEOUT_MS - (Date.now() - session.startTime);
-    if (timeRemaining <= 0) {
-      this.endSession(phone, 'timeout');
-      return { allowed: false, reason: 'timeout' };
-    }
-
-    return {
-      allowed: true,
-      messagesRemaining: MAX_MESSAGES_PER_SESSION - session.messageCount,
-      timeRemainingMs: timeRemaining
-    };
-  }
-
-  recordMessage(phone, count = 1) {
-    const session = this.activeSessions.get(phone);
-    if (!session) return;
-
-    session.messageCount += count;
-    this.db.prepare(`
-      UPDATE chat_sessions SET message_count = ? WHERE id = ?
-    `).run(session.messageCount, session.sessionId);
-  }
-
-  endSession(phone, reason = 'manual') {
-    const session = this.activeSessions.get(phone);
-    if (!session) return;
-
-    this.db.prepare(`
-      UPDATE chat_sessions SET ended_at = ?, end_reason = ? WHERE id = ?
-    `).run(Date.now(), reason, session.sessionId);
-    this.activeSessions.delete(phone);
-  }
-
-  getSessionStatus(phone) {
-    const session = this.getSession(phone);
-    if (session) {
-      const timeRemaining = Math.ceil((SESSION_TIMEOUT_MS - (Date.now() - session.startTime)) / 1000);
-      return {
-        active: true,
-        messageCount: session.messageCount,
-        messagesRemaining: MAX_MESSAGES_PER_SESSION - session.messageCount,
-        timeRemainingSeconds: timeRemaining
-      };
-    }
-    const canStart = this.canStartSession(phone);
-    return {
-      active: false,
-      canStartNew: canStart.allowed,
-      waitMinutes: canStart.waitMinutes || 0
-    };
-  }
-
-  cleanupExpiredSessions() {
-    const now = Date.now();
-    for (const [phone, session] of this.activeSessions.entries()) {
-      if (now - session.startTime > SESSION_TIMEOUT_MS) {
-        this.endSession(phone, 'timeout');
-      }
-    }
-  }
-
-  close() {
-    this.db.close();
-  }
-}
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Keep the module's default instance off disk; each test builds its own on ':memory:'
+process.env.DB_PATH = process.env.DB_PATH || ':memory:';
+const { SessionManager, chatKey, SESSION_TIMEOUT_MS, MAX_MESSAGES_PER_SESSION } = await import('../src/sessionManager.js');
 
 describe('Session Manager', () => {
   let manager;
 
-  before(() => {
-    if (fs.existsSync(TEST_DB_PATH)) fs.unlinkSync(TEST_DB_PATH);
-    manager = new TestSessionManager(TEST_DB_PATH);
-  });
-
-  after(() => {
-    manager.close();
-    if (fs.existsSync(TEST_DB_PATH)) fs.unlinkSync(TEST_DB_PATH);
+  beforeEach(() => {
+    manager = new SessionManager(':memory:');
   });
 
-  beforeEach(() => {
-    manager.db.exec('DELETE FROM chat_sessions');
-    manager.activeSessions.clear();
+  afterEach(() => {
+    manager.db.close();
   });
 
   describe('Session Creation', () => {
@@ -205,11 +50,23 @@ describe('Session Manager', () => {
 
     it('should create unique session IDs', () => {
       const s1 = manager.startSession('972501234567');
-      manager.endSession('972501234567', 'test');
+      manager.endSession('972501234567', 'default', 'test');
       manager.db.exec("DELETE FROM chat_sessions WHERE phone = '972501234567'");
       const s2 = manager.startSession('972501234568');
       assert.notStrictEqual(s1.sessionId, s2.sessionId);
     });
+
+    it('should default to the default WAHA session', () => {
+      manager.startSession('972501234567');
+      assert.strictEqual(manager.getSession('972501234567').wahaSession, 'default');
+    });
+
+    it('should record the WAHA session the chat came in on', () => {
+      manager.startSession('972501234567', 'sales');
+      const dbSession = manager.db.prepare('SELECT waha_session FROM chat_sessions WHERE phone = ?').get('972501234567');
+      assert.strictEqual(dbSession.waha_session, 'sales');
+      assert.strictEqual(manager.getSessionStatus('972501234567', 'sales').wahaSession, 'sales');
+    });
   });
 
   describe('Session Retrieval', () => {
@@ -249,7 +106,7 @@ describe('Session Manager', () => {
 
     it('should increment message count by custom amount', () => {
       manager.startSession('972501234567');
-      manager.recordMessage('972501234567', 2);
+      manager.recordMessage('972501234567', 'default', 2);
 
       const session = manager.getSession('972501234567');
       assert.strictEqual(session.messageCount, 2);
@@ -257,9 +114,9 @@ describe('Session Manager', () => {
 
     it('should accumulate message counts', () => {
       manager.startSession('972501234567');
-      manager.recordMessage('972501234567', 1);
-      manager.recordMessage('972501234567', 2);
-      manager.recordMessage('972501234567', 1);
+      manager.recordMessage('972501234567', 'default', 1);
+      manager.recordMessage('972501234567', 'default', 2);
+      manager.recordMessage('972501234567', 'default', 1);
 
       const session = manager.getSession('972501234567');
       assert.strictEqual(session.messageCount, 4);
@@ -267,7 +124,7 @@ describe('Session Manager', () => {
 
     it('should update database on message record', () => {
       manager.startSession('972501234567');
-      manager.recordMessage('972501234567', 5);
+      manager.recordMessage('972501234567', 'default', 5);
 
       const dbSession = manager.db.prepare('SELECT message_count FROM chat_sessions WHERE phone = ?').get('972501234567');
       assert.strictEqual(dbSession.message_count, 5);
@@ -278,6 +135,34 @@ describe('Session Manager', () => {
         manager.recordMessage('972500000000');
       });
     });
+
+    it('should record and count an exchange with its messages', () => {
+      manager.startSession('972501234567');
+      const recorded = manager.recordExchange('972501234567', 'default', 'voice note', 'hi', { eventId: 7, messageCount: 2 });
+
+      assert.strictEqual(recorded, true);
+      assert.strictEqual(manager.getSession('972501234567').messageCount, 2);
+      assert.strictEqual(manager.getHistory('972501234567').length, 2);
+    });
+
+    it('should record and count a replayed event once', () => {
+      manager.startSession('972501234567');
+      manager.recordExchange('972501234567', 'default', 'hello', 'hi', { eventId: 7 });
+      const replayed = manager.recordExchange('972501234567', 'default', 'hello', 'hi again', { eventId: 7 });
+
+      assert.strictEqual(replayed, false);
+      assert.strictEqual(manager.getSession('972501234567').messageCount, 1);
+      assert.strictEqual(manager.getHistory('972501234567').length, 2);
+      const dbSession = manager.db.prepare('SELECT message_count FROM chat_sessions WHERE phone = ?').get('972501234567');
+      assert.strictEqual(dbSession.message_count, 1);
+    });
+
+    it('should keep handoff turns of a replayed event once', () => {
+      manager.startSession('972501234567');
+      manager.recordTurn('972501234567', 'default', 'user', 'are you there?', 9);
+      manager.recordTurn('972501234567', 'default', 'user', 'are you there?', 9);
+      assert.strictEqual(manager.history.list(manager.getSession('972501234567').sessionId).length, 1);
+    });
   });
 
   describe('Session Limits', () => {
@@ -291,7 +176,7 @@ describe('Session Manager', () => {
 
     it('should calculate remaining messages correctly', () => {
       manager.startSession('972501234567');
-      manager.recordMessage('972501234567', 5);
+      manager.recordMessage('972501234567', 'default', 5);
 
       const result = manager.canSendMessage('972501234567');
       assert.strictEqual(result.messagesRemaining, MAX_MESSAGES_PER_SESSION - 5);
@@ -299,7 +184,7 @@ describe('Session Manager', () => {
 
     it('should deny when at message limit', () => {
       manager.startSession('972501234567');
-      manager.recordMessage('972501234567', MAX_MESSAGES_PER_SESSION);
+      manager.recordMessage('972501234567', 'default', MAX_MESSAGES_PER_SESSION);
 
       const result = manager.canSendMessage('972501234567');
       assert.strictEqual(result.allowed, false);
@@ -308,7 +193,7 @@ describe('Session Manager', () => {
 
     it('should end session when limit reached', () => {
       manager.startSession('972501234567');
-      manager.recordMessage('972501234567', MAX_MESSAGES_PER_SESSION);
+      manager.recordMessage('972501234567', 'default', MAX_MESSAGES_PER_SESSION);
       manager.canSendMessage('972501234567');
 
       const session = manager.getSession('972501234567');
@@ -325,7 +210,7 @@ describe('Session Manager', () => {
   describe('Session Ending', () => {
     it('should remove session from memory', () => {
       manager.startSession('972501234567');
-      manager.endSession('972501234567', 'manual');
+      manager.endSession('972501234567', 'default', 'manual');
 
       const session = manager.getSession('972501234567');
       assert.strictEqual(session, null);
@@ -333,7 +218,7 @@ describe('Session Manager', () => {
 
     it('should record end time in database', () => {
       manager.startSession('972501234567');
-      manager.endSession('972501234567', 'manual');
+      manager.endSession('972501234567', 'default', 'manual');
 
       const dbSession = manager.db.prepare('SELECT ended_at FROM chat_sessions WHERE phone = ?').get('972501234567');
       assert.ok(dbSession.ended_at > 0);
@@ -341,7 +226,7 @@ describe('Session Manager', () => {
 
     it('should record end reason in database', () => {
       manager.startSession('972501234567');
-      manager.endSession('972501234567', 'user_ended');
+      manager.endSession('972501234567', 'default', 'user_ended');
 
       const dbSession = manager.db.prepare('SELECT end_reason FROM chat_sessions WHERE phone = ?').get('972501234567');
       assert.strictEqual(dbSession.end_reason, 'user_ended');
@@ -353,7 +238,7 @@ describe('Session Manager', () => {
       reasons.forEach((reason, index) => {
         const phone = `97250000000${index}`;
         manager.startSession(phone);
-        manager.endSession(phone, reason);
+        manager.endSession(phone, 'default', reason);
 
         const dbSession = manager.db.prepare('SELECT end_reason FROM chat_sessions WHERE phone = ?').get(phone);
         assert.strictEqual(dbSession.end_reason, reason);
@@ -362,7 +247,7 @@ describe('Session Manager', () => {
 
     it('should not throw on non-existent session', () => {
       assert.doesNotThrow(() => {
-        manager.endSession('972500000000', 'test');
+        manager.endSession('972500000000', 'default', 'test');
       });
     });
   });
@@ -378,7 +263,7 @@ describe('Session Manager', () => {
 
     it('should return remaining messages', () => {
       manager.startSession('972501234567');
-      manager.recordMessage('972501234567', 7);
+      manager.recordMessage('972501234567', 'default', 7);
       const status = manager.getSessionStatus('972501234567');
 
       assert.strictEqual(status.messagesRemaining, MAX_MESSAGES_PER_SESSION - 7);
@@ -411,7 +296,7 @@ describe('Session Manager', () => {
 
     it('should deny second session within rate limit', () => {
       manager.startSession('972501234567');
-      manager.endSession('972501234567', 'test');
+      manager.endSession('972501234567', 'default', 'test');
 
       const result = manager.canStartSession('972501234567');
       assert.strictEqual(result.allowed, false);
@@ -420,7 +305,7 @@ describe('Session Manager', () => {
 
     it('should return wait time in minutes', () => {
       manager.startSession('972501234567');
-      manager.endSession('972501234567', 'test');
+      manager.endSession('972501234567', 'default', 'test');
 
       const result = manager.canStartSession('972501234567');
       assert.ok(result.waitMinutes <= 60);
@@ -447,8 +332,8 @@ describe('Session Manager', () => {
       manager.startSession('972501111111');
       manager.startSession('972502222222');
 
-      manager.recordMessage('972501111111', 5);
-      manager.recordMessage('972502222222', 10);
+      manager.recordMessage('972501111111', 'default', 5);
+      manager.recordMessage('972502222222', 'default', 10);
 
       const s1 = manager.getSession('972501111111');
       const s2 = manager.getSession('972502222222');
@@ -457,17 +342,231 @@ describe('Session Manager', () => {
       assert.strictEqual(s2.messageCount, 10);
     });
 
+    it('should keep a contact\'s sessions on two numbers apart', () => {
+      manager.startSession('972501234567', 'default');
+      manager.recordExchange('972501234567', 'default', 'hi support', 'hello', { messageCount: 3 });
+
+      // Writing to the second number doesn't hit the first number's rate limit
+      assert.strictEqual(manager.canStartSession('972501234567', 'sales').allowed, true);
+      assert.strictEqual(manager.canStartSession('972501234567', 'default').allowed, false);
+      manager.startSession('972501234567', 'sales');
+      manager.recordMessage('972501234567', 'sales');
+
+      assert.strictEqual(manager.getSession('972501234567', 'default').messageCount, 3);
+      assert.strictEqual(manager.getSession('972501234567', 'sales').messageCount, 1);
+      assert.strictEqual(manager.getHistory('972501234567', 'default').length, 2);
+      assert.deepStrictEqual(manager.getHistory('972501234567', 'sales'), []);
+
+      manager.endSession('972501234567', 'sales', 'user_ended');
+      assert.strictEqual(manager.getSession('972501234567', 'sales'), null);
+      assert.ok(manager.getSession('972501234567', 'default') !== null);
+    });
+
     it('should end sessions independently', () => {
       manager.startSession('972501111111');
       manager.startSession('972502222222');
 
-      manager.endSession('972501111111', 'test');
+      manager.endSession('972501111111', 'default', 'test');
 
       assert.strictEqual(manager.getSession('972501111111'), null);
       assert.ok(manager.getSession('972502222222') !== null);
     });
   });
 
+  describe('Restore After Restart', () => {
+    it('should restore open sessions with their message count', () => {
+      manager.startSession('972501234567', 'sales');
+      manager.recordMessage('972501234567', 'sales', 3);
+      manager.activeSessions.clear();
+
+      assert.strictEqual(manager.restoreOpenSessions(), 1);
+      const session = manager.getSession('972501234567', 'sales');
+      assert.strictEqual(session.messageCount, 3);
+      assert.strictEqual(session.wahaSession, 'sales');
+    });
+
+    it('should restore the profile, limit overrides and prompt version', () => {
+      manager.startSession('972501234567', 'default', {
+        profileId: 4,
+        limits: { maxMessagesPerSession: 5, unknown: 1 },
+        promptVersion: 3
+      });
+      manager.activeSessions.clear();
+
+      manager.restoreOpenSessions();
+      const session = manager.getSession('972501234567');
+      assert.strictEqual(session.profileId, 4);
+      assert.strictEqual(session.promptVersion, 3);
+      assert.deepStrictEqual(session.limitOverrides, { maxMessagesPerSession: 5 });
+      assert.strictEqual(manager.canSendMessage('972501234567').messagesRemaining, 5);
+    });
+
+    it('should fall back to the global limits on unreadable overrides', () => {
+      manager.db.prepare('INSERT INTO chat_sessions (phone, started_at, limit_overrides) VALUES (?, ?, ?)')
+        .run('972501234567', Date.now(), '{not json');
+
+      assert.strictEqual(manager.restoreOpenSessions(), 1);
+      assert.deepStrictEqual(manager.getSession('972501234567').limitOverrides, {});
+      assert.strictEqual(manager.canSendMessage('972501234567').messagesRemaining, MAX_MESSAGES_PER_SESSION);
+    });
+
+    it('should not restore ended sessions', () => {
+      manager.startSession('972501234567');
+      manager.endSession('972501234567', 'default', 'user_ended');
+
+      assert.strictEqual(manager.restoreOpenSessions(), 0);
+      assert.strictEqual(manager.getSession('972501234567'), null);
+    });
+
+    it('should close sessions that expired while the bot was down', () => {
+      manager.db.prepare('INSERT INTO chat_sessions (phone, started_at) VALUES (?, ?)')
+        .run('972501234567', Date.now() - SESSION_TIMEOUT_MS - 1000);
+
+      assert.strictEqual(manager.restoreOpenSessions(), 0);
+      const row = manager.db.prepare('SELECT end_reason FROM chat_sessions WHERE phone = ?').get('972501234567');
+      assert.strictEqual(row.end_reason, 'timeout');
+    });
+
+    it('should restore a contact\'s sessions on each number', () => {
+      manager.startSession('972501234567', 'default');
+      manager.startSession('972501234567', 'sales');
+      manager.recordMessage('972501234567', 'sales', 2);
+      manager.activeSessions.clear();
+
+      assert.strictEqual(manager.restoreOpenSessions(), 2);
+      assert.strictEqual(manager.getSession('972501234567', 'default').messageCount, 0);
+      assert.strictEqual(manager.getSession('972501234567', 'sales').messageCount, 2);
+      assert.deepStrictEqual(manager.getContactSessions('972501234567').map(s => s.wahaSession).sort(), ['default', 'sales']);
+    });
+
+    it('should keep only the newest open session per phone', () => {
+      const insert = manager.db.prepare('INSERT INTO chat_sessions (phone, started_at) VALUES (?, ?)');
+      insert.run('972501234567', Date.now() - 60000);
+      const newest = insert.run('972501234567', Date.now() - 1000).lastInsertRowid;
+
+      assert.strictEqual(manager.restoreOpenSessions(), 1);
+      assert.strictEqual(manager.getSession('972501234567').sessionId, newest);
+      const superseded = manager.db.prepare("SELECT COUNT(*) AS n FROM chat_sessions WHERE end_reason = 'superseded'").get();
+      assert.strictEqual(superseded.n, 1);
+    });
+  });
+
+  describe('Human Handoff', () => {
+    it('should link the handoff to the open session', () => {
+      const { sessionId } = manager.startSession('972501234567', 'sales');
+      const handoff = manager.startHandoff('972501234567', { source: 'keyword', wahaSession: 'sales' });
+      assert.strictEqual(handoff.sessionId, sessionId);
+      assert.strictEqual(handoff.wahaSession, 'sales');
+    });
+
+    it('should not time out while a human has the chat', () => {
+      manager.startSession('972501234567');
+      manager.startHandoff('972501234567', { source: 'operator', operator: 'dana' });
+      manager.activeSessions.get(chatKey('972501234567')).startTime -= SESSION_TIMEOUT_MS + 1000;
+
+      manager.cleanupExpiredSessions();
+      assert.ok(manager.getSession('972501234567') !== null);
+    });
+
+    it('should only pause the session on the handed-off number', () => {
+      manager.startSession('972501234567', 'default');
+      manager.startSession('972501234567', 'sales');
+      manager.startHandoff('972501234567', { source: 'operator', operator: 'dana', wahaSession: 'sales' });
+      manager.activeSessions.get(chatKey('972501234567', 'default')).startTime -= SESSION_TIMEOUT_MS + 1000;
+      manager.activeSessions.get(chatKey('972501234567', 'sales')).startTime -= SESSION_TIMEOUT_MS + 1000;
+
+      manager.cleanupExpiredSessions();
+      assert.strictEqual(manager.getSession('972501234567', 'default'), null);
+      assert.ok(manager.getSession('972501234567', 'sales') !== null);
+      assert.strictEqual(manager.getHandoff('972501234567'), null);
+    });
+
+    it('should give the session back the time spent with the human', () => {
+      manager.startSession('972501234567');
+      manager.startHandoff('972501234567', { source: 'keyword' });
+      // Handoff opened 20 minutes ago, one minute into the session
+      manager.activeSessions.get(chatKey('972501234567')).startTime = Date.now() - 21 * 60 * 1000;
+      manager.db.prepare('UPDATE bot_handoffs SET started_at = ?').run(Date.now() - 20 * 60 * 1000);
+      manager.handoffs.loadOpen();
+
+      manager.endHandoff('972501234567');
+      const status = manager.canSendMessage('972501234567');
+      assert.strictEqual(status.allowed, true);
+      assert.ok(status.timeRemainingMs > 8 * 60 * 1000);
+    });
+  });
+
+  describe('Handoff Across Restarts', () => {
+    // A restart means a new SessionManager on the same database file
+    let dir;
+    let dbPath;
+    let managers;
+
+    const open = () => {
+      const opened = new SessionManager(dbPath);
+      managers.push(opened);
+      return opened;
+    };
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'gemini-bot-session-'));
+      dbPath = join(dir, 'bot.db');
+      managers = [];
+    });
+
+    afterEach(() => {
+      for (const opened of managers) opened.db.close();
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Session started 21 minutes ago, handed off one minute in
+    const startWithOldHandoff = (opened) => {
+      const { sessionId } = opened.startSession('972501234567');
+      opened.startHandoff('972501234567', { source: 'keyword' });
+      opened.db.prepare('UPDATE chat_sessions SET started_at = ? WHERE id = ?').run(Date.now() - 21 * 60 * 1000, sessionId);
+      opened.db.prepare('UPDATE bot_handoffs SET started_at = ?').run(Date.now() - 20 * 60 * 1000);
+    };
+
+    it('should keep the time given back by a handoff after a restart', () => {
+      const first = open();
+      startWithOldHandoff(first);
+      first.handoffs.loadOpen();
+      first.activeSessions.get(chatKey('972501234567')).startTime = Date.now() - 21 * 60 * 1000;
+      first.endHandoff('972501234567');
+
+      const restarted = open();
+      assert.strictEqual(restarted.restoreOpenSessions(), 1);
+      const status = restarted.canSendMessage('972501234567');
+      assert.strictEqual(status.allowed, true);
+      assert.ok(status.timeRemainingMs > 8 * 60 * 1000 && status.timeRemainingMs <= 9 * 60 * 1000);
+    });
+
+    it('should restore a session whose handoff is still open and give the time back later', () => {
+      startWithOldHandoff(open());
+
+      const restarted = open();
+      assert.strictEqual(restarted.restoreOpenSessions(), 1);
+      assert.ok(restarted.getHandoff('972501234567'));
+      restarted.cleanupExpiredSessions();
+      assert.ok(restarted.getSession('972501234567') !== null);
+
+      restarted.endHandoff('972501234567');
+      assert.ok(restarted.canSendMessage('972501234567').timeRemainingMs > 8 * 60 * 1000);
+      assert.strictEqual(open().restoreOpenSessions(), 1);
+    });
+
+    it('should keep the real start time for the rate limit', () => {
+      const first = open();
+      startWithOldHandoff(first);
+      first.handoffs.loadOpen();
+      first.endHandoff('972501234567');
+
+      const row = first.db.prepare('SELECT started_at, paused_ms FROM chat_sessions').get();
+      assert.ok(Date.now() - row.started_at >= 21 * 60 * 1000);
+      assert.ok(row.paused_ms >= 20 * 60 * 1000);
+    });
+  });
+
   describe('Cleanup', () => {
     it('should not throw on cleanup with no sessions', () => {
       assert.doesNotThrow(() => {
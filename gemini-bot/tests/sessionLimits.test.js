@@ -0,0 +1,120 @@
+/**
+ * Session Limits Unit Tests
+ * Tests for configurable global limits, per-contact overrides and resolution order
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import SessionLimits, { DEFAULT_LIMITS, validateLimits } from '../src/sessionLimits.js';
+
+describe('Session Limits', () => {
+  let db;
+  let limits;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    limits = new SessionLimits(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('global limits', () => {
+    it('should start with the built-in defaults', () => {
+      assert.deepStrictEqual(limits.getGlobal(), DEFAULT_LIMITS);
+    });
+
+    it('should store limits in bot_config', () => {
+      limits.setGlobal({ sessionTimeoutMs: 15 * 60000 });
+      const row = db.prepare("SELECT value FROM bot_config WHERE key = 'session_timeout_ms'").get();
+      assert.strictEqual(row.value, '900000');
+      assert.strictEqual(limits.getGlobal().sessionTimeoutMs, 900000);
+      assert.strictEqual(limits.getGlobal().maxMessagesPerSession, DEFAULT_LIMITS.maxMessagesPerSession);
+    });
+
+    it('should reset one limit with null', () => {
+      limits.setGlobal({ sessionTimeoutMs: 900000, maxMessagesPerSession: 5 });
+      limits.setGlobal({ sessionTimeoutMs: null });
+      assert.strictEqual(limits.getGlobal().sessionTimeoutMs, DEFAULT_LIMITS.sessionTimeoutMs);
+      assert.strictEqual(limits.getGlobal().maxMessagesPerSession, 5);
+    });
+
+    it('should reset all limits', () => {
+      limits.setGlobal({ rateLimitMs: 0, maxMessagesPerSession: 5 });
+      assert.deepStrictEqual(limits.resetGlobal(), DEFAULT_LIMITS);
+    });
+
+    it('should ignore unparsable stored values', () => {
+      db.prepare("INSERT INTO bot_config (key, value, updated_at) VALUES ('max_messages_per_session', 'lots', 0)").run();
+      assert.strictEqual(limits.getGlobal().maxMessagesPerSession, DEFAULT_LIMITS.maxMessagesPerSession);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject invalid values', () => {
+      assert.throws(() => validateLimits({ sessionTimeoutMs: 0 }), /sessionTimeoutMs/);
+      assert.throws(() => validateLimits({ maxMessagesPerSession: 2.5 }), /maxMessagesPerSession/);
+      assert.throws(() => validateLimits({ rateLimitMs: -1 }), /rateLimitMs/);
+      assert.throws(() => validateLimits({ timeout: 5 }), /Unknown limit/);
+    });
+
+    it('should allow disabling the rate limit', () => {
+      assert.doesNotThrow(() => validateLimits({ rateLimitMs: 0 }));
+    });
+  });
+
+  describe('contact overrides', () => {
+    it('should store overrides under the normalized phone', () => {
+      const contact = limits.setContact('+972-50-1234567', { sessionTimeoutMs: 3600000, note: 'VIP' });
+      assert.strictEqual(contact.phone, '972501234567');
+      assert.strictEqual(contact.sessionTimeoutMs, 3600000);
+      assert.strictEqual(contact.maxMessagesPerSession, null);
+      assert.strictEqual(contact.note, 'VIP');
+    });
+
+    it('should merge updates into existing overrides', () => {
+      limits.setContact('972501234567', { sessionTimeoutMs: 3600000, note: 'VIP' });
+      const contact = limits.setContact('972501234567', { maxMessagesPerSession: 100 });
+      assert.strictEqual(contact.sessionTimeoutMs, 3600000);
+      assert.strictEqual(contact.maxMessagesPerSession, 100);
+      assert.strictEqual(contact.note, 'VIP');
+    });
+
+    it('should require at least one limit', () => {
+      assert.throws(() => limits.setContact('972501234567', { note: 'VIP' }), /At least one/);
+    });
+
+    it('should remove overrides', () => {
+      limits.setContact('972501234567', { rateLimitMs: 0 });
+      assert.strictEqual(limits.removeContact('972501234567'), true);
+      assert.strictEqual(limits.removeContact('972501234567'), false);
+      assert.strictEqual(limits.listContacts().length, 0);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should layer global, profile and contact limits', () => {
+      limits.setGlobal({ sessionTimeoutMs: 900000, maxMessagesPerSession: 30, rateLimitMs: 1000 });
+      limits.setContact('972501234567', { sessionTimeoutMs: 3600000 });
+
+      const resolved = limits.resolve('972501234567', { maxMessagesPerSession: 50, sessionTimeoutMs: 60000 });
+
+      assert.deepStrictEqual(resolved, { sessionTimeoutMs: 3600000, maxMessagesPerSession: 50, rateLimitMs: 1000 });
+    });
+
+    it('should ignore unset profile fields', () => {
+      limits.setGlobal({ maxMessagesPerSession: 30 });
+      const resolved = limits.resolve('972509999999', { maxMessagesPerSession: null, name: 'sales' });
+      assert.strictEqual(resolved.maxMessagesPerSession, 30);
+      assert.strictEqual(resolved.name, undefined);
+    });
+
+    it('should pick up changes without being recreated', () => {
+      assert.strictEqual(limits.resolve('972509999999').maxMessagesPerSession, DEFAULT_LIMITS.maxMessagesPerSession);
+      limits.setGlobal({ maxMessagesPerSession: 3 });
+      assert.strictEqual(limits.resolve('972509999999').maxMessagesPerSession, 3);
+    });
+  });
+});
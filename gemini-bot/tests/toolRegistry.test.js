@@ -0,0 +1,169 @@
+/**
+ * Tool Registry Unit Tests
+ * Tests for tool registration, execution/logging and the built-in business hours helpers
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import ToolRegistry from '../src/toolRegistry.js';
+import registerBuiltinTools, {
+  DEFAULT_BUSINESS_HOURS,
+  getBusinessHours,
+  validateBusinessHours,
+  isOpenAt,
+  toLocalDateTime
+} from '../src/builtinTools.js';
+
+describe('Tool Registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ToolRegistry(new Database(':memory:'));
+    registry.register({
+      name: 'echo',
+      description: 'Echo the arguments',
+      parameters: { type: 'object', properties: { text: { type: 'string' } } },
+      handler: async (args, context) => ({ text: args.text, phone: context.phone })
+    });
+  });
+
+  describe('register', () => {
+    it('should list registered tools', () => {
+      assert.deepStrictEqual(registry.names(), ['echo']);
+      assert.strictEqual(registry.has('echo'), true);
+      assert.strictEqual(registry.has('nope'), false);
+    });
+
+    it('should reject invalid names and missing handlers', () => {
+      assert.throws(() => registry.register({ name: 'bad name', description: 'x', handler: () => {} }), /Invalid tool name/);
+      assert.throws(() => registry.register({ name: 'no_handler', description: 'x' }), /needs a description and a handler/);
+    });
+  });
+
+  describe('declarations', () => {
+    it('should only declare enabled, known tools', () => {
+      registry.register({ name: 'other', description: 'Other tool', handler: () => 1 });
+      assert.deepStrictEqual(registry.declarations(['other', 'missing']), [{ name: 'other', description: 'Other tool' }]);
+      assert.strictEqual(registry.declarations().length, 2);
+      assert.deepStrictEqual(registry.declarations([]), []);
+    });
+  });
+
+  describe('execute', () => {
+    it('should run the handler with args and context', async () => {
+      const output = await registry.execute('echo', { text: 'hi' }, { phone: '972501234567', sessionId: 7 });
+      assert.deepStrictEqual(output, { result: { text: 'hi', phone: '972501234567' } });
+    });
+
+    it('should return handler errors instead of throwing', async () => {
+      registry.register({ name: 'fail', description: 'Always fails', handler: () => { throw new Error('nope'); } });
+      assert.deepStrictEqual(await registry.execute('fail', {}), { error: 'nope' });
+    });
+
+    it('should refuse unknown and disabled tools', async () => {
+      assert.match((await registry.execute('missing', {})).error, /Unknown or disabled/);
+      assert.match((await registry.execute('echo', {}, { enabledTools: [] })).error, /Unknown or disabled/);
+    });
+
+    it('should time out slow tools', async () => {
+      registry.register({
+        name: 'slow',
+        description: 'Never answers in time',
+        timeoutMs: 20,
+        handler: () => new Promise(resolve => setTimeout(resolve, 200))
+      });
+      assert.match((await registry.execute('slow', {})).error, /timed out after 20ms/);
+    });
+
+    it('should log every call', async () => {
+      await registry.execute('echo', { text: 'a' }, { phone: '972501234567', sessionId: 7 });
+      await registry.execute('missing', {}, { phone: '972501234567', sessionId: 8 });
+
+      const calls = registry.listCalls();
+      assert.strictEqual(calls.length, 2);
+      assert.strictEqual(calls[0].tool, 'missing');
+      assert.ok(calls[0].error);
+      assert.deepStrictEqual(calls[1].args, { text: 'a' });
+      assert.deepStrictEqual(calls[1].result, { text: 'a', phone: '972501234567' });
+
+      assert.strictEqual(registry.listCalls({ sessionId: 7 }).length, 1);
+      assert.strictEqual(registry.listCalls({ tool: 'echo' }).length, 1);
+    });
+  });
+
+  describe('built-in tools', () => {
+    it('should register all built-in tools', () => {
+      const builtins = registerBuiltinTools(new ToolRegistry(new Database(':memory:')), {
+        sessionManager: { getConfig: () => null }
+      });
+      assert.deepStrictEqual(builtins.names().sort(), [
+        'create_reminder', 'get_business_hours', 'get_session_status', 'lookup_contact_name', 'request_human'
+      ]);
+    });
+
+    it('should hand the chat to a human with request_human', async () => {
+      const calls = [];
+      const builtins = registerBuiltinTools(new ToolRegistry(new Database(':memory:')), {
+        sessionManager: { getConfig: () => null },
+        startHandoff: (phone, options) => {
+          calls.push({ phone, ...options });
+          return { status: 'waiting' };
+        }
+      });
+      const output = await builtins.execute('request_human', { reason: 'refund' }, {
+        phone: '972501234567', chatId: '972501234567@c.us', wahaSession: 'default'
+      });
+      assert.deepStrictEqual(output.result, { handedOff: true, status: 'waiting' });
+      assert.deepStrictEqual(calls, [{
+        phone: '972501234567', chatId: '972501234567@c.us', wahaSession: 'default', source: 'llm', reason: 'refund'
+      }]);
+    });
+
+    it('should answer get_session_status from the session manager', async () => {
+      const builtins = registerBuiltinTools(new ToolRegistry(new Database(':memory:')), {
+        sessionManager: {
+          getConfig: () => null,
+          getSessionStatus: () => ({ active: true, messagesRemaining: 3, timeRemainingSeconds: 125 })
+        }
+      });
+      const output = await builtins.execute('get_session_status', {}, { phone: '972501234567' });
+      assert.deepStrictEqual(output.result, { active: true, messagesRemaining: 3, minutesRemaining: 2 });
+    });
+  });
+});
+
+describe('Business Hours', () => {
+  it('should fall back to defaults', () => {
+    assert.deepStrictEqual(getBusinessHours(() => null), DEFAULT_BUSINESS_HOURS);
+    assert.deepStrictEqual(getBusinessHours(() => 'not json'), DEFAULT_BUSINESS_HOURS);
+  });
+
+  it('should merge stored hours over the defaults', () => {
+    const stored = JSON.stringify({ timezone: 'UTC', hours: { sat: '10:00-12:00' } });
+    const hours = getBusinessHours(() => stored);
+    assert.strictEqual(hours.timezone, 'UTC');
+    assert.strictEqual(hours.hours.sat, '10:00-12:00');
+    assert.strictEqual(hours.hours.sun, DEFAULT_BUSINESS_HOURS.hours.sun);
+  });
+
+  it('should validate days, ranges and timezone', () => {
+    assert.doesNotThrow(() => validateBusinessHours({ timezone: 'UTC', hours: { mon: '08:30-16:00', sat: null } }));
+    assert.throws(() => validateBusinessHours({ hours: { monday: '08:00-16:00' } }), /Unknown day/);
+    assert.throws(() => validateBusinessHours({ hours: { mon: '8-16' } }), /must look like/);
+    assert.throws(() => validateBusinessHours({ timezone: 'Mars/Olympus' }), /Unknown timezone/);
+    assert.throws(() => validateBusinessHours([]), /must be an object/);
+  });
+
+  it('should tell whether it is open at a given time', () => {
+    const hours = { timezone: 'UTC', hours: { mon: '09:00-17:00', sat: null } };
+    assert.strictEqual(isOpenAt(hours, Date.UTC(2024, 0, 1, 10, 0)), true); // Monday 10:00
+    assert.strictEqual(isOpenAt(hours, Date.UTC(2024, 0, 1, 17, 0)), false); // closing time
+    assert.strictEqual(isOpenAt(hours, Date.UTC(2024, 0, 6, 10, 0)), false); // Saturday
+  });
+
+  it('should format local date-times for the scheduler', () => {
+    assert.strictEqual(toLocalDateTime(Date.UTC(2024, 0, 1, 10, 5), 'UTC'), '2024-01-01T10:05');
+    assert.strictEqual(toLocalDateTime(Date.UTC(2024, 0, 1, 10, 5), 'Asia/Jerusalem'), '2024-01-01T12:05');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Transcripts Unit Tests
+ * Tests for session filtering and transcript export formats
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import ChatHistory from '../src/chatHistory.js';
+import Transcripts, { parseDateFilter } from '../src/transcripts.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Transcripts', () => {
+  let db;
+  let history;
+  let transcripts;
+
+  function addSession(phone, startedAt, { endedAt = null, endReason = null, wahaSession = 'default' } = {}) {
+    return db.prepare(`
+      INSERT INTO chat_sessions (phone, started_at, ended_at, end_reason, waha_session) VALUES (?, ?, ?, ?, ?)
+    `).run(phone, startedAt, endedAt, endReason, wahaSession).lastInsertRowid;
+  }
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE chat_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT NOT NULL,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        message_count INTEGER DEFAULT 0,
+        end_reason TEXT,
+        waha_session TEXT NOT NULL DEFAULT 'default',
+        profile_id INTEGER
+      );
+    `);
+    history = new ChatHistory(db);
+    transcripts = new Transcripts(db);
+  });
+
+  afterEach(() => {
+    db.close();
+  });
+
+  describe('list', () => {
+    beforeEach(() => {
+      const jan1 = Date.parse('2026-01-01T10:00:00Z');
+      addSession('972501111111', jan1, { endedAt: jan1 + 60000, endReason: 'timeout' });
+      addSession('972502222222', jan1 + DAY_MS, { endedAt: jan1 + DAY_MS + 60000, endReason: 'user_ended', wahaSession: 'sales' });
+      addSession('972501111111', jan1 + 2 * DAY_MS);
+    });
+
+    it('should list newest first with a total', () => {
+      const { sessions, total } = transcripts.list();
+      assert.strictEqual(total, 3);
+      assert.strictEqual(sessions[0].status, 'open');
+      assert.strictEqual(sessions[0].endedAt, null);
+    });
+
+    it('should filter by phone', () => {
+      const { sessions } = transcripts.list({ phone: '+972-50-1111111' });
+      assert.strictEqual(sessions.length, 2);
+    });
+
+    it('should filter by end reason, with open for running sessions', () => {
+      assert.strictEqual(transcripts.list({ endReason: 'timeout' }).sessions[0].phone, '972501111111');
+      assert.strictEqual(transcripts.list({ endReason: 'open' }).total, 1);
+    });
+
+    it('should filter by date range, including the whole last day', () => {
+      const { sessions } = transcripts.list({ from: '2026-01-02', to: '2026-01-02' });
+      assert.strictEqual(sessions.length, 1);
+      assert.strictEqual(sessions[0].wahaSession, 'sales');
+    });
+
+    it('should page results', () => {
+      const { sessions, total } = transcripts.list({ limit: 1, offset: 1 });
+      assert.strictEqual(total, 3);
+      assert.strictEqual(sessions.length, 1);
+      assert.strictEqual(sessions[0].endReason, 'user_ended');
+    });
+
+    it('should reject invalid dates', () => {
+      assert.throws(() => transcripts.list({ from: 'yesterday-ish' }), /from must be a date/);
+    });
+  });
+
+  describe('export', () => {
+    let id;
+
+    beforeEach(() => {
+      id = addSession('972501234567', Date.parse('2026-01-01T10:00:00Z'), { endedAt: Date.parse('2026-01-01T10:05:00Z'), endReason: 'user_ended' });
+      history.addExchange(id, 'מה השעה?', 'אין לי גישה לשעון, אבל "בערך" עשר, כמו תמיד');
+    });
+
+    it('should return the session with its turns', () => {
+      const transcript = transcripts.get(id);
+      assert.strictEqual(transcript.session.turnCount, 2);
+      assert.deepStrictEqual(transcript.turns.map(t => t.role), ['user', 'model']);
+      assert.strictEqual(transcripts.get(999), null);
+    });
+
+    it('should render plain text', () => {
+      const text = transcripts.toText(transcripts.get(id));
+      assert.match(text, /Session #\d+ - 972501234567/);
+      assert.match(text, /Ended: .* \(user_ended\)/);
+      assert.match(text, /User: מה השעה\?/);
+      assert.match(text, /Bot: אין לי גישה/);
+    });
+
+    it('should include knowledge base sources on bot turns', () => {
+      const sourcedId = addSession('972501234567', Date.parse('2026-01-02T10:00:00Z'));
+      history.addExchange(sourcedId, 'מתי אתם פתוחים?', 'א-ה 9:00-17:00', [{ docId: 3, title: 'FAQ', chunkIds: [7] }]);
+
+      const transcript = transcripts.get(sourcedId);
+      assert.strictEqual(transcript.turns[0].sources, undefined);
+      assert.deepStrictEqual(transcript.turns[1].sources, [{ docId: 3, title: 'FAQ', chunkIds: [7] }]);
+      assert.match(transcripts.toText(transcript), /\(sources: FAQ\)/);
+    });
+
+    it('should render CSV with quoting', () => {
+      const lines = transcripts.toCsv(transcripts.get(id)).trim().split('\r\n');
+      assert.strictEqual(lines[0], 'session_id,phone,at,role,text');
+      assert.strictEqual(lines.length, 3);
+      assert.ok(lines[2].endsWith('"אין לי גישה לשעון, אבל ""בערך"" עשר, כמו תמיד"'));
+    });
+  });
+
+  describe('parseDateFilter', () => {
+    it('should accept timestamps and ISO dates', () => {
+      assert.strictEqual(parseDateFilter('1767261600000', 'from'), 1767261600000);
+      assert.strictEqual(parseDateFilter('2026-01-01T10:00:00Z', 'from'), Date.parse('2026-01-01T10:00:00Z'));
+      assert.strictEqual(parseDateFilter('', 'from'), null);
+    });
+  });
+});
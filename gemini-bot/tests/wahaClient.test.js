@@ -0,0 +1,152 @@
+/**
+ * WAHA Client Unit Tests
+ * Tests for request shapes, session parameterisation, typed errors, retries and timeouts
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+  createWahaClient, toChatId,
+  WahaError, WahaHttpError, WahaAuthError, WahaNotFoundError, WahaTimeoutError, WahaNetworkError
+} from '../../waha-client/index.js';
+
+// fetch stand-in: records calls and answers from a list of responses (or functions)
+function fakeFetch(responses = []) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, method: init.method, headers: init.headers, body: init.body ? JSON.parse(init.body) : undefined });
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    const response = typeof next === 'function' ? await next(init) : next;
+    return response ?? new Response('{}', { headers: { 'Content-Type': 'application/json' } });
+  };
+  return { fetch, calls };
+}
+
+const json = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+describe('WAHA Client', () => {
+  it('should turn phone numbers into chat IDs', () => {
+    assert.strictEqual(toChatId('+972-50-123-4567'), '972501234567@c.us');
+    assert.strictEqual(toChatId('120363@g.us'), '120363@g.us');
+  });
+
+  it('should send with the API key and the default session', async () => {
+    const { fetch, calls } = fakeFetch([json({ id: 'msg1' })]);
+    const waha = createWahaClient({ baseUrl: 'http://waha:3000/', apiKey: 'secret', fetch });
+
+    const result = await waha.sendText('972501234567', 'Hello', { replyTo: 'quoted1' });
+
+    assert.deepStrictEqual(result, { id: 'msg1' });
+    assert.strictEqual(calls[0].url, 'http://waha:3000/api/sendText');
+    assert.strictEqual(calls[0].method, 'POST');
+    assert.strictEqual(calls[0].headers['X-Api-Key'], 'secret');
+    assert.deepStrictEqual(calls[0].body, { session: 'default', chatId: '972501234567@c.us', text: 'Hello', reply_to: 'quoted1' });
+  });
+
+  it('should parameterise the session per call, per client or with a getter', async () => {
+    const { fetch, calls } = fakeFetch();
+    let picked = 'first';
+    const waha = createWahaClient({ baseUrl: '', session: () => picked, fetch });
+
+    await waha.startTyping('972501234567@c.us');
+    picked = 'second';
+    await waha.setPresence('972501234567@c.us', 'recording');
+    await waha.withSession('sales').getMe();
+    await waha.checkNumber('050-1234567', { session: 'support' });
+
+    assert.strictEqual(calls[0].body.session, 'first');
+    assert.strictEqual(calls[1].url, '/api/second/presence');
+    assert.deepStrictEqual(calls[1].body, { chatId: '972501234567@c.us', presence: 'recording' });
+    assert.strictEqual(calls[2].url, '/api/sessions/sales/me');
+    assert.strictEqual(calls[3].url, '/api/contacts/check-exists?phone=0501234567&session=support');
+  });
+
+  it('should cover sessions, QR, chats and media paths', async () => {
+    const { fetch, calls } = fakeFetch();
+    const waha = createWahaClient({ baseUrl: 'http://waha', session: 'main', headers: () => ({ Authorization: 'Bearer t' }), fetch });
+
+    await waha.listSessions();
+    await waha.createSession({ config: { noweb: { store: { enabled: false } } } });
+    await waha.stopSession();
+    await waha.getQr({ format: 'raw' });
+    await waha.getChatMessages('972501234567', { limit: 5 });
+    await waha.downloadMedia('true_972@c.us_ABC');
+    await waha.sendReaction('msg1', '👍');
+
+    assert.deepStrictEqual(calls.map(call => `${call.method} ${call.url}`), [
+      'GET http://waha/api/sessions?all=true',
+      'POST http://waha/api/sessions',
+      'POST http://waha/api/sessions/main/stop',
+      'GET http://waha/api/main/auth/qr?format=raw',
+      'GET http://waha/api/main/chats/972501234567%40c.us/messages?limit=5&downloadMedia=false',
+      'GET http://waha/api/main/messages/true_972%40c.us_ABC/download',
+      'PUT http://waha/api/reaction'
+    ]);
+    assert.deepStrictEqual(calls[1].body, { name: 'main', start: true, config: { noweb: { store: { enabled: false } } } });
+    assert.strictEqual(calls[0].headers.Authorization, 'Bearer t');
+    assert.deepStrictEqual(calls[6].body, { session: 'main', messageId: 'msg1', reaction: '👍' });
+  });
+
+  it('should throw typed errors', async () => {
+    const cases = [
+      [json({ message: 'Session not found' }, 404), WahaNotFoundError],
+      [json({ error: 'Unauthorized' }, 401), WahaAuthError],
+      [new Response('bad request', { status: 400 }), WahaHttpError]
+    ];
+    for (const [response, ErrorClass] of cases) {
+      const { fetch } = fakeFetch([response]);
+      const waha = createWahaClient({ fetch, retries: 0 });
+      const error = await waha.getSession().catch(e => e);
+      assert.ok(error instanceof ErrorClass, error.name);
+      assert.ok(error instanceof WahaError);
+      assert.match(error.message, new RegExp(`HTTP ${response.status}`));
+    }
+
+    const { fetch } = fakeFetch([json({ message: 'Session not found' }, 404)]);
+    const error = await createWahaClient({ fetch }).getSession({ session: 'gone' }).catch(e => e);
+    assert.strictEqual(error.status, 404);
+    assert.strictEqual(error.path, '/api/sessions/gone');
+    assert.deepStrictEqual(error.body, { message: 'Session not found' });
+  });
+
+  it('should retry reads with backoff, but sends only when WAHA says it did nothing', async () => {
+    const flaky = fakeFetch([json({}, 502), json({}, 503), json([{ name: 'default' }])]);
+    const reads = createWahaClient({ fetch: flaky.fetch, retryDelayMs: 1 });
+    assert.deepStrictEqual(await reads.listSessions(), [{ name: 'default' }]);
+    assert.strictEqual(flaky.calls.length, 3);
+
+    const failing = fakeFetch([json({}, 500)]);
+    const sends = createWahaClient({ fetch: failing.fetch, retryDelayMs: 1 });
+    await assert.rejects(sends.sendText('972501234567', 'once'), WahaHttpError);
+    assert.strictEqual(failing.calls.length, 1);
+
+    const limited = fakeFetch([json({}, 429, { 'Retry-After': '0' }), json({ id: 'sent' })]);
+    const limitedClient = createWahaClient({ fetch: limited.fetch, retryDelayMs: 1 });
+    assert.deepStrictEqual(await limitedClient.sendText('972501234567', 'later'), { id: 'sent' });
+    assert.strictEqual(limited.calls.length, 2);
+
+    const down = fakeFetch([() => { throw new TypeError('fetch failed'); }]);
+    const downClient = createWahaClient({ fetch: down.fetch, retries: 1, retryDelayMs: 1 });
+    await assert.rejects(downClient.getMe(), WahaNetworkError);
+    assert.strictEqual(down.calls.length, 2);
+  });
+
+  it('should time out slow calls', async () => {
+    // AbortSignal.timeout() doesn't hold the event loop open, so the fake answer timer does
+    const slow = (init) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => resolve(json({})), 1000);
+      init.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(init.signal.reason);
+      });
+    });
+    const { fetch, calls } = fakeFetch([slow]);
+    const waha = createWahaClient({ fetch, timeoutMs: 20, retries: 1, retryDelayMs: 1 });
+
+    const error = await waha.getSession().catch(e => e);
+    assert.ok(error instanceof WahaTimeoutError);
+    assert.strictEqual(error.timeoutMs, 20);
+    assert.strictEqual(calls.length, 2);
+  });
+});
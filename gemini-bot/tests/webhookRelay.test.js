@@ -0,0 +1,260 @@
+/**
+ * Webhook Relay Unit Tests
+ * Tests for event recording, fan-out, retries and the delivery log
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import Database from 'better-sqlite3';
+import WebhookRelay, { RELAY_MAX_ATTEMPTS, RELAY_BACKOFF_BASE_MS, RELAY_RETENTION_MS } from '../src/webhookRelay.js';
+import { verifyWebhook } from '../../waha-client/webhookSignature.js';
+
+const MESSAGE_EVENT = {
+  event: 'message',
+  session: 'default',
+  payload: { id: 'msg-1', from: '972501234567@c.us', body: 'hello' }
+};
+
+describe('Webhook Relay', () => {
+  let db;
+  let relay;
+  let originalFetch;
+  let fetchCalls;
+  let fetchStatus;
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    relay = new WebhookRelay(db);
+    originalFetch = globalThis.fetch;
+    fetchCalls = [];
+    fetchStatus = 200;
+    globalThis.fetch = async (url, options) => {
+      fetchCalls.push({ url, options });
+      if (fetchStatus === 'network') throw new Error('ECONNREFUSED');
+      return { ok: fetchStatus < 400, status: fetchStatus };
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+    db.close();
+  });
+
+  describe('subscribers', () => {
+    it('should seed subscribers from a comma-separated list', () => {
+      relay.seedSubscribers('http://chatty-backend:3002/api/webhook, http://other:8080/hook');
+      const subscribers = relay.listSubscribers();
+      assert.strictEqual(subscribers.length, 2);
+      assert.strictEqual(subscribers[0].name, 'chatty-backend:3002');
+    });
+
+    it('should not duplicate seeded subscribers on restart', () => {
+      relay.seedSubscribers('http://chatty-backend:3002/api/webhook');
+      relay.seedSubscribers('http://chatty-backend:3002/api/webhook');
+      assert.strictEqual(relay.listSubscribers().length, 1);
+    });
+
+    it('should remove env subscribers that are no longer listed', () => {
+      relay.seedSubscribers('http://chatty-backend:3002/api/webhook,http://old:8080/hook');
+      relay.record(MESSAGE_EVENT);
+      relay.seedSubscribers('http://chatty-backend:3002/api/webhook');
+
+      const subscribers = relay.listSubscribers();
+      assert.deepStrictEqual(subscribers.map(s => s.url), ['http://chatty-backend:3002/api/webhook']);
+      assert.strictEqual(subscribers[0].source, 'env');
+      assert.strictEqual(relay.listDeliveries().length, 1);
+    });
+
+    it('should keep API-added subscribers when seeding', () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.seedSubscribers('');
+      const subscribers = relay.listSubscribers();
+      assert.strictEqual(subscribers.length, 1);
+      assert.strictEqual(subscribers[0].source, 'api');
+    });
+
+    it('should skip invalid URLs', () => {
+      relay.seedSubscribers('not a url,http://ok:1/hook');
+      assert.strictEqual(relay.listSubscribers().length, 1);
+    });
+
+    it('should ignore empty list', () => {
+      relay.seedSubscribers(undefined);
+      assert.strictEqual(relay.listSubscribers().length, 0);
+    });
+
+    it('should filter by event name', () => {
+      const subscriber = relay.addSubscriber({ name: 'a', url: 'http://a/hook', events: 'session.status' });
+      assert.strictEqual(relay.subscriberWants(subscriber, 'message'), false);
+      assert.strictEqual(relay.subscriberWants(subscriber, 'session.status'), true);
+    });
+
+    it('should remove subscriber with its deliveries', () => {
+      const subscriber = relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.record(MESSAGE_EVENT);
+      assert.strictEqual(relay.removeSubscriber(subscriber.id), true);
+      assert.strictEqual(relay.listDeliveries().length, 0);
+    });
+  });
+
+  describe('record', () => {
+    it('should persist the event even without subscribers', () => {
+      const result = relay.record(MESSAGE_EVENT);
+      assert.strictEqual(result.deliveries, 0);
+      const events = relay.listEvents();
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].event, 'message');
+      assert.strictEqual(events[0].session, 'default');
+      assert.deepStrictEqual(events[0].payload, MESSAGE_EVENT);
+    });
+
+    it('should queue one delivery per interested enabled subscriber', () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.addSubscriber({ name: 'b', url: 'http://b/hook', events: 'session.status' });
+      const disabled = relay.addSubscriber({ name: 'c', url: 'http://c/hook' });
+      relay.setSubscriberEnabled(disabled.id, false);
+
+      const result = relay.record(MESSAGE_EVENT);
+      assert.strictEqual(result.deliveries, 1);
+    });
+  });
+
+  describe('dispatch', () => {
+    it('should POST the original payload to every subscriber', async () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.addSubscriber({ name: 'b', url: 'http://b/hook' });
+      const { eventId } = relay.record(MESSAGE_EVENT);
+
+      await relay.dispatch();
+
+      assert.strictEqual(fetchCalls.length, 2);
+      assert.deepStrictEqual(JSON.parse(fetchCalls[0].options.body), MESSAGE_EVENT);
+      assert.strictEqual(fetchCalls[0].options.headers['X-Relay-Event-Id'], String(eventId));
+      assert.strictEqual(fetchCalls[0].options.headers['X-Webhook-Hmac'], undefined);
+      const deliveries = relay.listDeliveries();
+      assert.ok(deliveries.every(d => d.status === 'delivered' && d.attempts === 1));
+    });
+
+    it('should sign deliveries when given an HMAC key', async () => {
+      const signed = new WebhookRelay(db, { hmacKey: 'secret' });
+      signed.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      signed.record({ ...MESSAGE_EVENT, timestamp: Date.now() });
+
+      await signed.dispatch();
+
+      const { body, headers } = fetchCalls[0].options;
+      const lowercase = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+      assert.strictEqual(verifyWebhook({ rawBody: body, headers: lowercase, body: JSON.parse(body) }, 'secret').valid, true);
+    });
+
+    it('should keep late retries of old events verifiable', async () => {
+      const signed = new WebhookRelay(db, { hmacKey: 'secret' });
+      signed.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      // The event happened an hour ago; this attempt goes out now
+      signed.record({ ...MESSAGE_EVENT, timestamp: Date.now() - 60 * 60 * 1000 });
+
+      await signed.dispatch();
+
+      const { body, headers } = fetchCalls[0].options;
+      const lowercase = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+      assert.strictEqual(verifyWebhook({ rawBody: body, headers: lowercase, body: JSON.parse(body) }, 'secret').valid, true);
+    });
+
+    it('should schedule a retry with backoff on failure', async () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.record(MESSAGE_EVENT);
+      fetchStatus = 503;
+
+      const before = Date.now();
+      await relay.dispatch();
+
+      const [delivery] = relay.listDeliveries();
+      assert.strictEqual(delivery.status, 'pending');
+      assert.strictEqual(delivery.attempts, 1);
+      assert.strictEqual(delivery.last_status_code, 503);
+      assert.strictEqual(delivery.last_error, 'HTTP 503');
+      assert.ok(delivery.next_attempt_at >= before + RELAY_BACKOFF_BASE_MS);
+    });
+
+    it('should not retry before the backoff expires', async () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.record(MESSAGE_EVENT);
+      fetchStatus = 'network';
+      await relay.dispatch();
+      await relay.dispatch();
+      assert.strictEqual(fetchCalls.length, 1);
+    });
+
+    it('should mark delivery failed after max attempts', async () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.record(MESSAGE_EVENT);
+      fetchStatus = 'network';
+
+      for (let i = 0; i < RELAY_MAX_ATTEMPTS; i++) {
+        db.prepare('UPDATE webhook_deliveries SET next_attempt_at = 0').run();
+        await relay.dispatch();
+      }
+
+      const [delivery] = relay.listDeliveries();
+      assert.strictEqual(delivery.status, 'failed');
+      assert.strictEqual(delivery.attempts, RELAY_MAX_ATTEMPTS);
+      assert.strictEqual(delivery.last_error, 'ECONNREFUSED');
+    });
+
+    it('should redeliver a failed delivery on manual retry', async () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.record(MESSAGE_EVENT);
+      db.prepare("UPDATE webhook_deliveries SET status = 'failed', attempts = ?").run(RELAY_MAX_ATTEMPTS);
+
+      const [failed] = relay.listDeliveries({ status: 'failed' });
+      assert.strictEqual(relay.retryDelivery(failed.id), true);
+      await relay.dispatch();
+
+      assert.strictEqual(relay.listDeliveries({ status: 'delivered' }).length, 1);
+    });
+
+    it('should keep delivering to healthy subscribers when one fails', async () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.addSubscriber({ name: 'b', url: 'http://b/hook' });
+      relay.record(MESSAGE_EVENT);
+      globalThis.fetch = async (url) => {
+        if (url.startsWith('http://a')) throw new Error('down');
+        return { ok: true, status: 200 };
+      };
+
+      await relay.dispatch();
+
+      const stats = relay.getStats();
+      assert.strictEqual(stats.delivered, 1);
+      assert.strictEqual(stats.pending, 1);
+    });
+  });
+
+  describe('delivery log', () => {
+    it('should filter deliveries by subscriber', async () => {
+      const a = relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.addSubscriber({ name: 'b', url: 'http://b/hook' });
+      relay.record(MESSAGE_EVENT);
+      relay.record(MESSAGE_EVENT);
+
+      const deliveries = relay.listDeliveries({ subscriberId: a.id });
+      assert.strictEqual(deliveries.length, 2);
+      assert.ok(deliveries.every(d => d.subscriber_name === 'a' && d.event === 'message'));
+    });
+
+    it('should prune old delivered events but keep pending ones', async () => {
+      relay.addSubscriber({ name: 'a', url: 'http://a/hook' });
+      relay.record(MESSAGE_EVENT);
+      await relay.dispatch();
+      fetchStatus = 500;
+      relay.record(MESSAGE_EVENT);
+      await relay.dispatch();
+
+      const pruned = relay.prune(Date.now() + RELAY_RETENTION_MS + 1000);
+
+      assert.strictEqual(pruned, 1);
+      assert.strictEqual(relay.listEvents().length, 1);
+      assert.strictEqual(relay.listDeliveries()[0].status, 'pending');
+    });
+  });
+});
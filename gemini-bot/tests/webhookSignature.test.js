@@ -0,0 +1,101 @@
+/**
+ * Webhook Signature Unit Tests
+ * Tests for HMAC verification, replay checks and the middleware
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { signPayload, verifyWebhook, requireWebhookSignature, DEFAULT_MAX_AGE_MS } from '../../waha-client/webhookSignature.js';
+
+const KEY = 'shared-secret';
+
+function signedRequest(body, { key = KEY, algorithm = 'sha512', headers = {} } = {}) {
+  const rawBody = JSON.stringify(body);
+  return {
+    rawBody: Buffer.from(rawBody),
+    body,
+    headers: {
+      'x-webhook-hmac': signPayload(rawBody, key, algorithm),
+      'x-webhook-hmac-algorithm': algorithm,
+      ...headers
+    }
+  };
+}
+
+describe('Webhook Signatures', () => {
+  describe('verifyWebhook', () => {
+    it('should accept a fresh, correctly signed delivery', () => {
+      const request = signedRequest({ event: 'message', timestamp: Date.now() });
+      assert.deepStrictEqual(verifyWebhook(request, KEY), { valid: true, reason: null });
+      assert.strictEqual(verifyWebhook(signedRequest({ timestamp: Date.now() }, { algorithm: 'sha256' }), KEY).valid, true);
+    });
+
+    it('should reject missing and wrong signatures', () => {
+      const request = signedRequest({ event: 'message', timestamp: Date.now() });
+      assert.strictEqual(verifyWebhook({ ...request, headers: {} }, KEY).reason, 'missing signature');
+      assert.strictEqual(verifyWebhook(signedRequest({ timestamp: Date.now() }, { key: 'other' }), KEY).reason, 'bad signature');
+      assert.strictEqual(verifyWebhook({ ...request, headers: { ...request.headers, 'x-webhook-hmac': 'zz' } }, KEY).reason, 'bad signature');
+      assert.match(verifyWebhook(signedRequest({ timestamp: Date.now() }, { algorithm: 'md5' }), KEY).reason, /unsupported algorithm/);
+    });
+
+    it('should reject a tampered body', () => {
+      const request = signedRequest({ event: 'message', timestamp: Date.now(), payload: { body: 'hi' } });
+      const tampered = { ...request, rawBody: Buffer.from(request.rawBody.toString().replace('hi', 'yo')) };
+      assert.strictEqual(verifyWebhook(tampered, KEY).reason, 'bad signature');
+    });
+
+    it('should reject replays of old deliveries', () => {
+      const old = signedRequest({ event: 'message', timestamp: Date.now() - DEFAULT_MAX_AGE_MS - 1000 });
+      assert.match(verifyWebhook(old, KEY).reason, /timestamp out of range/);
+      assert.strictEqual(verifyWebhook(old, KEY, { maxAgeMs: DEFAULT_MAX_AGE_MS * 2 }).valid, true);
+      assert.match(verifyWebhook(signedRequest({ timestamp: Date.now() + DEFAULT_MAX_AGE_MS + 1000 }), KEY).reason, /out of range/);
+    });
+
+    it('should date a delivery by its timestamp header first', () => {
+      const request = signedRequest({ event: 'message' }, { headers: { 'x-webhook-timestamp': String(Date.now()) } });
+      assert.strictEqual(verifyWebhook(request, KEY).valid, true);
+
+      // A relay retry: the event is old, the attempt is fresh
+      const oldEvent = Date.now() - DEFAULT_MAX_AGE_MS - 60000;
+      const retry = signedRequest({ event: 'message', timestamp: oldEvent }, { headers: { 'x-webhook-timestamp': String(Date.now()) } });
+      assert.strictEqual(verifyWebhook(retry, KEY).valid, true);
+
+      const stale = signedRequest({ event: 'message', timestamp: Date.now() }, { headers: { 'x-webhook-timestamp': String(oldEvent) } });
+      assert.match(verifyWebhook(stale, KEY).reason, /timestamp out of range/);
+    });
+
+    it('should fall back to the body timestamp and accept seconds', () => {
+      assert.strictEqual(verifyWebhook(signedRequest({ timestamp: Math.floor(Date.now() / 1000) }), KEY).valid, true);
+      assert.strictEqual(verifyWebhook(signedRequest({ event: 'message' }), KEY).reason, 'missing timestamp');
+    });
+  });
+
+  describe('requireWebhookSignature', () => {
+    function run(middleware, req) {
+      let status = null;
+      let passed = false;
+      const res = { status: code => { status = code; return { json: () => {} }; } };
+      middleware({ ip: '127.0.0.1', ...req }, res, () => { passed = true; });
+      return { status, passed };
+    }
+
+    it('should let everything through without a key', () => {
+      const middleware = requireWebhookSignature('');
+      assert.strictEqual(middleware.stats.enabled, false);
+      assert.strictEqual(run(middleware, { headers: {}, body: {} }).passed, true);
+    });
+
+    it('should reject and count unsigned deliveries', () => {
+      const middleware = requireWebhookSignature(KEY);
+      const originalWarn = console.warn;
+      console.warn = () => {};
+      try {
+        assert.deepStrictEqual(run(middleware, { headers: {}, body: {} }), { status: 401, passed: false });
+      } finally {
+        console.warn = originalWarn;
+      }
+      assert.strictEqual(run(middleware, signedRequest({ timestamp: Date.now() })).passed, true);
+      assert.deepStrictEqual(middleware.stats, { enabled: true, rejected: 1 });
+    });
+  });
+});
@@ -3,7 +3,7 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { Game } from './game/Game.js';
 import { soundManager } from './game/SoundManager.js';
-import { getSessionStatus, CONFIG } from './services/api.js';
+import { getSessionStatus, waha, CONFIG } from './services/api.js';
 import './App.css';
 
 function App() {
@@ -151,26 +151,15 @@ function App() {
     try {
       // First stop the session (handles FAILED state)
       console.log('Stopping session...');
-      await fetch(`${CONFIG.WAHA_URL}/api/sessions/${CONFIG.SESSION}/stop`, {
-        method: 'POST',
-        headers: { 'X-Api-Key': CONFIG.API_KEY },
-      });
+      await waha.stopSession().catch(e => console.log('Stop failed:', e.message));
 
       // Wait a moment
       await new Promise(r => setTimeout(r, 1000));
 
       // Then start it
       console.log('Starting session...');
-      const res = await fetch(`${CONFIG.WAHA_URL}/api/sessions/${CONFIG.SESSION}/start`, {
-        method: 'POST',
-        headers: { 'X-Api-Key': CONFIG.API_KEY },
-      });
-
-      if (res.ok) {
-        console.log('Session started successfully!');
-      } else {
-        console.log('Start response:', res.status);
-      }
+      await waha.startSession();
+      console.log('Session started successfully!');
     } catch (e) {
       console.error('Failed to reconnect:', e);
     }
@@ -293,7 +282,10 @@ function App() {
       )}
 
       {/* Minimal Connection Status - top left corner */}
-      <div className={`connection-badge ${session?.status === 'WORKING' ? 'live' : 'demo'}`}>
+      <div
+        className={`connection-badge ${session?.status === 'WORKING' ? 'live' : 'demo'}`}
+        title={`WhatsApp session: ${CONFIG.SESSION} (switch with ?session=name)`}
+      >
         <span className="badge-dot" />
         <span className="badge-text">{session?.status === 'WORKING' ? 'LIVE' : 'DEMO'}</span>
         {session?.status !== 'WORKING' && (
@@ -2,11 +2,21 @@
 // Connects to WAHA (WhatsApp HTTP API)
 // Works with WAHA only - no separate backend needed!
 
+import { createWahaClient } from '../../../waha-client/index.js';
+
+// WAHA session (WhatsApp number) to play with: ?session=name in the URL, else the last one used
+function initialSession() {
+  if (typeof window === 'undefined') return 'default';
+  const fromUrl = new URLSearchParams(window.location.search).get('session');
+  if (fromUrl) localStorage.setItem('waha_session', fromUrl);
+  return fromUrl || localStorage.getItem('waha_session') || 'default';
+}
+
 // API Configuration
 export const CONFIG = {
   WAHA_URL: 'http://localhost:3001',
   API_KEY: 'myapikey',
-  SESSION: 'default',
+  SESSION: initialSession(),
 };
 
 // Track state
@@ -19,28 +29,23 @@ export const setDemoMode = (value) => { demoMode = value; };
 
 // ===== WAHA API =====
 
-export async function wahaApi(endpoint, method = 'GET', body = null) {
-  const headers = {
-    'Content-Type': 'application/json',
-    'X-Api-Key': CONFIG.API_KEY,
-  };
-  const options = { method, headers, mode: 'cors' };
-  if (body) options.body = JSON.stringify(body);
+// Reads CONFIG on every call, so changes to it apply at once
+export const waha = createWahaClient({
+  baseUrl: () => CONFIG.WAHA_URL,
+  apiKey: () => CONFIG.API_KEY,
+  session: () => CONFIG.SESSION,
+});
 
-  const res = await fetch(`${CONFIG.WAHA_URL}${endpoint}`, options);
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
+// List all WAHA sessions (one per WhatsApp number)
+export async function listSessions() {
+  return waha.listSessions();
 }
 
-// Check WAHA session status
+// Check status of the configured WAHA session (null if it doesn't exist)
 export async function getSessionStatus() {
   try {
-    const sessions = await wahaApi('/api/sessions?all=true');
-    if (sessions.length > 0) {
-      const session = sessions.find(s => s.name === CONFIG.SESSION) || sessions[0];
-      return session;
-    }
-    return null;
+    const sessions = await listSessions();
+    return sessions.find(s => s.name === CONFIG.SESSION) || null;
   } catch (e) {
     console.error('Failed to get session status:', e);
     return null;
@@ -52,15 +57,7 @@ export async function sendWhatsAppMessage(phone, message) {
   if (demoMode) return { success: true, demo: true };
 
   try {
-    // Format phone number to chatId
-    const cleanPhone = phone.replace(/\D/g, '');
-    const chatId = cleanPhone.includes('@') ? cleanPhone : `${cleanPhone}@c.us`;
-
-    await wahaApi('/api/sendText', 'POST', {
-      session: CONFIG.SESSION,
-      chatId: chatId,
-      text: message,
-    });
+    await waha.sendText(phone, message);
     return { success: true };
   } catch (e) {
     console.error('Failed to send WhatsApp message:', e);
@@ -84,7 +81,7 @@ export async function fetchIncomingMessages(limit = 10) {
 
   try {
     // Get list of chats
-    const chats = await wahaApi(`/api/${CONFIG.SESSION}/chats`);
+    const chats = await waha.listChats();
 
     const newMessages = [];
 
@@ -94,9 +91,7 @@ export async function fetchIncomingMessages(limit = 10) {
 
       try {
         // Get last few messages from this chat
-        const messages = await wahaApi(
-          `/api/${CONFIG.SESSION}/chats/${encodeURIComponent(chat.id)}/messages?limit=5&downloadMedia=false`
-        );
+        const messages = await waha.getChatMessages(chat.id, { limit: 5 });
 
         for (const msg of messages) {
           // Skip if already seen, from me, or not a text message
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // The shared WAHA client lives next to the app (../waha-client)
+  server: {
+    fs: { allow: ['..'] },
+  },
 })
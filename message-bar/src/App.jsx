@@ -2,9 +2,25 @@ import { useState, useEffect, useCallback, useRef } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
 import './App.css'
 
-// API Base URL
+// API Base URL (chatty-backend; this page's origin must be in its CORS_ORIGINS)
 const API_BASE = 'http://localhost:3002'
 
+// Sign-in token from chatty-backend's /api/auth/login
+const getAuthToken = () => localStorage.getItem('message_bar_token') || ''
+
+const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem('message_bar_token', token)
+  } else {
+    localStorage.removeItem('message_bar_token')
+  }
+}
+
+const authHeaders = () => {
+  const token = getAuthToken()
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
 // ===== 8-BIT SOUND EFFECTS =====
 const AudioContext = window.AudioContext || window.webkitAudioContext
 let audioCtx = null
@@ -121,9 +137,79 @@ const DEMO_MESSAGES = [
   'Help needed!',
 ]
 
+// Templates for a demo round (nothing is sent)
+const DEMO_TEMPLATES = [
+  { id: 1, name: 'Welcome', emoji: '👋', text: 'Hey! Welcome aboard!' },
+  { id: 2, name: 'Thank You', emoji: '🙏', text: 'Thank you so much!' },
+  { id: 3, name: 'Reminder', emoji: '⏰', text: 'Quick reminder!' },
+  { id: 4, name: 'Celebration', emoji: '🎉', text: 'Congratulations!' },
+]
+
 // Generate unique ID
 const generateId = () => Math.random().toString(36).substr(2, 9)
 
+// Sign-in form for chatty-backend (serving real customers needs the operator role)
+function SignInForm({ onSignedIn, onDemo }) {
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState(null)
+  const [signingIn, setSigningIn] = useState(false)
+
+  const signIn = async (e) => {
+    e.preventDefault()
+    setSigningIn(true)
+    setError(null)
+    try {
+      const res = await fetch(`${API_BASE}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`)
+      setAuthToken(data.token)
+      onSignedIn()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSigningIn(false)
+    }
+  }
+
+  return (
+    <motion.form
+      className="sign-in"
+      onSubmit={signIn}
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ delay: 0.8 }}
+    >
+      <input
+        className="sign-in-input"
+        placeholder="Username"
+        autoComplete="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+      />
+      <input
+        className="sign-in-input"
+        type="password"
+        placeholder="Password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      {error && <p className="sign-in-error">{error}</p>}
+      <button type="submit" className="arcade-button" disabled={signingIn || !username || !password}>
+        {signingIn ? 'SIGNING IN...' : 'SIGN IN'}
+      </button>
+      <button type="button" className="text-button" onClick={onDemo}>
+        or play a demo round
+      </button>
+    </motion.form>
+  )
+}
+
 function App() {
   // Game state
   const [gameState, setGameState] = useState('start') // 'start', 'playing', 'gameover'
@@ -139,6 +225,7 @@ function App() {
   const [selectedTemplate, setSelectedTemplate] = useState(null)
   const [toasts, setToasts] = useState([])
   const [demoMode, setDemoMode] = useState(false)
+  const [connection, setConnection] = useState(getAuthToken() ? 'checking' : 'signed-out') // 'checking', 'signed-in', 'signed-out', 'offline'
   const [difficulty, setDifficulty] = useState(1)
   const [muted, setMuted] = useState(false)
   const [bottleCooldowns, setBottleCooldowns] = useState({}) // { templateId: expiresAt }
@@ -168,26 +255,44 @@ function App() {
   const gameLoopRef = useRef(null)
   const spawnIntervalRef = useRef(null)
   const comboTimerRef = useRef(null)
-  const lastMessageIdRef = useRef(0)
+  const pendingMessagesRef = useRef([])
+
+  // The backend rejected the token: back to the start screen to sign in again
+  const handleSignedOut = useCallback(() => {
+    setAuthToken(null)
+    setConnection('signed-out')
+    setGameState('start')
+  }, [])
 
-  // Fetch templates from API
+  // Fetch templates from API (also checks the stored token)
   const fetchTemplates = useCallback(async () => {
     try {
-      const res = await fetch(`${API_BASE}/api/templates`)
+      const res = await fetch(`${API_BASE}/api/templates`, { headers: authHeaders() })
+      if (res.status === 401) {
+        handleSignedOut()
+        return
+      }
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
       const data = await res.json()
       setTemplates(data)
+      setDemoMode(false)
+      setConnection('signed-in')
     } catch (err) {
       console.error('Failed to fetch templates:', err)
-      // Fallback templates for demo mode
-      setTemplates([
-        { id: 1, name: 'Welcome', emoji: '👋', text: 'Hey! Welcome aboard!' },
-        { id: 2, name: 'Thank You', emoji: '🙏', text: 'Thank you so much!' },
-        { id: 3, name: 'Reminder', emoji: '⏰', text: 'Quick reminder!' },
-        { id: 4, name: 'Celebration', emoji: '🎉', text: 'Congratulations!' },
-      ])
-      setDemoMode(true)
+      setConnection('offline')
     }
-  }, [])
+  }, [handleSignedOut])
+
+  // Sign out of chatty-backend
+  const signOut = async () => {
+    try {
+      await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST', headers: authHeaders() })
+    } catch (err) {
+      console.error('Failed to sign out:', err)
+    }
+    setAuthToken(null)
+    setConnection('signed-out')
+  }
 
   // Check if message is from a private chat (not group or status)
   const isPrivateChat = (msg) => {
@@ -201,39 +306,49 @@ function App() {
     return chatId.includes('@c.us') || chatId.includes('@s.whatsapp.net') || !chatId.includes('@')
   }
 
-  // Fetch incoming messages (real customers) - PRIVATE ONLY
-  const fetchIncomingMessages = useCallback(async () => {
+  // Take incoming messages (real customers) pushed since the last spawn - PRIVATE ONLY
+  const takeIncomingMessages = useCallback(() => {
     if (demoMode) return []
-    try {
-      const res = await fetch(`${API_BASE}/api/incoming?since=${lastMessageIdRef.current}&limit=10`)
-      const data = await res.json()
-      if (data.length > 0) {
-        lastMessageIdRef.current = Math.max(...data.map(m => m.id))
-      }
-      // Filter: not from me AND private chat only (no groups/status)
-      return data.filter(m => !m.is_from_me && isPrivateChat(m))
-    } catch (err) {
-      console.error('Failed to fetch messages:', err)
-      return []
-    }
+    const data = pendingMessagesRef.current.splice(0, 10)
+    // Filter: not from me AND private chat only (no groups/status)
+    return data.filter(m => !m.is_from_me && isPrivateChat(m))
   }, [demoMode])
 
+  // Subscribe to incoming messages pushed by the backend while playing
+  // (EventSource reconnects on its own if the connection drops)
+  useEffect(() => {
+    if (gameState !== 'playing' || demoMode) return
+
+    // EventSource can't send headers, so the token goes in the query string
+    const source = new EventSource(`${API_BASE}/api/events?access_token=${encodeURIComponent(getAuthToken())}`)
+    source.addEventListener('incoming', (e) => {
+      pendingMessagesRef.current.push(JSON.parse(e.data))
+    })
+    // An error response (e.g. a revoked token) closes the stream for good; recheck the sign-in
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) fetchTemplates()
+    }
+
+    return () => source.close()
+  }, [gameState, demoMode, fetchTemplates])
+
   // Send message via API
   const sendMessage = useCallback(async (phone, message) => {
     if (demoMode) return true
     try {
       // Log to history
-      await fetch(`${API_BASE}/api/history`, {
+      const res = await fetch(`${API_BASE}/api/history`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
         body: JSON.stringify({ phone, message, status: 'sent' })
       })
-      return true
+      if (res.status === 401) handleSignedOut()
+      return res.ok
     } catch (err) {
       console.error('Failed to send message:', err)
       return false
     }
-  }, [demoMode])
+  }, [demoMode, handleSignedOut])
 
   // Add toast notification
   const addToast = useCallback((type, message, icon) => {
@@ -393,7 +508,7 @@ function App() {
 
     const spawnCustomer = async () => {
       // Try to get real messages first
-      const messages = await fetchIncomingMessages()
+      const messages = takeIncomingMessages()
       if (messages.length > 0) {
         messages.forEach(msg => spawnRealCustomer(msg))
       } else if (demoMode || customers.length < 2) {
@@ -412,7 +527,7 @@ function App() {
     return () => {
       if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current)
     }
-  }, [gameState, difficulty, demoMode, fetchIncomingMessages, spawnRealCustomer, spawnDemoCustomer, customers.length])
+  }, [gameState, difficulty, demoMode, takeIncomingMessages, spawnRealCustomer, spawnDemoCustomer, customers.length])
 
   // Check game over
   useEffect(() => {
@@ -442,9 +557,9 @@ function App() {
     return () => clearInterval(interval)
   }, [gameState])
 
-  // Load templates on mount
+  // Load templates on mount, if signed in
   useEffect(() => {
-    fetchTemplates()
+    if (getAuthToken()) fetchTemplates()
   }, [fetchTemplates])
 
   // Start game
@@ -459,10 +574,24 @@ function App() {
     setCustomers([])
     setSelectedTemplate(null)
     setBottleCooldowns({})
-    lastMessageIdRef.current = 0
+    pendingMessagesRef.current = []
     playSound(SFX.gameStart)
   }
 
+  // Play without a backend: demo customers, nothing is sent
+  const playDemo = () => {
+    setTemplates(DEMO_TEMPLATES)
+    setDemoMode(true)
+    startGame()
+  }
+
+  // Serve real customers again after a demo round
+  const leaveDemo = () => {
+    setDemoMode(false)
+    setGameState('start')
+    if (getAuthToken()) fetchTemplates()
+  }
+
   // Get patience level class
   const getPatienceClass = (patience) => {
     if (patience > 70) return 'high'
@@ -530,17 +659,33 @@ function App() {
               <p><span>3.</span> Don't let them wait too long or they'll leave angry!</p>
               <p><span>4.</span> Build combos for bonus points!</p>
             </motion.div>
-            <motion.button
-              className="arcade-button"
-              onClick={startGame}
-              initial={{ scale: 0 }}
-              animate={{ scale: 1 }}
-              transition={{ delay: 0.8, type: 'spring' }}
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-            >
-              START GAME
-            </motion.button>
+            {connection === 'checking' && <p className="connection-status">Connecting...</p>}
+            {connection === 'signed-out' && (
+              <SignInForm onSignedIn={fetchTemplates} onDemo={playDemo} />
+            )}
+            {connection === 'offline' && (
+              <div className="connection-status">
+                <p className="sign-in-error">Can't reach chatty-backend at {API_BASE}</p>
+                <button className="arcade-button" onClick={fetchTemplates}>RETRY</button>
+                <button className="text-button" onClick={playDemo}>or play a demo round</button>
+              </div>
+            )}
+            {connection === 'signed-in' && (
+              <>
+                <motion.button
+                  className="arcade-button"
+                  onClick={startGame}
+                  initial={{ scale: 0 }}
+                  animate={{ scale: 1 }}
+                  transition={{ delay: 0.8, type: 'spring' }}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  START GAME
+                </motion.button>
+                <button className="text-button" onClick={signOut}>Sign out</button>
+              </>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -591,6 +736,9 @@ function App() {
             >
               PLAY AGAIN
             </motion.button>
+            {demoMode && (
+              <button className="text-button" onClick={leaveDemo}>Sign in to serve real customers</button>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -754,7 +902,7 @@ function App() {
       {/* DEMO MODE INDICATOR */}
       {demoMode && gameState === 'playing' && (
         <div className="demo-mode">
-          🎮 <span>DEMO MODE</span> - No server connection
+          🎮 <span>DEMO MODE</span> - Nothing is sent
         </div>
       )}
 
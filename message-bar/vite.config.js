@@ -4,4 +4,6 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Fixed port, so the origin can be listed in chatty-backend's CORS_ORIGINS (the dashboard has 5173)
+  server: { port: 5174, strictPort: true },
 })
@@ -0,0 +1,412 @@
+/**
+ * WAHA Client
+ * - One client for the WAHA HTTP API, shared by gemini-bot, chatty (backend and dashboard),
+ *   Message Bar v2 and the control panel (index.html)
+ * - Plain ES module on fetch: runs in Node 18+ and browsers, no dependencies
+ * - Sessions, auth/QR, messaging (text, image, file, voice, location, reactions, seen),
+ *   presence, chats, contacts and media download
+ * - Every call has a timeout; failures throw typed errors (WahaHttpError and subclasses,
+ *   WahaTimeoutError, WahaNetworkError - all WahaError)
+ * - Retries with exponential backoff: reads on network errors, timeouts, 429 and 5xx;
+ *   sends (POST) only on 429 and 503, so a message is never sent twice
+ * - Calls go to the client's session unless given { session }; withSession(name) binds another one
+ *
+ * Usage:
+ *   import { createWahaClient } from '../waha-client/index.js';
+ *   const waha = createWahaClient({ baseUrl: 'http://waha:3000', apiKey: process.env.WAHA_API_KEY });
+ *   await waha.sendText('972501234567', 'Hello');
+ *   await waha.withSession('sales').startTyping('972501234567@c.us');
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Statuses worth another try: rate limited, or WAHA/its proxy briefly unavailable
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+// A POST may have been carried out even if it failed; only these say it wasn't
+const RETRY_STATUSES_UNSAFE = [429, 503];
+
+class WahaError extends Error {
+  constructor(message, { method, path, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'WahaError';
+    this.method = method;
+    this.path = path;
+  }
+}
+
+// WAHA answered with an error status; body is its JSON (or text) answer
+class WahaHttpError extends WahaError {
+  constructor(status, body, { method, path } = {}) {
+    const detail = typeof body === 'string' ? body : body?.message || body?.error;
+    super(`WAHA ${method} ${path} failed: HTTP ${status}${detail ? ` - ${String(detail).slice(0, 200)}` : ''}`, { method, path });
+    this.name = 'WahaHttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+// 401/403: wrong or missing API key (or, through chatty's proxy, sign-in or role)
+class WahaAuthError extends WahaHttpError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'WahaAuthError';
+  }
+}
+
+// 404: no such session, chat or message
+class WahaNotFoundError extends WahaHttpError {
+  constructor(...args) {
+    super(...args);
+    this.name = 'WahaNotFoundError';
+  }
+}
+
+class WahaTimeoutError extends WahaError {
+  constructor(timeoutMs, { method, path } = {}) {
+    super(`WAHA ${method} ${path} timed out after ${timeoutMs}ms`, { method, path });
+    this.name = 'WahaTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// WAHA couldn't be reached (refused, DNS, reset)
+class WahaNetworkError extends WahaError {
+  constructor(cause, { method, path } = {}) {
+    super(`WAHA ${method} ${path} unreachable: ${cause?.message || cause}`, { method, path, cause });
+    this.name = 'WahaNetworkError';
+  }
+}
+
+function httpError(status, body, context) {
+  if (status === 401 || status === 403) return new WahaAuthError(status, body, context);
+  if (status === 404) return new WahaNotFoundError(status, body, context);
+  return new WahaHttpError(status, body, context);
+}
+
+/**
+ * Phone number or chat ID -> chat ID ("972501234567" -> "972501234567@c.us")
+ */
+function toChatId(phoneOrChatId) {
+  const value = String(phoneOrChatId ?? '').trim();
+  if (value.includes('@')) return value;
+  return `${value.replace(/\D/g, '')}@c.us`;
+}
+
+// Options may be values or functions returning them (e.g. a session picked in the UI)
+function resolve(value) {
+  return typeof value === 'function' ? value() : value;
+}
+
+function isRetryable(error, method) {
+  const safe = method !== 'POST';
+  if (error instanceof WahaHttpError) {
+    return (safe ? RETRY_STATUSES : RETRY_STATUSES_UNSAFE).includes(error.status);
+  }
+  return safe && (error instanceof WahaTimeoutError || error instanceof WahaNetworkError);
+}
+
+// Exponential backoff with jitter; Retry-After (seconds) wins when WAHA sends it
+function retryDelay(attempt, baseMs, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, MAX_RETRY_DELAY_MS);
+  const delay = baseMs * 2 ** attempt;
+  return Math.min(delay / 2 + Math.random() * delay / 2, MAX_RETRY_DELAY_MS);
+}
+
+const sleep = ms => new Promise(resolveSleep => setTimeout(resolveSleep, ms));
+
+async function readBody(response, responseType) {
+  if (responseType === 'response') return response;
+  if (responseType === 'blob') return response.blob();
+  if (responseType === 'arrayBuffer') return response.arrayBuffer();
+  if (responseType === 'text') return response.text();
+  const text = await response.text();
+  if (!text) return null;
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+  if (!isJson && responseType !== 'json') return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Create a client
+ * @param {object} options
+ * @param {string|Function} options.baseUrl - WAHA URL, e.g. http://waha:3000 ('' = same origin)
+ * @param {string|Function} [options.apiKey] - Sent as X-Api-Key
+ * @param {string|Function} [options.session] - Default WAHA session ('default')
+ * @param {object|Function} [options.headers] - Extra headers (e.g. a sign-in token for a proxy)
+ * @param {number} [options.timeoutMs] - Per attempt (15s)
+ * @param {number} [options.retries] - Extra attempts for retryable failures (2)
+ * @param {number} [options.retryDelayMs] - First backoff delay, doubled each retry (500ms)
+ * @param {Function} [options.onResponse] - Called with every fetch Response (e.g. to sign out on 401)
+ * @param {Function} [options.fetch] - fetch implementation (tests)
+ */
+function createWahaClient(options = {}) {
+  const {
+    baseUrl = '',
+    apiKey = null,
+    session: defaultSession = 'default',
+    headers: extraHeaders = null,
+    timeoutMs: defaultTimeoutMs = DEFAULT_TIMEOUT_MS,
+    retries: defaultRetries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    onResponse = null,
+    fetch: fetchImpl = (...args) => globalThis.fetch(...args)
+  } = options;
+
+  const sessionOf = (callOptions = {}) => callOptions.session || resolve(defaultSession) || 'default';
+  const encodedSession = callOptions => encodeURIComponent(sessionOf(callOptions));
+
+  // One try; the timeout covers reading the body too
+  async function attempt(method, path, url, init, timeoutMs, responseType) {
+    try {
+      const response = await fetchImpl(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      if (onResponse) onResponse(response);
+
+      if (!response.ok) {
+        const body = await readBody(response, 'auto').catch(() => null);
+        const error = httpError(response.status, body, { method, path });
+        error.retryAfter = response.headers.get('retry-after');
+        throw error;
+      }
+      return await readBody(response, responseType);
+    } catch (error) {
+      if (error instanceof WahaError) throw error;
+      if (error?.name === 'TimeoutError' || error?.name === 'AbortError') {
+        throw new WahaTimeoutError(timeoutMs, { method, path });
+      }
+      throw new WahaNetworkError(error, { method, path });
+    }
+  }
+
+  /**
+   * Call any WAHA endpoint
+   * @param {string} method - GET, POST, PUT, DELETE
+   * @param {string} path - e.g. /api/sendText
+   * @param {object} [callOptions] - { body, query, accept, timeoutMs, retries, responseType: auto|json|text|blob|arrayBuffer|response }
+   */
+  async function request(method, path, {
+    body, query, accept = 'application/json', timeoutMs = defaultTimeoutMs, retries = defaultRetries, responseType = 'auto'
+  } = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) params.set(key, String(value));
+    }
+    const search = params.toString();
+    const url = `${String(resolve(baseUrl) || '').replace(/\/+$/, '')}${path}${search ? `?${search}` : ''}`;
+
+    const key = resolve(apiKey);
+    const init = {
+      method,
+      headers: {
+        Accept: accept,
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(key ? { 'X-Api-Key': key } : {}),
+        ...(resolve(extraHeaders) || {})
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    };
+
+    for (let attemptNumber = 0; ; attemptNumber++) {
+      try {
+        return await attempt(method, path, url, init, timeoutMs, responseType);
+      } catch (error) {
+        if (attemptNumber >= retries || !isRetryable(error, method)) throw error;
+        await sleep(retryDelay(attemptNumber, retryDelayMs, error.retryAfter));
+      }
+    }
+  }
+
+  // Body of a chat call: session and chat, plus the quoted message when replying
+  const chatBody = (chatId, callOptions = {}, fields = {}) => ({
+    session: sessionOf(callOptions),
+    chatId: toChatId(chatId),
+    ...fields,
+    ...(callOptions.replyTo ? { reply_to: callOptions.replyTo } : {})
+  });
+
+  const post = (path, body, callOptions = {}) => request('POST', path, { ...callOptions, body });
+
+  return {
+    request,
+
+    // This client's settings on another WAHA session
+    withSession(session) {
+      return createWahaClient({ ...options, session });
+    },
+
+    // ---- Sessions ----
+
+    listSessions({ all = true, ...callOptions } = {}) {
+      return request('GET', '/api/sessions', { ...callOptions, query: all ? { all: true } : {} });
+    },
+
+    getSession(callOptions = {}) {
+      return request('GET', `/api/sessions/${encodedSession(callOptions)}`, callOptions);
+    },
+
+    // { start, config } - config as WAHA takes it, e.g. { noweb: { store: { enabled: false } } }
+    createSession({ start = true, config, ...callOptions } = {}) {
+      return post('/api/sessions', { name: sessionOf(callOptions), start, ...(config ? { config } : {}) }, callOptions);
+    },
+
+    // Older WAHA: upsert a session (and start it)
+    upsertSession({ start = true, config, ...callOptions } = {}) {
+      const body = { name: sessionOf(callOptions), start, ...(config ? { config } : {}) };
+      return request('PUT', '/api/sessions', { ...callOptions, body });
+    },
+
+    startSession(callOptions = {}) {
+      return post(`/api/sessions/${encodedSession(callOptions)}/start`, undefined, callOptions);
+    },
+
+    stopSession(callOptions = {}) {
+      return post(`/api/sessions/${encodedSession(callOptions)}/stop`, undefined, callOptions);
+    },
+
+    logoutSession(callOptions = {}) {
+      return post(`/api/sessions/${encodedSession(callOptions)}/logout`, undefined, callOptions);
+    },
+
+    deleteSession(callOptions = {}) {
+      return request('DELETE', `/api/sessions/${encodedSession(callOptions)}`, callOptions);
+    },
+
+    // The WhatsApp account of the session ({ id: '972...@c.us', pushName })
+    getMe(callOptions = {}) {
+      return request('GET', `/api/sessions/${encodedSession(callOptions)}/me`, callOptions);
+    },
+
+    // ---- Auth / QR ----
+
+    // format 'image' -> PNG Blob; 'raw' -> { value }
+    getQr({ format = 'image', ...callOptions } = {}) {
+      const image = format === 'image';
+      return request('GET', `/api/${encodedSession(callOptions)}/auth/qr`, {
+        responseType: image ? 'blob' : 'json',
+        accept: image ? 'image/png' : 'application/json',
+        ...callOptions,
+        query: { format }
+      });
+    },
+
+    requestPairingCode(phoneNumber, callOptions = {}) {
+      return post(`/api/${encodedSession(callOptions)}/auth/request-code`, { phoneNumber: String(phoneNumber).replace(/\D/g, '') }, callOptions);
+    },
+
+    getScreenshot(callOptions = {}) {
+      return request('GET', '/api/screenshot', {
+        responseType: 'blob',
+        accept: 'image/png',
+        ...callOptions,
+        query: { session: sessionOf(callOptions) }
+      });
+    },
+
+    // ---- Messaging ----
+    // chatId may be a phone number; callOptions.replyTo quotes a message
+
+    sendText(chatId, text, callOptions = {}) {
+      return post('/api/sendText', chatBody(chatId, callOptions, { text }), callOptions);
+    },
+
+    // file: { url } or { mimetype, filename, data (base64) }
+    sendImage(chatId, file, { caption, ...callOptions } = {}) {
+      return post('/api/sendImage', chatBody(chatId, callOptions, { file, ...(caption ? { caption } : {}) }), callOptions);
+    },
+
+    sendFile(chatId, file, { caption, ...callOptions } = {}) {
+      return post('/api/sendFile', chatBody(chatId, callOptions, { file, ...(caption ? { caption } : {}) }), callOptions);
+    },
+
+    sendVoice(chatId, file, callOptions = {}) {
+      return post('/api/sendVoice', chatBody(chatId, callOptions, { file }), callOptions);
+    },
+
+    sendLocation(chatId, { latitude, longitude, title }, callOptions = {}) {
+      return post('/api/sendLocation', chatBody(chatId, callOptions, { latitude, longitude, ...(title ? { title } : {}) }), callOptions);
+    },
+
+    // Emoji reaction to a message ('' removes it)
+    sendReaction(messageId, reaction, callOptions = {}) {
+      return request('PUT', '/api/reaction', { ...callOptions, body: { session: sessionOf(callOptions), messageId, reaction } });
+    },
+
+    sendSeen(chatId, callOptions = {}) {
+      return post('/api/sendSeen', chatBody(chatId, callOptions), callOptions);
+    },
+
+    // ---- Presence ----
+
+    startTyping(chatId, callOptions = {}) {
+      return post('/api/startTyping', chatBody(chatId, callOptions), callOptions);
+    },
+
+    stopTyping(chatId, callOptions = {}) {
+      return post('/api/stopTyping', chatBody(chatId, callOptions), callOptions);
+    },
+
+    // presence: online, offline, typing, recording, paused
+    setPresence(chatId, presence, callOptions = {}) {
+      return post(`/api/${encodedSession(callOptions)}/presence`, { chatId: toChatId(chatId), presence }, callOptions);
+    },
+
+    // ---- Chats ----
+
+    listChats({ limit, offset, ...callOptions } = {}) {
+      return request('GET', `/api/${encodedSession(callOptions)}/chats`, { ...callOptions, query: { limit, offset } });
+    },
+
+    getChatMessages(chatId, { limit = 20, downloadMedia = false, ...callOptions } = {}) {
+      return request('GET', `/api/${encodedSession(callOptions)}/chats/${encodeURIComponent(toChatId(chatId))}/messages`, {
+        ...callOptions,
+        query: { limit, downloadMedia }
+      });
+    },
+
+    // ---- Contacts ----
+
+    // { numberExists, chatId }
+    checkNumber(phone, callOptions = {}) {
+      return request('GET', '/api/contacts/check-exists', {
+        ...callOptions,
+        query: { phone: String(phone).replace(/\D/g, ''), session: sessionOf(callOptions) }
+      });
+    },
+
+    getContact(chatId, callOptions = {}) {
+      return request('GET', '/api/contacts', { ...callOptions, query: { contactId: toChatId(chatId), session: sessionOf(callOptions) } });
+    },
+
+    // ---- Media ----
+
+    // A message's media as { mimetype, data (base64) }
+    downloadMedia(messageId, callOptions = {}) {
+      return request('GET', `/api/${encodedSession(callOptions)}/messages/${encodeURIComponent(messageId)}/download`, callOptions);
+    },
+
+    // A media URL from a webhook (payload.media.url), with the API key -> ArrayBuffer
+    async fetchMedia(url, { timeoutMs = defaultTimeoutMs, retries = defaultRetries } = {}) {
+      const base = String(resolve(baseUrl) || '').replace(/\/+$/, '');
+      const path = base && url.startsWith(base) ? url.slice(base.length) : url;
+      if (path.startsWith('/')) {
+        return request('GET', path, { accept: '*/*', timeoutMs, retries, responseType: 'arrayBuffer' });
+      }
+      // Another host: fetched as is, without the key
+      return createWahaClient({ ...options, baseUrl: '', apiKey: null, headers: null })
+        .request('GET', url, { accept: '*/*', timeoutMs, retries, responseType: 'arrayBuffer' });
+    }
+  };
+}
+
+export {
+  createWahaClient, toChatId,
+  WahaError, WahaHttpError, WahaAuthError, WahaNotFoundError, WahaTimeoutError, WahaNetworkError,
+  DEFAULT_TIMEOUT_MS, DEFAULT_RETRIES
+};
@@ -0,0 +1,98 @@
+/**
+ * Webhook Signatures
+ * - WAHA signs each webhook with HMAC (WHATSAPP_HOOK_HMAC_KEY): X-Webhook-Hmac holds the hex digest
+ *   of the raw body, X-Webhook-Hmac-Algorithm the hash (sha512)
+ * - Replays are rejected by age: X-Webhook-Timestamp (set per delivery, so relay retries stay fresh),
+ *   or the body's `timestamp` (the event time) when there's no header
+ * - The relay signs the copies it forwards the same way, so subscribers can verify them too
+ * - Node only (node:crypto): shared by gemini-bot and chatty-backend, unlike index.js it isn't for browsers
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const SIGNATURE_HEADER = 'x-webhook-hmac';
+const ALGORITHM_HEADER = 'x-webhook-hmac-algorithm';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SIGNATURE_ALGORITHMS = ['sha512', 'sha256'];
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Hex HMAC of a raw body (string or Buffer)
+function signPayload(rawBody, key, algorithm = 'sha512') {
+  return createHmac(algorithm, key).update(rawBody).digest('hex');
+}
+
+// Headers that sign a body like WAHA does
+function signatureHeaders(rawBody, key, now = Date.now()) {
+  return {
+    'X-Webhook-Hmac': signPayload(rawBody, key),
+    'X-Webhook-Hmac-Algorithm': 'sha512',
+    'X-Webhook-Timestamp': String(now)
+  };
+}
+
+// Milliseconds since epoch; WAHA sends ms, some engines seconds
+function toMillis(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  return number < 1e12 ? number * 1000 : number;
+}
+
+/**
+ * Check a delivery's signature and age
+ * @param {object} request - { rawBody, headers (lowercase names), body }
+ * @param {string} key - Shared secret
+ * @param {object} options - { maxAgeMs, now }
+ * @returns {object} { valid, reason } - reason says why it was rejected
+ */
+function verifyWebhook({ rawBody, headers, body }, key, { maxAgeMs = DEFAULT_MAX_AGE_MS, now = Date.now() } = {}) {
+  const signature = headers[SIGNATURE_HEADER];
+  if (!signature) {
+    return { valid: false, reason: 'missing signature' };
+  }
+
+  const algorithm = (headers[ALGORITHM_HEADER] || 'sha512').toLowerCase();
+  if (!SIGNATURE_ALGORITHMS.includes(algorithm)) {
+    return { valid: false, reason: `unsupported algorithm ${algorithm}` };
+  }
+
+  const expected = Buffer.from(signPayload(rawBody || '', key, algorithm), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'bad signature' };
+  }
+
+  const timestamp = toMillis(headers[TIMESTAMP_HEADER]) ?? toMillis(body?.timestamp);
+  if (!timestamp) {
+    return { valid: false, reason: 'missing timestamp' };
+  }
+  if (Math.abs(now - timestamp) > maxAgeMs) {
+    return { valid: false, reason: `timestamp out of range (${Math.round((now - timestamp) / 1000)}s old)` };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Express middleware: with a key, only signed and recent deliveries get through (others get 401);
+ * without one every delivery is accepted. Needs the raw body on req.rawBody.
+ * @returns {Function} middleware with a `stats` object ({ enabled, rejected })
+ */
+function requireWebhookSignature(key, options = {}) {
+  const stats = { enabled: !!key, rejected: 0 };
+
+  const middleware = (req, res, next) => {
+    if (!key) return next();
+
+    const result = verifyWebhook({ rawBody: req.rawBody, headers: req.headers, body: req.body }, key, options);
+    if (!result.valid) {
+      stats.rejected++;
+      console.warn(`[Webhook] Rejected delivery from ${req.ip}: ${result.reason}`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    next();
+  };
+  middleware.stats = stats;
+  return middleware;
+}
+
+export { signPayload, signatureHeaders, verifyWebhook, requireWebhookSignature, SIGNATURE_ALGORITHMS, DEFAULT_MAX_AGE_MS };